@@ -38,6 +38,44 @@ const FAL_MODELS = {
   },
 };
 
+// Models that accept reference images for conditioning, the input field they
+// expect and how many images they take
+const FAL_REFERENCE_IMAGE_MODELS = {
+  "fal-ai/flux-pro/kontext/multi": {param: "image_urls", maxImages: 4},
+  "fal-ai/bytedance/seedream/v4/edit": {param: "image_urls", maxImages: 10},
+};
+
+/**
+ * Get the number of reference images a model accepts
+ * @param {Object} params - Parameters
+ * @param {string} params.model - Fal preset or endpoint
+ * @return {number} Maximum reference images, 0 if the model is text-only
+ */
+function maxReferenceImages({model}) {
+  const endpoint = FAL_MODELS[model]?.endpoint || model;
+  return FAL_REFERENCE_IMAGE_MODELS[endpoint]?.maxImages || 0;
+}
+
+/**
+ * Build the model input for reference images. Text-only models get nothing,
+ * so callers can always pass references and fall back to the prompt alone.
+ * @param {Object} params - Parameters
+ * @param {string} params.endpoint - Fal endpoint
+ * @param {Array<string>} params.referenceImages - Public URLs of the reference images
+ * @return {Object} Input fields to merge into the request payload
+ */
+function referenceImageInput({endpoint, referenceImages = []}) {
+  if (referenceImages.length === 0) {
+    return {};
+  }
+  const modelConfig = FAL_REFERENCE_IMAGE_MODELS[endpoint];
+  if (!modelConfig) {
+    logger.debug(`Fal endpoint ${endpoint} does not support reference images, ignoring ${referenceImages.length} references`);
+    return {};
+  }
+  return {[modelConfig.param]: referenceImages.slice(0, modelConfig.maxImages)};
+}
+
 async function generateImage(request) {
   // Initialize Fal client with API key at runtime
   fal.config({
@@ -50,6 +88,7 @@ async function generateImage(request) {
     outputPath,
     outputFormat = "jpg",
     modelParams = {},
+    referenceImages = [],
   } = request;
 
   if (MOCK_IMAGES.value() === true) {
@@ -98,6 +137,8 @@ async function generateImage(request) {
       logger.debug(`Generating image with Fal - using preset model: ${model} (${endpoint}), prompt: ${prompt.substring(0, 100)}`);
     }
 
+    Object.assign(input, referenceImageInput({endpoint, referenceImages}));
+
     // Use fal.run as requested
     const result = await fal.run(endpoint, {
       input: input,
@@ -209,6 +250,8 @@ const queueEntryTypeToFunction = (entryType) => {
 export {
   generateImage,
   queueEntryTypeToFunction,
+  maxReferenceImages,
   FAL_MODELS,
+  FAL_REFERENCE_IMAGE_MODELS,
 };
 
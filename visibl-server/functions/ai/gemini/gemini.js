@@ -10,6 +10,8 @@ import logger from "../../util/logger.js";
 import globalPrompts from "../prompts/globalPrompts.js";
 import {flattenResults} from "../helpers.js";
 import {batchDispatchGeminiRequests} from "../queue/dispatcher.js";
+import {withLlmFixture} from "../llmFixtures.js";
+import {withLlmCache} from "../llmCache.js";
 
 import {GEMINI_API_KEY, MOCK_LLM, GEMINI_RETRY_DELAY} from "../../config/config.js";
 
@@ -53,6 +55,13 @@ function instructionReplacements({instruction, replacements}) {
 
 
 async function geminiRequest(request) {
+  const globalPrompt = globalPrompts[request.prompt];
+  const model = request.modelOverride || globalPrompt?.geminiModel;
+  const llmRequest = {provider: "gemini", model, globalPrompt, request};
+  return await withLlmFixture(llmRequest, () => withLlmCache(llmRequest, () => sendGeminiRequest(request)));
+}
+
+async function sendGeminiRequest(request) {
   const {prompt, message, replacements, history = [], retry = true, instructionOverride, responseKey, modelOverride, mockResponse={}} = request;
   const globalPrompt = formatGlobalPrompt({globalPrompt: globalPrompts[prompt]});
   const type = globalPrompt.geminiGenerationConfig.responseMimeType;
@@ -38,6 +38,7 @@ import {
   dalleQueueToUnique,
   stabilityQueueToUnique,
   modalQueueToUnique,
+  QUEUE_PRIORITIES,
 } from "../storage/firestore/queue.js";
 
 import {styleScenesWithQueue} from "./images/style/index.js";
@@ -406,6 +407,7 @@ async function imageGenCurrentTime(req) {
             scenes: formattedScenes,
             sku,
             uid,
+            priority: QUEUE_PRIORITIES.INTERACTIVE,
           },
       );
     } else {
@@ -424,6 +426,7 @@ async function imageGenCurrentTime(req) {
         defaultSceneId,
         sku,
         uid,
+        priority: QUEUE_PRIORITIES.INTERACTIVE,
       });
     }
   } catch (error) {
@@ -29,6 +29,7 @@ import {recordUserRateLimit} from "../../../storage/realtimeDb/userRateLimiter.j
  * @param {string} params.defaultSceneId - The default scene ID for getting origin images
  * @param {string} [params.provider="stability"] - The provider to use (stability, seededit3)
  * @param {Object} [params.modelConfig={}] - Provider-specific model configuration
+ * @param {string} [params.priority] - Queue priority lane, interactive when a listener is waiting
  * @return {Promise<void>}
  */
 async function styleScenesWithQueue(params) {
@@ -42,6 +43,7 @@ async function styleScenesWithQueue(params) {
     modelConfig = {},
     sku,
     uid,
+    priority,
   } = params;
 
   if (styleId === defaultSceneId) {
@@ -68,6 +70,7 @@ async function styleScenesWithQueue(params) {
         modelConfig,
         sku,
         uid,
+        priority,
       });
   }
 }
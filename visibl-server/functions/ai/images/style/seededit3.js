@@ -4,7 +4,7 @@
  */
 
 import logger from "../../../util/logger.js";
-import {queueAddEntries} from "../../../storage/firestore/queue.js";
+import {queueAddEntries, QUEUE_PRIORITIES} from "../../../storage/firestore/queue.js";
 import {wavespeedQueueToUnique} from "../../queue/wavespeedQueue.js";
 import {dispatchTask} from "../../../util/dispatch.js";
 import {getOriginImagesForScenes} from "./styleHelpers.js";
@@ -65,10 +65,11 @@ export async function convertThemeToPrompt({uid, graphId, sku, prompt}) {
  * @param {string} params.sku - Book SKU
  * @param {string} params.uid - User ID
  * @param {string} params.graphId - Graph ID
+ * @param {string} [params.priority] - Queue priority lane, defaults to pipeline
  * @return {Promise<void>}
  */
 export async function styleImage(params) {
-  let {scenes, styleId, styleTitle, theme, defaultSceneId, modelConfig = {}, sku, uid} = params;
+  let {scenes, styleId, styleTitle, theme, defaultSceneId, modelConfig = {}, sku, uid, priority = QUEUE_PRIORITIES.PIPELINE} = params;
 
   if (!theme || theme.trim() === "") {
     logger.error(`styleWithWavespeed: Cannot style without a valid theme/prompt for styleId ${styleId}`);
@@ -168,6 +169,7 @@ export async function styleImage(params) {
       entryTypes,
       entryParams,
       uniques,
+      priorities: types.map(() => priority),
     });
 
     // Dispatch the Wavespeed queue processor
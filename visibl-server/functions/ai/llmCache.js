@@ -0,0 +1,164 @@
+/**
+ * @fileoverview Content addressed cache of LLM responses
+ * Successful OpenRouter, Gemini and OpenAI responses are stored in the bucket under
+ * LLMCache/{prompt}/{key}.json, keyed like the fixtures on the provider, model, prompt
+ * instruction, response schema, generation config, replacements and message. Re-running a graph then gets the same NER,
+ * continuity and property results without paying for them again. Entries expire after
+ * LLM_CACHE_TTL_DAYS, a request opts out with cache: false, and hits are sent to analytics.
+ * Callers that check a response and send the request again when it is wrong must send the
+ * retry with cache: false, or they get the same wrong response back.
+ */
+
+import logger from "../util/logger.js";
+import {fileExists, getJsonFile, storeJsonFile, deleteFile, getFilesByPrefix} from "../storage/storage.js";
+import {captureEvent, flushAnalytics} from "../analytics/index.js";
+import {LLM_CACHE, LLM_CACHE_TTL_DAYS, MOCK_LLM} from "../config/config.js";
+import {llmFixtureMode, llmRequestKey} from "./llmFixtures.js";
+
+const LLM_CACHE_PREFIX = "LLMCache";
+
+/**
+ * Check whether a request may use the cache
+ * Mock responses and fixture runs bypass it, so they never read or store real responses.
+ * @param {Object} request - The LLM request
+ * @return {boolean} True if the request reads and stores cached responses
+ */
+function useLlmCache(request) {
+  if (request.cache === false || LLM_CACHE.value() !== true) {
+    return false;
+  }
+  const mockValue = MOCK_LLM.value().toString().trim().toLowerCase();
+  return !["true", "1", "yes", "y"].includes(mockValue) && llmFixtureMode() === "off";
+}
+
+/**
+ * Get the bucket path of a cached response
+ * @param {string} prompt - Prompt id of the request
+ * @param {string} key - The request key
+ * @return {string} Path of the cache file
+ */
+function llmCachePath(prompt, key) {
+  return `${LLM_CACHE_PREFIX}/${prompt || "override"}/${key}.json`;
+}
+
+/**
+ * Read a cached response that has not expired
+ * @param {string} filename - Path of the cache file
+ * @return {Promise<Object|null>} The cache entry, null on a miss
+ */
+async function readLlmCache(filename) {
+  if (!await fileExists({path: filename})) {
+    return null;
+  }
+  const entry = await getJsonFile({filename});
+  const ttlMs = parseFloat(LLM_CACHE_TTL_DAYS.value()) * 24 * 60 * 60 * 1000;
+  if (Date.now() - new Date(entry.storedAt).getTime() > ttlMs) {
+    await deleteFile({path: filename});
+    return null;
+  }
+  return entry;
+}
+
+/**
+ * Send a cache hit to analytics, so hits show next to the provider's llm_generation events
+ * @param {Object} params - The parameters object
+ * @param {string} params.provider - Provider name
+ * @param {string} params.model - Model of the request
+ * @param {Object} params.request - The LLM request
+ * @param {Object} params.response - The cached response
+ * @param {number} params.latency - Time the cache read took in ms
+ * @return {Promise<void>}
+ */
+async function captureCacheHit({provider, model, request, response, latency}) {
+  const {analyticsOptions} = request;
+  if (!analyticsOptions) {
+    return;
+  }
+  await captureEvent("llm_generation", {
+    provider,
+    model,
+    traceId: analyticsOptions.traceId,
+    input: request.message,
+    output: response.result,
+    latency,
+    success: true,
+    cost: 0,
+    cacheHit: true,
+    groups: analyticsOptions.groups || {},
+    sku: analyticsOptions.sku,
+    uid: analyticsOptions.uid,
+    graphId: analyticsOptions.graphId,
+    promptId: analyticsOptions.promptId,
+  }, analyticsOptions.distinctId || "system");
+  await flushAnalytics();
+}
+
+/**
+ * Run an LLM request through the cache
+ * Returns the cached response when there is one, otherwise sends the request and
+ * stores a successful response. Cache failures never fail the request.
+ * @param {Object} params - The parameters object, see llmRequestKey
+ * @param {Function} send - Sends the request to the provider, resolves to its response
+ * @return {Promise<Object>} The response, with the request's responseKey
+ */
+async function withLlmCache({provider, model, globalPrompt, request}, send) {
+  if (!useLlmCache(request)) {
+    return await send();
+  }
+
+  const key = llmRequestKey({provider, model, globalPrompt, request});
+  const filename = llmCachePath(request.prompt, key);
+
+  const startTime = Date.now();
+  try {
+    const entry = await readLlmCache(filename);
+    if (entry) {
+      logger.debug(`LLM cache hit ${key} for ${provider} prompt ${request.prompt}`);
+      const response = {...entry.response, responseKey: request.responseKey};
+      await captureCacheHit({provider, model, request, response, latency: Date.now() - startTime});
+      return response;
+    }
+  } catch (error) {
+    logger.warn(`Could not read LLM cache ${key} for prompt ${request.prompt}: ${error.message}`);
+  }
+
+  const response = await send();
+  if (response && !response.error) {
+    // The responseKey belongs to the request, not the response
+    // eslint-disable-next-line no-unused-vars
+    const {responseKey, ...cached} = response;
+    try {
+      await storeJsonFile({
+        filename,
+        data: {provider, model, prompt: request.prompt, storedAt: new Date().toISOString(), response: cached},
+      });
+    } catch (error) {
+      logger.warn(`Could not store LLM cache ${key} for prompt ${request.prompt}: ${error.message}`);
+    }
+  }
+  return response;
+}
+
+/**
+ * Delete cached responses
+ * @param {Object} params - The parameters object
+ * @param {string} [params.prompt] - Only delete the responses of this prompt id
+ * @return {Promise<Object>} {deleted} number of cache files deleted
+ */
+async function purgeLlmCache({prompt} = {}) {
+  const prefix = prompt ? `${LLM_CACHE_PREFIX}/${prompt}/` : `${LLM_CACHE_PREFIX}/`;
+  const files = await getFilesByPrefix({prefix});
+  let deleted = 0;
+  // Delete in chunks so a large cache does not open thousands of requests at once
+  for (let i = 0; i < files.length; i += 100) {
+    const results = await Promise.all(files.slice(i, i + 100).map((file) => deleteFile({path: file.name})));
+    deleted += results.filter(Boolean).length;
+  }
+  logger.info(`Purged ${deleted} of ${files.length} LLM cache files under ${prefix}`);
+  return {deleted};
+}
+
+export {
+  withLlmCache,
+  purgeLlmCache,
+};
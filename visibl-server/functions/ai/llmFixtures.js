@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Record and replay of LLM responses
+ * With LLM_FIXTURES set to record, successful OpenRouter, Gemini and OpenAI responses are
+ * written to LLM_FIXTURES_DIR. With it set to replay, they are read back instead of calling
+ * the provider, and a request without a recording fails. Recordings are keyed on a hash of
+ * the provider, model, prompt instruction, response schema, generation config and message, so
+ * editing a prompt needs a new recording.
+ */
+
+import crypto from "crypto";
+import fsPromises from "fs/promises";
+import path from "path";
+import logger from "../util/logger.js";
+import {LLM_FIXTURES, LLM_FIXTURES_DIR} from "../config/config.js";
+
+/**
+ * Get the fixture mode
+ * @return {string} off, record or replay
+ */
+function llmFixtureMode() {
+  const mode = LLM_FIXTURES.value().toString().trim().toLowerCase();
+  return ["record", "replay"].includes(mode) ? mode : "off";
+}
+
+// Generation config of the prompt that each provider sends
+const GENERATION_CONFIG_KEYS = {
+  openrouter: "openAIGenerationConfig",
+  openai: "openAIGenerationConfig",
+  gemini: "geminiGenerationConfig",
+};
+
+/**
+ * Get the generation config a provider sends for a prompt
+ * Gemini copies the response schema into its config when it sends a request, that copy is
+ * left out so the key is the same before and after the first request.
+ * @param {string} provider - Provider name
+ * @param {Object} globalPrompt - Prompt configuration of the request
+ * @return {Object|undefined} The generation config
+ */
+function providerGenerationConfig(provider, globalPrompt) {
+  const generationConfig = globalPrompt?.[GENERATION_CONFIG_KEYS[provider]];
+  if (!generationConfig) {
+    return undefined;
+  }
+  // eslint-disable-next-line no-unused-vars
+  const {responseSchema, ...config} = generationConfig;
+  return config;
+}
+
+/**
+ * Hash everything that decides what an LLM request returns
+ * Also the key of the response cache in llmCache.js
+ * @param {Object} params - The parameters object
+ * @param {string} params.provider - Provider name, e.g. openrouter
+ * @param {string} params.model - Model the request is sent to
+ * @param {Object} params.globalPrompt - Prompt configuration of the request
+ * @param {Object} params.request - The request, with prompt, message, replacements, history and overrides
+ * @return {string} The fixture key
+ */
+function llmRequestKey({provider, model, globalPrompt, request}) {
+  const {prompt, message, replacements = [], history = [], instructionOverride, providerOverride, retry} = request;
+  const content = JSON.stringify({
+    provider,
+    model,
+    prompt,
+    systemInstruction: globalPrompt?.systemInstruction,
+    responseSchema: globalPrompt?.responseSchema,
+    generationConfig: providerGenerationConfig(provider, globalPrompt),
+    // OpenRouter routes to the prompt's upstream provider unless the request overrides it
+    providerOverride: providerOverride || globalPrompt?.openRouterProvider,
+    instructionOverride,
+    replacements,
+    history,
+    message,
+    // A retried request must not get the response that made the caller retry
+    retry,
+  });
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+/**
+ * Run an LLM request through the fixtures
+ * Off: sends the request. Record: sends it and stores a successful response.
+ * Replay: returns the stored response without sending the request.
+ * @param {Object} params - The parameters object, see llmRequestKey
+ * @param {Function} send - Sends the request to the provider, resolves to its response
+ * @return {Promise<Object>} The response, with the request's responseKey
+ */
+async function withLlmFixture({provider, model, globalPrompt, request}, send) {
+  const mode = llmFixtureMode();
+  if (mode === "off") {
+    return await send();
+  }
+
+  const key = llmRequestKey({provider, model, globalPrompt, request});
+  const filename = path.join(LLM_FIXTURES_DIR.value(), `${key}.json`);
+
+  if (mode === "replay") {
+    let fixture;
+    try {
+      fixture = JSON.parse(await fsPromises.readFile(filename, "utf8"));
+    } catch (error) {
+      throw new Error(`No LLM fixture ${key} for ${provider} prompt ${request.prompt}, record it with LLM_FIXTURES=record`);
+    }
+    logger.debug(`Replaying LLM fixture ${key} for ${provider} prompt ${request.prompt}`);
+    return {...fixture.response, responseKey: request.responseKey};
+  }
+
+  const response = await send();
+  if (response && !response.error) {
+    // The responseKey belongs to the request, not the response
+    // eslint-disable-next-line no-unused-vars
+    const {responseKey, ...recorded} = response;
+    await fsPromises.mkdir(path.dirname(filename), {recursive: true});
+    await fsPromises.writeFile(filename, JSON.stringify({
+      provider,
+      model,
+      prompt: request.prompt,
+      recordedAt: new Date().toISOString(),
+      response: recorded,
+    }, null, 2));
+    logger.debug(`Recorded LLM fixture ${key} for ${provider} prompt ${request.prompt}`);
+  }
+  return response;
+}
+
+export {
+  llmFixtureMode,
+  llmRequestKey,
+  withLlmFixture,
+};
@@ -70,3 +70,86 @@ async function mockApiCall(params, wantsJson, mockResponse) {
 }
 
 export {mockApiCall};
+
+/**
+ * In-process stand-in for the OpenAI Files and Batches API, used for batch jobs in mock mode.
+ * Implements files.create, files.content, batches.create and batches.retrieve. A job is
+ * in progress when created and completes on the next retrieve, so callers poll it once.
+ * Each line is answered with the content in its mock_response field, or {} without one.
+ */
+class MockOpenAIBatchApi {
+  constructor() {
+    this.fileStore = new Map();
+    this.batchStore = new Map();
+    this.files = {
+      create: async ({file}) => this.createFile(await file.text()),
+      content: async (fileId) => {
+        const contents = this.fileStore.get(fileId);
+        if (contents === undefined) {
+          throw Object.assign(new Error(`No such file: ${fileId}`), {status: 404});
+        }
+        return {text: async () => contents};
+      },
+    };
+    this.batches = {
+      create: async ({input_file_id: inputFileId, endpoint, metadata}) => {
+        const id = `batch_mock_${this.batchStore.size + 1}_${Date.now()}`;
+        const batch = {id, endpoint, metadata, input_file_id: inputFileId, status: "in_progress", output_file_id: null, error_file_id: null};
+        this.batchStore.set(id, batch);
+        logger.debug(`***** Mock OpenAI batch ${id} created *****`);
+        return {...batch};
+      },
+      retrieve: async (id) => {
+        const batch = this.batchStore.get(id);
+        if (!batch) {
+          throw Object.assign(new Error(`No such batch: ${id}`), {status: 404});
+        }
+        if (batch.status === "in_progress") {
+          this.completeBatch(batch);
+        }
+        return {...batch};
+      },
+    };
+  }
+
+  createFile(contents) {
+    const id = `file_mock_${this.fileStore.size + 1}_${Date.now()}`;
+    this.fileStore.set(id, contents);
+    return {id};
+  }
+
+  completeBatch(batch) {
+    const lines = this.fileStore.get(batch.input_file_id).split("\n").filter(Boolean).map((line) => JSON.parse(line));
+    const output = lines.map((line) => {
+      const mockResponse = new OpenAIMockResponse({content: line.mock_response ?? {}});
+      const body = mockResponse.format(Boolean(line.body.text?.format));
+      // Batch output holds the raw response, which has no output_text convenience field
+      const {output_text: text, ...response} = body;
+      return JSON.stringify({
+        custom_id: line.custom_id,
+        response: {
+          status_code: 200,
+          body: {...response, output: [{type: "message", content: [{type: "output_text", text}]}]},
+        },
+      });
+    });
+    batch.output_file_id = this.createFile(output.join("\n")).id;
+    batch.status = "completed";
+    batch.request_counts = {total: lines.length, completed: lines.length, failed: 0};
+  }
+}
+
+let mockBatchApi = null;
+
+/**
+ * Get the mock Batch API of this process
+ * @return {MockOpenAIBatchApi} The mock Batch API
+ */
+function getMockBatchApi() {
+  if (!mockBatchApi) {
+    mockBatchApi = new MockOpenAIBatchApi();
+  }
+  return mockBatchApi;
+}
+
+export {getMockBatchApi};
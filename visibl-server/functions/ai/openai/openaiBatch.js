@@ -0,0 +1,162 @@
+/**
+ * @fileoverview OpenAI Batch API jobs for requests that are not latency sensitive
+ * The requests are written as a JSONL file of /v1/responses calls and submitted as one job,
+ * which OpenAI runs within 24 hours at half the price. Once the job has ended its output is
+ * read back by custom_id and turned into the same results openaiLLMRequest returns.
+ * In MOCK_LLM mode jobs go to the in-process fake Batch API in mock.js.
+ */
+
+import OpenAI, {toFile} from "openai";
+import logger from "../../util/logger.js";
+import {OPENAI_API_KEY, MOCK_LLM} from "../../config/config.js";
+import {openaiRequestConfig, openaiResponsesParams, openaiOutputToResult} from "./openaiLLM.js";
+import {getMockBatchApi} from "./mock.js";
+
+// Batch statuses after which the job's output files are final
+const OPENAI_BATCH_ENDED = ["completed", "failed", "expired", "cancelled"];
+
+/**
+ * Check whether batch jobs go to the fake Batch API
+ * @return {boolean} True in MOCK_LLM mode
+ */
+function isMockBatch() {
+  const mockValue = MOCK_LLM.value().toString().trim().toLowerCase();
+  return ["true", "1", "yes", "y"].includes(mockValue);
+}
+
+/**
+ * Get the client batch jobs are sent to
+ * @return {OpenAI|Object} The OpenAI client, or the fake Batch API in mock mode
+ */
+function openaiBatchClient() {
+  return isMockBatch() ? getMockBatchApi() : new OpenAI({apiKey: OPENAI_API_KEY.value()});
+}
+
+/**
+ * Submit requests as one batch job
+ * @param {Object} params - The parameters object
+ * @param {Array<Object>} params.requests - {customId, request} request is an openaiLLMRequest request
+ * @param {Object} [params.metadata] - Metadata to store with the job
+ * @return {Promise<Object>} {providerBatchId, rejected} rejected holds the error of each request that can't be sent, by customId
+ */
+async function submitOpenaiBatch({requests, metadata = {}}) {
+  const isMock = isMockBatch();
+  const rejected = {};
+  const lines = [];
+  for (const {customId, request} of requests) {
+    const config = openaiRequestConfig(request);
+    if (config.error) {
+      rejected[customId] = config.error;
+      continue;
+    }
+    const {globalPrompt, instruction, model} = config;
+    lines.push(JSON.stringify({
+      custom_id: customId,
+      method: "POST",
+      url: "/v1/responses",
+      body: openaiResponsesParams({prompt: request.prompt, globalPrompt, model, instruction, message: request.message}),
+      // Only read by the fake Batch API
+      ...(isMock && request.mockResponse && {mock_response: request.mockResponse.content}),
+    }));
+  }
+  if (lines.length === 0) {
+    return {providerBatchId: null, rejected};
+  }
+
+  const client = openaiBatchClient();
+  const inputFile = await client.files.create({
+    file: await toFile(Buffer.from(lines.join("\n")), "batch.jsonl"),
+    purpose: "batch",
+  });
+  const batch = await client.batches.create({
+    input_file_id: inputFile.id,
+    endpoint: "/v1/responses",
+    completion_window: "24h",
+    metadata,
+  });
+  logger.info(`Submitted OpenAI batch ${batch.id} with ${lines.length} requests`);
+  return {providerBatchId: batch.id, rejected};
+}
+
+/**
+ * Read a JSONL output file of a batch job
+ * @param {Object} client - The batch client
+ * @param {string} fileId - Id of the file, may be empty
+ * @return {Promise<Array<Object>>} The lines of the file
+ */
+async function readBatchFile(client, fileId) {
+  if (!fileId) {
+    return [];
+  }
+  const response = await client.files.content(fileId);
+  const text = await response.text();
+  return text.split("\n").filter((line) => line.trim()).map((line) => JSON.parse(line));
+}
+
+/**
+ * Get the text of a raw responses.create response body
+ * @param {Object} body - The response body
+ * @return {string} Text of the response's output messages
+ */
+function responseOutputText(body) {
+  if (typeof body.output_text === "string") {
+    return body.output_text;
+  }
+  return (body.output || [])
+      .filter((item) => item.type === "message")
+      .flatMap((item) => item.content || [])
+      .filter((content) => content.type === "output_text")
+      .map((content) => content.text)
+      .join("");
+}
+
+/**
+ * Get the results of a batch job once it has ended
+ * @param {Object} params - The parameters object
+ * @param {string} params.providerBatchId - Id of the batch job
+ * @param {Array<Object>} params.requests - {customId, request} the requests submitted in the job
+ * @return {Promise<Object>} {done, results} results maps each customId to its result, or an Error if the request failed
+ */
+async function getOpenaiBatchResults({providerBatchId, requests}) {
+  const client = openaiBatchClient();
+  const batch = await client.batches.retrieve(providerBatchId);
+  if (!OPENAI_BATCH_ENDED.includes(batch.status)) {
+    logger.debug(`OpenAI batch ${providerBatchId} is ${batch.status}`);
+    return {done: false, results: {}};
+  }
+
+  const lines = [
+    ...await readBatchFile(client, batch.output_file_id),
+    ...await readBatchFile(client, batch.error_file_id),
+  ];
+  const linesById = Object.fromEntries(lines.map((line) => [line.custom_id, line]));
+
+  const results = {};
+  for (const {customId, request} of requests) {
+    const line = linesById[customId];
+    if (!line) {
+      results[customId] = new Error(`No result for ${customId} in OpenAI batch ${providerBatchId} (${batch.status})`);
+      continue;
+    }
+    const body = line.response?.body;
+    if (line.error || line.response?.status_code !== 200) {
+      const message = line.error?.message || body?.error?.message || `status ${line.response?.status_code}`;
+      results[customId] = Object.assign(new Error(`OpenAI batch request failed: ${message}`), {status: line.response?.status_code});
+      continue;
+    }
+    const {wantsJson} = openaiRequestConfig(request);
+    results[customId] = openaiOutputToResult({
+      responseText: responseOutputText(body),
+      wantsJson,
+      tokensUsed: body.usage?.total_tokens || 0,
+      responseKey: request.responseKey,
+    });
+  }
+  logger.info(`OpenAI batch ${providerBatchId} ${batch.status}, read ${lines.length} of ${requests.length} results`);
+  return {done: true, results};
+}
+
+export {
+  submitOpenaiBatch,
+  getOpenaiBatchResults,
+};
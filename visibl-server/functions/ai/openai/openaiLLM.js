@@ -6,8 +6,14 @@ import {promptListFromParamsList, messagesFromPromptListAndTextList, flattenResu
 
 import {OPENAI_API_KEY, MOCK_LLM} from "../../config/config.js";
 import {batchDispatchOpenaiRequests} from "../queue/dispatcher.js";
+import {parseRateLimitError} from "../queue/rateLimitErrors.js";
 import {mockApiCall, OpenAIMockResponse} from "./mock.js";
 import {captureEvent, flushAnalytics} from "../../analytics/index.js";
+import {withLlmFixture} from "../llmFixtures.js";
+import {withLlmCache} from "../llmCache.js";
+
+// Longest Retry-After we sleep through in the request itself
+const OPENAI_MAX_RETRY_WAIT = 60000;
 
 function instructionReplacements({instruction, replacements}) {
   if (replacements) {
@@ -19,35 +25,26 @@ function instructionReplacements({instruction, replacements}) {
 }
 
 async function openaiLLMRequest(request) {
+  const {globalPrompt, model} = openaiRequestConfig(request);
+  const llmRequest = {provider: "openai", model, globalPrompt, request};
+  return await withLlmFixture(llmRequest, () => withLlmCache(llmRequest, () => sendOpenaiLLMRequest(request)));
+}
+
+async function sendOpenaiLLMRequest(request) {
   const startTime = Date.now(); // Track request start time for latency calculation
 
   // WARN: Does not correctly implement history!
   // eslint-disable-next-line no-unused-vars
-  const {prompt, message, replacements, history = [], retry = true, instructionOverride, responseKey, modelOverride, promptOverride, mockResponse, analyticsOptions = null} = request;
-  const globalPrompt = promptOverride || globalPrompts[prompt]; // Use promptOverride if provided, otherwise lookup
-
-  if (!globalPrompt) {
-    logger.error(`Prompt configuration not found for key: ${prompt}`);
-    return {error: `Prompt configuration not found: ${prompt}`};
-  }
-  if (globalPrompt.responseSchema && typeof globalPrompt.responseSchema !== "object") {
-    logger.error(`Prompt configuration for ${prompt} requires JSON but responseSchema is missing or invalid.`);
-    return {error: `Missing or invalid responseSchema for prompt: ${prompt}`};
+  const {prompt, message, history = [], retry = true, responseKey, mockResponse, analyticsOptions = null} = request;
+  const config = openaiRequestConfig(request);
+  if (config.error) {
+    logger.error(config.error);
+    return {error: config.error};
   }
+  const {globalPrompt, instruction, model, wantsJson} = config;
 
   const openai = new OpenAI({apiKey: OPENAI_API_KEY.value()});
 
-  let instruction = instructionReplacements({
-    instruction: globalPrompt.systemInstruction,
-    replacements,
-  });
-  if (instructionOverride) {
-    instruction = instructionOverride;
-  }
-  const model = modelOverride || globalPrompt.openAIModel || "gpt-4o";
-  const generationConfig = globalPrompt.openAIGenerationConfig;
-  const wantsJson = globalPrompt.responseSchema ? true : false;
-
   logger.debug(`Sending request to OpenAI model ${model} via responses.create.`);
   logger.debug(`Instruction: ${instruction.substring(0, 600)}`);
 
@@ -73,31 +70,7 @@ async function openaiLLMRequest(request) {
     throw new Error("Mock mode is enabled but no mockResponse provided. Please provide an OpenAIMockResponse instance or compatible object.");
   } else {
     try {
-      const params = {
-        model: model,
-        instructions: instruction,
-        input: message,
-        temperature: generationConfig.temperature,
-        max_output_tokens: generationConfig.max_tokens,
-        top_p: generationConfig.top_p,
-        service_tier: generationConfig.service_tier || "auto",
-        store: generationConfig.store || false,
-        truncation: generationConfig.truncation || "disabled",
-      };
-
-      if (wantsJson) {
-      // in case the schema is edited by another request.
-        const schema = JSON.parse(JSON.stringify(globalPrompt.responseSchema));
-        // logger.debug("Schema:", schema);
-        params.text = {
-          format: {
-            type: "json_schema",
-            name: prompt,
-            schema: schema,
-          },
-        };
-      }
-
+      const params = openaiResponsesParams({prompt, globalPrompt, model, instruction, message});
       result = await openai.responses.create(params);
     } catch (error) {
       logger.error("Error sending message to OpenAI via responses.create:", error);
@@ -136,13 +109,16 @@ async function openaiLLMRequest(request) {
         await flushAnalytics();
       }
 
-      if (retry && (error.status === 429 || error.status >= 500)) {
-        logger.warn(`OpenAI API error (${error.status}). Waiting 10 seconds before retrying.`);
-        await new Promise((resolve) => setTimeout(resolve, 10000));
+      const rateLimit = parseRateLimitError(error);
+      if (retry && (rateLimit || error.status >= 500)) {
+        // Honour Retry-After when it is short, longer waits are left to the queue
+        const delayMs = rateLimit ? Math.min(rateLimit.retryAfter, OPENAI_MAX_RETRY_WAIT) : 10000;
+        logger.warn(`OpenAI API error (${error.status}). Waiting ${delayMs}ms before retrying.`);
+        await new Promise((resolve) => setTimeout(resolve, delayMs));
         request.retry = false;
         return await openaiLLMRequest(request);
       }
-      return {error: "OpenAI API error", details: error.message || error.toString(), responseKey};
+      return {error: "OpenAI API error", details: error.message || error.toString(), responseKey, ...(rateLimit && {rateLimit})};
     }
   }
 
@@ -194,6 +170,65 @@ async function openaiLLMRequest(request) {
     return {error: "Failed to process OpenAI response", details: e.message, responseKey};
   }
 
+  return openaiOutputToResult({responseText, wantsJson, tokensUsed, responseKey});
+}
+
+// Prompt configuration, instruction and model of a request, or an error if its prompt is not usable
+function openaiRequestConfig({prompt, replacements, instructionOverride, modelOverride, promptOverride}) {
+  const globalPrompt = promptOverride || globalPrompts[prompt]; // Use promptOverride if provided, otherwise lookup
+  if (!globalPrompt) {
+    return {error: `Prompt configuration not found: ${prompt}`};
+  }
+  if (globalPrompt.responseSchema && typeof globalPrompt.responseSchema !== "object") {
+    return {error: `Missing or invalid responseSchema for prompt: ${prompt}`};
+  }
+
+  let instruction = instructionReplacements({
+    instruction: globalPrompt.systemInstruction,
+    replacements,
+  });
+  if (instructionOverride) {
+    instruction = instructionOverride;
+  }
+  return {
+    globalPrompt,
+    instruction,
+    model: modelOverride || globalPrompt.openAIModel || "gpt-4o",
+    wantsJson: globalPrompt.responseSchema ? true : false,
+  };
+}
+
+// Body of a responses.create request, also used for the lines of a batch job
+function openaiResponsesParams({prompt, globalPrompt, model, instruction, message}) {
+  const generationConfig = globalPrompt.openAIGenerationConfig;
+  const params = {
+    model: model,
+    instructions: instruction,
+    input: message,
+    temperature: generationConfig.temperature,
+    max_output_tokens: generationConfig.max_tokens,
+    top_p: generationConfig.top_p,
+    service_tier: generationConfig.service_tier || "auto",
+    store: generationConfig.store || false,
+    truncation: generationConfig.truncation || "disabled",
+  };
+
+  if (globalPrompt.responseSchema) {
+    // in case the schema is edited by another request.
+    const schema = JSON.parse(JSON.stringify(globalPrompt.responseSchema));
+    params.text = {
+      format: {
+        type: "json_schema",
+        name: prompt,
+        schema: schema,
+      },
+    };
+  }
+  return params;
+}
+
+// Result of a request from the output text of its response, parsed when the prompt wants JSON
+function openaiOutputToResult({responseText, wantsJson, tokensUsed, responseKey}) {
   if (wantsJson) {
     const parseResult = parseJsonSafely(responseText);
     if (parseResult.error) {
@@ -248,6 +283,9 @@ async function batchRequestMultiPromptOpenaiQueue(params) {
 export {
   batchRequestMultiPromptOpenaiQueue,
   openaiLLMRequest,
+  openaiRequestConfig,
+  openaiResponsesParams,
+  openaiOutputToResult,
   promptListFromParamsList,
   messagesFromPromptListAndTextList,
 };
@@ -7,6 +7,12 @@ import {mockApiCall, OpenRouterMockResponse} from "./mock.js";
 import {zodResponseFormat} from "openai/helpers/zod.mjs";
 import {captureEvent, flushAnalytics} from "../../analytics/index.js";
 import {TogetherClient} from "../together/client.js";
+import {parseRateLimitError} from "../queue/rateLimitErrors.js";
+import {withLlmFixture} from "../llmFixtures.js";
+import {withLlmCache} from "../llmCache.js";
+
+// Longest Retry-After we sleep through in the request itself
+const OPENROUTER_MAX_RETRY_WAIT = 60000;
 
 /**
  * Reusable class for OpenRouter API requests
@@ -146,9 +152,22 @@ class OpenRouterClient {
    * @param {Object} [request.providerOverride] - Override the default provider
    * @param {OpenRouterMockResponse} [request.mockResponse] - Mock response to use (only in mock mode)
    * @param {Object} [request.analyticsOptions] - Analytics options for tracking
+   * @param {boolean} [request.cache=true] - Reuse a cached response to the same request, see llmCache.js
    * @return {Promise<Object>} - Response object with result, tokensUsed, and responseKey
    */
   async sendRequest(request) {
+    const globalPrompt = request.promptOverride || globalPrompts[request.prompt];
+    const model = request.modelOverride || globalPrompt?.openRouterModel;
+    const llmRequest = {provider: "openrouter", model, globalPrompt, request};
+    return await withLlmFixture(llmRequest, () => withLlmCache(llmRequest, () => this._sendRequest(request)));
+  }
+
+  /**
+   * Sends a request to OpenRouter, or Together when the prompt's provider is Together
+   * @param {Object} request - Request parameters, see sendRequest
+   * @return {Promise<Object>} - Response object with result, tokensUsed, and responseKey
+   */
+  async _sendRequest(request) {
     const startTime = Date.now(); // Track request start time for latency calculation
 
     const {
@@ -390,8 +409,11 @@ class OpenRouterClient {
       // - All server errors (5xx)
       if (retry && (isNetworkError || error.status === 404 || error.status === 429 || (error.status >= 500 && error.status < 600))) {
         const errorType = isNetworkError ? "network/socket error" : error.status ? `HTTP ${error.status}` : error.type || "unknown";
-        logger.warn(`OpenRouter API error (${errorType}). Waiting 10 seconds before retrying.`);
-        await new Promise((resolve) => setTimeout(resolve, 10000));
+        // Honour Retry-After on rate limits when it is short
+        const rateLimit = error.status === 429 ? parseRateLimitError(error) : null;
+        const delayMs = rateLimit ? Math.min(rateLimit.retryAfter, OPENROUTER_MAX_RETRY_WAIT) : 10000;
+        logger.warn(`OpenRouter API error (${errorType}). Waiting ${delayMs}ms before retrying.`);
+        await new Promise((resolve) => setTimeout(resolve, delayMs));
         request.retry = false;
         return await this.sendRequest(request);
       }
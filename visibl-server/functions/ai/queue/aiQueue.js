@@ -6,9 +6,17 @@ import {
   queueSetItemsToError,
   queueUpdateEntries,
   queueClaimPendingItems,
+  queueCountProcessingByUser,
+  queueDeferEntries,
+  queueReleaseDeferredEntries,
+  queueGetProviderBatchEntries,
+  queueRecordAttempt,
+  queueDeadLetterEntries,
   batchCreate,
   batchGetStatus,
   batchUpdateStatusBulk,
+  QUEUE_PRIORITIES,
+  QUEUE_PRIORITY_ORDER,
 } from "../../storage/firestore/queue.js";
 import {
   storeJsonFile,
@@ -16,7 +24,29 @@ import {
   deleteFile,
 } from "../../storage/storage.js";
 import {dispatchTask} from "../../util/dispatch.js";
-import {FBDB_STORAGE_THRESHOLD, QUEUE_BATCH_LIMIT, QUEUE_RETRY_LIMIT} from "./config.js";
+import {
+  FBDB_STORAGE_THRESHOLD,
+  QUEUE_BATCH_LIMIT,
+  QUEUE_RETRY_LIMIT,
+  QUEUE_OLDEST_SHARE,
+  QUEUE_PRIORITY_MAX_WAIT,
+  QUEUE_USER_CAP_RETRY_DELAY,
+  PROVIDER_BATCH_POLL_INTERVAL,
+} from "./config.js";
+import {
+  recordImageProviderResult,
+  isImageProviderHealthy,
+  rerouteImageEntries,
+} from "./imageProviderRouter.js";
+import {parseRateLimitError} from "./rateLimitErrors.js";
+import {
+  queueEntryUser,
+  userQueueConcurrencyLimit,
+  SYSTEM_QUEUE_USER,
+} from "../../storage/realtimeDb/userRateLimiter.js";
+
+// Times a worker rebuilds its batch when other workers reserved the capacity it saw first
+const RATE_LIMIT_RESERVE_ATTEMPTS = 3;
 
 export default class AiQueue {
   constructor({queueName, rateLimiters, uniqueKeyGenerator, dispatchFunctionName = null, defaultModel = null}) {
@@ -27,6 +57,10 @@ export default class AiQueue {
     this.defaultModel = defaultModel;
     this.retryLimit = QUEUE_RETRY_LIMIT;
     this.waitCallback = false;
+    // Image provider queues track their error rate and hand entries to the failover chain
+    this.providerFailover = false;
+    // Queues that can send entries as a provider batch job implement createProviderBatch and getProviderBatchResults
+    this.providerBatch = false;
   }
 
   /**
@@ -122,6 +156,37 @@ export default class AiQueue {
     throw new Error("processItem must be implemented by subclass");
   }
 
+  /**
+   * Post-process a completed item, e.g. write image URLs to RTDB.
+   * Not called for queues waiting on a callback, the callback handles it.
+   * @param {Object} params - The parameters object
+   * @param {Object} params.entry - The completed queue entry with resolved params
+   * @param {Object} params.resultObj - The stored result object
+   * @return {Promise<void>}
+   */
+  async postProcess({entry, resultObj}) {
+    return;
+  }
+
+  /**
+   * Move claimed entries to the failover chain if this provider's error rate is too high
+   * @param {Object} params - The parameters object
+   * @param {Array} params.queue - Claimed queue entries
+   * @return {Promise<Array>} The entries that stay on this queue
+   */
+  async rerouteIfUnhealthy({queue}) {
+    if (await isImageProviderHealthy({provider: this.queueName})) {
+      return queue;
+    }
+    logger.warn(`${this.queueName}: error rate above failover threshold, rerouting ${queue.length} claimed entries`);
+    const rerouted = new Set(await rerouteImageEntries({
+      fromProvider: this.queueName,
+      entries: queue,
+      reason: "provider error rate above threshold",
+    }));
+    return queue.filter((entry) => !rerouted.has(entry.id));
+  }
+
 
   /**
    * Handle retry logic for a failed item
@@ -144,6 +209,188 @@ export default class AiQueue {
     return false;
   }
 
+  /**
+   * Get the rate limiter of an entry's model
+   * @param {Object} params - The parameters object
+   * @param {Object} params.entry - The queue entry
+   * @return {RateLimiter|undefined} The model's rate limiter, or the default model's
+   */
+  limiterFor({entry}) {
+    return this.rateLimiters[entry.params?.model] || this.rateLimiters[this.defaultModel];
+  }
+
+  /**
+   * Lower the model's limits after the provider rate limited us and put the entry back
+   * on the queue without using one of its retries.
+   * @param {Object} params - The parameters object
+   * @param {Object} params.entry - The rate limited queue entry
+   * @param {number} params.retryAfter - Milliseconds the provider asked us to wait
+   * @return {Promise<number>} Time the model's limiter is paused until
+   */
+  async handleRateLimit({entry, retryAfter}) {
+    const limiter = this.limiterFor({entry});
+    let until = Date.now() + retryAfter;
+    if (limiter) {
+      ({until} = await limiter.throttle({retryAfter}));
+    }
+    await queueUpdateEntries({
+      ids: [entry.id],
+      statuses: ["pending"],
+    });
+    return until;
+  }
+
+  /**
+   * Get the current effective limits and usage of each model's rate limiter
+   * @return {Promise<Object>} Usage keyed by model
+   */
+  async getRateLimitStatus() {
+    const status = {};
+    for (const [model, limiter] of Object.entries(this.rateLimiters)) {
+      status[model] = {
+        serviceName: limiter.serviceName,
+        maxTokens: Number.isFinite(limiter.maxTokens) ? limiter.maxTokens : null,
+        maxRequests: limiter.maxRequests,
+        windowSize: limiter.windowSize,
+        ...(await limiter.getUsage()),
+      };
+    }
+    return status;
+  }
+
+  /**
+   * Add a failed attempt to the entry's history, kept with the entry if it is dead-lettered.
+   * Never throws, the history must not break retries.
+   * @param {Object} params - The parameters object
+   * @param {Object} params.entry - The failed queue entry
+   * @param {Error} params.error - The error that caused the failure
+   * @return {Promise<void>}
+   */
+  async recordAttempt({entry, error}) {
+    try {
+      await queueRecordAttempt({
+        entry,
+        error: error.message,
+        providerResponse: error.response?.data ?? error.body,
+      });
+    } catch (recordError) {
+      logger.warn(`Failed to record attempt for entry ${entry.id}: ${recordError.message}`);
+    }
+  }
+
+  /**
+   * Sort claimed entries so higher priority lanes get rate limit capacity first.
+   * Entries waiting longer than QUEUE_PRIORITY_MAX_WAIT count as interactive.
+   * Within a lane users take turns, so one user's backlog can't hold up everyone else's entries.
+   * @param {Object} params - The parameters object
+   * @param {Array} params.queue - Array of queue entries
+   * @return {Array} The entries in processing order
+   */
+  sortEntriesByPriority({queue}) {
+    const now = Date.now();
+    const rank = (entry) => {
+      if (now - (entry.timeRequested || now) > QUEUE_PRIORITY_MAX_WAIT) {
+        return 0;
+      }
+      const index = QUEUE_PRIORITY_ORDER.indexOf(entry.priority || QUEUE_PRIORITIES.PIPELINE);
+      return index === -1 ? QUEUE_PRIORITY_ORDER.indexOf(QUEUE_PRIORITIES.PIPELINE) : index;
+    };
+    const sorted = [...queue].sort((a, b) => rank(a) - rank(b) || (a.timeRequested || 0) - (b.timeRequested || 0));
+
+    const lanes = [];
+    for (const entry of sorted) {
+      const lane = rank(entry);
+      if (lanes[lanes.length - 1]?.rank !== lane) {
+        lanes.push({rank: lane, entries: []});
+      }
+      lanes[lanes.length - 1].entries.push(entry);
+    }
+    return lanes.flatMap((lane) => this.interleaveByUser({entries: lane.entries}));
+  }
+
+  /**
+   * Round-robin entries across users, starting with the user waiting longest.
+   * Each user's entries keep their order.
+   * @param {Object} params - The parameters object
+   * @param {Array} params.entries - Entries sorted oldest first
+   * @return {Array} The entries, one per user in turn
+   */
+  interleaveByUser({entries}) {
+    const byUser = new Map();
+    for (const entry of entries) {
+      const uid = queueEntryUser(entry);
+      if (!byUser.has(uid)) {
+        byUser.set(uid, []);
+      }
+      byUser.get(uid).push(entry);
+    }
+    const turns = [...byUser.values()];
+    const interleaved = [];
+    for (let turn = 0; interleaved.length < entries.length; turn++) {
+      for (const userEntries of turns) {
+        if (turn < userEntries.length) {
+          interleaved.push(userEntries[turn]);
+        }
+      }
+    }
+    return interleaved;
+  }
+
+  /**
+   * Hold back the claimed entries of users who already have their cap of entries processing.
+   * Held back entries are deferred for QUEUE_USER_CAP_RETRY_DELAY, so other users' entries are
+   * claimed ahead of them meanwhile. They keep their timeRequested and its place in the queue.
+   * @param {Object} params - The parameters object
+   * @param {Array} params.queue - Claimed queue entries, already counted as processing
+   * @return {Promise<Array>} The entries to process now
+   */
+  async deferEntriesOverUserCap({queue}) {
+    const claimedByUser = {};
+    for (const entry of queue) {
+      const uid = queueEntryUser(entry);
+      claimedByUser[uid] = (claimedByUser[uid] || 0) + 1;
+    }
+    const cappedUsers = Object.keys(claimedByUser)
+        .filter((uid) => Number.isFinite(userQueueConcurrencyLimit({uid, queueName: this.queueName})));
+    if (cappedUsers.length === 0) {
+      return queue;
+    }
+
+    // Entries of the system user are stored as admin or without a uid
+    const countUids = cappedUsers.flatMap((uid) => uid === SYSTEM_QUEUE_USER ? [SYSTEM_QUEUE_USER, null] : [uid]);
+    const processing = await queueCountProcessingByUser({type: this.queueName, uids: countUids});
+    const available = {};
+    for (const uid of cappedUsers) {
+      const count = uid === SYSTEM_QUEUE_USER ? processing[SYSTEM_QUEUE_USER] + processing[null] : processing[uid];
+      const elsewhere = count - claimedByUser[uid];
+      available[uid] = Math.max(0, userQueueConcurrencyLimit({uid, queueName: this.queueName}) - elsewhere);
+    }
+
+    const process = [];
+    const deferred = [];
+    for (const entry of queue) {
+      const uid = queueEntryUser(entry);
+      if (available[uid] === undefined || available[uid] > 0) {
+        if (available[uid] !== undefined) {
+          available[uid]--;
+        }
+        process.push(entry);
+      } else {
+        deferred.push(entry);
+      }
+    }
+
+    if (deferred.length > 0) {
+      const deferredUsers = [...new Set(deferred.map((entry) => queueEntryUser(entry)))];
+      logger.info(`${this.queueName}: deferring ${deferred.length} entries of ${deferredUsers.length} users at their concurrency cap`);
+      await queueDeferEntries({
+        ids: deferred.map((entry) => entry.id),
+        until: Date.now() + QUEUE_USER_CAP_RETRY_DELAY * 1000,
+      });
+    }
+    return process;
+  }
+
   /**
    * Groups queue entries by their model type
    * @param {Object} params - The parameters object
@@ -173,7 +420,7 @@ export default class AiQueue {
     let batchRequests = 0;
 
     for (const entry of entries) {
-      const entryTokens = entry.estimatedTokens || 0;
+      const entryTokens = this.estimatedTokens({entry});
 
       if (batchRequests + 1 > available.requests ||
           batchTokens + entryTokens > available.tokens) {
@@ -188,121 +435,384 @@ export default class AiQueue {
     return {batch, batchTokens, batchRequests};
   }
 
+  /**
+   * Get the tokens an entry was estimated to use, stored with its params
+   * @param {Object} params - The parameters object
+   * @param {Object} params.entry - Queue entry
+   * @return {number} Estimated tokens, 0 if not estimated
+   */
+  estimatedTokens({entry}) {
+    return entry.params?.estimatedTokens ?? entry.estimatedTokens ?? 0;
+  }
+
+  /**
+   * Settle the tokens reserved for an entry with the tokens it used. Unused tokens are
+   * refunded and tokens over the estimate are recorded. Without a reservation the
+   * tokens used are recorded as a new request.
+   * @param {Object} params - The parameters object
+   * @param {Object} params.entry - The processed queue entry
+   * @param {Object} [params.reservation] - Reservation the entry's batch was processed under
+   * @param {number} [params.tokensUsed] - Tokens used, undefined if the provider didn't report usage
+   * @return {Promise<void>}
+   */
+  async settleUsage({entry, reservation, tokensUsed}) {
+    const modelType = entry.params.model || this.defaultModel;
+    const limiter = this.rateLimiters[modelType] || this.rateLimiters[this.defaultModel];
+    if (!limiter) {
+      logger.warn(`No rate limiter found for model ${modelType}, unable to record token usage`);
+      return;
+    }
+
+    if (!reservation) {
+      if (tokensUsed) {
+        await limiter.recordUsage({tokens: tokensUsed});
+        logger.debug(`Recorded ${tokensUsed} tokens usage for model ${modelType} (entry ${entry.id})`);
+      }
+      return;
+    }
+
+    // Usage not reported, keep the estimate
+    if (tokensUsed === undefined) {
+      return;
+    }
+    const estimated = this.estimatedTokens({entry});
+    if (tokensUsed < estimated) {
+      await limiter.refund({reservation, tokens: estimated - tokensUsed});
+    } else if (tokensUsed > estimated) {
+      await limiter.recordUsage({tokens: tokensUsed - estimated, requests: 0});
+    }
+    logger.debug(`Settled ${tokensUsed}/${estimated} estimated tokens for model ${modelType} (entry ${entry.id})`);
+  }
+
   /**
    * Processes a single queue entry
    * @param {Object} params - The parameters object
    * @param {Object} params.entry - Queue entry to process
+   * @param {Object} [params.reservation] - Rate limit reservation of the batch the entry is processed in
    * @return {Promise} Processing result with status
    */
-  async processQueueEntry({entry}) {
+  async processQueueEntry({entry, reservation}) {
     try {
       const params = await this.getParams({queueEntry: entry});
       logger.debug(`Processing queue entry ${entry.id}`);
 
       const result = await this.processItem({entry: {...entry, params}});
+      return await this.completeEntry({entry, params, result, reservation});
+    } catch (error) {
+      return await this.failEntry({entry, error, reservation});
+    }
+  }
 
-      // Wrap result in an object if not in expected format
-      const resultObj = result?.result ? result : {result};
+  /**
+   * Store the result of a processed entry and mark it complete
+   * @param {Object} params - The parameters object
+   * @param {Object} params.entry - The processed queue entry
+   * @param {Object} params.params - The entry's resolved params
+   * @param {Object} params.result - Result of processItem, or of the entry's line in a provider batch job
+   * @param {Object} [params.reservation] - Rate limit reservation the entry was processed under
+   * @param {boolean} [params.countUsage=true] - Count the tokens used against the model's rate limit
+   * @return {Promise<Object>} {success: true, status} status is processing for waitCallback queues
+   */
+  async completeEntry({entry, params, result, reservation, countUsage = true}) {
+    // Wrap result in an object if not in expected format
+    const resultObj = result?.result ? result : {result};
+
+    // Store the result in GCS if it's large (configurable)
+    if (resultObj.result) {
+      const resultGcsPath = await this.storeLargeResult({result: resultObj.result});
+      if (resultGcsPath) {
+        resultObj.result = {resultGcsPath};
+      }
+    }
 
-      // Store the result in GCS if it's large (configurable)
-      if (resultObj.result) {
-        const resultGcsPath = await this.storeLargeResult({result: resultObj.result});
-        if (resultGcsPath) {
-          resultObj.result = {resultGcsPath};
-        }
+    if (countUsage) {
+      await this.settleUsage({entry, reservation, tokensUsed: resultObj.tokensUsed});
+    }
+
+    if (!this.waitCallback) {
+      await this.postProcess({entry: {...entry, params}, resultObj});
+      if (this.providerFailover) {
+        await recordImageProviderResult({provider: this.queueName, success: true});
       }
+    }
+
+    // Mark the entry as complete and update the result.
+    // Keep the entry at processing if a callback is needed.
+    const finalStatus = this.waitCallback ? "processing" : "complete";
+    logger.debug(`Updating entry ${entry.id} to ${finalStatus}`);
+    await queueUpdateEntries({
+      ids: [entry.id],
+      queue: [entry],
+      results: [resultObj],
+      statuses: [finalStatus],
+      tokensUsed: [resultObj.tokensUsed || 0],
+    });
+
+    // Return success status for batch-level tracking
+    return {success: true, status: finalStatus};
+  }
 
-      // Record rate limit usage if token usage is available
-      if (resultObj.tokensUsed) {
-        const modelType = entry.params.model || this.defaultModel;
-        const limiter = this.rateLimiters[modelType] || this.rateLimiters[this.defaultModel];
+  /**
+   * Record a failed entry and retry, reroute or dead-letter it
+   * @param {Object} params - The parameters object
+   * @param {Object} params.entry - The failed queue entry
+   * @param {Error} params.error - The error that caused the failure
+   * @param {Object} [params.reservation] - Rate limit reservation the entry was processed under
+   * @return {Promise<Object>} {success: false, status, retryAt} status is retry, rerouted or error
+   */
+  async failEntry({entry, error, reservation}) {
+    const errorMessage = error.message || "Unknown error";
+    logger.error(`Error processing ${this.queueName} queue entry ${entry.id}: ${errorMessage}`);
+
+    // Special handling for deadline exceeded errors
+    if (errorMessage.includes("DEADLINE_EXCEEDED")) {
+      logger.warn(`Deadline exceeded for entry ${entry.id}, immediate retry scheduling`);
+    }
 
-        if (limiter) {
-          await limiter.recordUsage({tokens: resultObj.tokensUsed});
-          logger.debug(`Recorded ${resultObj.tokensUsed} tokens usage for model ${modelType} (entry ${entry.id})`);
-        } else {
-          logger.warn(`No rate limiter found for model ${modelType}, unable to record token usage`);
+    if (this.providerFailover) {
+      await recordImageProviderResult({provider: this.queueName, success: false});
+    }
+
+    await this.recordAttempt({entry, error});
+
+    // A failed request still counts against the limit, but its reserved tokens were not used
+    if (reservation) {
+      await this.settleUsage({entry, reservation, tokensUsed: 0});
+    }
+
+    // Being rate limited is not the entry's fault, back off without using a retry
+    const rateLimit = parseRateLimitError(error);
+    if (rateLimit) {
+      const retryAt = await this.handleRateLimit({entry, retryAfter: rateLimit.retryAfter});
+      return {success: false, status: "retry", retryAt};
+    }
+
+    if (!(await this.handleRetry({entry, error}))) {
+      // Out of retries on this provider, try the next one in the failover chain
+      if (this.providerFailover) {
+        const rerouted = await rerouteImageEntries({fromProvider: this.queueName, entries: [entry], reason: errorMessage});
+        if (rerouted.length > 0) {
+          return {success: false, status: "rerouted"};
         }
       }
+      await queueDeadLetterEntries({ids: [entry.id], errors: [errorMessage]});
+      // Return error status for batch-level tracking
+      return {success: false, status: "error"};
+    }
+    // Return retry status for batch-level tracking
+    return {success: false, status: "retry"};
+  }
+
+  /**
+   * Create a provider batch job for entries, implemented by queues with providerBatch set
+   * @param {Object} params - The parameters object
+   * @param {Array} params.entries - Queue entries with resolved params
+   * @return {Promise<Object>} {providerBatchId, rejected} rejected holds the error of each entry that can't be sent, by id
+   */
+  async createProviderBatch({entries}) {
+    throw new Error(`${this.queueName} does not support provider batch jobs`);
+  }
 
-      // Mark the entry as complete and update the result.
-      // Keep the entry at processing if a callback is needed.
-      const finalStatus = this.waitCallback ? "processing" : "complete";
-      logger.debug(`Updating entry ${entry.id} to ${finalStatus}`);
+  /**
+   * Get the results of a provider batch job, implemented by queues with providerBatch set
+   * @param {Object} params - The parameters object
+   * @param {string} params.providerBatchId - Id of the provider's batch job
+   * @param {Array} params.entries - Queue entries in the job, with resolved params
+   * @return {Promise<Object>} {done, results} results maps each entry id to its result, or an Error if it failed
+   */
+  async getProviderBatchResults({providerBatchId, entries}) {
+    throw new Error(`${this.queueName} does not support provider batch jobs`);
+  }
+
+  /**
+   * Add the outcome of entries to the batch records they belong to
+   * @param {Object} params - The parameters object
+   * @param {Array} params.entries - Queue entries
+   * @param {Array<string>} params.statuses - Status of each entry, batched counts as processing
+   * @return {Promise<void>}
+   */
+  async countBatchStatuses({entries, statuses}) {
+    const deltas = {};
+    entries.forEach((entry, index) => {
+      const batchId = entry.params?.batchId;
+      if (!batchId) {
+        return;
+      }
+      deltas[batchId] = deltas[batchId] || {processingDelta: 0, completedDelta: 0, errorDelta: 0};
+      if (statuses[index] === "batched") {
+        deltas[batchId].processingDelta++;
+      } else if (statuses[index] === "complete" || statuses[index] === "processing") {
+        deltas[batchId].completedDelta++;
+      } else if (statuses[index] === "error") {
+        deltas[batchId].errorDelta++;
+      }
+    });
+    await Promise.all(Object.entries(deltas).map(([batchId, delta]) => this.updateBatchStatusBulk({batchId, ...delta})));
+  }
+
+  /**
+   * Send entries that asked for the batch API to the provider as one batch job.
+   * The entries stay batched until pollProviderBatch maps the job's results back to them.
+   * Batch jobs have their own provider limits, so they don't use the model's real-time capacity.
+   * @param {Object} params - The parameters object
+   * @param {string} params.modelType - Model of the entries
+   * @param {Array} params.entries - Claimed queue entries with batchApi set
+   * @return {Promise<Array>} Entries that were not sent, to process in real time
+   */
+  async submitProviderBatch({modelType, entries}) {
+    let submission;
+    try {
+      const resolved = await Promise.all(entries.map(async (entry) => ({
+        ...entry,
+        params: await this.getParams({queueEntry: entry}),
+      })));
+      submission = await this.createProviderBatch({entries: resolved});
+    } catch (error) {
+      logger.warn(`${this.queueName}: failed to submit ${entries.length} ${modelType} entries as a provider batch job, ` +
+        `processing them in real time: ${error.message}`);
+      return entries;
+    }
+
+    const {providerBatchId, rejected = {}} = submission;
+    const submitted = providerBatchId ? entries.filter((entry) => !rejected[entry.id]) : [];
+    if (submitted.length > 0) {
       await queueUpdateEntries({
-        ids: [entry.id],
-        queue: [entry],
-        results: [resultObj],
-        statuses: [finalStatus],
-        tokensUsed: [resultObj.tokensUsed || 0],
+        ids: submitted.map((entry) => entry.id),
+        statuses: Array(submitted.length).fill("batched"),
+        providerBatchIds: Array(submitted.length).fill(providerBatchId),
       });
+      await this.countBatchStatuses({entries: submitted, statuses: Array(submitted.length).fill("batched")});
+      logger.info(`${this.queueName}: submitted ${submitted.length} ${modelType} entries as provider batch ${providerBatchId}`);
+      await dispatchTask({
+        functionName: this.dispatchFunctionName,
+        data: {providerBatchId},
+        scheduleDelaySeconds: PROVIDER_BATCH_POLL_INTERVAL,
+      });
+    }
+    return entries.filter((entry) => !submitted.includes(entry));
+  }
+
+  /**
+   * Poll a provider batch job. While it runs the entries are touched and the poll is
+   * dispatched again, once it has ended each entry is completed with its result or failed.
+   * @param {Object} params - The parameters object
+   * @param {string} params.providerBatchId - Id of the provider's batch job
+   * @return {Promise<void>}
+   */
+  async pollProviderBatch({providerBatchId}) {
+    const entries = await queueGetProviderBatchEntries({type: this.queueName, providerBatchId});
+    if (entries.length === 0) {
+      logger.debug(`${this.queueName}: no entries waiting on provider batch ${providerBatchId}`);
+      return;
+    }
+    const resolved = await Promise.all(entries.map(async (entry) => ({
+      ...entry,
+      params: await this.getParams({queueEntry: entry}),
+    })));
 
-      // Return success status for batch-level tracking
-      return {success: true, status: finalStatus};
+    let batchResults = {done: false};
+    try {
+      batchResults = await this.getProviderBatchResults({providerBatchId, entries: resolved});
     } catch (error) {
-      const errorMessage = error.message || "Unknown error";
-      logger.error(`Error processing ${this.queueName} queue entry ${entry.id}: ${errorMessage}`);
+      logger.warn(`${this.queueName}: failed to poll provider batch ${providerBatchId}, polling again: ${error.message}`);
+    }
 
-      // Special handling for deadline exceeded errors
-      if (errorMessage.includes("DEADLINE_EXCEEDED")) {
-        logger.warn(`Deadline exceeded for entry ${entry.id}, immediate retry scheduling`);
-      }
+    if (!batchResults.done) {
+      // Touch the entries, the reaper reclaims batched entries that are no longer polled
+      await queueUpdateEntries({
+        ids: entries.map((entry) => entry.id),
+        statuses: Array(entries.length).fill("batched"),
+      });
+      await dispatchTask({
+        functionName: this.dispatchFunctionName,
+        data: {providerBatchId},
+        scheduleDelaySeconds: PROVIDER_BATCH_POLL_INTERVAL,
+      });
+      return;
+    }
 
-      if (!(await this.handleRetry({entry, error}))) {
-        await queueSetItemsToError({queue: [entry]});
-        // Return error status for batch-level tracking
-        return {success: false, status: "error"};
+    const outcomes = await Promise.all(entries.map((entry, index) => {
+      const result = batchResults.results[entry.id] ??
+        new Error(`No result for entry ${entry.id} in provider batch ${providerBatchId}`);
+      if (result instanceof Error) {
+        return this.failEntry({entry, error: result});
       }
-      // Return retry status for batch-level tracking
-      return {success: false, status: "retry"};
+      return this.completeEntry({entry, params: resolved[index].params, result, countUsage: false});
+    }));
+    await this.countBatchStatuses({entries, statuses: outcomes.map((outcome) => outcome.status)});
+
+    const retries = outcomes.filter((outcome) => outcome.status === "retry").length;
+    logger.info(`${this.queueName}: provider batch ${providerBatchId} ended, ` +
+      `${outcomes.filter((outcome) => outcome.success).length} complete, ${retries} to retry`);
+    if (retries > 0) {
+      await dispatchTask({functionName: this.dispatchFunctionName, data: {}});
     }
   }
 
   /**
-   * Processes a batch of entries for a specific model
+   * Processes a batch of entries for a specific model.
+   * Entries that asked for the batch API are sent as a provider batch job instead, if the queue supports it.
    * @param {Object} params - The parameters object
    * @param {string} params.modelType - Type of model
    * @param {Array} params.entries - Array of queue entries
-   * @return {Promise} Processing result
+   * @return {Promise<Object>} {processed, retryAt} retryAt is set when the provider paused the model
    */
   async processModelBatch({modelType, entries}) {
+    if (this.providerBatch && entries.some((entry) => entry.params.batchApi)) {
+      const realTimeEntries = await this.submitProviderBatch({
+        modelType,
+        entries: entries.filter((entry) => entry.params.batchApi),
+      });
+      entries = entries.filter((entry) => !entry.params.batchApi || realTimeEntries.includes(entry));
+      if (entries.length === 0) {
+        return {processed: 0, retryAt: null};
+      }
+    }
+
     const limiter = this.rateLimiters[modelType] || this.rateLimiters[this.defaultModel];
     if (!limiter) {
       logger.error(`No rate limiter found for model: ${modelType}`);
       await queueSetItemsToError({queue: entries, error: "No rate limiter found"});
-      return;
+      return {processed: 0, retryAt: null};
     }
 
-    const usage = await limiter.getUsage();
-    const available = {
-      requests: limiter.maxRequests - usage.currentRequests,
-      tokens: limiter.maxTokens - usage.currentUsage,
-    };
-
-    if (available.requests <= 0 || available.tokens <= 0) {
-      logger.debug(`Rate limits exceeded for ${modelType}. Waiting for next window...`);
-      // Reset items back to pending since we can't process them now
-      await queueUpdateEntries({
-        ids: entries.map((e) => e.id),
-        statuses: Array(entries.length).fill("pending"),
-      });
-      return;
+    // Reserve the batch's capacity before processing, so workers on other instances can't use it too.
+    // If another worker reserved first, rebuild the batch from the capacity that is left.
+    let batch = [];
+    let batchTokens = 0;
+    let batchRequests = 0;
+    let available = {requests: 0, tokens: 0};
+    let reservation = null;
+    let throttledUntil = null;
+    for (let attempt = 0; attempt < RATE_LIMIT_RESERVE_ATTEMPTS && !reservation; attempt++) {
+      const usage = await limiter.getUsage();
+      available = {
+        requests: usage.remainingRequests,
+        tokens: usage.remainingTokens,
+      };
+      throttledUntil = usage.throttledUntil?.getTime() ?? null;
+      if (available.requests <= 0 || available.tokens <= 0) {
+        break;
+      }
+      ({batch, batchTokens, batchRequests} = this.buildOptimalBatch({entries, limiter, available}));
+      if (batch.length === 0) {
+        break;
+      }
+      reservation = await limiter.reserve({tokens: batchTokens, requests: batchRequests});
     }
 
-    const {batch, batchTokens, batchRequests} = this.buildOptimalBatch({
-      entries,
-      limiter,
-      available,
-    });
-
-    if (batch.length === 0) {
-      logger.debug(`No capacity available for ${modelType} batch`);
+    if (!reservation) {
+      if (throttledUntil) {
+        logger.debug(`${modelType} is paused after a provider rate limit until ${new Date(throttledUntil).toISOString()}`);
+      } else {
+        logger.debug(`No rate limit capacity available for ${modelType} batch, waiting for the window to slide`);
+      }
       // Reset items back to pending since we can't process them now
       await queueUpdateEntries({
         ids: entries.map((e) => e.id),
         statuses: Array(entries.length).fill("pending"),
       });
-      return;
+      return {processed: 0, retryAt: throttledUntil};
     }
 
     // If we can't process all entries, reset the ones we won't process back to pending
@@ -351,7 +861,7 @@ export default class AiQueue {
 
     // Process all entries and collect results
     const results = await Promise.all(batch.map((entry) =>
-      this.processQueueEntry({entry}),
+      this.processQueueEntry({entry, reservation}),
     ));
 
     // Update batch statuses based on aggregated results
@@ -379,6 +889,12 @@ export default class AiQueue {
     if (unbatchedEntries.length > 0) {
       logger.debug(`Processed ${unbatchedEntries.length} unbatched entries`);
     }
+
+    const rateLimited = results.filter((r) => r.retryAt);
+    return {
+      processed: batch.length - rateLimited.length,
+      retryAt: rateLimited.length > 0 ? Math.max(...rateLimited.map((r) => r.retryAt)) : null,
+    };
   }
 
   /**
@@ -387,11 +903,13 @@ export default class AiQueue {
    */
   async processQueue() {
     try {
+      await queueReleaseDeferredEntries({type: this.queueName});
       // Atomically claim pending items from queue to prevent race conditions
-      const queue = await queueClaimPendingItems({
+      let queue = await queueClaimPendingItems({
         type: this.queueName,
         status: "pending",
         limit: QUEUE_BATCH_LIMIT, // Get more than we might process to allow for optimal batching
+        oldestShare: QUEUE_OLDEST_SHARE,
       });
 
       if (queue.length === 0) {
@@ -401,14 +919,41 @@ export default class AiQueue {
 
       logger.info(`${this.queueName}: Successfully claimed ${queue.length} items for processing`);
 
-      // Process each model group
+      if (this.providerFailover) {
+        queue = await this.rerouteIfUnhealthy({queue});
+        if (queue.length === 0) {
+          return;
+        }
+      }
+
+      // In processing order, so the entries a user is allowed now are the ones they have waited longest for
+      const claimedCount = queue.length;
+      queue = await this.deferEntriesOverUserCap({queue: this.sortEntriesByPriority({queue})});
+      const deferredCount = claimedCount - queue.length;
+      if (queue.length === 0) {
+        logger.info(`${this.queueName}: all claimed items belong to users at their concurrency cap, ` +
+          `relaunching in ${QUEUE_USER_CAP_RETRY_DELAY}s`);
+        await dispatchTask({functionName: this.dispatchFunctionName, data: {}, scheduleDelaySeconds: QUEUE_USER_CAP_RETRY_DELAY});
+        return;
+      }
+
+      // Process each model group, highest priority first within each group
       const itemsByModel = this.groupEntriesByModel({queue});
-      await Promise.all(
+      const batchResults = await Promise.all(
           Object.entries(itemsByModel).map(([modelType, entries]) =>
             this.processModelBatch({modelType, entries}),
           ),
       );
 
+      // Every model is paused by its provider, relaunch once the earliest pause ends instead of spinning
+      const pausedUntil = batchResults.map((result) => result.retryAt);
+      if (batchResults.every((result) => result.processed === 0) && pausedUntil.every(Boolean)) {
+        const scheduleDelaySeconds = Math.max(1, Math.ceil((Math.min(...pausedUntil) - Date.now()) / 1000));
+        logger.info(`${this.queueName}: rate limited by provider, relaunching in ${scheduleDelaySeconds}s`);
+        await dispatchTask({functionName: this.dispatchFunctionName, data: {}, scheduleDelaySeconds});
+        return;
+      }
+
       // Check for more items and continue processing
       const remainingQueue = await queueGetEntries({
         type: this.queueName,
@@ -418,6 +963,9 @@ export default class AiQueue {
 
       if (remainingQueue.length > 0) {
         await this.processQueue();
+      } else if (deferredCount > 0) {
+        // Nothing is pending to relaunch the queue, come back for the deferred entries
+        await dispatchTask({functionName: this.dispatchFunctionName, data: {}, scheduleDelaySeconds: QUEUE_USER_CAP_RETRY_DELAY});
       }
     } catch (error) {
       logger.error(`Error in processQueue for ${this.queueName}: ${error.message}`);
@@ -433,9 +981,11 @@ export default class AiQueue {
    * @param {Object} options.params - The task parameters
    * @param {number} options.estimatedTokens - Estimated token count
    * @param {boolean} options.retry - Whether this is a retry attempt
+   * @param {string} [options.priority] - Priority lane from QUEUE_PRIORITIES, defaults to pipeline
+   * @param {string} [options.uid] - User the task is for, defaults to params.uid
    * @return {Promise<Object>} A promise that resolves with the result of adding the task
    */
-  async addToQueue({model, params, estimatedTokens, retry = false}) {
+  async addToQueue({model, params, estimatedTokens, retry = false, priority = QUEUE_PRIORITIES.PIPELINE, uid = params.uid}) {
     if (!params.model) {
       params.model = model;
     }
@@ -464,6 +1014,8 @@ export default class AiQueue {
       types: [this.queueName],
       entryTypes: [params.entryType],
       entryParams: [queueEntry],
+      priorities: [priority],
+      uids: [uid],
       uniques: [params.uniqueKey || this.uniqueKeyGenerator({
         type: this.queueName,
         model: model,
@@ -596,7 +1148,19 @@ export default class AiQueue {
     }
   }
 
-  async addToQueueBatch({entries, batchId = null, webhookUrl = null, dispatch = true, metadata = {}}) {
+  /**
+   * Adds entries to the queue as a tracked batch
+   * @param {Object} params - The parameters object
+   * @param {Array} params.entries - Queue entries, each may set its own priority
+   * @param {string} [params.batchId] - Batch ID, generated if not provided
+   * @param {string} [params.webhookUrl] - Webhook URL to call when the batch completes
+   * @param {boolean} [params.dispatch=true] - Dispatch the queue after adding
+   * @param {Object} [params.metadata] - Metadata to store with the batch
+   * @param {string} [params.priority] - Priority lane for entries without one, defaults to pipeline
+   * @param {string} [params.uid] - User for entries without one, otherwise each entry's uid or params.uid
+   * @return {Promise<Object>} Queue add result with the batchId
+   */
+  async addToQueueBatch({entries, batchId = null, webhookUrl = null, dispatch = true, metadata = {}, priority = QUEUE_PRIORITIES.PIPELINE, uid = null}) {
     // Generate batch ID if not provided
     if (!batchId) {
       batchId = this.generateBatchId();
@@ -630,6 +1194,9 @@ export default class AiQueue {
       types: entriesWithBatch.map((entry) => this.queueName),
       entryTypes: entriesWithBatch.map((entry) => entry.params.entryType),
       entryParams: entriesWithBatch,
+      priorities: entriesWithBatch.map((entry) => entry.priority || priority),
+      // Params may have moved to GCS, read the uid from the entries as they were given
+      uids: entries.map((entry) => entry.uid || entry.params?.uid || uid),
       uniques: entriesWithBatch.map((entry) => this.uniqueKeyGenerator({
         type: this.queueName,
         model: entry.params.model || entry.model,
@@ -699,6 +1266,8 @@ export default class AiQueue {
    * @param {number} [params.maxWaitTime=300000] - Maximum time to wait for completion
    * @param {number} [params.pollInterval=1000] - Time between status checks
    * @param {Function} [params.onProgress] - Optional progress callback
+   * @param {string} [params.priority] - Priority lane for entries without one, defaults to pipeline
+   * @param {string} [params.uid] - User for entries without one
    * @return {Promise<Object>} Object containing batchId and status
    */
   async addToQueueBatchAndWait(params) {
@@ -710,6 +1279,8 @@ export default class AiQueue {
       maxWaitTime = 300000,
       pollInterval = 1000,
       onProgress = null,
+      priority,
+      uid,
     } = params;
 
     // Add batch to queue but do not dispatch task to process the queue
@@ -720,6 +1291,8 @@ export default class AiQueue {
       webhookUrl,
       metadata,
       dispatch: false,
+      priority,
+      uid,
     });
 
     const {batchId} = queueResult;
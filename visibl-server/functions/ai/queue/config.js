@@ -27,6 +27,56 @@ const QUEUE_BATCH_LIMIT = parseInt(process.env.QUEUE_BATCH_LIMIT || "2000", 10);
  */
 const QUEUE_RETRY_LIMIT = parseInt(process.env.QUEUE_RETRY_LIMIT || "3", 10);
 
+/**
+ * Share of each claim reserved for the oldest pending items regardless of priority lane
+ * This keeps backfill progressing while interactive and pipeline items keep arriving
+ */
+const QUEUE_OLDEST_SHARE = parseFloat(process.env.QUEUE_OLDEST_SHARE || "0.1");
+
+/**
+ * Time in milliseconds after which a waiting item is processed as if it were interactive
+ * Claimed items are processed in lane order, this stops old items being left over batch after batch
+ */
+const QUEUE_PRIORITY_MAX_WAIT = parseInt(process.env.QUEUE_PRIORITY_MAX_WAIT || "600000", 10);
+
+/**
+ * Time in milliseconds an item may stay in processing before the reaper reclaims it
+ * Must be longer than the 30 minute timeout of the queue dispatch functions
+ */
+const QUEUE_VISIBILITY_TIMEOUT = parseInt(process.env.QUEUE_VISIBILITY_TIMEOUT || "2400000", 10); // 40 minutes
+
+/**
+ * Per queue visibility timeouts, queues not listed use QUEUE_VISIBILITY_TIMEOUT
+ * waitCallback queues stay in processing until the provider calls back, so they get longer
+ */
+const QUEUE_VISIBILITY_TIMEOUTS = {
+  wavespeed: parseInt(process.env.WAVESPEED_VISIBILITY_TIMEOUT || "3600000", 10), // 1 hour
+  modal: parseInt(process.env.MODAL_VISIBILITY_TIMEOUT || "3600000", 10), // 1 hour
+  bookImport: parseInt(process.env.BOOK_IMPORT_VISIBILITY_TIMEOUT || "3600000", 10), // 1 hour
+};
+
+/**
+ * Seconds to wait before relaunching a queue whose claimed items all belong to users at their concurrency cap
+ */
+const QUEUE_USER_CAP_RETRY_DELAY = parseInt(process.env.QUEUE_USER_CAP_RETRY_DELAY || "30", 10);
+
+/**
+ * Seconds between polls of a provider batch job
+ */
+const PROVIDER_BATCH_POLL_INTERVAL = parseInt(process.env.PROVIDER_BATCH_POLL_INTERVAL || "60", 10);
+
+/**
+ * Time in milliseconds an item may stay batched without a poll before the reaper reclaims it
+ * Every poll touches the items, so this only runs out when polling has stopped
+ */
+const PROVIDER_BATCH_VISIBILITY_TIMEOUT = parseInt(process.env.PROVIDER_BATCH_VISIBILITY_TIMEOUT || "3600000", 10); // 1 hour
+
+/**
+ * Time in milliseconds a batch dispatch waits for the entries it sent as a provider batch job
+ * Must be shorter than the 30 minute timeout of the task functions that run graph steps
+ */
+const PROVIDER_BATCH_MAX_WAIT = parseInt(process.env.PROVIDER_BATCH_MAX_WAIT || "1500000", 10); // 25 minutes
+
 // Default high-limit rate limiter for generic queues
 // This provides a very permissive default that effectively acts as no rate limiting
 const defaultRateLimiter = createRateLimiter({
@@ -165,4 +215,51 @@ const rateLimiters = {
   },
 };
 
-export {rateLimiters, defaultRateLimiter, FBDB_STORAGE_THRESHOLD, QUEUE_BATCH_LIMIT, QUEUE_RETRY_LIMIT};
+/**
+ * Image provider failover configuration
+ * When a provider's error rate over the window crosses the threshold, its image entries are moved
+ * to the next healthy provider in the chain. Only text-to-image AiQueue providers can be chained.
+ * model is used for rerouted entries, referenceModel for entries carrying reference images.
+ */
+const IMAGE_PROVIDER_FAILOVER = {
+  chain: (process.env.IMAGE_PROVIDER_FAILOVER_CHAIN || "wavespeed,fal")
+      .split(",")
+      .map((provider) => provider.trim())
+      .filter(Boolean),
+  errorRateThreshold: parseFloat(process.env.IMAGE_PROVIDER_ERROR_RATE_THRESHOLD || "0.5"),
+  minSamples: parseInt(process.env.IMAGE_PROVIDER_MIN_SAMPLES || "5", 10), // Below this a provider is always healthy
+  windowSize: parseInt(process.env.IMAGE_PROVIDER_WINDOW_SIZE || "300000", 10), // 5 minute window
+  providers: {
+    wavespeed: {
+      dispatchFunctionName: "launchWavespeedQueue",
+      model: "google/imagen4-fast",
+      referenceModel: "bytedance/seedream-v4/edit",
+    },
+    fal: {
+      dispatchFunctionName: "launchFalQueue",
+      model: "fal-ai/imagen4/preview/fast",
+      referenceModel: "fal-ai/bytedance/seedream/v4/edit",
+    },
+    imagerouter: {
+      dispatchFunctionName: "launchImageRouterQueue",
+      model: process.env.IMAGEROUTER_FAILOVER_MODEL || "google/imagen-4",
+    },
+  },
+};
+
+export {
+  rateLimiters,
+  defaultRateLimiter,
+  FBDB_STORAGE_THRESHOLD,
+  QUEUE_BATCH_LIMIT,
+  QUEUE_RETRY_LIMIT,
+  QUEUE_OLDEST_SHARE,
+  QUEUE_PRIORITY_MAX_WAIT,
+  QUEUE_VISIBILITY_TIMEOUT,
+  QUEUE_VISIBILITY_TIMEOUTS,
+  QUEUE_USER_CAP_RETRY_DELAY,
+  PROVIDER_BATCH_POLL_INTERVAL,
+  PROVIDER_BATCH_VISIBILITY_TIMEOUT,
+  PROVIDER_BATCH_MAX_WAIT,
+  IMAGE_PROVIDER_FAILOVER,
+};
@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Inspect, replay and purge dead-lettered queue entries
+ * Entries that run out of retries are copied to the dead-letter collection with their
+ * attempt history. Replaying puts them back on their queue under the same id, optionally
+ * with another model, and reopens their batch so its webhook fires when they finish.
+ */
+
+import logger from "../../util/logger.js";
+import {dispatchTask} from "../../util/dispatch.js";
+import {storeJsonFile} from "../../storage/storage.js";
+import {
+  deadLetterGetEntries,
+  deadLetterDeleteEntries,
+  queueReplayDeadLetterEntries,
+  batchReopenItems,
+} from "../../storage/firestore/queue.js";
+import {getAiQueue} from "./queues.js";
+
+/**
+ * List dead-letter entries
+ * @param {Object} params - The parameters object
+ * @param {string} [params.type] - Queue type
+ * @param {string} [params.graphId] - Graph the entries belong to
+ * @param {string} [params.batchId] - Batch the entries belong to
+ * @param {number} [params.limit=100] - Maximum number of entries
+ * @return {Promise<Object>} {entries, count}
+ */
+async function listDeadLetterEntries({type, graphId, batchId, limit = 100} = {}) {
+  const entries = await deadLetterGetEntries({type, graphId, batchId, limit});
+  return {entries, count: entries.length};
+}
+
+/**
+ * Swap the model of an entry's params. Params stored in GCS are rewritten in place.
+ * @param {Object} params - The parameters object
+ * @param {AiQueue} params.queue - The queue the entry belongs to
+ * @param {Object} params.entryParams - The entry's stored params
+ * @param {string} params.model - The model to replay with
+ * @return {Promise<Object>} Params to replay the entry with
+ */
+async function withModel({queue, entryParams, model}) {
+  const replayParams = {...entryParams, model};
+  if (entryParams.params && typeof entryParams.params === "object") {
+    replayParams.params = {...entryParams.params, model};
+  }
+  if (entryParams.paramsGcsPath) {
+    const taskParams = await queue.getParams({queueEntry: {params: entryParams}});
+    await storeJsonFile({
+      filename: entryParams.paramsGcsPath,
+      data: {...taskParams, model},
+      metadata: {
+        customTime: new Date().toISOString(),
+      },
+    });
+  }
+  return replayParams;
+}
+
+/**
+ * Put dead-letter entries back on their queues with a fresh retry budget
+ * @param {Object} params - The parameters object
+ * @param {Array<string>} params.ids - Dead-letter entry ids
+ * @param {string} [params.model] - Model to replay with instead of the entries' own
+ * @return {Promise<Object>} {replayed: [], skipped: [{id, reason}]}
+ */
+async function replayDeadLetterEntries({ids, model}) {
+  if (!ids?.length) {
+    throw new Error("ids are required to replay dead-letter entries");
+  }
+
+  const entries = await deadLetterGetEntries({ids});
+  const skipped = ids
+      .filter((id) => !entries.some((entry) => entry.id === id))
+      .map((id) => ({id, reason: "not in dead letter"}));
+  const replayable = [];
+  const entryParams = [];
+
+  for (const entry of entries) {
+    const queue = getAiQueue({queueName: entry.type});
+    if (!queue) {
+      skipped.push({id: entry.id, reason: `no AI queue named ${entry.type}`});
+      continue;
+    }
+    replayable.push(entry);
+    entryParams.push(model ? await withModel({queue, entryParams: entry.params, model}) : entry.params);
+  }
+
+  if (replayable.length === 0) {
+    return {replayed: [], skipped};
+  }
+
+  await queueReplayDeadLetterEntries({entries: replayable, entryParams});
+
+  // The replayed entries were counted as failed when they were dead-lettered
+  const replaysByBatch = {};
+  for (const entry of replayable) {
+    if (entry.batchId) {
+      replaysByBatch[entry.batchId] = (replaysByBatch[entry.batchId] || 0) + 1;
+    }
+  }
+  for (const [batchId, count] of Object.entries(replaysByBatch)) {
+    await batchReopenItems({batchId, count});
+  }
+
+  const queueNames = [...new Set(replayable.map((entry) => entry.type))];
+  for (const queueName of queueNames) {
+    await dispatchTask({functionName: getAiQueue({queueName}).dispatchFunctionName, data: {}});
+  }
+
+  logger.info(`Replayed ${replayable.length} dead-letter entries on ${queueNames.join(", ")}` +
+    `${model ? ` with model ${model}` : ""}, skipped ${skipped.length}`);
+  return {replayed: replayable.map((entry) => entry.id), skipped};
+}
+
+/**
+ * Delete dead-letter entries, their errored Queue entries and their params in GCS
+ * @param {Object} params - The parameters object
+ * @param {Array<string>} [params.ids] - Dead-letter entry ids
+ * @param {string} [params.type] - Queue type, used when ids are not given
+ * @param {string} [params.graphId] - Graph the entries belong to, used when ids are not given
+ * @param {string} [params.batchId] - Batch the entries belong to, used when ids are not given
+ * @param {number} [params.limit=100] - Maximum number of entries to purge when filtering
+ * @return {Promise<Object>} {purged: []}
+ */
+async function purgeDeadLetterEntries({ids, type, graphId, batchId, limit = 100} = {}) {
+  if (!ids?.length && !type && !graphId && !batchId) {
+    throw new Error("ids, type, graphId or batchId is required to purge dead-letter entries");
+  }
+
+  const entries = await deadLetterGetEntries({ids, type, graphId, batchId, limit});
+  if (entries.length === 0) {
+    return {purged: []};
+  }
+
+  for (const entry of entries) {
+    const queue = getAiQueue({queueName: entry.type});
+    try {
+      await queue?.deleteParams({queueEntry: entry});
+    } catch (error) {
+      logger.warn(`Failed to delete params of dead-letter entry ${entry.id}: ${error.message}`);
+    }
+  }
+
+  const purged = entries.map((entry) => entry.id);
+  await deadLetterDeleteEntries({ids: purged});
+  logger.info(`Purged ${purged.length} dead-letter entries`);
+  return {purged};
+}
+
+export {
+  listDeadLetterEntries,
+  replayDeadLetterEntries,
+  purgeDeadLetterEntries,
+};
@@ -7,7 +7,8 @@
 import {openaiQueue} from "./openaiQueue.js";
 import {geminiQueue} from "./geminiQueue.js";
 import {GoogleGenerativeAI} from "@google/generative-ai";
-import {GEMINI_API_KEY} from "../../config/config.js";
+import {GEMINI_API_KEY, OPENAI_BATCH_API} from "../../config/config.js";
+import {PROVIDER_BATCH_POLL_INTERVAL, PROVIDER_BATCH_MAX_WAIT} from "./config.js";
 import {queueGetEntries} from "../../storage/firestore/queue.js";
 import tokenHelper from "../openai/tokens.js";
 import logger from "../../util/logger.js";
@@ -24,6 +25,7 @@ import logger from "../../util/logger.js";
  * @param {string} [params.instructionOverride=null] - Override the default instruction
  * @param {string} [params.responseKey=null] - Optional response key
  * @param {number} [params.estimatedTokens=1000] - Default token estimate
+ * @param {string} [params.priority] - Queue priority lane, defaults to pipeline
  * @return {Promise<Object>} The response from the AI model
  */
 async function dispatchRequest(params) {
@@ -37,6 +39,7 @@ async function dispatchRequest(params) {
     instructionOverride = null, // Override the default instruction
     responseKey = null, // Optional response key
     estimatedTokens = 1000, // Default token estimate
+    priority, // Queue priority lane
   } = params;
 
   if (provider !== "openai" && provider !== "gemini") {
@@ -68,6 +71,7 @@ async function dispatchRequest(params) {
     params: queueParams,
     estimatedTokens,
     retry: false,
+    priority,
   });
 
   if (!queueResult.success) {
@@ -189,6 +193,9 @@ async function dispatchGeminiRequest(params) {
  * @param {number} [params.maxAttempts=60] - Maximum number of polling attempts before timeout
  * @param {number} [params.pollInterval=1000] - Milliseconds between polling attempts
  * @param {number} [params.defaultEstimatedTokens=1000] - Default token estimate for each request
+ * @param {string} [params.priority] - Queue priority lane, defaults to pipeline
+ * @param {boolean} [params.batchApi=false] - Send the requests as a provider batch job if the queue supports it.
+ * Batch jobs take minutes, so the wait is PROVIDER_BATCH_MAX_WAIT polled every PROVIDER_BATCH_POLL_INTERVAL instead.
  * @return {Promise<Object>} - Map of responseKey to results
  */
 async function batchDispatchRequests(params) {
@@ -196,10 +203,15 @@ async function batchDispatchRequests(params) {
     requests,
     provider, // "openai" or "gemini"
     model,
-    maxAttempts = 60,
-    pollInterval = 1000,
     defaultEstimatedTokens = 1000,
+    priority,
+    batchApi = false,
   } = params;
+  let {maxAttempts = 60, pollInterval = 1000} = params;
+  if (batchApi) {
+    pollInterval = PROVIDER_BATCH_POLL_INTERVAL * 1000;
+    maxAttempts = Math.ceil(PROVIDER_BATCH_MAX_WAIT / pollInterval);
+  }
 
   if (provider !== "openai" && provider !== "gemini") {
     throw new Error(`Invalid AI provider: ${provider}. Must be "openai" or "gemini"`);
@@ -243,9 +255,11 @@ async function batchDispatchRequests(params) {
     const queueEntry = {
       type: provider,
       model: requestModel,
+      uid: request.uid || request.analyticsOptions?.uid,
       params: queueParams,
       estimatedTokens: request.estimatedTokens || defaultEstimatedTokens,
       retry: request.retry || false,
+      ...(batchApi && {batchApi: true}),
       status: "pending",
       timeRequested: Date.now(),
       timeUpdated: Date.now(),
@@ -257,6 +271,7 @@ async function batchDispatchRequests(params) {
   // Add all entries to the queue in one batch operation
   const queueResult = await queue.addToQueueBatch({
     entries: entryParams,
+    priority,
   });
 
   // Get the IDs of the added entries
@@ -358,6 +373,7 @@ async function batchDispatchRequests(params) {
  * @param {number} [params.maxAttempts=60] - Maximum number of polling attempts before timeout
  * @param {number} [params.pollInterval=1000] - Milliseconds between polling attempts
  * @param {number} [params.defaultEstimatedTokens=1000] - Default token estimate for each request
+ * @param {boolean} [params.batchApi] - Send the requests as an OpenAI Batch API job, defaults to OPENAI_BATCH_API
  * @return {Promise<Object>} - Map of responseKey to results
  */
 async function batchDispatchOpenaiRequests(params) {
@@ -368,6 +384,7 @@ async function batchDispatchOpenaiRequests(params) {
   return batchDispatchRequests({
     provider: "openai",
     model: params.model || "gpt-4o",
+    batchApi: OPENAI_BATCH_API.value(),
     ...params,
   });
 }
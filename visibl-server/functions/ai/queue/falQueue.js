@@ -6,6 +6,7 @@ import AiQueue from "./aiQueue.js";
 import {rateLimiters, QUEUE_RETRY_LIMIT} from "./config.js";
 import {queueEntryTypeToFunction} from "../fal/fal.js";
 import logger from "../../util/logger.js";
+import handleImagePostProcessing from "../../storage/realtimeDb/hooks/handleImagePostProcessing.js";
 import {moderateImagePrompt} from "../../util/imageHelper.js";
 import {queueUpdateEntries} from "../../storage/firestore/queue.js";
 import {
@@ -38,6 +39,9 @@ class FalQueue extends AiQueue {
 
     // Set retry limit
     this.retryLimit = QUEUE_RETRY_LIMIT;
+
+    // Reroute entries to the image provider failover chain when this provider fails
+    this.providerFailover = true;
   }
 
   /**
@@ -65,12 +69,24 @@ class FalQueue extends AiQueue {
       outputPath: entry.params.outputPath || entry.params.outputPathWithoutExtension + ".jpeg",
       outputFormat: entry.params.outputFormat || "jpeg",
       modelParams: entry.params.modelParams || {},
+      referenceImages: entry.params.referenceImages || [],
     };
 
     logger.debug(`Processing Fal queue item with model: ${params.model}`);
     return await generateFn(params);
   }
 
+  /**
+   * Write the generated image to RTDB through the same hooks as the Wavespeed callback
+   * @param {Object} params - The parameters object
+   * @param {Object} params.entry - The completed queue entry
+   * @param {Object} params.resultObj - The stored result object
+   * @return {Promise<void>}
+   */
+  async postProcess({entry, resultObj}) {
+    await handleImagePostProcessing(entry, resultObj);
+  }
+
   /**
    * Validate queue entry has required fields
    * @param {Object} entry - The queue entry to validate
@@ -158,6 +174,7 @@ class FalQueue extends AiQueue {
           entryTypes: [entry.entryType],
           entryParams: [entryParam],
           uniques: [uniqueKey],
+          priorities: [entry.priority],
         });
 
         if (queueResult.success !== true) {
@@ -0,0 +1,163 @@
+/**
+ * @fileoverview Routes image queue entries away from failing providers
+ * Provider error rates are tracked from queue results. When a provider is unhealthy, or an entry
+ * runs out of retries, the entry is moved to the next healthy provider in IMAGE_PROVIDER_FAILOVER.chain.
+ * Entries keep their queue document id, so unique keys and post-processing hooks are unchanged.
+ */
+
+import logger from "../../util/logger.js";
+import {dispatchTask} from "../../util/dispatch.js";
+import {queueRerouteEntries} from "../../storage/firestore/queue.js";
+import {
+  recordProviderResult,
+  getProviderHealth,
+} from "../../storage/realtimeDb/providerHealth.js";
+import {IMAGE_PROVIDER_FAILOVER} from "./config.js";
+
+// Model params that mean the same thing on every provider, everything else is provider specific
+const PORTABLE_MODEL_PARAMS = ["aspect_ratio", "seed"];
+
+/**
+ * Record the outcome of an image request for a provider. Never throws, health
+ * tracking must not break queue processing.
+ * @param {Object} params - The parameters object
+ * @param {string} params.provider - Name of the provider queue
+ * @param {boolean} params.success - Whether the request succeeded
+ * @return {Promise<void>}
+ */
+async function recordImageProviderResult({provider, success}) {
+  try {
+    await recordProviderResult({provider, success});
+  } catch (error) {
+    logger.warn(`Failed to record ${success ? "success" : "error"} for image provider ${provider}: ${error.message}`);
+  }
+}
+
+/**
+ * Check whether a provider's error rate is below the failover threshold
+ * @param {Object} params - The parameters object
+ * @param {string} params.provider - Name of the provider queue
+ * @return {Promise<boolean>} True if the provider should keep receiving entries
+ */
+async function isImageProviderHealthy({provider}) {
+  const {errorRateThreshold, minSamples, windowSize} = IMAGE_PROVIDER_FAILOVER;
+  try {
+    const health = await getProviderHealth({provider, windowSize});
+    if (health.total < minSamples) {
+      return true;
+    }
+    logger.debug(`Image provider ${provider} error rate ${health.errorRate.toFixed(2)} over ${health.total} requests`);
+    return health.errorRate < errorRateThreshold;
+  } catch (error) {
+    logger.warn(`Failed to get health for image provider ${provider}, assuming healthy: ${error.message}`);
+    return true;
+  }
+}
+
+/**
+ * Find the first healthy provider in the failover chain an entry has not been on yet
+ * @param {Object} params - The parameters object
+ * @param {string} params.provider - The provider the entry is leaving
+ * @param {Array<string>} [params.tried] - Providers the entry has already been on
+ * @param {Map<string, boolean>} params.healthCache - Health results already fetched in this pass
+ * @return {Promise<string|null>} The provider to move to, null if none is available
+ */
+async function nextImageProvider({provider, tried = [], healthCache}) {
+  for (const candidate of IMAGE_PROVIDER_FAILOVER.chain) {
+    if (candidate === provider || tried.includes(candidate) || !IMAGE_PROVIDER_FAILOVER.providers[candidate]) {
+      continue;
+    }
+    if (!healthCache.has(candidate)) {
+      healthCache.set(candidate, await isImageProviderHealthy({provider: candidate}));
+    }
+    if (healthCache.get(candidate)) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Map an entry's params onto another provider. The model is swapped for the
+ * provider's failover model and provider specific model params are dropped.
+ * Reference images are kept only if the provider has a reference model.
+ * @param {Object} params - The parameters object
+ * @param {Object} params.entryParams - The entry's current params
+ * @param {string} params.fromProvider - The provider the entry is leaving
+ * @param {string} params.toProvider - The provider the entry is moving to
+ * @return {Object} Params for the new provider
+ */
+function toProviderParams({entryParams, fromProvider, toProvider}) {
+  const providerConfig = IMAGE_PROVIDER_FAILOVER.providers[toProvider];
+  const useReferences = entryParams.referenceImages?.length > 0 && Boolean(providerConfig.referenceModel);
+  const modelParams = Object.fromEntries(
+      Object.entries(entryParams.modelParams || {}).filter(([key]) => PORTABLE_MODEL_PARAMS.includes(key)),
+  );
+  return {
+    ...entryParams,
+    model: useReferences ? providerConfig.referenceModel : providerConfig.model,
+    modelParams,
+    referenceImages: useReferences ? entryParams.referenceImages : [],
+    providerHistory: [...(entryParams.providerHistory || []), fromProvider],
+  };
+}
+
+/**
+ * Move image entries from a provider to the next healthy provider in the chain
+ * and dispatch the queues that received them. Entries that can't be moved
+ * (params stored in GCS, not an image generation, no provider left) are skipped.
+ * @param {Object} params - The parameters object
+ * @param {string} params.fromProvider - The provider the entries are on
+ * @param {Array<Object>} params.entries - Queue entries as stored in Firestore
+ * @param {string} params.reason - Why the entries are moved, kept in the trace
+ * @return {Promise<Array<string>>} Ids of the rerouted entries
+ */
+async function rerouteImageEntries({fromProvider, entries, reason}) {
+  const healthCache = new Map();
+  const ids = [];
+  const types = [];
+  const entryParams = [];
+  const traces = [];
+
+  for (const entry of entries) {
+    if (entry.entryType !== "generate" || !entry.params?.prompt || entry.params.paramsGcsPath) {
+      continue;
+    }
+    const toProvider = await nextImageProvider({
+      provider: fromProvider,
+      tried: entry.params.providerHistory,
+      healthCache,
+    });
+    if (!toProvider) {
+      continue;
+    }
+    ids.push(entry.id);
+    types.push(toProvider);
+    entryParams.push(toProviderParams({entryParams: entry.params, fromProvider, toProvider}));
+    traces.push(`Rerouted from ${fromProvider} to ${toProvider}: ${reason}`);
+  }
+
+  if (ids.length === 0) {
+    logger.debug(`No image entries could be rerouted from ${fromProvider}`);
+    return [];
+  }
+
+  await queueRerouteEntries({ids, types, entryParams, traces});
+
+  const targets = [...new Set(types)];
+  for (const target of targets) {
+    await dispatchTask({
+      functionName: IMAGE_PROVIDER_FAILOVER.providers[target].dispatchFunctionName,
+      data: {},
+    });
+  }
+
+  logger.warn(`Rerouted ${ids.length} image entries from ${fromProvider} to ${targets.join(", ")}: ${reason}`);
+  return ids;
+}
+
+export {
+  recordImageProviderResult,
+  isImageProviderHealthy,
+  rerouteImageEntries,
+};
@@ -6,6 +6,7 @@ import AiQueue from "./aiQueue.js";
 import {rateLimiters, QUEUE_RETRY_LIMIT} from "./config.js";
 import {queueEntryTypeToFunction} from "../imagerouter/imagerouter.js";
 import logger from "../../util/logger.js";
+import handleImagePostProcessing from "../../storage/realtimeDb/hooks/handleImagePostProcessing.js";
 
 /**
  * Queue implementation for ImageRouter API requests
@@ -33,6 +34,9 @@ class ImageRouterQueue extends AiQueue {
 
     // Set retry limit
     this.retryLimit = QUEUE_RETRY_LIMIT;
+
+    // Reroute entries to the image provider failover chain when this provider fails
+    this.providerFailover = true;
   }
 
   /**
@@ -65,6 +69,17 @@ class ImageRouterQueue extends AiQueue {
     return await generateFn(params);
   }
 
+  /**
+   * Write the generated image to RTDB through the same hooks as the Wavespeed callback
+   * @param {Object} params - The parameters object
+   * @param {Object} params.entry - The completed queue entry
+   * @param {Object} params.resultObj - The stored result object
+   * @return {Promise<void>}
+   */
+  async postProcess({entry, resultObj}) {
+    await handleImagePostProcessing(entry, resultObj);
+  }
+
   /**
    * Validate queue entry has required fields
    * @param {Object} entry - The queue entry to validate
@@ -4,6 +4,7 @@
 
 import AiQueue from "./aiQueue.js";
 import {openaiLLMRequest} from "../openai/openaiLLM.js";
+import {submitOpenaiBatch, getOpenaiBatchResults} from "../openai/openaiBatch.js";
 import {rateLimiters, QUEUE_RETRY_LIMIT} from "./config.js";
 import {aiQueueToUnique} from "../../storage/firestore/queue.js";
 import logger from "../../util/logger.js";
@@ -31,6 +32,8 @@ class OpenAiQueue extends AiQueue {
 
     // Set retry limit
     this.retryLimit = QUEUE_RETRY_LIMIT;
+    // Entries with batchApi set are sent through the OpenAI Batch API
+    this.providerBatch = true;
   }
 
   /**
@@ -39,7 +42,42 @@ class OpenAiQueue extends AiQueue {
    * @return {Promise<Object>} The response from OpenAI
    */
   async processItem({entry}) {
-    return await openaiLLMRequest(entry.params);
+    const result = await openaiLLMRequest(entry.params);
+    // Still rate limited after the request's own retry, let the queue back off the model
+    if (result?.rateLimit) {
+      throw Object.assign(new Error(`OpenAI rate limit: ${result.details}`), {
+        status: 429,
+        retryAfter: result.rateLimit.retryAfter,
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Submit entries as an OpenAI batch job, the entry ids are the job's custom ids
+   * @param {Object} params - The parameters object
+   * @param {Array} params.entries - Queue entries with resolved params
+   * @return {Promise<Object>} {providerBatchId, rejected}
+   */
+  async createProviderBatch({entries}) {
+    return await submitOpenaiBatch({
+      requests: entries.map((entry) => ({customId: entry.id, request: entry.params})),
+      metadata: {queue: this.queueName},
+    });
+  }
+
+  /**
+   * Get the results of an OpenAI batch job by entry id
+   * @param {Object} params - The parameters object
+   * @param {string} params.providerBatchId - Id of the OpenAI batch job
+   * @param {Array} params.entries - Queue entries in the job, with resolved params
+   * @return {Promise<Object>} {done, results}
+   */
+  async getProviderBatchResults({providerBatchId, entries}) {
+    return await getOpenaiBatchResults({
+      providerBatchId,
+      requests: entries.map((entry) => ({customId: entry.id, request: entry.params})),
+    });
   }
 
   /**
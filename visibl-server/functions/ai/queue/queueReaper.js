@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Reclaims queue entries stuck in processing
+ * An entry stays in processing if the instance processing it dies, or if a waitCallback
+ * provider never calls back, and stays batched if its provider batch job stops being polled.
+ * Once an entry passes its queue's visibility timeout it is
+ * returned to pending as a retry, or moved to error when it has no retries left.
+ * Image entries out of retries are offered to the provider failover chain first, the
+ * rest are dead-lettered. The graph queue is reaped with its own visibility timeout, and
+ * its entries out of retries are checkpointed as failed steps so the graph can be resumed.
+ */
+
+import logger from "../../util/logger.js";
+import {dispatchTask} from "../../util/dispatch.js";
+import {queueReclaimStaleItems, queueDeadLetterEntries} from "../../storage/firestore/queue.js";
+import {QUEUE_VISIBILITY_TIMEOUT, QUEUE_VISIBILITY_TIMEOUTS, PROVIDER_BATCH_VISIBILITY_TIMEOUT} from "./config.js";
+import {rerouteImageEntries} from "./imageProviderRouter.js";
+import {AI_QUEUES} from "./queues.js";
+import {reapGraphQueue} from "../../graph/graphPipeline.js";
+
+/**
+ * Get the visibility timeout of a queue
+ * @param {Object} params - The parameters object
+ * @param {string} params.queueName - Name of the queue
+ * @return {number} Milliseconds an entry may stay in processing
+ */
+function queueVisibilityTimeout({queueName}) {
+  return QUEUE_VISIBILITY_TIMEOUTS[queueName] || QUEUE_VISIBILITY_TIMEOUT;
+}
+
+/**
+ * Reclaim the stuck entries of one queue, reroute or error the ones out of retries,
+ * settle their batches and relaunch the queue if entries went back to pending
+ * @param {Object} params - The parameters object
+ * @param {AiQueue} params.queue - The queue to reap
+ * @return {Promise<Object>} {visibilityTimeout, reclaimed: [], rerouted: [], errored: []} with entry ids
+ */
+async function reapQueue({queue}) {
+  const visibilityTimeout = queueVisibilityTimeout({queueName: queue.queueName});
+  const {reclaimed, errored} = await queueReclaimStaleItems({
+    type: queue.queueName,
+    visibilityTimeout,
+    retryLimit: queue.retryLimit,
+  });
+  // Entries in a provider batch job whose polling stopped
+  if (queue.providerBatch) {
+    const batched = await queueReclaimStaleItems({
+      type: queue.queueName,
+      status: "batched",
+      visibilityTimeout: PROVIDER_BATCH_VISIBILITY_TIMEOUT,
+      retryLimit: queue.retryLimit,
+    });
+    reclaimed.push(...batched.reclaimed);
+    errored.push(...batched.errored);
+  }
+
+  let rerouted = [];
+  if (queue.providerFailover && errored.length > 0) {
+    rerouted = await rerouteImageEntries({
+      fromProvider: queue.queueName,
+      entries: errored,
+      reason: `stuck in processing longer than ${Math.round(visibilityTimeout / 60000)} minutes`,
+    });
+  }
+  const failed = errored.filter((entry) => !rerouted.includes(entry.id));
+  if (failed.length > 0) {
+    await queueDeadLetterEntries({
+      ids: failed.map((entry) => entry.id),
+      errors: failed.map(() => "Stuck in processing with no retries left"),
+    });
+  }
+
+  // Entries that were part of a batch count as failed items, or the batch never completes
+  const errorsByBatch = {};
+  for (const entry of failed) {
+    if (entry.params?.batchId) {
+      errorsByBatch[entry.params.batchId] = (errorsByBatch[entry.params.batchId] || 0) + 1;
+    }
+  }
+  for (const [batchId, errorDelta] of Object.entries(errorsByBatch)) {
+    await queue.updateBatchStatusBulk({batchId, errorDelta});
+  }
+
+  if (reclaimed.length > 0) {
+    await dispatchTask({functionName: queue.dispatchFunctionName, data: {}});
+  }
+
+  return {
+    visibilityTimeout,
+    reclaimed: reclaimed.map((entry) => entry.id),
+    rerouted,
+    errored: failed.map((entry) => entry.id),
+  };
+}
+
+/**
+ * Reclaim entries stuck in processing across all AI queues and the graph queue
+ * @return {Promise<Object>} Report {timeReaped, totals: {reclaimed, rerouted, errored}, queues: {[queueName]: {...}}}
+ */
+async function reapStuckQueueEntries() {
+  const report = {
+    timeReaped: Date.now(),
+    totals: {reclaimed: 0, rerouted: 0, errored: 0},
+    queues: {},
+  };
+
+  for (const queue of Object.values(AI_QUEUES)) {
+    try {
+      const result = await reapQueue({queue});
+      report.queues[queue.queueName] = result;
+      report.totals.reclaimed += result.reclaimed.length;
+      report.totals.rerouted += result.rerouted.length;
+      report.totals.errored += result.errored.length;
+      if (result.reclaimed.length > 0 || result.rerouted.length > 0 || result.errored.length > 0) {
+        logger.warn(`${queue.queueName}: reaped entries stuck in processing, ` +
+          `${result.reclaimed.length} reclaimed, ${result.rerouted.length} rerouted, ${result.errored.length} errored`);
+      }
+    } catch (error) {
+      logger.error(`Failed to reap stuck entries from ${queue.queueName} queue: ${error.message}`);
+      report.queues[queue.queueName] = {error: error.message};
+    }
+  }
+
+  try {
+    const result = await reapGraphQueue();
+    report.queues.graph = result;
+    report.totals.reclaimed += result.reclaimed.length;
+    report.totals.errored += result.errored.length;
+    if (result.reclaimed.length > 0 || result.errored.length > 0) {
+      logger.warn(`graph: reaped entries stuck in processing, ${result.reclaimed.length} reclaimed, ${result.errored.length} errored`);
+    }
+  } catch (error) {
+    logger.error(`Failed to reap stuck entries from graph queue: ${error.message}`);
+    report.queues.graph = {error: error.message};
+  }
+
+  return report;
+}
+
+export {
+  reapStuckQueueEntries,
+  queueVisibilityTimeout,
+};
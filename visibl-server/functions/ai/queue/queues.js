@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Lookup of the AI queues by queue name
+ * Used by tooling that works across queues, such as the reaper, dead-letter replay and rate limit status.
+ * Queue modules must not import this file, it imports all of them.
+ */
+
+import {geminiQueue} from "./geminiQueue.js";
+import {openaiQueue} from "./openaiQueue.js";
+import {groqQueue} from "./groqQueue.js";
+import {modalQueue} from "./modalQueue.js";
+import {imagerouterQueue} from "./imagerouterQueue.js";
+import {falQueue} from "./falQueue.js";
+import {wavespeedQueue} from "./wavespeedQueue.js";
+import {bookImportQueue} from "./bookImportQueue.js";
+import {transcriptionQueue} from "../transcribe/index.js";
+
+const AI_QUEUES = Object.fromEntries([
+  geminiQueue,
+  openaiQueue,
+  groqQueue,
+  modalQueue,
+  imagerouterQueue,
+  falQueue,
+  wavespeedQueue,
+  bookImportQueue,
+  transcriptionQueue,
+].map((queue) => [queue.queueName, queue]));
+
+/**
+ * Get an AI queue by name
+ * @param {Object} params - The parameters object
+ * @param {string} params.queueName - Name of the queue, the type of its entries
+ * @return {AiQueue|undefined} The queue, undefined if there is no AI queue with that name
+ */
+function getAiQueue({queueName}) {
+  return AI_QUEUES[queueName];
+}
+
+/**
+ * Get the effective rate limits and current usage of the AI queues' models
+ * @param {Object} [params] - The parameters object
+ * @param {string} [params.queueName] - Only report this queue
+ * @return {Promise<Object>} Rate limit status keyed by queue name, then by model
+ */
+async function getRateLimitStatus({queueName} = {}) {
+  const queues = queueName ? [getAiQueue({queueName})].filter(Boolean) : Object.values(AI_QUEUES);
+  const status = {};
+  for (const queue of queues) {
+    status[queue.queueName] = await queue.getRateLimitStatus();
+  }
+  return status;
+}
+
+export {
+  AI_QUEUES,
+  getAiQueue,
+  getRateLimitStatus,
+};
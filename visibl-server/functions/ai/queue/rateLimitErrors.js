@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Recognise provider rate limit errors and read how long to back off
+ * Providers report rate limits differently: HTTP 429 with Retry-After (fal, wavespeed, OpenRouter),
+ * OpenAI style x-ratelimit-reset-* headers, or gRPC RESOURCE_EXHAUSTED (Gemini).
+ */
+
+// Used when a provider rate limits us without saying for how long
+const DEFAULT_RETRY_AFTER = parseInt(process.env.RATE_LIMIT_DEFAULT_RETRY_AFTER || "30000", 10);
+
+// Never pause a model longer than this, whatever the provider asks
+const MAX_RETRY_AFTER = parseInt(process.env.RATE_LIMIT_MAX_RETRY_AFTER || "600000", 10);
+
+/**
+ * Read a header from a plain object or a fetch Headers instance
+ * @param {Object} headers - Response headers
+ * @param {string} name - Lower case header name
+ * @return {string|undefined} Header value
+ */
+function readHeader(headers, name) {
+  if (!headers) {
+    return undefined;
+  }
+  if (typeof headers.get === "function") {
+    return headers.get(name) ?? undefined;
+  }
+  const key = Object.keys(headers).find((header) => header.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+}
+
+/**
+ * Parse a duration like "6m0s", "1.5s" or "250ms" as used by x-ratelimit-reset-* headers
+ * @param {string} value - Duration string
+ * @return {number|null} Milliseconds, null if it isn't a duration
+ */
+function parseDuration(value) {
+  const parts = String(value).match(/(\d+(?:\.\d+)?)(ms|s|m|h)/g);
+  if (!parts) {
+    return null;
+  }
+  const units = {ms: 1, s: 1000, m: 60000, h: 3600000};
+  return parts.reduce((total, part) => {
+    const [, amount, unit] = part.match(/(\d+(?:\.\d+)?)(ms|s|m|h)/);
+    return total + parseFloat(amount) * units[unit];
+  }, 0);
+}
+
+/**
+ * Work out how long a provider asked us to wait from its response headers
+ * @param {Object} headers - Response headers
+ * @return {number|null} Milliseconds to wait, null if the headers don't say
+ */
+function retryAfterFromHeaders(headers) {
+  const retryAfterMs = readHeader(headers, "retry-after-ms");
+  if (retryAfterMs && !isNaN(Number(retryAfterMs))) {
+    return Number(retryAfterMs);
+  }
+
+  const retryAfter = readHeader(headers, "retry-after");
+  if (retryAfter) {
+    // Either delay-seconds or an HTTP date
+    if (!isNaN(Number(retryAfter))) {
+      return Number(retryAfter) * 1000;
+    }
+    const date = Date.parse(retryAfter);
+    if (!isNaN(date)) {
+      return date - Date.now();
+    }
+  }
+
+  for (const name of ["x-ratelimit-reset-requests", "x-ratelimit-reset-tokens"]) {
+    const duration = parseDuration(readHeader(headers, name) ?? "");
+    if (duration !== null) {
+      return duration;
+    }
+  }
+
+  const reset = Number(readHeader(headers, "x-ratelimit-reset"));
+  if (reset) {
+    // Epoch seconds or epoch milliseconds
+    return (reset < 1e12 ? reset * 1000 : reset) - Date.now();
+  }
+
+  return null;
+}
+
+/**
+ * Read the retry delay Gemini sends as a google.rpc.RetryInfo error detail
+ * @param {Array} errorDetails - Error details of a Gemini error
+ * @return {number|null} Milliseconds to wait, null if there is no RetryInfo
+ */
+function retryAfterFromDetails(errorDetails) {
+  if (!Array.isArray(errorDetails)) {
+    return null;
+  }
+  const retryInfo = errorDetails.find((detail) => detail["@type"] === "type.googleapis.com/google.rpc.RetryInfo");
+  return retryInfo?.retryDelay ? parseDuration(retryInfo.retryDelay) : null;
+}
+
+/**
+ * Check whether an error is a provider rate limit and read how long to back off
+ * @param {Error} error - Error thrown while processing a queue entry, retryAfter in milliseconds may be set on it
+ * @return {Object|null} {retryAfter} in milliseconds, null if the error is not a rate limit
+ */
+function parseRateLimitError(error) {
+  if (!error) {
+    return null;
+  }
+  const status = error.status ?? error.statusCode ?? error.response?.status;
+  const message = error.message || "";
+  const isRateLimit = status === 429 ||
+    error.code === 429 ||
+    error.code === "RESOURCE_EXHAUSTED" ||
+    /\b429\b|too many requests|rate limit|resource[_ ]exhausted/i.test(message);
+  if (!isRateLimit) {
+    return null;
+  }
+
+  const retryAfter = error.retryAfter ??
+    retryAfterFromHeaders(error.headers || error.response?.headers) ??
+    retryAfterFromDetails(error.errorDetails) ??
+    DEFAULT_RETRY_AFTER;
+  return {retryAfter: Math.min(MAX_RETRY_AFTER, Math.max(1000, retryAfter))};
+}
+
+export {
+  parseRateLimitError,
+};
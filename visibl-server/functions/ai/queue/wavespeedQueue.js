@@ -40,6 +40,9 @@ class WavespeedQueue extends AiQueue {
     // Set retry limit
     this.retryLimit = QUEUE_RETRY_LIMIT;
 
+    // Reroute entries to the image provider failover chain when this provider fails
+    this.providerFailover = true;
+
     // Enable webhook callback mode - entries stay in "processing" until callback is received
     this.waitCallback = true;
   }
@@ -79,6 +82,7 @@ class WavespeedQueue extends AiQueue {
       prompt: entry.params.prompt,
       model: entry.params.model || "wavespeed-ai/flux-kontext-dev/multi",
       modelParams: entry.params.modelParams || {},
+      referenceImages: entry.params.referenceImages || [],
       webhookUrl: this.getCallbackUrl(entry.id),
     };
 
@@ -180,6 +184,7 @@ class WavespeedQueue extends AiQueue {
           entryTypes: [entry.entryType],
           entryParams: [entryParam],
           uniques: [uniqueKey],
+          priorities: [entry.priority],
         });
 
         if (queueResult.success !== true) {
@@ -153,6 +153,7 @@ function createMessageChunks(params) {
  * @param {array} params.replacements - The replacements to use
  * @param {string} params.model - The model to use
  * @param {object} params.providerOverride - Override the default provider
+ * @param {boolean} [params.retry] - Whether this is the retry of a failed correction, skips the LLM cache
  * @param {string} params.uid - User ID for analytics
  * @param {string} params.graphId - Graph ID for analytics
  * @param {string} params.sku - Book SKU for analytics
@@ -160,7 +161,7 @@ function createMessageChunks(params) {
  * @return {array} - Array of LLM results or null if the request failed
  */
 async function processChunksWithLLM(params) {
-  const {messages, prompt, replacements, model, providerOverride, uid, sku, chapter, graphId} = params;
+  const {messages, prompt, replacements, model, providerOverride, uid, sku, chapter, graphId, retry} = params;
   // Submit the prompts to OpenRouter in parallel
   const results = await Promise.all(messages.map(async (message, index) => {
     const client = new OpenRouterClient();
@@ -171,6 +172,8 @@ async function processChunksWithLLM(params) {
       modelOverride: model,
       providerOverride,
       logVerbose: false,
+      // A retry follows a response with the wrong segment count, don't get it back from the cache
+      cache: !retry,
       // Add mock response for testing when MOCK_LLM is true
       mockResponse: new OpenRouterMockResponse({
         content: {
@@ -385,6 +388,7 @@ async function sendTranscriptionToLlm(params) {
     replacements: validatedParams.replacements,
     model: validatedParams.model,
     providerOverride: validatedParams.providerOverride,
+    retry: validatedParams.retry,
     uid: params.uid,
     sku: params.sku,
     chapter: params.chapter,
@@ -0,0 +1,258 @@
+import crypto from "crypto";
+import ffmpeg from "fluent-ffmpeg";
+import logger from "../../util/logger.js";
+
+// Windows of audio sampled across the book, at evenly spaced fractions of its length
+const WINDOW_COUNT = 12;
+const WINDOW_SECONDS = 20;
+// Audio is decoded to mono at this rate, enough for the speech band
+const SAMPLE_RATE = 8000;
+const FRAME_SIZE = 1024;
+const HOP_SIZE = 512;
+// FFT bin ranges a peak is picked from in each frame, roughly octaves from 62Hz to 4kHz
+const PEAK_BANDS = [[8, 16], [16, 32], [32, 64], [64, 128], [128, 256], [256, 512]];
+// Peaks are paired with the peaks of the next frames to make hashes
+const TARGET_FRAMES = 4;
+// Frames quieter than this RMS (of 16 bit samples) are silence and give no peaks
+const SILENCE_RMS = 100;
+// A band's strongest bin is only a peak if it is this many times the frame's mean magnitude
+const PEAK_PROMINENCE = 4;
+// Number of smallest hashes kept of each window, a bottom-k MinHash sketch
+const SKETCH_SIZE = 256;
+
+// Matching tolerances
+const DURATION_TOLERANCE = 0.01; // Books must be within 1% of each other's length
+const WINDOW_MATCH_SIMILARITY = 0.2; // Estimated Jaccard similarity for two windows to match
+const BOOK_MATCH_RATIO = 0.75; // Share of non-silent windows that must match
+
+/**
+ * Decode a window of audio to mono samples
+ * @param {string} filePath - Path to the audio file
+ * @param {number} startTime - Start of the window in seconds
+ * @return {Promise<Float32Array>} The samples, in 16 bit range
+ */
+async function decodeWindow(filePath, startTime) {
+  const pcm = await new Promise((resolve, reject) => {
+    const chunks = [];
+    const stream = ffmpeg(filePath)
+        .inputOptions(["-ss", String(startTime)])
+        .outputOptions(["-t", String(WINDOW_SECONDS), "-ac", "1", "-ar", String(SAMPLE_RATE), "-f", "s16le"])
+        .noVideo()
+        .on("error", (err) => {
+          logger.error(`decodeWindow: error decoding ${filePath} at ${startTime}s: ${err.message}`);
+          reject(err);
+        })
+        .pipe();
+    stream.on("data", (chunk) => chunks.push(chunk));
+    stream.on("end", () => resolve(Buffer.concat(chunks)));
+  });
+
+  const samples = new Float32Array(Math.floor(pcm.length / 2));
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = pcm.readInt16LE(i * 2);
+  }
+  return samples;
+}
+
+/**
+ * Magnitude spectrum of a frame, using an in-place radix-2 FFT
+ * @param {Float64Array} re - Real part, the windowed samples, overwritten
+ * @return {Float64Array} Magnitudes of the first half of the bins
+ */
+function fftMagnitudes(re) {
+  const n = re.length;
+  const im = new Float64Array(n);
+
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+    }
+  }
+
+  for (let length = 2; length <= n; length <<= 1) {
+    const half = length >> 1;
+    const angle = -2 * Math.PI / length;
+    const stepRe = Math.cos(angle);
+    const stepIm = Math.sin(angle);
+    for (let start = 0; start < n; start += length) {
+      let wRe = 1;
+      let wIm = 0;
+      for (let k = 0; k < half; k++) {
+        const a = start + k;
+        const b = a + half;
+        const vRe = re[b] * wRe - im[b] * wIm;
+        const vIm = re[b] * wIm + im[b] * wRe;
+        re[b] = re[a] - vRe;
+        im[b] = im[a] - vIm;
+        re[a] += vRe;
+        im[a] += vIm;
+        const nextRe = wRe * stepRe - wIm * stepIm;
+        wIm = wRe * stepIm + wIm * stepRe;
+        wRe = nextRe;
+      }
+    }
+  }
+
+  const magnitudes = new Float64Array(n / 2);
+  for (let k = 0; k < n / 2; k++) {
+    magnitudes[k] = Math.hypot(re[k], im[k]);
+  }
+  return magnitudes;
+}
+
+/**
+ * Find the strongest bin of each band in every frame, where it stands out from the rest of the spectrum
+ * @param {Float32Array} samples - The window's samples
+ * @return {Array<Array<number>>} The peak bins of each frame, empty for silent frames
+ */
+function spectralPeaks(samples) {
+  const hann = Float64Array.from({length: FRAME_SIZE}, (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (FRAME_SIZE - 1)));
+  const frames = [];
+  for (let offset = 0; offset + FRAME_SIZE <= samples.length; offset += HOP_SIZE) {
+    const frame = new Float64Array(FRAME_SIZE);
+    let energy = 0;
+    for (let i = 0; i < FRAME_SIZE; i++) {
+      const sample = samples[offset + i];
+      energy += sample * sample;
+      frame[i] = sample * hann[i];
+    }
+    if (Math.sqrt(energy / FRAME_SIZE) < SILENCE_RMS) {
+      frames.push([]);
+      continue;
+    }
+
+    const magnitudes = fftMagnitudes(frame);
+    const threshold = PEAK_PROMINENCE * magnitudes.reduce((sum, magnitude) => sum + magnitude, 0) / magnitudes.length;
+    const peaks = [];
+    for (const [low, high] of PEAK_BANDS) {
+      let peak = low;
+      for (let bin = low + 1; bin < high; bin++) {
+        if (magnitudes[bin] > magnitudes[peak]) {
+          peak = bin;
+        }
+      }
+      if (magnitudes[peak] >= threshold) {
+        peaks.push(peak);
+      }
+    }
+    frames.push(peaks);
+  }
+  return frames;
+}
+
+/**
+ * Spread the bits of a hash, so the smallest hashes are a uniform sample (murmur3 finalizer)
+ * @param {number} value - 32 bit value
+ * @return {number} Mixed unsigned 32 bit value
+ */
+function mix32(value) {
+  let hash = value;
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
+
+/**
+ * Hash pairs of peaks and keep the smallest hashes as the window's sketch
+ * A hash is the frequencies of two peaks and the frames between them, so it does not
+ * depend on where the window starts or on the level of the audio.
+ * @param {Array<Array<number>>} frames - Peak bins of each frame
+ * @return {Array<number>} Up to SKETCH_SIZE hashes, ascending
+ */
+function sketchPeaks(frames) {
+  const hashes = new Set();
+  for (let t = 0; t < frames.length; t++) {
+    for (const anchor of frames[t]) {
+      for (let dt = 1; dt <= TARGET_FRAMES && t + dt < frames.length; dt++) {
+        for (const target of frames[t + dt]) {
+          hashes.add(mix32((anchor << 16) | (target << 6) | dt));
+        }
+      }
+    }
+  }
+  return [...hashes].sort((a, b) => a - b).slice(0, SKETCH_SIZE);
+}
+
+/**
+ * Generate a content fingerprint of an audiobook from its decoded audio
+ * Unlike the chapter fingerprint it survives re-encoding and re-chaptering, and it tells
+ * apart books that happen to have the same chapter layout.
+ * @param {Object} params - Parameters object
+ * @param {string} params.filePath - Path to the audio file
+ * @param {number} params.duration - Length of the audio in seconds
+ * @return {Promise<Object>} {version, duration, windows, digest, generatedAt}, windows hold each window's sketch
+ */
+async function generateAcousticFingerprint({filePath, duration}) {
+  const windows = [];
+  for (let i = 0; i < WINDOW_COUNT; i++) {
+    const position = (i + 0.5) / WINDOW_COUNT;
+    const startTime = Math.max(0, Math.min(duration * position - WINDOW_SECONDS / 2, duration - WINDOW_SECONDS));
+    const samples = await decodeWindow(filePath, Math.round(startTime * 100) / 100);
+    windows.push({position, sketch: sketchPeaks(spectralPeaks(samples))});
+  }
+
+  const digest = crypto.createHash("sha256").update(JSON.stringify(windows)).digest("hex");
+  logger.debug(`generateAcousticFingerprint: ${windows.filter((w) => w.sketch.length > 0).length}/${WINDOW_COUNT} non-silent windows, digest ${digest}`);
+  return {
+    version: "acoustic-v1",
+    duration,
+    windows,
+    digest,
+    generatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Estimate the Jaccard similarity of two windows from their bottom-k sketches
+ * @param {Array<number>} a - Sketch of the first window
+ * @param {Array<number>} b - Sketch of the second window
+ * @return {number} Similarity between 0 and 1
+ */
+function sketchSimilarity(a, b) {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  const union = [...new Set([...a, ...b])].sort((x, y) => x - y).slice(0, SKETCH_SIZE);
+  const shared = union.filter((hash) => setA.has(hash) && setB.has(hash)).length;
+  return union.length > 0 ? shared / union.length : 0;
+}
+
+/**
+ * Check whether two acoustic fingerprints are of the same audio
+ * @param {Object} a - The first fingerprint
+ * @param {Object} b - The second fingerprint
+ * @return {Object} {match, ratio} ratio is the share of non-silent windows that matched
+ */
+function compareAcousticFingerprints(a, b) {
+  if (a.version !== b.version || a.windows.length !== b.windows.length ||
+    Math.abs(a.duration - b.duration) > DURATION_TOLERANCE * Math.max(a.duration, b.duration)) {
+    return {match: false, ratio: 0};
+  }
+  let compared = 0;
+  let matched = 0;
+  a.windows.forEach((window, index) => {
+    const other = b.windows[index];
+    if (window.sketch.length === 0 && other.sketch.length === 0) {
+      return;
+    }
+    compared++;
+    if (sketchSimilarity(window.sketch, other.sketch) >= WINDOW_MATCH_SIMILARITY) {
+      matched++;
+    }
+  });
+  const ratio = compared > 0 ? matched / compared : 0;
+  return {match: compared > 0 && ratio >= BOOK_MATCH_RATIO, ratio};
+}
+
+export {
+  DURATION_TOLERANCE,
+  generateAcousticFingerprint,
+  compareAcousticFingerprints,
+};
@@ -0,0 +1,254 @@
+import ffmpeg from "fluent-ffmpeg";
+import fs from "fs";
+import fsPromises from "fs/promises";
+import path from "path";
+import logger from "../../util/logger.js";
+import ffmpegTools from "../../audio/ffmpeg.js";
+import whisper from "../groq/whisper.js";
+
+// Silences quieter than SILENCE_NOISE for at least SILENCE_MIN_SECONDS are boundary candidates
+const SILENCE_NOISE = "-35dB";
+const SILENCE_MIN_SECONDS = 1.5;
+// Where there are no spoken cues, only silences this long become chapter boundaries
+const LONG_SILENCE_SECONDS = 4;
+// Chapters shorter than this are not created
+const MIN_CHAPTER_SECONDS = 180;
+// Number of the longest silences whose following speech is transcribed to look for cues
+const MAX_CUE_CHECKS = 80;
+const CUE_CLIP_SECONDS = 8;
+const CUE_CONCURRENCY = 5;
+// Where there are no spoken cues the longest silences make at most one chapter per this many seconds
+const SILENCE_CHAPTER_SECONDS = 1200;
+// Stretches between cues longer than this are split at their longest silences, the cues were missed
+const UNCUED_STRETCH_SECONDS = 2 * SILENCE_CHAPTER_SECONDS;
+// When nothing else is found the book is cut into chapters of this length
+const FALLBACK_CHAPTER_SECONDS = 1800;
+// Spoken openings of a chapter, e.g. "Chapter Twelve", "Part II" or "Prologue"
+// Part and book need a number, as both also start ordinary sentences
+const NUMBER_WORD = "(?:\\d+|[ivxlc]+|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|" +
+  "(?:thir|four|fif|six|seven|eigh|nine)teen|(?:twen|thir|for|fif|six|seven|eigh|nine)ty(?:[\\s-]\\w+)?|hundred)";
+const CHAPTER_CUE = new RegExp(
+    `^\\W*(chapter\\s+[\\w-]+|(?:part|book)\\s+${NUMBER_WORD}|prologue|epilogue|introduction|interlude|afterword)\\b`, "i");
+
+/**
+ * Find the silences of an audio file with ffmpeg silencedetect
+ * @param {string} filePath - Path to the audio file
+ * @return {Promise<Array<Object>>} {start, end, duration} in seconds for each silence
+ */
+async function detectSilences(filePath) {
+  let stderrOutput = "";
+  await new Promise((resolve, reject) => {
+    ffmpeg(filePath)
+        .audioFilters(`silencedetect=noise=${SILENCE_NOISE}:d=${SILENCE_MIN_SECONDS}`)
+        .noVideo()
+        .outputFormat("null")
+        .output("-")
+        .on("start", (commandLine) => {
+          logger.debug(`detectSilences: ${commandLine}`);
+        })
+        .on("stderr", (stderrLine) => {
+          if (stderrLine.includes("silence_")) {
+            stderrOutput += stderrLine + "\n";
+          }
+        })
+        .on("end", resolve)
+        .on("error", (err) => {
+          logger.error(`detectSilences: error occurred for ${filePath}: ${err.message}`);
+          reject(err);
+        })
+        .run();
+  });
+
+  const silences = [];
+  let start = null;
+  for (const line of stderrOutput.split("\n")) {
+    const startMatch = line.match(/silence_start: (-?[\d.]+)/);
+    if (startMatch) {
+      start = Math.max(0, parseFloat(startMatch[1]));
+      continue;
+    }
+    const endMatch = line.match(/silence_end: ([\d.]+) \| silence_duration: ([\d.]+)/);
+    if (endMatch && start !== null) {
+      silences.push({start, end: parseFloat(endMatch[1]), duration: parseFloat(endMatch[2])});
+      start = null;
+    }
+  }
+  return silences;
+}
+
+/**
+ * Transcribe the speech after a silence and check whether it opens a chapter
+ * @param {Object} params - Parameters object
+ * @param {string} params.filePath - Path to the audio file
+ * @param {Object} params.silence - The silence
+ * @param {string} params.uid - User ID for analytics
+ * @param {string} params.ffmpegPath - Path to the ffmpeg binary
+ * @return {Promise<string|null>} The cue, e.g. "Chapter Twelve", null if the speech is not a chapter opening
+ */
+async function chapterCueAfter({filePath, silence, uid, ffmpegPath}) {
+  const clipPath = path.join(path.dirname(filePath), `${path.basename(filePath)}-cue-${Math.round(silence.end)}.m4a`);
+  try {
+    await ffmpegTools.splitAudio(filePath, clipPath, silence.end, CUE_CLIP_SECONDS, ffmpegPath);
+    const segments = await whisper.whisperTranscribe({
+      stream: fs.createReadStream(clipPath),
+      offset: silence.end,
+      // No prompt, a prompt like "Chapter" makes Whisper hear chapter openings that are not there
+      chapter: clipPath,
+      retry: 1,
+      uid,
+    });
+    if (!Array.isArray(segments)) {
+      return null;
+    }
+    const text = segments.map((segment) => segment.text).join(" ").trim();
+    return text.match(CHAPTER_CUE)?.[1] || null;
+  } catch (error) {
+    logger.warn(`chapterCueAfter: Could not check for a chapter cue at ${silence.end}s: ${error.message}`);
+    return null;
+  } finally {
+    await fsPromises.unlink(clipPath).catch(() => {});
+  }
+}
+
+/**
+ * Keep boundaries at least MIN_CHAPTER_SECONDS from each other and from the ends of the book
+ * Boundaries earlier in the list win, so pass the strongest first.
+ * @param {Array<Object>} boundaries - {time, title} candidates
+ * @param {number} duration - Length of the book in seconds
+ * @param {number} [maxCount=Infinity] - Most boundaries to keep
+ * @return {Array<Object>} The kept boundaries, in time order
+ */
+function spaceBoundaries(boundaries, duration, maxCount = Infinity) {
+  const kept = [];
+  for (const boundary of boundaries) {
+    if (kept.length >= maxCount) {
+      break;
+    }
+    const tooClose = boundary.time < MIN_CHAPTER_SECONDS || duration - boundary.time < MIN_CHAPTER_SECONDS ||
+      kept.some((other) => Math.abs(other.time - boundary.time) < MIN_CHAPTER_SECONDS);
+    if (!tooClose) {
+      kept.push(boundary);
+    }
+  }
+  return kept.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Split the stretches of a book between cued boundaries that are too long at their longest silences
+ * Without cues the whole book is one stretch.
+ * @param {Array<Object>} cued - Cued boundaries {time, title}, in time order
+ * @param {Array<Object>} silent - Long silence boundaries {time}, longest silence first
+ * @param {number} duration - Length of the book in seconds
+ * @return {Array<Object>} The silence boundaries added, {time}
+ */
+function splitUncuedStretches(cued, silent, duration) {
+  const edges = [0, ...cued.map((boundary) => boundary.time), duration];
+  const added = [];
+  for (let i = 0; i + 1 < edges.length; i++) {
+    const start = edges[i];
+    const length = edges[i + 1] - start;
+    if (cued.length > 0 && length < UNCUED_STRETCH_SECONDS) {
+      continue;
+    }
+    // Spaced within the stretch, so they also keep MIN_CHAPTER_SECONDS from its cued ends
+    const inStretch = silent
+        .filter((boundary) => boundary.time > start && boundary.time < start + length)
+        .map((boundary) => ({time: boundary.time - start}));
+    const kept = spaceBoundaries(inStretch, length, Math.ceil(length / SILENCE_CHAPTER_SECONDS) - 1);
+    added.push(...kept.map((boundary) => ({time: boundary.time + start})));
+  }
+  return added;
+}
+
+/**
+ * Detect chapter boundaries of a book without chapter markers
+ * Speech after the longest silences is transcribed, and silences followed by a spoken cue
+ * like "Chapter Three" become boundaries titled by the cue. Stretches the cues leave much longer
+ * than SILENCE_CHAPTER_SECONDS, or the whole book when there are no cues, are split at their
+ * longest silences, so a few misheard or missed cues don't leave hours without a chapter.
+ * Without cues or long silences the book is cut into fixed length chapters.
+ * @param {Object} params - Parameters object
+ * @param {string} params.filePath - Path to the audio file
+ * @param {number} params.duration - Length of the audio in seconds
+ * @param {string} params.uid - User ID for analytics
+ * @return {Promise<Object>} {method, boundaries} method is cues, cues+silence, silence or fixed, boundaries are {time, title}
+ */
+async function detectChapterBoundaries({filePath, duration, uid}) {
+  const silences = await detectSilences(filePath);
+  const longest = [...silences].sort((a, b) => b.duration - a.duration);
+  logger.info(`detectChapterBoundaries: Found ${silences.length} silences of ${SILENCE_MIN_SECONDS}s or more`);
+
+  const ffmpegPath = await ffmpegTools.downloadFfmpegBinary();
+  const candidates = longest.slice(0, MAX_CUE_CHECKS);
+  const cueBoundaries = [];
+  for (let i = 0; i < candidates.length; i += CUE_CONCURRENCY) {
+    const batch = candidates.slice(i, i + CUE_CONCURRENCY);
+    const cues = await Promise.all(batch.map((silence) => chapterCueAfter({filePath, silence, uid, ffmpegPath})));
+    batch.forEach((silence, index) => {
+      if (cues[index]) {
+        cueBoundaries.push({time: (silence.start + silence.end) / 2, title: cues[index]});
+      }
+    });
+  }
+  const cued = spaceBoundaries(cueBoundaries, duration);
+
+  const silent = longest.filter((silence) => silence.duration >= LONG_SILENCE_SECONDS)
+      .map((silence) => ({time: (silence.start + silence.end) / 2}));
+  const added = splitUncuedStretches(cued, silent, duration);
+  if (cued.length > 0 || added.length > 0) {
+    logger.info(`detectChapterBoundaries: ${cued.length} boundaries from spoken cues, ${added.length} from long silences`);
+    const method = cued.length === 0 ? "silence" : added.length === 0 ? "cues" : "cues+silence";
+    return {method, boundaries: [...cued, ...added].sort((a, b) => a.time - b.time)};
+  }
+
+  const fixedCount = Math.ceil(duration / FALLBACK_CHAPTER_SECONDS);
+  const fixed = Array.from({length: fixedCount - 1}, (_, index) => ({time: (index + 1) * duration / fixedCount}));
+  return {method: "fixed", boundaries: fixed};
+}
+
+/**
+ * Give a book without chapter markers synthetic chapters
+ * Books with more than one chapter are returned unchanged. Otherwise chapters are detected
+ * and written in the shape extractMetadata returns, flagged with syntheticChapters so the
+ * catalogue metadata shows they were not in the file.
+ * @param {Object} params - Parameters object
+ * @param {string} params.filePath - Path to the audio file
+ * @param {Object} params.metadata - Metadata from extractMetadata
+ * @param {string} params.uid - User ID for analytics
+ * @return {Promise<Object>} The metadata, with detected chapters if it had none
+ */
+export async function ensureChapters({filePath, metadata, uid}) {
+  if (Object.keys(metadata.chapters || {}).length > 1) {
+    return metadata;
+  }
+  if (!metadata.length) {
+    throw new Error("No chapters found and the audio length is unknown");
+  }
+
+  logger.info(`ensureChapters: No chapter markers in ${path.basename(filePath)}, detecting chapters`);
+  const {method, boundaries} = await detectChapterBoundaries({filePath, duration: metadata.length, uid});
+
+  const starts = [{time: 0}, ...boundaries];
+  const chapters = {};
+  starts.forEach((start, index) => {
+    chapters[index.toString()] = {
+      startTime: Math.round(start.time * 100) / 100,
+      endTime: Math.round((starts[index + 1]?.time ?? metadata.length) * 100) / 100,
+      title: start.title || `Chapter ${index + 1}`,
+      synthetic: true,
+    };
+  });
+
+  logger.info(`ensureChapters: Detected ${starts.length} chapters by ${method}`);
+  return {
+    ...metadata,
+    chapters,
+    numChapters: starts.length,
+    syntheticChapters: {
+      method,
+      detectedAt: new Date().toISOString(),
+    },
+  };
+}
+
+export default ensureChapters;
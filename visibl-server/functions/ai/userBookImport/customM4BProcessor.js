@@ -3,13 +3,20 @@ import {
   generateFingerprintFromMetadata,
   generateSkuFromFingerprint,
 } from "./audioFingerprint.js";
+import {
+  DURATION_TOLERANCE,
+  generateAcousticFingerprint,
+  compareAcousticFingerprints,
+} from "./acousticFingerprint.js";
 import {
   moderateMetadata,
   extractMetadata,
 } from "./metadataProcessor.js";
+import {ensureChapters} from "./chapterDetector.js";
 import {
   catalogueAddRtdb,
   catalogueGetRtdb,
+  catalogueGetByDurationRtdb,
 } from "../../storage/realtimeDb/catalogue.js";
 import {libraryAddItemRtdb} from "../../storage/realtimeDb/library.js";
 import {addImportedSku} from "../../storage/realtimeDb/users.js";
@@ -18,6 +25,7 @@ import {
   downloadFileFromBucket,
   uploadJsonToBucket,
   uploadFileToBucket,
+  getJsonFile,
   // deleteFile,
 } from "../../storage/storage.js";
 import fs from "fs/promises";
@@ -158,56 +166,159 @@ export async function processCustomM4B({uid, audioPath, audioUrl}) {
   });
 
   // Extract metadata using ffmpeg - returns standardized format
-  const metadata = await extractMetadata(localM4bPath);
+  const extractedMetadata = await extractMetadata(localM4bPath);
 
-  if (!metadata || !metadata.length) {
+  if (!extractedMetadata || !extractedMetadata.length) {
     throw new Error("Invalid M4B file: unable to extract metadata");
   }
 
-  if (!metadata.chapters || Object.keys(metadata.chapters).length === 0) {
-    throw new Error("No chapters found in M4B file");
-  }
+  // Single track uploads have no chapter markers, detect chapters from the audio instead
+  const metadata = await ensureChapters({filePath: localM4bPath, metadata: extractedMetadata, uid});
 
   // Debug: Log the metadata structure
   logger.debug(`processCustomM4B: Metadata keys: ${Object.keys(metadata).join(", ")}`);
   logger.debug(`processCustomM4B: Found ${metadata.numChapters} chapters, duration: ${metadata.length}s`);
 
+  return await importCustomAudiobook({
+    uid,
+    metadata,
+    localM4bPath,
+    uploadPaths: [normalizedAudioPath],
+    description: "Custom M4B",
+  });
+}
+
+/**
+ * Load the acoustic fingerprint of a catalogue item
+ * @param {Object} item - The catalogue item
+ * @return {Promise<Object|null>} The fingerprint, null if the item has none
+ */
+async function loadAcousticFingerprint(item) {
+  const fingerprintPath = item?.fingerprintData?.acousticFingerprintPath;
+  if (!fingerprintPath) {
+    return null;
+  }
+  try {
+    return await getJsonFile({filename: fingerprintPath});
+  } catch (error) {
+    logger.warn(`loadAcousticFingerprint: Could not load ${fingerprintPath}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Find a catalogue item with the same audio as an upload
+ * Only items of about the same length are compared, the best match wins.
+ * @param {Object} fingerprint - Acoustic fingerprint of the upload
+ * @return {Promise<string|null>} SKU of the matching item, null if none matches
+ */
+async function findAcousticMatch(fingerprint) {
+  const candidates = await catalogueGetByDurationRtdb({
+    minDuration: fingerprint.duration * (1 - DURATION_TOLERANCE),
+    maxDuration: fingerprint.duration * (1 + DURATION_TOLERANCE),
+  });
+  let best = null;
+  for (const candidate of candidates) {
+    const candidateFingerprint = await loadAcousticFingerprint(candidate);
+    if (!candidateFingerprint) {
+      continue;
+    }
+    const {match, ratio} = compareAcousticFingerprints(fingerprint, candidateFingerprint);
+    if (match && (!best || ratio > best.ratio)) {
+      best = {sku: candidate.sku, ratio};
+    }
+  }
+  if (best) {
+    logger.info(`findAcousticMatch: Upload matches ${best.sku} (${Math.round(best.ratio * 100)}% of windows) of ${candidates.length} candidates`);
+  }
+  return best?.sku || null;
+}
+
+/**
+ * Add an already catalogued audiobook to the user's library instead of importing the upload again
+ * @param {Object} params - Parameters object
+ * @param {string} params.uid - User ID
+ * @param {string} params.sku - SKU of the catalogued audiobook
+ * @param {string} params.localM4bPath - Local path of the uploaded M4B, deleted
+ * @return {Promise<Object>} Processing result with the existing SKU
+ */
+async function linkExistingAudiobook({uid, sku, localM4bPath}) {
+  logger.warn(`importCustomAudiobook: SKU ${sku} already exists in catalogue`);
+  // Clean up local file
+  await fs.unlink(localM4bPath).catch(() => { });
+
+  // Add existing SKU to user's library
+  await libraryAddItemRtdb({uid, data: {sku}});
+
+  // Add existing SKU to imported SKUs
+  await addImportedSku({uid, sku});
+
+  return {
+    success: true,
+    message: "This audiobook has already been processed",
+    sku,
+  };
+}
+
+/**
+ * Fingerprint, moderate and catalogue a custom audiobook, then start its transcription
+ * Shared by the M4B and multi-file imports once they have a local M4B with chapters.
+ * @param {Object} params - Parameters object
+ * @param {string} params.uid - User ID
+ * @param {Object} params.metadata - Metadata of the M4B from extractMetadata
+ * @param {string} params.localM4bPath - Local path of the M4B, deleted when done
+ * @param {Array<string>} params.uploadPaths - Storage paths of the user's uploads, deleted once catalogued
+ * @param {string} params.description - What was imported, for the result message
+ * @return {Promise<Object>} Processing result with SKU
+ */
+export async function importCustomAudiobook({uid, metadata, localM4bPath, uploadPaths, description}) {
   // 2. Generate fingerprint and SKU
-  logger.info(`processCustomM4B: Generating fingerprint and SKU`);
+  logger.info(`importCustomAudiobook: Generating fingerprint and SKU`);
 
   // Metadata is already in the correct format for fingerprint generation
   const fingerprintData = generateFingerprintFromMetadata(metadata);
 
-  const sku = generateSkuFromFingerprint({
+  let sku = generateSkuFromFingerprint({
     fingerprint: fingerprintData.fingerprint,
     prefix: "CSTM",
   });
 
-  logger.info(`processCustomM4B: Generated SKU ${sku} with fingerprint ${fingerprintData.fingerprint}`);
+  logger.info(`importCustomAudiobook: Generated SKU ${sku} with fingerprint ${fingerprintData.fingerprint}`);
+
+  // The chapter fingerprint misses re-encoded or re-chaptered copies, and can collide for
+  // different books with the same chapter layout, so the audio itself is compared too
+  let acousticFingerprint = null;
+  try {
+    acousticFingerprint = await generateAcousticFingerprint({filePath: localM4bPath, duration: metadata.length});
+  } catch (error) {
+    logger.warn(`importCustomAudiobook: Could not generate acoustic fingerprint, matching by chapters only: ${error.message}`);
+  }
 
   // Check if this SKU already exists
-  // Simply add existing SKU to user's library
+  // Simply add existing SKU to user's library, unless its audio is a different book
   const existingItem = await catalogueGetRtdb({sku});
-  if (existingItem) {
-    logger.warn(`processCustomM4B: SKU ${sku} already exists in catalogue`);
-    // Clean up local file
-    await fs.unlink(localM4bPath).catch(() => { });
-
-    // Add existing SKU to user's library
-    await libraryAddItemRtdb({uid, data: {sku}});
+  const existingFingerprint = existingItem && acousticFingerprint ? await loadAcousticFingerprint(existingItem) : null;
+  const layoutCollision = existingFingerprint !== null &&
+    !compareAcousticFingerprints(acousticFingerprint, existingFingerprint).match;
+  if (existingItem && !layoutCollision) {
+    return await linkExistingAudiobook({uid, sku, localM4bPath});
+  }
 
-    // Add existing SKU to imported SKUs
-    await addImportedSku({uid, sku});
+  if (acousticFingerprint) {
+    const matchedSku = await findAcousticMatch(acousticFingerprint);
+    if (matchedSku) {
+      return await linkExistingAudiobook({uid, sku: matchedSku, localM4bPath});
+    }
+  }
 
-    return {
-      success: true,
-      message: "This audiobook has already been processed",
-      sku,
-    };
+  if (layoutCollision) {
+    // Same chapter layout as another book but different audio, key the SKU on the audio instead
+    sku = generateSkuFromFingerprint({fingerprint: acousticFingerprint.digest, prefix: "CSTM"});
+    logger.warn(`importCustomAudiobook: Chapter fingerprint collides with a different book, using SKU ${sku}`);
   }
 
   // 3. Moderate metadata
-  logger.info(`processCustomM4B: Moderating metadata for ${sku}`);
+  logger.info(`importCustomAudiobook: Moderating metadata for ${sku}`);
 
   const moderatedMetadata = await moderateMetadata({
     metadata,
@@ -216,7 +327,7 @@ export async function processCustomM4B({uid, audioPath, audioUrl}) {
   });
 
   // 5. Save metadata and copy m4b to use the SKU
-  logger.info(`processCustomM4B: Saving metadata for ${sku}`);
+  logger.info(`importCustomAudiobook: Saving metadata for ${sku}`);
 
   const metadataPath = `Catalogue/Custom/Raw/${sku}.json`;
   await uploadJsonToBucket({
@@ -229,8 +340,16 @@ export async function processCustomM4B({uid, audioPath, audioUrl}) {
     bucketPath: `Catalogue/Custom/Raw/${sku}.m4b`,
   });
 
+  const acousticFingerprintPath = `Catalogue/Custom/Fingerprints/${sku}.json`;
+  if (acousticFingerprint) {
+    await uploadJsonToBucket({
+      json: acousticFingerprint,
+      bucketPath: acousticFingerprintPath,
+    });
+  }
+
   // 6. Create private catalogue item and add to user's library
-  logger.info(`processCustomM4B: Creating catalogue item for ${sku}`);
+  logger.info(`importCustomAudiobook: Creating catalogue item for ${sku}`);
 
   await catalogueAddRtdb({
     body: {
@@ -253,6 +372,7 @@ export async function processCustomM4B({uid, audioPath, audioUrl}) {
         chapterTimestamps: fingerprintData.chapterTimestamps,
         totalDuration: fingerprintData.totalDuration,
         generatedAt: fingerprintData.generatedAt,
+        ...(acousticFingerprint && {acousticFingerprintPath}),
       },
       graphProgress: {
         status: "pending",
@@ -265,7 +385,7 @@ export async function processCustomM4B({uid, audioPath, audioUrl}) {
     },
   });
 
-  logger.info(`processCustomM4B: Adding ${sku} to user ${uid}'s library`);
+  logger.info(`importCustomAudiobook: Adding ${sku} to user ${uid}'s library`);
   await libraryAddItemRtdb({
     uid,
     data: {sku},
@@ -277,16 +397,18 @@ export async function processCustomM4B({uid, audioPath, audioUrl}) {
   // 7. Clean up local files and original upload if different
   await fs.unlink(localM4bPath).catch(() => {});
 
-  // Delete original upload file (always different from final Catalogue path)
+  // Delete original upload files (always different from final Catalogue path)
   const finalAudioPath = `Catalogue/Custom/Raw/${sku}.m4b`;
-  if (normalizedAudioPath !== finalAudioPath) {
-    await deleteFile({path: normalizedAudioPath}).catch((error) => {
-      logger.debug(`Could not delete original upload file: ${error.message}`);
-    });
+  for (const uploadPath of uploadPaths) {
+    if (uploadPath !== finalAudioPath) {
+      await deleteFile({path: uploadPath}).catch((error) => {
+        logger.debug(`Could not delete original upload file: ${error.message}`);
+      });
+    }
   }
 
   // 8. Start transcription and graph generation process
-  logger.info(`processCustomM4B: Initiating transcription for ${sku}`);
+  logger.info(`importCustomAudiobook: Initiating transcription for ${sku}`);
 
   const transcriptionResult = await processPrivateM4B({
     uid,
@@ -297,7 +419,7 @@ export async function processCustomM4B({uid, audioPath, audioUrl}) {
   return {
     success: true,
     sku,
-    message: "Custom M4B processing initiated successfully",
+    message: `${description} processing initiated successfully`,
     fingerprint: fingerprintData.fingerprint,
     metadata: {
       title: moderatedMetadata.title,
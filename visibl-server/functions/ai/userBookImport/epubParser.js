@@ -0,0 +1,143 @@
+import path from "path";
+import logger from "../../util/logger.js";
+import {readZipEntries} from "../../util/zip.js";
+
+// Entries of an EPUB that hold text, the rest are images, fonts and styles
+const TEXT_EXTENSIONS = [".xml", ".opf", ".xhtml", ".html", ".htm"];
+// Named entities that are common in ebooks, numeric ones are decoded separately
+const NAMED_ENTITIES = {
+  amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " ", shy: "",
+  mdash: "—", ndash: "–", hellip: "…", lsquo: "‘", rsquo: "’", ldquo: "“", rdquo: "”",
+  laquo: "«", raquo: "»", copy: "©", eacute: "é", egrave: "è", agrave: "à", ccedil: "ç",
+};
+
+/**
+ * Decode the character references of XML or HTML text
+ * @param {string} text - The text
+ * @return {string} The decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (reference, name) => {
+    if (name[0] === "#") {
+      const codePoint = name[1].toLowerCase() === "x" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : "";
+    }
+    return NAMED_ENTITIES[name.toLowerCase()] ?? reference;
+  });
+}
+
+/**
+ * Read the attributes of a tag
+ * @param {string} tag - The tag, e.g. <item id="c1" href="c1.xhtml"/>
+ * @return {Object} Attribute values by name
+ */
+function tagAttributes(tag) {
+  const attributes = {};
+  for (const match of tag.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    attributes[match[1]] = decodeEntities(match[2] ?? match[3]);
+  }
+  return attributes;
+}
+
+/**
+ * Convert an XHTML document to plain text, a line per paragraph
+ * @param {string} html - The document
+ * @return {string} The text
+ */
+function htmlToText(html) {
+  const text = html
+      .replace(/<head[\s>][\s\S]*?<\/head>/i, "")
+      .replace(/<(script|style)[\s>][\s\S]*?<\/\1>/gi, "")
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<\/(p|div|h[1-6]|li|blockquote|section|tr|dt|dd)>/gi, "\n")
+      .replace(/<[^>]+>/g, "");
+  return decodeEntities(text)
+      .split("\n")
+      .map((line) => line.replace(/\s+/g, " ").trim())
+      .filter(Boolean)
+      .join("\n");
+}
+
+/**
+ * Get the title of a document, its first heading or else its title element
+ * @param {string} html - The document
+ * @return {string|null} The title
+ */
+function documentTitle(html) {
+  const heading = html.match(/<h[1-3][^>]*>([\s\S]*?)<\/h[1-3]>/i) || html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const title = heading ? htmlToText(heading[1]).replace(/\n/g, " ") : "";
+  return title || null;
+}
+
+/**
+ * Get the text of the first element of a name in an XML document
+ * @param {string} xml - The document
+ * @param {string} name - The element name, e.g. dc:title
+ * @return {string|null} The text
+ */
+function elementText(xml, name) {
+  const match = xml.match(new RegExp(`<${name}[^>]*>([\\s\\S]*?)</${name}>`, "i"));
+  return match ? decodeEntities(match[1].replace(/<[^>]+>/g, "")).trim() : null;
+}
+
+/**
+ * Parse an EPUB into its chapters and their text
+ * The package document is found through META-INF/container.xml, and every linear document
+ * of its spine with text becomes a chapter, in reading order.
+ * @param {string} epubPath - Local path of the EPUB
+ * @return {Promise<Object>} {title, author, chapters} chapters are {title, href, text}
+ */
+async function parseEpub(epubPath) {
+  const entries = await readZipEntries({
+    zipPath: epubPath,
+    filter: (name) => TEXT_EXTENSIONS.includes(path.posix.extname(name).toLowerCase()),
+  });
+  const readEntry = (name) => entries.get(name)?.toString("utf8");
+
+  const container = readEntry("META-INF/container.xml");
+  if (!container) {
+    throw new Error("Invalid EPUB: META-INF/container.xml not found");
+  }
+  const rootfile = container.match(/<rootfile\b[^>]*>/i);
+  const opfPath = rootfile && tagAttributes(rootfile[0])["full-path"];
+  const opf = opfPath && readEntry(opfPath);
+  if (!opf) {
+    throw new Error("Invalid EPUB: package document not found");
+  }
+
+  const manifest = {};
+  for (const [tag] of opf.matchAll(/<(?:opf:)?item\b[^>]*>/gi)) {
+    const {id, href} = tagAttributes(tag);
+    if (id && href) {
+      manifest[id] = path.posix.join(path.posix.dirname(opfPath), decodeURIComponent(href.split("#")[0]));
+    }
+  }
+
+  const chapters = [];
+  for (const [tag] of opf.matchAll(/<(?:opf:)?itemref\b[^>]*>/gi)) {
+    const {idref, linear} = tagAttributes(tag);
+    const href = manifest[idref];
+    const html = href && readEntry(href);
+    if (linear === "no" || !html) {
+      continue;
+    }
+    const text = htmlToText(html);
+    if (text) {
+      chapters.push({title: documentTitle(html) || `Section ${chapters.length + 1}`, href, text});
+    }
+  }
+  if (chapters.length === 0) {
+    throw new Error("Invalid EPUB: no text found in the spine");
+  }
+
+  const title = elementText(opf, "dc:title");
+  const author = elementText(opf, "dc:creator");
+  logger.info(`parseEpub: Parsed ${chapters.length} chapters of "${title}" by ${author}`);
+  return {title, author, chapters};
+}
+
+export {
+  parseEpub,
+};
+
+export default parseEpub;
@@ -0,0 +1,111 @@
+import logger from "../../util/logger.js";
+import fs from "fs/promises";
+import path from "path";
+import os from "os";
+import {parseEpub} from "./epubParser.js";
+import {alignTranscriptions} from "./textAlignment.js";
+import {catalogueGetRtdb, catalogueUpdateRtdbProperty} from "../../storage/realtimeDb/catalogue.js";
+import {getTranscriptionsPath, loadTranscriptions} from "../transcribe/index.js";
+import {
+  downloadFileFromBucket,
+  uploadJsonToBucket,
+  deleteFile,
+} from "../../storage/storage.js";
+
+/**
+ * Normalize an EPUB upload path and check it is in the user's uploads directory
+ * @param {string} uid - User ID
+ * @param {string} epubPath - Path of the upload, with or without the uploads prefix
+ * @return {string} The full storage path
+ */
+function normalizeEpubPath(uid, epubPath) {
+  const expectedPrefix = `UserData/${uid}/Uploads/Raw/`;
+  const normalizedPath = epubPath.includes("UserData") ?
+    path.posix.normalize(epubPath) :
+    expectedPrefix + epubPath;
+
+  if (!normalizedPath.startsWith(expectedPrefix)) {
+    throw new Error("Invalid epubPath: must point to your uploads directory");
+  }
+  if (path.extname(normalizedPath).toLowerCase() !== ".epub") {
+    throw new Error("Invalid epubPath: must be an .epub file");
+  }
+  return normalizedPath;
+}
+
+/**
+ * Import the EPUB of a book that has been transcribed, and align its text to the transcription
+ * The ebook text replaces the ASR text of every segment it can be aligned to, so the graph
+ * steps read the book's own spelling of names instead of the ASR's. The aligned transcription
+ * is stored next to the ASR one as {sku}-transcriptions-aligned.json and getTranscriptions
+ * prefers it, so the EPUB should be imported before the book is graphed.
+ * @param {Object} params - Parameters object
+ * @param {string} params.uid - User ID, admin can import for any book
+ * @param {string} params.sku - SKU of the book
+ * @param {string} params.epubPath - Path of the EPUB in storage, users must upload to UserData/uid/Uploads/Raw/
+ * @return {Promise<Object>} Import result with the alignment stats
+ */
+export async function processEpubImport({uid, sku, epubPath}) {
+  if (!uid || !sku || !epubPath) {
+    throw new Error("uid, sku and epubPath are required");
+  }
+  const uploadPath = uid === "admin" ? epubPath : normalizeEpubPath(uid, epubPath);
+
+  const catalogueItem = await catalogueGetRtdb({sku});
+  if (!catalogueItem) {
+    throw new Error(`Book ${sku} not found`);
+  }
+  if (uid !== "admin" && catalogueItem.addedBy !== uid) {
+    throw new Error(`Only the owner of ${sku} can import its ebook`);
+  }
+  // Transcriptions are stored under the owner of a private book, public books under admin
+  const transcriptionUid = catalogueItem.addedBy || "admin";
+  const transcriptions = await loadTranscriptions({uid: transcriptionUid, sku});
+  logger.info(`processEpubImport: Importing ebook ${uploadPath} for ${sku} by user ${uid}`);
+
+  const workDir = path.join(os.tmpdir(), "visibl-temp", `epub-${Date.now()}`);
+  await fs.mkdir(workDir, {recursive: true});
+  try {
+    // 1. Parse the ebook and keep its text with the book
+    const localEpubPath = path.join(workDir, "book.epub");
+    await downloadFileFromBucket({bucketPath: uploadPath, localPath: localEpubPath});
+    const ebook = await parseEpub(localEpubPath);
+    const processedDir = path.posix.dirname(getTranscriptionsPath({uid: transcriptionUid, sku}));
+    await uploadJsonToBucket({json: ebook, bucketPath: `${processedDir}/${sku}-ebook.json`});
+
+    // 2. Align it to the transcription
+    const {transcriptions: aligned, stats} = alignTranscriptions({transcriptions, ebook});
+    if (stats.alignedSegments === 0) {
+      throw new Error(`The ebook "${ebook.title}" does not match the audio of ${sku}`);
+    }
+    await uploadJsonToBucket({
+      json: aligned,
+      bucketPath: getTranscriptionsPath({uid: transcriptionUid, sku, identifier: "aligned"}),
+    });
+
+    const ebookAlignment = {
+      title: ebook.title,
+      author: ebook.author,
+      chapters: ebook.chapters.length,
+      ...stats,
+      coverage: Math.round(stats.alignedSegments / stats.segments * 1000) / 1000,
+      alignedAt: Date.now(),
+    };
+    await catalogueUpdateRtdbProperty({sku, property: "ebookAlignment", value: ebookAlignment});
+
+    if (uid !== "admin") {
+      await deleteFile({path: uploadPath});
+    }
+    logger.info(`processEpubImport: Aligned ${stats.alignedSegments}/${stats.segments} segments of ${sku} to "${ebook.title}"`);
+    return {
+      success: true,
+      sku,
+      ebookAlignment,
+      message: "Ebook imported and aligned successfully",
+    };
+  } finally {
+    await fs.rm(workDir, {recursive: true, force: true}).catch(() => {});
+  }
+}
+
+export default processEpubImport;
@@ -9,6 +9,9 @@ export {
   moderateMetadata,
 } from "./metadataProcessor.js";
 
+// Chapter detection for books without chapter markers
+export {ensureChapters} from "./chapterDetector.js";
+
 // Cover generation
 export {
   generateBookCover,
@@ -21,6 +24,17 @@ export {
   generateFingerprintFromMetadata,
   generateSkuFromFingerprint,
 } from "./audioFingerprint.js";
+export {
+  generateAcousticFingerprint,
+  compareAcousticFingerprints,
+} from "./acousticFingerprint.js";
+
+// Ebook import and alignment to the transcription
+export {parseEpub} from "./epubParser.js";
+export {alignTranscriptions} from "./textAlignment.js";
 
-// Main processing function
+// Main processing functions
 export {processCustomM4B} from "./customM4BProcessor.js";
+export {processCustomAudioFiles} from "./multiFileProcessor.js";
+export {processEpubImport} from "./epubProcessor.js";
+export {processTextBook} from "./textBookProcessor.js";
@@ -391,10 +391,21 @@ export async function moderateMetadata({metadata, uid, sku, mockResponse}) {
  * Extract metadata from M4B file using ffmpeg -f ffmetadata
  * Standardized to match the bindings format
  * @param {string} filePath - Path to the M4B file
- * @param {number} retryCount - Internal retry counter (default 0)
  * @return {Promise<Object>} Metadata object with standardized format
  */
-export async function extractMetadata(filePath, retryCount = 0) {
+export async function extractMetadata(filePath) {
+  const {metadata} = await extractMetadataAndTags(filePath);
+  return metadata;
+}
+
+/**
+ * Extract metadata from an audio file along with its raw tags
+ * Multi-file imports need tags like track and disc that the standardized format drops.
+ * @param {string} filePath - Path to the audio file
+ * @param {number} retryCount - Internal retry counter (default 0)
+ * @return {Promise<Object>} {metadata, tags} metadata in the standardized format, tags keyed by lowercase name
+ */
+export async function extractMetadataAndTags(filePath, retryCount = 0) {
   const maxRetries = 1;
   let stderrOutput = "";
   // Initialize with standardized bindings format
@@ -634,7 +645,7 @@ export async function extractMetadata(filePath, retryCount = 0) {
     metadata.numChapters = Object.keys(metadata.chapters).length;
 
     logger.info(`extractMetadata: Found ${metadata.numChapters} chapters, duration: ${metadata.length}s`);
-    return metadata;
+    return {metadata, tags: tempTags};
   } catch (error) {
     logger.error(`Failed to extract metadata (attempt ${retryCount + 1}/${maxRetries + 1}): ${error.message}`);
 
@@ -643,7 +654,7 @@ export async function extractMetadata(filePath, retryCount = 0) {
       logger.info(`Retrying metadata extraction for ${filePath}...`);
       // Wait a short time before retrying
       await new Promise((resolve) => setTimeout(resolve, 1000));
-      return extractMetadata(filePath, retryCount + 1);
+      return extractMetadataAndTags(filePath, retryCount + 1);
     }
 
     // If we've exhausted retries, throw an exception
@@ -656,4 +667,5 @@ export default {
   extractTitleAndAuthorFromTranscription,
   moderateMetadata,
   extractMetadata,
+  extractMetadataAndTags,
 };
@@ -0,0 +1,300 @@
+import logger from "../../util/logger.js";
+import ffmpeg from "fluent-ffmpeg";
+import fs from "fs/promises";
+import path from "path";
+import os from "os";
+import {extractMetadata, extractMetadataAndTags} from "./metadataProcessor.js";
+import {importCustomAudiobook} from "./customM4BProcessor.js";
+import {ensureChapters} from "./chapterDetector.js";
+import {downloadFileFromBucket} from "../../storage/storage.js";
+import {extractZip} from "../../util/zip.js";
+import {getInstance as getAnalytics} from "../../analytics/bookPipelineAnalytics.js";
+
+// Audio files a multi-file audiobook can be made of
+const AUDIO_EXTENSIONS = [".mp3", ".m4a", ".m4b", ".flac"];
+// Bitrate of the M4B when the files are not all AAC and have to be re-encoded
+const REENCODE_BITRATE = "96k";
+
+/**
+ * Normalize an upload path and check it is in the user's uploads directory
+ * @param {string} uid - User ID
+ * @param {string} audioPath - Path of the upload, with or without the uploads prefix
+ * @return {string} The full storage path
+ */
+function normalizeUploadPath(uid, audioPath) {
+  const expectedPrefix = `UserData/${uid}/Uploads/Raw/`;
+  const normalizedPath = audioPath.includes("UserData") ?
+    path.posix.normalize(audioPath) :
+    expectedPrefix + audioPath;
+
+  if (!normalizedPath.startsWith(expectedPrefix)) {
+    throw new Error("Invalid audioPaths: must point to your uploads directory");
+  }
+  const extension = path.extname(normalizedPath).toLowerCase();
+  if (extension !== ".zip" && !AUDIO_EXTENSIONS.includes(extension)) {
+    throw new Error(`Invalid audioPaths: ${path.basename(normalizedPath)} is not an mp3, m4a, m4b, flac or zip file`);
+  }
+  return normalizedPath;
+}
+
+/**
+ * Download the uploads, extracting the audio files of any zip
+ * @param {Array<string>} uploadPaths - Storage paths of the uploads
+ * @param {string} workDir - Local directory to download into
+ * @return {Promise<Array<Object>>} {name, localPath} for each audio file, name is its upload or zip entry path
+ */
+async function downloadAudioFiles(uploadPaths, workDir) {
+  const audioFiles = [];
+  for (const [index, uploadPath] of uploadPaths.entries()) {
+    const extension = path.extname(uploadPath).toLowerCase();
+    const localPath = path.join(workDir, `upload-${index}${extension}`);
+    await downloadFileFromBucket({bucketPath: uploadPath, localPath});
+
+    if (extension !== ".zip") {
+      audioFiles.push({name: path.basename(uploadPath), localPath});
+      continue;
+    }
+    const entries = await extractZip({
+      zipPath: localPath,
+      outputDir: path.join(workDir, `zip-${index}`),
+      filter: (name) => {
+        const baseName = path.posix.basename(name);
+        // Skip macOS resource forks and other hidden files
+        return !name.startsWith("__MACOSX/") && !baseName.startsWith(".") &&
+          AUDIO_EXTENSIONS.includes(path.extname(baseName).toLowerCase());
+      },
+    });
+    logger.info(`processCustomAudioFiles: Extracted ${entries.length} audio files from ${path.basename(uploadPath)}`);
+    audioFiles.push(...entries);
+    await fs.unlink(localPath).catch(() => {});
+  }
+  return audioFiles;
+}
+
+/**
+ * Parse a track or disc tag like "3" or "3/12"
+ * @param {string} value - The tag value
+ * @return {number|null} The number, null if there is none
+ */
+function tagNumber(value) {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * Order the audio files of the book
+ * Uses disc and track tags when every file has a track number, otherwise the file names.
+ * @param {Array<Object>} audioFiles - {name, localPath, metadata, tags} for each file
+ * @return {Array<Object>} The files in book order
+ */
+function orderAudioFiles(audioFiles) {
+  const byName = (a, b) => a.name.localeCompare(b.name, undefined, {numeric: true, sensitivity: "base"});
+  if (!audioFiles.every((file) => tagNumber(file.tags.track) !== null)) {
+    return [...audioFiles].sort(byName);
+  }
+  return [...audioFiles].sort((a, b) =>
+    (tagNumber(a.tags.disc) ?? 0) - (tagNumber(b.tags.disc) ?? 0) ||
+    tagNumber(a.tags.track) - tagNumber(b.tags.track) ||
+    byName(a, b));
+}
+
+/**
+ * Derive the book's chapters from the ordered files
+ * Each file is a chapter, unless it has chapter tags of its own, which are kept.
+ * @param {Array<Object>} orderedFiles - {name, metadata, tags} for each file in book order
+ * @return {Array<Object>} {startTime, endTime, title} for each chapter, in seconds from the start of the book
+ */
+function chaptersFromFiles(orderedFiles) {
+  const chapters = [];
+  let offset = 0;
+  for (const file of orderedFiles) {
+    const {metadata, tags} = file;
+    const fileChapters = Object.values(metadata.chapters);
+    if (fileChapters.length > 1) {
+      for (const chapter of fileChapters) {
+        chapters.push({
+          startTime: offset + chapter.startTime,
+          endTime: offset + chapter.endTime,
+          title: chapter.title,
+        });
+      }
+    } else {
+      chapters.push({
+        startTime: offset,
+        endTime: offset + metadata.length,
+        title: tags.title || path.posix.basename(file.name, path.extname(file.name)),
+      });
+    }
+    offset += metadata.length;
+  }
+  return chapters;
+}
+
+/**
+ * Escape a value for an ffmetadata file
+ * @param {string} value - The value
+ * @return {string} The escaped value
+ */
+function escapeFfmetadata(value) {
+  return String(value).replace(/[=;#\\\n]/g, (character) => `\\${character}`);
+}
+
+/**
+ * Write the book tags and chapters as an ffmetadata file
+ * @param {Object} params - Parameters object
+ * @param {string} params.filePath - Path to write to
+ * @param {Object} params.tags - Tags of the first file, the album is the book title
+ * @param {Array<Object>} params.chapters - The book's chapters
+ * @return {Promise<void>}
+ */
+async function writeFfmetadata({filePath, tags, chapters}) {
+  const bookTags = {
+    title: tags.album || tags.title,
+    artist: tags.album_artist || tags.artist || tags.author,
+    date: tags.date || tags.year,
+    comment: tags.comment || tags.description,
+    genre: tags.genre,
+    language: tags.language,
+  };
+  const lines = [";FFMETADATA1"];
+  for (const [key, value] of Object.entries(bookTags)) {
+    if (value) {
+      lines.push(`${key}=${escapeFfmetadata(value)}`);
+    }
+  }
+  for (const chapter of chapters) {
+    lines.push(
+        "[CHAPTER]",
+        "TIMEBASE=1/1000",
+        `START=${Math.round(chapter.startTime * 1000)}`,
+        `END=${Math.round(chapter.endTime * 1000)}`,
+        `title=${escapeFfmetadata(chapter.title)}`,
+    );
+  }
+  await fs.writeFile(filePath, lines.join("\n") + "\n");
+}
+
+/**
+ * Join the ordered files into one M4B with the book's tags and chapters
+ * AAC files are copied, anything else is re-encoded to AAC.
+ * @param {Object} params - Parameters object
+ * @param {Array<Object>} params.orderedFiles - {localPath, metadata} for each file in book order
+ * @param {string} params.metadataPath - Path of the ffmetadata file
+ * @param {string} params.outputPath - Path of the M4B to write
+ * @return {Promise<string>} The output path
+ */
+async function concatToM4B({orderedFiles, metadataPath, outputPath}) {
+  const listPath = `${outputPath}.txt`;
+  const list = orderedFiles.map((file) => `file '${file.localPath.replace(/'/g, "'\\''")}'`).join("\n");
+  await fs.writeFile(listPath, list + "\n");
+
+  const allAac = orderedFiles.every((file) => file.metadata.codec === "aac");
+  const codecOptions = allAac ? ["-c:a", "copy"] : ["-c:a", "aac", "-b:a", REENCODE_BITRATE];
+
+  try {
+    await new Promise((resolve, reject) => {
+      ffmpeg()
+          .input(listPath)
+          .inputOptions(["-f", "concat", "-safe", "0"])
+          .input(metadataPath)
+          .outputOptions([
+            "-map", "0:a",
+            "-map_metadata", "1",
+            "-map_chapters", "1",
+            ...codecOptions,
+            "-f", "mp4",
+          ])
+          .noVideo()
+          .output(outputPath)
+          .on("start", (commandLine) => {
+            logger.debug(`concatToM4B: FFmpeg command: ${commandLine}`);
+          })
+          .on("end", () => resolve(outputPath))
+          .on("error", (err) => {
+            logger.error(`concatToM4B: error occurred: ${err.message}`);
+            reject(err);
+          })
+          .run();
+    });
+  } finally {
+    await fs.unlink(listPath).catch(() => {});
+  }
+  return outputPath;
+}
+
+/**
+ * Process a custom audiobook uploaded as several audio files, usually one per chapter
+ * The files (mp3, m4a, m4b or flac, or zips of them) are ordered by their track tags or
+ * names and joined into one M4B, with a chapter per file or the files' own chapter tags.
+ * From there the book is fingerprinted, catalogued and transcribed like a custom M4B.
+ * @param {Object} params - Parameters object
+ * @param {string} params.uid - User ID
+ * @param {Array<string>} params.audioPaths - Paths of the uploads in storage (e.g., UserData/uid/Uploads/Raw/01.mp3)
+ * @return {Promise<Object>} Processing result with SKU
+ */
+export async function processCustomAudioFiles({uid, audioPaths}) {
+  if (!uid) {
+    throw new Error("User ID is required");
+  }
+  if (!Array.isArray(audioPaths) || audioPaths.length === 0) {
+    throw new Error("audioPaths must be a non-empty array");
+  }
+
+  const uploadPaths = audioPaths.map((audioPath) => normalizeUploadPath(uid, audioPath));
+  logger.info(`processCustomAudioFiles: Starting processing of ${uploadPaths.length} uploads by user ${uid}`);
+
+  const analytics = getAnalytics();
+  await analytics.trackBookImportStarted({
+    uid,
+    sku: null, // SKU not generated yet
+    bookTitle: "Unknown", // Not yet extracted
+    bookAuthor: "Unknown",
+    source: "custom_multi_file_upload",
+    entryType: "m4b",
+  }).catch((err) => logger.debug(`Analytics error: ${err.message}`));
+
+  // Create a work directory inside the writable /tmp mount for Cloud Functions
+  const workDir = path.join(os.tmpdir(), "visibl-temp", `multi-${Date.now()}`);
+  await fs.mkdir(workDir, {recursive: true});
+
+  try {
+    // 1. Download the files and read their tags and chapters
+    const audioFiles = await downloadAudioFiles(uploadPaths, workDir);
+    if (audioFiles.length === 0) {
+      throw new Error("No audio files found in the uploads");
+    }
+    for (const file of audioFiles) {
+      const {metadata, tags} = await extractMetadataAndTags(file.localPath);
+      if (!metadata.length) {
+        throw new Error(`Invalid audio file ${file.name}: unable to extract its duration`);
+      }
+      Object.assign(file, {metadata, tags});
+    }
+
+    // 2. Order the files and join them into one M4B with chapters at the file boundaries
+    const orderedFiles = orderAudioFiles(audioFiles);
+    const chapters = chaptersFromFiles(orderedFiles);
+    logger.info(`processCustomAudioFiles: Joining ${orderedFiles.length} files into ${chapters.length} chapters`);
+
+    const metadataPath = path.join(workDir, "book.ffmetadata.txt");
+    await writeFfmetadata({filePath: metadataPath, tags: orderedFiles[0].tags, chapters});
+    const localM4bPath = path.join(workDir, "book.m4b");
+    await concatToM4B({orderedFiles, metadataPath, outputPath: localM4bPath});
+
+    // 3. Read the joined book back like an uploaded M4B, a single file without chapter tags gets detected chapters
+    const metadata = await ensureChapters({filePath: localM4bPath, metadata: await extractMetadata(localM4bPath), uid});
+    logger.debug(`processCustomAudioFiles: Found ${metadata.numChapters} chapters, duration: ${metadata.length}s`);
+
+    return await importCustomAudiobook({
+      uid,
+      metadata,
+      localM4bPath,
+      uploadPaths,
+      description: "Multi-file audiobook",
+    });
+  } finally {
+    await fs.rm(workDir, {recursive: true, force: true}).catch(() => {});
+  }
+}
+
+export default processCustomAudioFiles;
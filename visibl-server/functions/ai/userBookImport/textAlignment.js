@@ -0,0 +1,209 @@
+import logger from "../../util/logger.js";
+
+// Runs of this many words found once in both texts anchor the alignment
+const ANCHOR_WORDS = 4;
+// Between anchors further apart than this, in words of either text, nothing is aligned
+const MAX_ANCHOR_GAP = 40;
+// Share of a segment's ASR words that must be in its ebook text for the ebook text to be used
+const MIN_SEGMENT_SIMILARITY = 0.5;
+
+/**
+ * Normalize a word for matching, e.g. "Hermione’s," and "hermiones" are the same word
+ * @param {string} word - The word
+ * @return {string} Lowercase letters and digits of the word, empty for punctuation
+ */
+function normalizeWord(word) {
+  return word.toLowerCase().normalize("NFKD").replace(/[^\p{L}\p{N}]/gu, "");
+}
+
+/**
+ * Split text into its words, keeping the original words for output
+ * Words joined by a dash or ellipsis without spaces, common in ebooks, are split after it.
+ * @param {string} text - The text
+ * @return {Array<Object>} {word, normalized} for each word
+ */
+function tokenize(text) {
+  return text.split(/\s+|(?<=[—–…])(?=\S)/).filter(Boolean).map((word) => ({word, normalized: normalizeWord(word)}));
+}
+
+/**
+ * Find the anchors of two word sequences: runs of ANCHOR_WORDS words that occur exactly once
+ * in each, kept in the largest set that is in the same order in both
+ * @param {Array<string>} asrWords - Normalized ASR words
+ * @param {Array<string>} ebookWords - Normalized ebook words
+ * @return {Array<Object>} {asr, ebook} start index of each anchor in both sequences, in order
+ */
+function findAnchors(asrWords, ebookWords) {
+  const countRuns = (words) => {
+    const runs = new Map();
+    for (let i = 0; i + ANCHOR_WORDS <= words.length; i++) {
+      const key = words.slice(i, i + ANCHOR_WORDS).join(" ");
+      const run = runs.get(key);
+      runs.set(key, run ? {index: i, count: run.count + 1} : {index: i, count: 1});
+    }
+    return runs;
+  };
+  const asrRuns = countRuns(asrWords);
+  const ebookRuns = countRuns(ebookWords);
+
+  const candidates = [];
+  for (const [key, asrRun] of asrRuns) {
+    const ebookRun = ebookRuns.get(key);
+    if (asrRun.count === 1 && ebookRun?.count === 1) {
+      candidates.push({asr: asrRun.index, ebook: ebookRun.index});
+    }
+  }
+  candidates.sort((a, b) => a.asr - b.asr);
+
+  // Longest increasing subsequence of the ebook positions, drops anchors that cross others
+  const tails = [];
+  const previous = new Array(candidates.length);
+  candidates.forEach((candidate, index) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (candidates[tails[middle]].ebook < candidate.ebook) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    previous[index] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = index;
+  });
+  const anchors = [];
+  for (let index = tails.length ? tails[tails.length - 1] : -1; index !== -1; index = previous[index]) {
+    anchors.push(candidates[index]);
+  }
+  return anchors.reverse();
+}
+
+/**
+ * Map a word position of the ASR text to the ebook text
+ * Positions inside an anchor map exactly, positions between two close anchors are interpolated.
+ * @param {Array<Object>} anchors - Anchors from findAnchors
+ * @param {number} position - Index of an ASR word, or the ASR word count for the end
+ * @return {number|null} Index of the ebook word, null where the texts do not match
+ */
+function mapPosition(anchors, position) {
+  let low = 0;
+  let high = anchors.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (anchors[middle].asr <= position) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  const before = anchors[low - 1];
+  const after = anchors[low];
+  if (!before) {
+    return null;
+  }
+  if (position - before.asr <= ANCHOR_WORDS) {
+    return before.ebook + position - before.asr;
+  }
+  if (!after) {
+    return null;
+  }
+  const asrGap = after.asr - before.asr;
+  const ebookGap = after.ebook - before.ebook;
+  if (asrGap > MAX_ANCHOR_GAP || ebookGap > MAX_ANCHOR_GAP) {
+    return null;
+  }
+  return before.ebook + Math.round((position - before.asr) * ebookGap / asrGap);
+}
+
+/**
+ * Share of the ASR words that are also in the ebook words
+ * @param {Array<string>} asrWords - Normalized words of the segment
+ * @param {Array<string>} ebookWords - Normalized words of its ebook text
+ * @return {number} Similarity between 0 and 1
+ */
+function wordSimilarity(asrWords, ebookWords) {
+  if (asrWords.length === 0 || ebookWords.length === 0) {
+    return 0;
+  }
+  const remaining = new Map();
+  for (const word of ebookWords) {
+    remaining.set(word, (remaining.get(word) || 0) + 1);
+  }
+  let shared = 0;
+  for (const word of asrWords) {
+    if (remaining.get(word) > 0) {
+      remaining.set(word, remaining.get(word) - 1);
+      shared++;
+    }
+  }
+  return shared / Math.max(asrWords.length, ebookWords.length);
+}
+
+/**
+ * Align ebook text to the timed segments of a transcription
+ * The whole book is matched as one word sequence, so the ebook's chapters need not be the
+ * audio's. Each segment keeps its timing and takes the ebook words between the mapped
+ * positions of its first word and the next segment's first word. Segments in stretches that
+ * don't match the ebook, like credits or a skipped foreword, keep their ASR text.
+ * @param {Object} params - Parameters object
+ * @param {Object} params.transcriptions - Segments {id, startTime, text} of each chapter
+ * @param {Object} params.ebook - The ebook from parseEpub, {chapters} with the text of each
+ * @return {Object} {transcriptions, stats} aligned segments by chapter, stats are {segments, alignedSegments, anchors}
+ */
+function alignTranscriptions({transcriptions, ebook}) {
+  const display = tokenize(ebook.chapters.map((chapter) => chapter.text).join("\n"));
+  // Punctuation-only tokens like "—" are not matched, they stay with the word before them
+  const ebookIndex = [];
+  display.forEach((token, index) => {
+    if (token.normalized) {
+      ebookIndex.push(index);
+    }
+  });
+  const ebookWords = ebookIndex.map((index) => display[index].normalized);
+
+  const chapters = Object.keys(transcriptions).sort((a, b) => parseInt(a) - parseInt(b));
+  const segments = [];
+  const asrWords = [];
+  for (const chapter of chapters) {
+    for (const segment of transcriptions[chapter] || []) {
+      const words = tokenize(segment.text || "").map((token) => token.normalized).filter(Boolean);
+      segments.push({chapter, segment, start: asrWords.length, words});
+      asrWords.push(...words);
+    }
+  }
+
+  const anchors = findAnchors(asrWords, ebookWords);
+  const ebookText = (start, end) => display
+      .slice(ebookIndex[start], end < ebookIndex.length ? ebookIndex[end] : display.length)
+      .map((token) => token.word)
+      .join(" ");
+
+  const aligned = {};
+  let alignedSegments = 0;
+  segments.forEach(({chapter, segment, start, words}, index) => {
+    aligned[chapter] = aligned[chapter] || [];
+    const end = index + 1 < segments.length ? segments[index + 1].start : asrWords.length;
+    const ebookStart = mapPosition(anchors, start);
+    const ebookEnd = mapPosition(anchors, end);
+    if (ebookStart !== null && ebookEnd !== null && ebookEnd > ebookStart &&
+      wordSimilarity(words, ebookWords.slice(ebookStart, ebookEnd)) >= MIN_SEGMENT_SIMILARITY) {
+      aligned[chapter].push({...segment, text: ebookText(ebookStart, ebookEnd)});
+      alignedSegments++;
+    } else {
+      aligned[chapter].push(segment);
+    }
+  });
+
+  logger.info(`alignTranscriptions: Aligned ${alignedSegments}/${segments.length} segments with ${anchors.length} anchors`);
+  return {
+    transcriptions: aligned,
+    stats: {segments: segments.length, alignedSegments, anchors: anchors.length},
+  };
+}
+
+export {
+  alignTranscriptions,
+};
+
+export default alignTranscriptions;
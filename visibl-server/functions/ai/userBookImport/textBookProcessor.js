@@ -0,0 +1,340 @@
+import logger from "../../util/logger.js";
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import os from "os";
+import {parseEpub} from "./epubParser.js";
+import {moderateMetadata} from "./metadataProcessor.js";
+import {generateBookCover} from "./coverGenerator.js";
+import {generateSkuFromFingerprint} from "./audioFingerprint.js";
+import {catalogueAddRtdb, catalogueGetRtdb} from "../../storage/realtimeDb/catalogue.js";
+import {libraryAddItemRtdb, libraryUpdateTranscriptionStatusRtdb} from "../../storage/realtimeDb/library.js";
+import {addImportedSku} from "../../storage/realtimeDb/users.js";
+import {saveUncorrectedTranscriptions} from "../transcribe/index.js";
+import {downloadFileFromBucket, deleteFile} from "../../storage/storage.js";
+import {checkAndInitiateGraphGeneration} from "../../util/graphGenerationHelper.js";
+import {readingWordsPerMinute, wordsToSeconds} from "../../util/readingTime.js";
+import {getInstance as getAnalytics} from "../../analytics/bookPipelineAnalytics.js";
+
+// Files a text-only book can be imported from
+const TEXT_EXTENSIONS = [".txt", ".epub"];
+// Segments end at the first sentence end after this many words, about the length of an ASR segment
+const SEGMENT_WORDS = 30;
+// Segments without a sentence end are cut at this many words
+const MAX_SEGMENT_WORDS = 80;
+// Plain text without chapter headings is cut into chapters of about this many words
+const TEXT_CHAPTER_WORDS = 6000;
+// Reading speeds an import can ask for
+const MIN_WORDS_PER_MINUTE = 50;
+const MAX_WORDS_PER_MINUTE = 1000;
+// A short paragraph like "Chapter 12", "CHAPTER TWELVE: The Storm" or "Prologue" starts a chapter of plain text
+// Part and book need a number, as both also start ordinary sentences
+const CHAPTER_HEADING = new RegExp("^(?:chapter\\s+[\\w-]+|(?:part|book)\\s+(?:\\d+|[ivxlc]+|one|two|three|four|five|" +
+  "six|seven|eight|nine|ten|eleven|twelve|[a-z]+teen|[a-z]+ty)|prologue|epilogue|interlude|afterword)\\b", "i");
+const MAX_HEADING_WORDS = 10;
+
+/**
+ * Normalize a text upload path and check it is in the user's uploads directory
+ * @param {string} uid - User ID
+ * @param {string} textPath - Path of the upload, with or without the uploads prefix
+ * @return {string} The full storage path
+ */
+function normalizeTextPath(uid, textPath) {
+  const expectedPrefix = `UserData/${uid}/Uploads/Raw/`;
+  const normalizedPath = textPath.includes("UserData") ?
+    path.posix.normalize(textPath) :
+    expectedPrefix + textPath;
+
+  if (!normalizedPath.startsWith(expectedPrefix)) {
+    throw new Error("Invalid textPath: must point to your uploads directory");
+  }
+  if (!TEXT_EXTENSIONS.includes(path.extname(normalizedPath).toLowerCase())) {
+    throw new Error("Invalid textPath: must be a .txt or .epub file");
+  }
+  return normalizedPath;
+}
+
+/**
+ * Get the reading speed of an import and check it is in range
+ * @param {number|string} [wordsPerMinute] - Requested reading speed
+ * @return {number} Words per minute, the READING_WORDS_PER_MINUTE default if none was requested
+ */
+export function validateWordsPerMinute(wordsPerMinute) {
+  const readingSpeed = wordsPerMinute === undefined || wordsPerMinute === null ?
+    readingWordsPerMinute() :
+    Number(wordsPerMinute);
+  if (!(readingSpeed >= MIN_WORDS_PER_MINUTE && readingSpeed <= MAX_WORDS_PER_MINUTE)) {
+    throw new Error(`wordsPerMinute must be between ${MIN_WORDS_PER_MINUTE} and ${MAX_WORDS_PER_MINUTE}`);
+  }
+  return readingSpeed;
+}
+
+/**
+ * Count the words of a text
+ * @param {string} text - The text
+ * @return {number} Number of words
+ */
+function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Split plain text into chapters
+ * Paragraphs are separated by blank lines. Chapters start at headings like "Chapter 3", and
+ * text without them is cut at paragraph ends into chapters of about TEXT_CHAPTER_WORDS words.
+ * @param {string} text - The text
+ * @return {Array<Object>} {title, text} for each chapter, text has a line per paragraph
+ */
+function splitPlainText(text) {
+  const paragraphs = text.replace(/\r\n?/g, "\n")
+      .split(/\n\s*\n/)
+      .map((paragraph) => paragraph.replace(/\s+/g, " ").trim())
+      .filter(Boolean);
+  const isHeading = (paragraph) => CHAPTER_HEADING.test(paragraph) && countWords(paragraph) <= MAX_HEADING_WORDS;
+
+  const chapters = [];
+  if (paragraphs.filter(isHeading).length > 1) {
+    for (const paragraph of paragraphs) {
+      if (isHeading(paragraph)) {
+        chapters.push({title: paragraph, paragraphs: [paragraph]});
+      } else if (chapters.length === 0) {
+        chapters.push({title: "Opening", paragraphs: [paragraph]});
+      } else {
+        chapters[chapters.length - 1].paragraphs.push(paragraph);
+      }
+    }
+  } else {
+    let words = TEXT_CHAPTER_WORDS;
+    for (const paragraph of paragraphs) {
+      if (words >= TEXT_CHAPTER_WORDS) {
+        chapters.push({title: `Part ${chapters.length + 1}`, paragraphs: []});
+        words = 0;
+      }
+      chapters[chapters.length - 1].paragraphs.push(paragraph);
+      words += countWords(paragraph);
+    }
+  }
+  return chapters.map((chapter) => ({title: chapter.title, text: chapter.paragraphs.join("\n")}));
+}
+
+/**
+ * Time the text of a book at a reading speed, giving transcriptions like generateTranscriptions
+ * Each chapter's paragraphs are split into segments at sentence ends, and a segment starts
+ * at the time it takes to read the words before it.
+ * @param {Object} params - Parameters object
+ * @param {Array<Object>} params.chapters - {title, text} for each chapter, text has a line per paragraph
+ * @param {number} params.wordsPerMinute - Reading speed
+ * @return {Object} {transcriptions, chapters, totalWords} segments {id, startTime, text} by chapter,
+ *   and {startTime, endTime, title, startWord, endWord} for each chapter
+ */
+function buildReadingTranscriptions({chapters, wordsPerMinute}) {
+  const transcriptions = {};
+  const chapterMetadata = {};
+  let wordOffset = 0;
+
+  chapters.forEach((chapter, index) => {
+    const startWord = wordOffset;
+    const segments = [];
+    const addSegment = (words) => {
+      segments.push({id: segments.length, startTime: wordsToSeconds(wordOffset, wordsPerMinute), text: words.join(" ")});
+      wordOffset += words.length;
+    };
+
+    for (const paragraph of chapter.text.split("\n")) {
+      let words = [];
+      for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+        words.push(word);
+        const sentenceEnd = /[.!?…]["”’)\]]*$/.test(word);
+        if ((sentenceEnd && words.length >= SEGMENT_WORDS) || words.length >= MAX_SEGMENT_WORDS) {
+          addSegment(words);
+          words = [];
+        }
+      }
+      if (words.length > 0) {
+        addSegment(words);
+      }
+    }
+
+    transcriptions[index.toString()] = segments;
+    chapterMetadata[index.toString()] = {
+      startTime: wordsToSeconds(startWord, wordsPerMinute),
+      endTime: wordsToSeconds(wordOffset, wordsPerMinute),
+      title: chapter.title,
+      startWord,
+      endWord: wordOffset,
+    };
+  });
+  return {transcriptions, chapters: chapterMetadata, totalWords: wordOffset};
+}
+
+/**
+ * Read the title, author and chapters of an uploaded text or EPUB
+ * @param {string} localPath - Local path of the file
+ * @param {string} fileName - Name of the upload, the title of plain text
+ * @return {Promise<Object>} {title, author, chapters} chapters are {title, text}
+ */
+async function readBookText(localPath, fileName) {
+  if (path.extname(fileName).toLowerCase() === ".epub") {
+    return await parseEpub(localPath);
+  }
+  const text = await fs.readFile(localPath, "utf8");
+  return {
+    title: path.basename(fileName, path.extname(fileName)),
+    author: null,
+    chapters: splitPlainText(text),
+  };
+}
+
+/**
+ * Import a book that has no audio from plain text or an EPUB
+ * The text is timed at a reading speed and saved as the book's transcriptions, so the graph
+ * pipeline and scenes timeline treat it like a transcribed audiobook. The catalogue item has
+ * mediaType "text" and its library progress is a reading position, see util/readingTime.js.
+ * @param {Object} params - Parameters object
+ * @param {string} params.uid - User ID
+ * @param {string} params.textPath - Path of the upload in storage (e.g., UserData/uid/Uploads/Raw/book.epub)
+ * @param {number} [params.wordsPerMinute] - Reading speed, defaults to READING_WORDS_PER_MINUTE
+ * @return {Promise<Object>} Processing result with SKU
+ */
+export async function processTextBook({uid, textPath, wordsPerMinute}) {
+  if (!uid) {
+    throw new Error("User ID is required");
+  }
+  if (!textPath) {
+    throw new Error("textPath is required");
+  }
+  const readingSpeed = validateWordsPerMinute(wordsPerMinute);
+
+  const uploadPath = normalizeTextPath(uid, textPath);
+  logger.info(`processTextBook: Starting processing of ${uploadPath} for user ${uid} at ${readingSpeed} words per minute`);
+
+  const analytics = getAnalytics();
+  await analytics.trackBookImportStarted({
+    uid,
+    sku: null, // SKU not generated yet
+    bookTitle: "Unknown", // Not yet extracted
+    bookAuthor: "Unknown",
+    source: "custom_text_upload",
+    entryType: "text",
+  }).catch((err) => logger.debug(`Analytics error: ${err.message}`));
+
+  const workDir = path.join(os.tmpdir(), "visibl-temp", `text-${Date.now()}`);
+  await fs.mkdir(workDir, {recursive: true});
+  let book;
+  try {
+    const localPath = path.join(workDir, `book${path.extname(uploadPath).toLowerCase()}`);
+    await downloadFileFromBucket({bucketPath: uploadPath, localPath});
+    book = await readBookText(localPath, path.posix.basename(uploadPath));
+  } finally {
+    await fs.rm(workDir, {recursive: true, force: true}).catch(() => {});
+  }
+
+  // 1. Key the SKU on the words of the book and the reading speed, so the same text imported twice
+  // at the same speed is one book, while a different speed is a book with its own timing
+  const words = book.chapters.map((chapter) => chapter.text).join(" ").toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) {
+    throw new Error("No text found in the upload");
+  }
+  const sku = generateSkuFromFingerprint({
+    fingerprint: crypto.createHash("sha256").update(`${readingSpeed}:${words.join(" ")}`).digest("hex"),
+    prefix: "CSTM",
+  });
+
+  if (await catalogueGetRtdb({sku})) {
+    logger.warn(`processTextBook: SKU ${sku} already exists in catalogue`);
+    await libraryAddItemRtdb({uid, data: {sku}});
+    await addImportedSku({uid, sku});
+    await deleteFile({path: uploadPath});
+    return {
+      success: true,
+      message: "This book has already been processed",
+      sku,
+    };
+  }
+
+  // 2. Time the text and moderate the metadata
+  const {transcriptions, chapters, totalWords} = buildReadingTranscriptions({
+    chapters: book.chapters,
+    wordsPerMinute: readingSpeed,
+  });
+  const metadata = {
+    title: book.title || "Untitled",
+    author: book.author ? [book.author] : ["Unknown"],
+    chapters,
+    numChapters: book.chapters.length,
+    length: wordsToSeconds(totalWords, readingSpeed),
+  };
+  const moderatedMetadata = await moderateMetadata({metadata, uid, sku});
+
+  // 3. Create the private catalogue item and save the timed text as its transcriptions
+  logger.info(`processTextBook: Creating catalogue item for ${sku} with ${totalWords} words in ${metadata.numChapters} chapters`);
+  await catalogueAddRtdb({
+    body: {
+      sku,
+      title: moderatedMetadata.title || "Untitled",
+      // Ensure author is always an array
+      author: Array.isArray(moderatedMetadata.author) ?
+        (moderatedMetadata.author.length > 0 ? moderatedMetadata.author : ["Unknown"]) :
+        (moderatedMetadata.author ? [moderatedMetadata.author] : ["Unknown"]),
+      visibility: "private",
+      addedBy: uid,
+      fiction: true, // Default to fiction for custom uploads
+      coverArtUrl: null,
+      mediaType: "text",
+      reading: {
+        wordsPerMinute: readingSpeed,
+        totalWords,
+      },
+      metadata: moderatedMetadata,
+      graphProgress: {
+        status: "pending",
+        currentStep: "transcription",
+        completion: 0,
+        inProgress: false,
+      },
+      isCustomUpload: true,
+      uploadedAt: new Date().toISOString(),
+    },
+  });
+
+  await saveUncorrectedTranscriptions({uid, sku, transcriptions, identifier: "raw"});
+  await saveUncorrectedTranscriptions({uid, sku, transcriptions});
+
+  // 4. Add it to the user's library with every chapter ready, there is nothing to transcribe
+  await libraryAddItemRtdb({uid, data: {sku}});
+  await addImportedSku({uid, sku});
+  await Promise.all(Object.keys(transcriptions).map((chapter) =>
+    libraryUpdateTranscriptionStatusRtdb({uid, sku, chapter, status: "ready"})));
+  await deleteFile({path: uploadPath});
+
+  // 5. Generate a cover, as an audiobook's would be after transcription, and start graph generation
+  try {
+    const coverResult = await generateBookCover({
+      title: moderatedMetadata.title,
+      author: metadata.author.join(", "),
+      uid,
+      sku,
+    });
+    if (!coverResult.success) {
+      logger.warn(`processTextBook: Failed to generate book cover for ${sku}: ${coverResult.error}`);
+    }
+  } catch (error) {
+    logger.error(`processTextBook: Error generating book cover for ${sku}:`, error);
+  }
+  await checkAndInitiateGraphGeneration({uid, sku});
+
+  return {
+    success: true,
+    sku,
+    message: "Text book processing initiated successfully",
+    metadata: {
+      title: moderatedMetadata.title,
+      author: moderatedMetadata.author,
+      numChapters: metadata.numChapters,
+      totalWords,
+      wordsPerMinute: readingSpeed,
+    },
+  };
+}
+
+export default processTextBook;
@@ -4,17 +4,20 @@ import {createReadStream} from "fs";
 import {fileURLToPath} from "url";
 import {dirname, join} from "path";
 import axios from "axios";
-import {queueGetEntries, queueUpdateEntries, queueSetItemsToError} from "../../storage/firestore/queue.js";
+import {
+  queueGetEntries,
+  queueUpdateEntries,
+  queueRecordAttempt,
+  queueDeadLetterEntries,
+} from "../../storage/firestore/queue.js";
 import {uploadStreamAndGetPublicLink} from "../../storage/storage.js";
 import {uploadUrlToCloudflare} from "../../storage/cloudflare.js";
 import {sharpStream} from "../../util/sharp.js";
 import {captureEvent, flushAnalytics} from "../../analytics/index.js";
 import {searchBilling} from "./wavespeed.js";
 import {wavespeedQueue} from "../queue/wavespeedQueue.js";
-import handleSceneImagePostProcessing from "../../storage/realtimeDb/hooks/handleSceneImagePostProcessing.js";
-import handleCharacterImagePostProcessing from "../../storage/realtimeDb/hooks/handleCharacterImagePostProcessing.js";
-import handleLocationImagePostProcessing from "../../storage/realtimeDb/hooks/handleLocationImagePostProcessing.js";
-import handleCoverArtPostProcessing from "../../storage/realtimeDb/hooks/handleCoverArtPostProcessing.js";
+import {recordImageProviderResult, rerouteImageEntries} from "../queue/imageProviderRouter.js";
+import handleImagePostProcessing from "../../storage/realtimeDb/hooks/handleImagePostProcessing.js";
 import {WAVESPEED_WEBHOOK_SECRET, MOCK_IMAGES} from "../../config/config.js";
 
 /**
@@ -191,16 +194,8 @@ async function processWavespeedCallback({entryId, payload}) {
       const storedResult = resultGcsPath ? {resultGcsPath} : result;
 
       // Handle post-processing hooks
-      const resultObj = {result: storedResult};
-      if (entry.params?.type === "sceneImage") {
-        await handleSceneImagePostProcessing(entry, resultObj);
-      } else if (entry.params?.type === "character" || entry.params?.type === "character-profile") {
-        await handleCharacterImagePostProcessing(entry, resultObj);
-      } else if (entry.params?.type === "location") {
-        await handleLocationImagePostProcessing(entry, resultObj);
-      } else if (entry.params?.type === "coverArt") {
-        await handleCoverArtPostProcessing(entry, resultObj);
-      }
+      await handleImagePostProcessing(entry, {result: storedResult});
+      await recordImageProviderResult({provider: "wavespeed", success: true});
 
       // Mark entry as complete
       await queueUpdateEntries({
@@ -218,16 +213,20 @@ async function processWavespeedCallback({entryId, payload}) {
       const errorMessage = payload.error || "Unknown error";
       logger.error(`Wavespeed task failed for entry ${entryId}: ${errorMessage}`);
 
+      await recordImageProviderResult({provider: "wavespeed", success: false});
+
+      await queueRecordAttempt({entry, error: errorMessage, providerResponse: payload});
+
       // Handle retry
       const error = new Error(errorMessage);
       const retryResult = await wavespeedQueue.handleRetry({entry, error});
 
-      // If retry didn't handle it, mark as error
-      if (!retryResult?.success) {
-        await queueSetItemsToError({
-          queue: [entry],
-          error: errorMessage,
-        });
+      // Out of retries, try the next provider in the failover chain before marking as error
+      const rerouted = retryResult?.success ?
+        [] :
+        await rerouteImageEntries({fromProvider: "wavespeed", entries: [entry], reason: errorMessage});
+      if (!retryResult?.success && rerouted.length === 0) {
+        await queueDeadLetterEntries({ids: [entry.id], errors: [errorMessage]});
       }
 
       // Capture analytics for failure
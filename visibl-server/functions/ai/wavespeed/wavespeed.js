@@ -29,11 +29,49 @@ const WAVESPEED_MODELS = {
   },
 };
 
+// Models that accept reference images for conditioning, the input field they
+// expect and how many images they take
+const WAVESPEED_REFERENCE_IMAGE_MODELS = {
+  "wavespeed-ai/flux-kontext-dev/multi": {param: "images", maxImages: 4},
+  "bytedance/seedream-v4/edit": {param: "images", maxImages: 10},
+};
+
+/**
+ * Get the number of reference images a model accepts
+ * @param {Object} params - Parameters
+ * @param {string} params.model - Wavespeed model path
+ * @return {number} Maximum reference images, 0 if the model is text-only
+ */
+function maxReferenceImages({model}) {
+  return WAVESPEED_REFERENCE_IMAGE_MODELS[model]?.maxImages || 0;
+}
+
+/**
+ * Build the model input for reference images. Text-only models get nothing,
+ * so callers can always pass references and fall back to the prompt alone.
+ * @param {Object} params - Parameters
+ * @param {string} params.model - Wavespeed model path
+ * @param {Array<string>} params.referenceImages - Public URLs of the reference images
+ * @return {Object} Input fields to merge into the request payload
+ */
+function referenceImageInput({model, referenceImages = []}) {
+  if (referenceImages.length === 0) {
+    return {};
+  }
+  const modelConfig = WAVESPEED_REFERENCE_IMAGE_MODELS[model];
+  if (!modelConfig) {
+    logger.debug(`Wavespeed model ${model} does not support reference images, ignoring ${referenceImages.length} references`);
+    return {};
+  }
+  return {[modelConfig.param]: referenceImages.slice(0, modelConfig.maxImages)};
+}
+
 async function generateImage(request) {
   const {
     prompt,
     model = "wavespeed-ai/flux-kontext-dev/multi",
     modelParams = {},
+    referenceImages = [],
     webhookUrl,
   } = request;
 
@@ -57,6 +95,7 @@ async function generateImage(request) {
         prompt: prompt,
         ...modelConfig.params,
         ...modelParams,
+        ...referenceImageInput({model, referenceImages}),
         enable_safety_checker: false, // Always override to false
         enable_base64_output: true, // Always override to true
       };
@@ -68,6 +107,7 @@ async function generateImage(request) {
       input = {
         prompt: prompt,
         ...modelParams, // User has full control over parameters
+        ...referenceImageInput({model, referenceImages}),
         enable_safety_checker: false, // Always override to false
         enable_base64_output: true, // Always override to true
       };
@@ -99,7 +139,10 @@ async function generateImage(request) {
     if (submitResponse.status !== 200) {
       const errorMessage = JSON.stringify(submitResponse.data);
       logger.error(`Wavespeed API error: ${submitResponse.status} - ${errorMessage}`);
-      throw new Error(`Wavespeed API error: ${submitResponse.status} - ${errorMessage}`);
+      const error = new Error(`Wavespeed API error: ${submitResponse.status} - ${errorMessage}`);
+      // Keep the status and headers, the queue reads Retry-After from them when rate limited
+      error.response = submitResponse;
+      throw error;
     }
 
     // Return the task data - webhook will handle completion
@@ -172,5 +215,7 @@ export {
   generateImage,
   queueEntryTypeToFunction,
   searchBilling,
+  maxReferenceImages,
   WAVESPEED_MODELS,
+  WAVESPEED_REFERENCE_IMAGE_MODELS,
 };
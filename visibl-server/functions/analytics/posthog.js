@@ -117,6 +117,11 @@ class PostHogProvider extends AnalyticsProvider {
       }
     }
 
+    // Responses served from the LLM cache cost nothing and used no tokens
+    if (properties.cacheHit !== undefined) {
+      mapped.cache_hit = properties.cacheHit;
+    }
+
     // Manual cost tracking (Wavespeed, Groq, and Fine-tuned OpenAI)
     const isFineTunedModel = properties.model?.startsWith("ft:");
     if (properties.cost !== undefined || isFineTunedModel) {
@@ -160,7 +165,10 @@ class PostHogProvider extends AnalyticsProvider {
     }
 
     // Token usage
-    if (provider === "wavespeed") {
+    if (properties.cacheHit) {
+      mapped.$ai_input_tokens = 0;
+      mapped.$ai_output_tokens = 0;
+    } else if (provider === "wavespeed") {
       // Image generation proxy
       mapped.$ai_input_tokens = 0;
       mapped.$ai_output_tokens = 1;
@@ -62,6 +62,7 @@ const IMAGE_GEN_PRECEDING_SCENES = defineString("IMAGE_GEN_PRECEDING_SCENES", {d
 const IMAGE_GEN_FOLLOWING_SCENES = defineString("IMAGE_GEN_FOLLOWING_SCENES", {default: "10"});
 const BOOK_RUNTIME_MIN = defineString("BOOK_RUNTIME_MIN", {default: "30"});
 const GRAPH_CHECKUP_THRESHOLD_MINUTES = defineString("GRAPH_CHECKUP_THRESHOLD_MINUTES", {default: "10"});
+const GRAPH_CHECKUP_AUTO_RESUME = defineBoolean("GRAPH_CHECKUP_AUTO_RESUME", {default: true});
 
 // Fine-tuned model pricing (per million tokens)
 const GPT_4_1_MINI_FT_INPUT_COST_PER_1M = defineString("GPT_4_1_MINI_FT_INPUT_COST_PER_1M", {default: "0.80"});
@@ -73,6 +74,19 @@ const USE_AIQUEUE = defineBoolean("USE_AIQUEUE", {default: true});
 const MOCK_IMAGES = defineBoolean("MOCK_IMAGES");
 const ENFORCE_APP_CHECK = defineBoolean("ENFORCE_APP_CHECK", {default: true});
 const MOCK_TRANSCRIPTIONS = defineBoolean("MOCK_TRANSCRIPTIONS", {default: false});
+// Send batch dispatched OpenAI requests as OpenAI Batch API jobs, at half the price but with minutes of latency
+const OPENAI_BATCH_API = defineBoolean("OPENAI_BATCH_API", {default: false});
+// Run on in-process Firestore, Realtime Database and task dispatch, with the bucket in LOCAL_BACKEND_DIR
+const LOCAL_BACKEND = defineBoolean("LOCAL_BACKEND", {default: false});
+const LOCAL_BACKEND_DIR = defineString("LOCAL_BACKEND_DIR", {default: ".local"});
+// Record LLM responses to LLM_FIXTURES_DIR, or replay them instead of calling the providers: off, record or replay
+const LLM_FIXTURES = defineString("LLM_FIXTURES", {default: "off"});
+const LLM_FIXTURES_DIR = defineString("LLM_FIXTURES_DIR", {default: "test/fixtures/llm"});
+// Reuse stored responses to identical LLM requests for LLM_CACHE_TTL_DAYS, requests can opt out with cache: false
+const LLM_CACHE = defineBoolean("LLM_CACHE", {default: true});
+const LLM_CACHE_TTL_DAYS = defineString("LLM_CACHE_TTL_DAYS", {default: "30"});
+// Reading speed that gives text-only books their timing, imports can set their own
+const READING_WORDS_PER_MINUTE = defineString("READING_WORDS_PER_MINUTE", {default: "250"});
 
 // ============================================================================
 // EXPORTS
@@ -90,6 +104,13 @@ export {
   GEMINI_RETRY_DELAY,
   MOCK_LLM,
   MOCK_IMAGES,
+  LOCAL_BACKEND,
+  LOCAL_BACKEND_DIR,
+  LLM_FIXTURES,
+  LLM_FIXTURES_DIR,
+  LLM_CACHE,
+  LLM_CACHE_TTL_DAYS,
+  READING_WORDS_PER_MINUTE,
   MODAL_API_KEY,
   MODAL_OUTPAINT_ENDPOINT,
   MODAL_CALLBACK_TOKEN,
@@ -110,11 +131,13 @@ export {
   BOOK_RUNTIME_MIN,
   ENFORCE_APP_CHECK,
   MOCK_TRANSCRIPTIONS,
+  OPENAI_BATCH_API,
   CLOUDFLARE_ACCOUNT_ID,
   CLOUDFLARE_IMAGES_API_TOKEN,
   CDN_URL,
   COVER_ART_PLACEHOLDER,
   GRAPH_CHECKUP_THRESHOLD_MINUTES,
+  GRAPH_CHECKUP_AUTO_RESUME,
   POSTHOG_API_KEY,
   POSTHOG_HOST,
   ANALYTICS_PROVIDER,
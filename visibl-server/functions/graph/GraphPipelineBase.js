@@ -4,10 +4,16 @@ import {
   createGraph,
   updateGraphStatus,
   updateGraph,
+  setGraphCheckpoint,
+  getGraphCheckpoint,
+  getFailedGraphCheckpoints,
+  clearGraphLastFailure,
+  resetGraphCheckpoints,
 } from "../storage/firestore/graph.js";
 
 import {
   queueAddEntries,
+  queueDeleteEntries,
   graphQueueToUnique,
 } from "../storage/firestore/queue.js";
 
@@ -30,6 +36,9 @@ import {
 } from "../util/dispatch.js";
 
 import logger from "../util/logger.js";
+import {STEP_SCOPES, CHAPTER_ITERATION} from "./StepRegistry.js";
+import {estimateGraphPipeline} from "./costEstimate.js";
+import {getTranscriptions} from "../storage/storage.js";
 
 import {
   sendNotifications,
@@ -68,32 +77,231 @@ export default class GraphPipelineBase {
   }
 
   /**
-   * Execute a specific pipeline step
+   * Get the step registry describing the steps of this version
    * @abstract
+   * @return {StepRegistry} The step registry for this pipeline version
+   */
+  getStepRegistry() {
+    throw new Error("getStepRegistry() must be implemented by subclass");
+  }
+
+  /**
+   * Get the resolved step DAG for this version
+   * @return {Object} The DAG {order, steps, dependents}
+   */
+  getStepDag() {
+    return this.getStepRegistry().build();
+  }
+
+  /**
+   * Hook to prepare the graph item before any step runs (e.g. resolve endChapter)
+   * @param {Object} params - Parameters including graphItem
+   * @return {Promise<void>}
+   */
+  async prepareGraphItem({graphItem}) {
+    // Default implementation - can be overridden by subclasses
+  }
+
+  /**
+   * Execute a specific pipeline step using its registered handler
    * @param {string} entryType - The type of pipeline step to execute
    * @param {Object} graphItem - The graph item being processed
    * @return {Promise<void>}
    */
   async executePipelineStep(entryType, graphItem) {
-    throw new Error("executePipelineStep() must be implemented by subclass");
+    if (entryType === "complete") {
+      // Pipeline is complete, nothing more to process
+      logger.info(`${graphItem.id} Graph pipeline complete for graph ${graphItem.sku}`);
+      return;
+    }
+
+    const step = this.getStepRegistry().getStep(entryType);
+    if (!step) {
+      logger.error(`${graphItem.id} Unknown step: ${entryType}`);
+      throw new Error(`${graphItem.id} Unknown pipeline step: ${entryType}`);
+    }
+
+    await this.prepareGraphItem({graphItem});
+    if (step.scope === STEP_SCOPES.CHAPTER && graphItem.chapter === undefined) {
+      // first run.
+      graphItem.chapter = 0;
+    }
+    const checkpointChapter = step.scope === STEP_SCOPES.CHAPTER ? graphItem.chapter : undefined;
+
+    // When resuming, chapters that already completed this step in this run are not recomputed.
+    // resumedAt is only carried by the queued items of a resumed run, never stored on the graph.
+    let alreadyComplete = false;
+    if (graphItem.resumedAt) {
+      const latestGraph = await getGraphFirestore({graphId: graphItem.id});
+      const checkpoint = getGraphCheckpoint({graphItem: latestGraph, step: step.name, chapter: checkpointChapter});
+      alreadyComplete = checkpoint?.status === "complete";
+    }
+
+    if (alreadyComplete) {
+      logger.info(`${graphItem.id} Skipping ${step.name} for chapter ${checkpointChapter}, already completed before resume`);
+    } else {
+      await step.handler({pipeline: this, graphItem});
+      await setGraphCheckpoint({
+        graphId: graphItem.id,
+        step: step.name,
+        chapter: checkpointChapter,
+        status: "complete",
+      });
+    }
+
+    const {nextStep, statusValue} = this.resolveNextStep({currentStep: step.name, graphItem});
+    await this.updateGraphAndQueueNext({
+      graphItem,
+      currentStep: step.name,
+      nextStep,
+      statusValue,
+    });
   }
 
   /**
-   * Get the next step in the pipeline after the current one
-   * @abstract
+   * Record a step that failed after all retries, so it can be resumed later
+   * @param {Object} params - Parameters including entryType, graphItem and error
+   * @return {Promise<void>}
+   */
+  async recordStepFailure({entryType, graphItem, error}) {
+    const step = this.getStepRegistry().getStep(entryType);
+    if (!step) {
+      logger.warn(`${graphItem.id} recordStepFailure: Unknown step ${entryType}, not recording checkpoint`);
+      return;
+    }
+    await setGraphCheckpoint({
+      graphId: graphItem.id,
+      step: step.name,
+      chapter: step.scope === STEP_SCOPES.CHAPTER ? graphItem.chapter : undefined,
+      status: "error",
+      error: error?.message || (typeof error === "string" ? error : "Unknown error"),
+      endChapter: graphItem.endChapter,
+    });
+    logger.info(`${graphItem.id} Recorded failure of ${step.name} for chapter ${graphItem.chapter}`);
+  }
+
+  /**
+   * Resume a graph pipeline from its failed checkpoints.
+   * Only the failed step is re-queued for each failed chapter, chapters that
+   * already completed a step are skipped as the pipeline continues.
+   * @param {Object} params - Parameters including graphItem loaded from Firestore
+   * @return {Promise<Object>} The resumed steps {graphId, resumed: [{step, chapter}]}
+   */
+  async resumeGraphPipeline({graphItem}) {
+    const failed = getFailedGraphCheckpoints({graphItem});
+    if (failed.length === 0) {
+      throw new Error(`${graphItem.id} has no failed steps to resume`);
+    }
+
+    // eslint-disable-next-line no-unused-vars
+    const {checkpoints, lastFailure, ...graphData} = graphItem;
+    const resumedAt = Date.now();
+    for (const {step, chapter, endChapter} of failed) {
+      const resumeItem = {
+        ...graphData,
+        chapter,
+        resumedAt,
+      };
+      if (endChapter !== undefined) {
+        resumeItem.endChapter = endChapter;
+      }
+      // Remove the errored queue entry so the step can be queued again
+      await queueDeleteEntries({
+        ids: [graphQueueToUnique({type: "graph", entryType: step, graphId: graphItem.id, chapter})],
+      });
+      await this.addItemToQueue({entryType: step, graphItem: resumeItem});
+      logger.info(`${graphItem.id} Resuming ${step} for chapter ${chapter}`);
+    }
+
+    await clearGraphLastFailure({graphId: graphItem.id});
+    await dispatchTask({functionName: "graphPipeline", data: {}});
+    return {
+      graphId: graphItem.id,
+      resumed: failed.map(({step, chapter}) => ({step, chapter})),
+    };
+  }
+
+  /**
+   * Get the next step in the pipeline after the current one, ignoring chapter iteration
    * @param {string} currentStep - The current pipeline step
    * @return {string|null} The next step or null if pipeline is complete
    */
   getNextStep(currentStep) {
-    throw new Error("getNextStep() must be implemented by subclass");
+    return this.getStepRegistry().getNextStep(currentStep);
+  }
+
+  /**
+   * Resolve the step to queue after currentStep has completed, advancing
+   * graphItem.chapter according to the chapter iteration of the registry.
+   * @param {Object} params - Parameters including currentStep and graphItem
+   * @return {Object} {nextStep, statusValue}
+   */
+  resolveNextStep({currentStep, graphItem}) {
+    const registry = this.getStepRegistry();
+    const step = registry.getStep(currentStep);
+    const followingStep = registry.getNextStep(currentStep);
+    const followingScope = followingStep ? registry.getStep(followingStep).scope : null;
+
+    if (step.scope !== STEP_SCOPES.CHAPTER) {
+      if (followingScope === STEP_SCOPES.CHAPTER && registry.chapterIteration === CHAPTER_ITERATION.STEP) {
+        graphItem.chapter = 0;
+      }
+      return {nextStep: followingStep || "complete", statusValue: "complete"};
+    }
+
+    if (registry.chapterIteration === CHAPTER_ITERATION.STEP) {
+      // Run this step for every chapter before moving on
+      if (graphItem.chapter < graphItem.numChapters) {
+        graphItem.chapter = graphItem.chapter + 1;
+        return {nextStep: currentStep, statusValue: "pending"};
+      }
+      graphItem.chapter = 0;
+      return {nextStep: followingStep || "complete", statusValue: "complete"};
+    }
+
+    if (followingScope === STEP_SCOPES.CHAPTER) {
+      return {nextStep: followingStep, statusValue: "complete"};
+    }
+
+    // Last chapter step of the block - mark current chapter as completed
+    const completedChapter = graphItem.chapter;
+    if (!graphItem.completedChapters) {
+      graphItem.completedChapters = [];
+    }
+    if (!graphItem.completedChapters.includes(completedChapter)) {
+      graphItem.completedChapters.push(completedChapter);
+      logger.info(`${graphItem.id} Marked chapter ${completedChapter} as completed for graph ${graphItem.sku}`);
+    }
+
+    // Remove from processing chapters
+    if (graphItem.processingChapters) {
+      const index = graphItem.processingChapters.indexOf(completedChapter);
+      if (index > -1) {
+        graphItem.processingChapters.splice(index, 1);
+        logger.info(`${graphItem.id} Removed chapter ${completedChapter} from processing list for graph ${graphItem.sku}`);
+      }
+    }
+
+    // Decide whether to loop back or move on
+    const lastChapter = graphItem.endChapter !== undefined ? graphItem.endChapter : graphItem.numChapters;
+    if (graphItem.chapter < lastChapter) {
+      graphItem.chapter = graphItem.chapter + 1;
+      return {nextStep: registry.getFirstStep({scope: STEP_SCOPES.CHAPTER}), statusValue: "pending"};
+    }
+    graphItem.chapter = 0;
+    return {nextStep: followingStep || "complete", statusValue: "complete"};
   }
 
   /**
    * Common method to generate a new graph
    * @param {Object} params - Parameters for creating a new graph
-   * @return {Promise<Object>} The created graph object
+   * @param {boolean} [params.dryRun] - Only estimate the cost of the graph, nothing is created or queued
+   * @return {Promise<Object>} The created graph object, or the cost estimate for a dry run
    */
-  async generateNewGraph({uid, sku, visibility, numChapters, startStep, startChapter, endChapter, isCatalogueDefault}) {
+  async generateNewGraph({uid, sku, visibility, numChapters, startStep, startChapter, endChapter, isCatalogueDefault, dryRun = false}) {
+    if (dryRun) {
+      return await this.estimateNewGraph({uid, sku, visibility, startChapter, endChapter});
+    }
     const fullTextTokens = await getFullTextTokens({uid, sku, visibility});
     const version = this.getVersion();
     const newGraph = await createGraph({uid, sku, visibility, numChapters, fullTextTokens, version, isCatalogueDefault});
@@ -154,27 +362,56 @@ export default class GraphPipelineBase {
     return newGraph;
   }
 
+  /**
+   * Estimate the tokens, image generations and provider cost of generating a graph.
+   * Walks the same steps as generateNewGraph against the transcriptions without
+   * creating the graph or adding anything to the queues.
+   * @param {Object} params - Parameters including uid, sku, visibility and optional startChapter, endChapter
+   * @return {Promise<Object>} Per-step and per-chapter estimate, see estimateGraphPipeline
+   */
+  async estimateNewGraph({uid, sku, visibility, startChapter, endChapter}) {
+    const transcriptions = await getTranscriptions({uid, sku, visibility});
+    if (!transcriptions || Object.keys(transcriptions).length === 0) {
+      throw new Error(`estimateNewGraph: No transcriptions found for ${sku}`);
+    }
+    const estimate = estimateGraphPipeline({
+      registry: this.getStepRegistry(),
+      transcriptions,
+      startChapter,
+      endChapter,
+    });
+    logger.info(`estimateNewGraph: ${sku} ${this.getVersion()} estimated at ${estimate.totals.inputTokens + estimate.totals.outputTokens} tokens, ${estimate.totals.images} images, $${estimate.totals.cost.toFixed(2)}`);
+    return {sku, dryRun: true, ...estimate};
+  }
+
   /**
    * Get the first step in the pipeline
    * @return {string} The first pipeline step
    */
   getFirstStep() {
-    // Default implementation - can be overridden by subclasses
-    const steps = this.getPipelineSteps();
-    return steps.CHARACTERS || Object.values(steps)[0];
+    return this.getStepRegistry().getFirstStep();
   }
 
   /**
    * Continue processing a graph pipeline from a specific stage
    * @param {Object} params - Parameters including graphId and optional stage, startChapter, endChapter
-   * @return {Promise<void>}
+   * @param {boolean} [params.resume] - Resume from the last failure, other parameters are ignored
+   * @return {Promise<Object|void>} The resumed steps when resuming
    */
-  async continueGraphPipeline({graphId, stage, startChapter, endChapter}) {
+  async continueGraphPipeline({graphId, stage, startChapter, endChapter, resume = false}) {
     const graphItem = await getGraphFirestore({graphId});
     if (!graphItem || Object.keys(graphItem).length === 0) {
       throw new Error("Graph does not exist");
     }
 
+    if (resume) {
+      return await this.resumeGraphPipeline({graphItem});
+    }
+
+    // A new run, checkpoints of earlier runs must not be skipped or resumed
+    await resetGraphCheckpoints({graphId});
+    delete graphItem.resumedAt;
+
     let nextStep = graphItem.nextGraphStep;
     if (!nextStep) {
       nextStep = this.getFirstStep();
@@ -222,10 +459,13 @@ export default class GraphPipelineBase {
    * @return {Promise<Array<Object>>} The added queue entries
    */
   async addItemToQueue({entryType, graphItem}) {
+    // Checkpoints are written field by field, never carry a stale copy through the queue
+    // eslint-disable-next-line no-unused-vars
+    const {checkpoints, lastFailure, ...entryParams} = graphItem;
     return await queueAddEntries({
       types: ["graph"],
       entryTypes: [entryType],
-      entryParams: [graphItem],
+      entryParams: [entryParams],
       uniques: [graphQueueToUnique({
         type: "graph",
         entryType: entryType,
@@ -295,14 +535,15 @@ export default class GraphPipelineBase {
       }
     }
 
-    await updateGraph({
-      graphData: updateGraphStatus({
-        graphItem,
-        statusName: currentStep,
-        statusValue,
-        nextGraphStep: nextStep,
-      }),
+    // resumedAt belongs to the queued items of a resumed run, not to the graph
+    // eslint-disable-next-line no-unused-vars
+    const {resumedAt, ...graphData} = updateGraphStatus({
+      graphItem,
+      statusName: currentStep,
+      statusValue,
+      nextGraphStep: nextStep,
     });
+    await updateGraph({graphData});
 
     await CatalogueProgressTracker.updateProgress(graphItem.sku, {graphId: graphItem.id});
   }
@@ -346,16 +587,26 @@ export default class GraphPipelineBase {
 
   /**
    * Initialize graph generation for a catalogue item
-   * @param {Object} params - Parameters including sku, uid, and replace flag
-   * @return {Promise<void>}
+   * @param {Object} params - Parameters including sku, uid, replace and dryRun flags
+   * @return {Promise<Object|void>} The cost estimate for a dry run
    */
-  async initGraphGeneration({sku, uid, replace = false}) {
+  async initGraphGeneration({sku, uid, replace = false, dryRun = false}) {
     const catalogueItem = await catalogueGetRtdb({sku});
     if (!catalogueItem) {
       logger.error(`Catalogue item not found for ${sku}. How did we get here?`);
       return;
     }
 
+    if (dryRun) {
+      return await this.generateNewGraph({
+        uid: uid,
+        sku: sku,
+        visibility: catalogueItem.visibility,
+        numChapters: catalogueItem.numChapters,
+        dryRun: true,
+      });
+    }
+
     if (catalogueItem.defaultGraphId && replace === false) {
       logger.info(`Graph already generated for ${sku}. Skipping.`);
       return;
@@ -4,6 +4,15 @@ import GraphPipelineV0 from "./v0/GraphPipelineV0.js";
 import GraphPipelineV0_1 from "./v0.1/GraphPipelineV0_1.js";
 import logger from "../util/logger.js";
 
+// Pipeline implementations by version.
+// Adding a version only requires a GraphPipelineBase subclass with a step registry.
+const PIPELINE_VERSIONS = {
+  "v0": GraphPipelineV0,
+  "v0.1": GraphPipelineV0_1,
+};
+
+const DEFAULT_VERSION = "v0.1";
+
 /**
  * Factory class for creating graph pipeline instances based on version
  */
@@ -14,42 +23,45 @@ export default class GraphPipelineFactory {
 
   /**
    * Get a graph pipeline instance for the specified version
+   * The step DAG of the pipeline is built and validated when the instance is created.
    * @param {string} version - The version of the pipeline to create (default: "v0.1")
    * @return {GraphPipelineBase} The pipeline instance
    */
-  static getPipeline(version = "v0.1") {
+  static getPipeline(version = DEFAULT_VERSION) {
     // Use singleton pattern to avoid creating multiple instances
     if (!GraphPipelineFactory.pipelineInstances) {
       GraphPipelineFactory.pipelineInstances = {};
     }
     if (!GraphPipelineFactory.pipelineInstances[version]) {
-      switch (version) {
-        case "v0":
-          GraphPipelineFactory.pipelineInstances[version] = new GraphPipelineV0();
-          break;
-        case "v0.1":
-          GraphPipelineFactory.pipelineInstances[version] = new GraphPipelineV0_1();
-          break;
-        // Future versions can be added here
-        // case "v1":
-        //   this.pipelineInstances[version] = new GraphPipelineV1();
-        //   break;
-        default:
-          logger.warn(`Unknown graph pipeline version: ${version}, defaulting to v0.1`);
-          GraphPipelineFactory.pipelineInstances[version] = new GraphPipelineV0_1();
+      let PipelineClass = PIPELINE_VERSIONS[version];
+      if (!PipelineClass) {
+        logger.warn(`Unknown graph pipeline version: ${version}, defaulting to ${DEFAULT_VERSION}`);
+        PipelineClass = PIPELINE_VERSIONS[DEFAULT_VERSION];
       }
+      const pipeline = new PipelineClass();
+      pipeline.getStepDag();
+      GraphPipelineFactory.pipelineInstances[version] = pipeline;
     }
 
     return GraphPipelineFactory.pipelineInstances[version];
   }
 
+  /**
+   * Get the resolved step DAG for a pipeline version
+   * @param {string} version - The pipeline version (default: "v0.1")
+   * @return {Object} The DAG {order, steps, dependents}
+   */
+  static getStepDag(version = DEFAULT_VERSION) {
+    return this.getPipeline(version).getStepDag();
+  }
+
   /**
    * Get the appropriate pipeline for a graph item
    * @param {Object} graphItem - The graph item containing version information
    * @return {GraphPipelineBase} The pipeline instance
    */
   static getPipelineForGraph(graphItem) {
-    const version = graphItem?.version || "v0.1";
+    const version = graphItem?.version || DEFAULT_VERSION;
     return this.getPipeline(version);
   }
 
@@ -58,7 +70,7 @@ export default class GraphPipelineFactory {
    * @return {string[]} Array of available version strings
    */
   static getAvailableVersions() {
-    return ["v0", "v0.1"]; // Add more versions as they become available
+    return Object.keys(PIPELINE_VERSIONS);
   }
 
   /**
@@ -72,10 +84,11 @@ export default class GraphPipelineFactory {
    *   - scene: The scene number within that chapter (e.g., 1, 2, 3)
    *   Example: [{chapter: 0, scene: 1}, {chapter: 0, scene: 2}, {chapter: 1, scene: 1}]
    * @param {string} params.sku - The SKU of the catalogue item
+   * @param {string} [params.priority] - Queue priority lane for the images
    * @return {Promise<Object>} Result of scene image composition
    */
-  static async composeSceneImages(version, {graphId, defaultSceneId, scenes, sku, uid}) {
+  static async composeSceneImages(version, {graphId, defaultSceneId, scenes, sku, uid, priority}) {
     const pipeline = this.getPipeline(version);
-    return await pipeline.composeSceneImages({graphId, defaultSceneId, scenes, sku, uid});
+    return await pipeline.composeSceneImages({graphId, defaultSceneId, scenes, sku, uid, priority});
   }
 }
@@ -0,0 +1,227 @@
+/* eslint-disable require-jsdoc */
+
+/**
+ * Step scopes supported by the registry.
+ * - chapter: the step runs once per chapter, graphItem.chapter is always set
+ * - book: the step runs once for the whole book
+ */
+export const STEP_SCOPES = {
+  CHAPTER: "chapter",
+  BOOK: "book",
+};
+
+/**
+ * How chapter scoped steps iterate over the chapters of a book.
+ * - pipeline: the contiguous block of chapter steps runs for one chapter,
+ *   then loops back to the first chapter step for the next chapter (v0.1)
+ * - step: each chapter step runs for every chapter before the next step starts (v0)
+ */
+export const CHAPTER_ITERATION = {
+  PIPELINE: "pipeline",
+  STEP: "step",
+};
+
+/**
+ * Declarative registry of graph pipeline steps.
+ * Each step declares its name, dependencies, weight, scope and handler.
+ * build() validates the declarations and resolves them into a DAG whose
+ * topological order is the execution order of the pipeline.
+ */
+export default class StepRegistry {
+  /**
+   * Create a new step registry for a pipeline version
+   * @param {Object} params - Registry parameters
+   * @param {string} params.version - The pipeline version this registry describes (e.g., "v0.1")
+   * @param {string} [params.chapterIteration] - One of CHAPTER_ITERATION, defaults to pipeline
+   */
+  constructor({version, chapterIteration = CHAPTER_ITERATION.PIPELINE}) {
+    if (!version) {
+      throw new Error("StepRegistry: version is required");
+    }
+    if (!Object.values(CHAPTER_ITERATION).includes(chapterIteration)) {
+      throw new Error(`StepRegistry: Unknown chapterIteration ${chapterIteration}`);
+    }
+    this.version = version;
+    this.chapterIteration = chapterIteration;
+    this.steps = new Map();
+    this.dag = null;
+
+    // Keep track of registries by version so progress tracking can read
+    // step weights without importing the pipeline implementations.
+    if (!StepRegistry.registries) {
+      StepRegistry.registries = {};
+    }
+    StepRegistry.registries[version] = this;
+  }
+
+  /**
+   * Get the registry for a pipeline version
+   * @param {string} version - The pipeline version
+   * @return {StepRegistry|undefined} The registry or undefined if the version has not been loaded
+   */
+  static getForVersion(version) {
+    return StepRegistry.registries?.[version];
+  }
+
+  /**
+   * Add a step to the registry
+   * @param {Object} step - The step declaration
+   * @param {string} step.name - Unique step name, used as the queue entryType
+   * @param {string[]} [step.dependencies] - Names of steps that must run before this one
+   * @param {number} [step.weight] - Relative weight used for progress tracking
+   * @param {Object} [step.description] - Localized user facing description, e.g. {en: "..."}
+   * @param {string} [step.scope] - One of STEP_SCOPES, defaults to chapter
+   * @param {Function} step.handler - async ({pipeline, graphItem}) => void
+   * @param {Function} [step.estimate] - ({context}) => usage[] for dry-run cost estimates, see costEstimate.js
+   * @return {StepRegistry} The registry for chaining
+   */
+  addStep({name, dependencies = [], weight = 0, description, scope = STEP_SCOPES.CHAPTER, handler, estimate}) {
+    if (!name) {
+      throw new Error(`StepRegistry ${this.version}: step name is required`);
+    }
+    if (name === "complete") {
+      throw new Error(`StepRegistry ${this.version}: "complete" is reserved`);
+    }
+    if (this.steps.has(name)) {
+      throw new Error(`StepRegistry ${this.version}: step ${name} is already registered`);
+    }
+    if (typeof handler !== "function") {
+      throw new Error(`StepRegistry ${this.version}: step ${name} requires a handler`);
+    }
+    if (estimate !== undefined && typeof estimate !== "function") {
+      throw new Error(`StepRegistry ${this.version}: step ${name} estimate must be a function`);
+    }
+    if (!Object.values(STEP_SCOPES).includes(scope)) {
+      throw new Error(`StepRegistry ${this.version}: step ${name} has unknown scope ${scope}`);
+    }
+    this.steps.set(name, Object.freeze({
+      name,
+      dependencies: [...dependencies],
+      weight,
+      description,
+      scope,
+      handler,
+      estimate,
+    }));
+    // Invalidate any previously built DAG
+    this.dag = null;
+    return this;
+  }
+
+  /**
+   * Validate the step declarations and resolve them into a DAG.
+   * Steps are ordered topologically, ties are broken by registration order.
+   * @return {Object} The DAG {order: string[], steps: Object, dependents: Object}
+   */
+  build() {
+    if (this.dag) {
+      return this.dag;
+    }
+
+    const names = [...this.steps.keys()];
+    const remainingDependencies = {};
+    const dependents = {};
+    for (const name of names) {
+      dependents[name] = [];
+    }
+    for (const step of this.steps.values()) {
+      for (const dependency of step.dependencies) {
+        if (!this.steps.has(dependency)) {
+          throw new Error(`StepRegistry ${this.version}: step ${step.name} depends on unknown step ${dependency}`);
+        }
+        dependents[dependency].push(step.name);
+      }
+      remainingDependencies[step.name] = new Set(step.dependencies);
+    }
+
+    const order = [];
+    while (order.length < names.length) {
+      const ready = names.find((name) => !order.includes(name) && remainingDependencies[name].size === 0);
+      if (!ready) {
+        const unresolved = names.filter((name) => !order.includes(name));
+        throw new Error(`StepRegistry ${this.version}: dependency cycle between ${unresolved.join(", ")}`);
+      }
+      order.push(ready);
+      for (const dependent of dependents[ready]) {
+        remainingDependencies[dependent].delete(ready);
+      }
+    }
+
+    if (this.chapterIteration === CHAPTER_ITERATION.PIPELINE) {
+      // The chapter loop jumps back to the first chapter step, so the chapter
+      // steps must form a single contiguous block in the execution order.
+      const chapterIndexes = order
+          .map((name, index) => this.steps.get(name).scope === STEP_SCOPES.CHAPTER ? index : -1)
+          .filter((index) => index !== -1);
+      if (chapterIndexes.length > 0 &&
+          chapterIndexes[chapterIndexes.length - 1] - chapterIndexes[0] !== chapterIndexes.length - 1) {
+        throw new Error(`StepRegistry ${this.version}: chapter scoped steps must be contiguous in the execution order`);
+      }
+    }
+
+    this.dag = Object.freeze({
+      order: Object.freeze(order),
+      steps: Object.freeze(Object.fromEntries(this.steps)),
+      dependents: Object.freeze(dependents),
+    });
+    return this.dag;
+  }
+
+  /**
+   * Get a step declaration by name
+   * @param {string} name - The step name
+   * @return {Object|undefined} The step declaration
+   */
+  getStep(name) {
+    return this.build().steps[name];
+  }
+
+  /**
+   * Get the step declarations in execution order
+   * @return {Object[]} Ordered step declarations
+   */
+  getOrderedSteps() {
+    const dag = this.build();
+    return dag.order.map((name) => dag.steps[name]);
+  }
+
+  /**
+   * Get the first step in execution order, optionally restricted to a scope
+   * @param {Object} [params] - Optional parameters
+   * @param {string} [params.scope] - Only consider steps of this scope
+   * @return {string|null} The first step name or null if there is none
+   */
+  getFirstStep({scope} = {}) {
+    const step = this.getOrderedSteps().find((step) => !scope || step.scope === scope);
+    return step ? step.name : null;
+  }
+
+  /**
+   * Get the step that follows currentStep in execution order
+   * @param {string} currentStep - The current step name
+   * @return {string|null} The next step name or null if currentStep is last or unknown
+   */
+  getNextStep(currentStep) {
+    const order = this.build().order;
+    const currentIndex = order.indexOf(currentStep);
+    if (currentIndex === -1 || currentIndex === order.length - 1) {
+      return null;
+    }
+    return order[currentIndex + 1];
+  }
+
+  /**
+   * Get the weight and description of each step in execution order, for progress tracking
+   * @return {Object} Object keyed by step name {weight, description}
+   */
+  getProgressSteps() {
+    const progressSteps = {};
+    for (const step of this.getOrderedSteps()) {
+      progressSteps[step.name] = {
+        weight: step.weight,
+        description: step.description,
+      };
+    }
+    return progressSteps;
+  }
+}
@@ -1,6 +1,6 @@
 /**
  * Graph Pipeline Configuration
- * Contains pipeline step weights and user-friendly descriptions for progress tracking
+ * Contains transcription step weights and user-friendly descriptions for progress tracking
  */
 
 // Transcription step weights and descriptions
@@ -13,87 +13,8 @@ export const transcriptionSteps = {
   cleanup: {weight: 5, description: {"en": "Tidying up the workshop 🧹"}},
 };
 
-// Pipeline step weights and descriptions for v0.1
-export const pipelineStepsV01 = {
-  correctTranscriptions: {
-    weight: 5,
-    description: {
-      "en": "Polishing transcripts with a dash of AI ✨",
-    },
-  },
-  entitiesByChapter: {
-    weight: 5,
-    description: {
-      "en": "Mapping who's where 🗺️",
-    },
-  },
-  entityProperties: {
-    weight: 5,
-    description: {
-      "en": "Noting traits and details ✍️",
-    },
-  },
-  entityContinuity: {
-    weight: 10,
-    description: {
-      "en": "Keeping names and facts consistent 🔗",
-    },
-  },
-  consolidateEntityProperties: {
-    weight: 10,
-    description: {
-      "en": "Merging clues into one dossier 📚",
-    },
-  },
-  generateEntityImagePrompts: {
-    weight: 10,
-    description: {
-      "en": "Conjuring image prompts for cast and places ✨",
-    },
-  },
-  summarizeEntityImagePrompts: {
-    weight: 10,
-    description: {
-      "en": "Tidying and summarizing ✂️",
-    },
-  },
-  generateScenes: {
-    weight: 10,
-    description: {
-      "en": "Carving the story into scenes 🎬",
-    },
-  },
-  augmentScenePrompts: {
-    weight: 10,
-    description: {
-      "en": "Enhancing scene descriptions 🎨",
-    },
-  },
-  updateSceneCache: {
-    weight: 10,
-    description: {
-      "en": "Making the scenes amazing 🌟",
-    },
-  },
-  generateCharacterImages: {
-    weight: 15,
-    description: {
-      "en": "Painting character portraits 🖼️",
-    },
-  },
-  generateCharacterProfileImages: {
-    weight: 15,
-    description: {
-      "en": "Crafting profile portraits 🎭",
-    },
-  },
-  generateLocationImages: {
-    weight: 15,
-    description: {
-      "en": "Painting worlds and places 🏞️",
-    },
-  },
-};
+// Pipeline step weights and descriptions are declared with each step
+// in the version's step registry (e.g. graph/v0.1/stepRegistry.js)
 
 // Special status messages for transcription
 export const transcriptionStatusMessages = {
@@ -142,3 +63,49 @@ export const GRAPH_PIPELINE_RETRY_MAX_DELAY = parseInt(process.env.GRAPH_PIPELIN
  * Default: 2 for standard exponential backoff
  */
 export const GRAPH_PIPELINE_RETRY_BACKOFF_MULTIPLIER = parseFloat(process.env.GRAPH_PIPELINE_RETRY_BACKOFF_MULTIPLIER || "2");
+
+/**
+ * Milliseconds a graph queue entry may stay in processing before the queue reaper reclaims it
+ * Default: 40 minutes, longer than the 30 minute timeout of the graphPipeline task
+ */
+export const GRAPH_PIPELINE_VISIBILITY_TIMEOUT = parseInt(process.env.GRAPH_PIPELINE_VISIBILITY_TIMEOUT || "2400000", 10);
+
+/**
+ * Maximum number of times graphCheckup will automatically resume a graph from its last failure
+ * After this, the graph needs a manual resume through v1continueGraph
+ */
+export const GRAPH_PIPELINE_AUTO_RESUME_LIMIT = parseInt(process.env.GRAPH_PIPELINE_AUTO_RESUME_LIMIT || "3", 10);
+
+/**
+ * Cost Estimation Configuration for dry-run graph generation
+ */
+
+/**
+ * Approximate provider pricing in USD used by dry-run estimates.
+ * LLM models are priced per million tokens, image models per image.
+ * Models not listed fall back to "default". Fine-tuned OpenAI models use the
+ * GPT_4_1_MINI_FT_* configuration, same as PostHog cost tracking.
+ */
+export const ESTIMATE_MODEL_PRICING = {
+  "default": {inputPer1M: 0.30, outputPer1M: 1.00},
+  "deepseek/deepseek-chat-v3-0324": {inputPer1M: 0.28, outputPer1M: 0.88},
+  "google/imagen4-fast": {perImage: 0.02},
+  "wavespeed-ai/flux-kontext-dev-ultra-fast": {perImage: 0.015},
+  "bytedance/seedream-v4/edit": {perImage: 0.027},
+};
+
+/**
+ * Expected number of characters, locations and objects found per chapter.
+ * Entity counts are only known after extraction, so per-entity steps are estimated from these.
+ */
+export const ESTIMATE_CHARACTERS_PER_CHAPTER = parseInt(process.env.ESTIMATE_CHARACTERS_PER_CHAPTER || "6", 10);
+export const ESTIMATE_LOCATIONS_PER_CHAPTER = parseInt(process.env.ESTIMATE_LOCATIONS_PER_CHAPTER || "4", 10);
+export const ESTIMATE_OBJECTS_PER_CHAPTER = parseInt(process.env.ESTIMATE_OBJECTS_PER_CHAPTER || "2", 10);
+
+/**
+ * Wavespeed model used for scene images when the scene's characters or locations already have images.
+ * Their profile and location images are attached as references so faces and places stay consistent.
+ * Scenes without references, or a model without image conditioning, use the text-only scene model.
+ * Set to an empty string to always compose scenes from text only.
+ */
+export const SCENE_REFERENCE_IMAGE_MODEL = process.env.SCENE_REFERENCE_IMAGE_MODEL ?? "bytedance/seedream-v4/edit";
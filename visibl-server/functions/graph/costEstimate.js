@@ -0,0 +1,167 @@
+/* eslint-disable require-jsdoc */
+import tokenHelper from "../ai/openai/tokens.js";
+import {getChapterLengths} from "../util/graphHelper.js";
+import {
+  GPT_4_1_MINI_FT_INPUT_COST_PER_1M,
+  GPT_4_1_MINI_FT_OUTPUT_COST_PER_1M,
+} from "../config/config.js";
+import {STEP_SCOPES} from "./StepRegistry.js";
+import {ESTIMATE_MODEL_PRICING} from "./config.js";
+
+/**
+ * Get the pricing entry for a model
+ * @param {string} model - The model identifier
+ * @return {Object} Pricing {inputPer1M, outputPer1M} or {perImage}
+ */
+function getModelPricing(model) {
+  if (model?.startsWith("ft:gpt-4.1-mini-2025-04-14")) {
+    return {
+      inputPer1M: parseFloat(GPT_4_1_MINI_FT_INPUT_COST_PER_1M.value()),
+      outputPer1M: parseFloat(GPT_4_1_MINI_FT_OUTPUT_COST_PER_1M.value()),
+    };
+  }
+  return ESTIMATE_MODEL_PRICING[model] || ESTIMATE_MODEL_PRICING.default;
+}
+
+function emptyUsage() {
+  return {requests: 0, inputTokens: 0, outputTokens: 0, images: 0, cost: 0};
+}
+
+function addUsage(total, usage) {
+  total.requests += usage.requests;
+  total.inputTokens += usage.inputTokens;
+  total.outputTokens += usage.outputTokens;
+  total.images += usage.images;
+  total.cost += usage.cost;
+  return total;
+}
+
+/**
+ * Estimate the usage of LLM requests
+ * @param {Object} params - Parameters
+ * @param {string} [params.model] - The model the requests are sent to
+ * @param {number} [params.requests] - Number of requests
+ * @param {number} params.inputTokens - Input tokens per request
+ * @param {number} params.outputTokens - Output tokens per request
+ * @return {Object} Usage {model, requests, inputTokens, outputTokens, images, cost}
+ */
+function llmUsage({model, requests = 1, inputTokens, outputTokens}) {
+  const pricing = getModelPricing(model);
+  const totalInput = Math.round(requests * inputTokens);
+  const totalOutput = Math.round(requests * outputTokens);
+  return {
+    model: model || "default",
+    requests,
+    inputTokens: totalInput,
+    outputTokens: totalOutput,
+    images: 0,
+    cost: (totalInput / 1000000) * (pricing.inputPer1M || 0) + (totalOutput / 1000000) * (pricing.outputPer1M || 0),
+  };
+}
+
+/**
+ * Estimate the usage of image generations
+ * @param {Object} params - Parameters
+ * @param {string} params.model - The image model
+ * @param {number} params.images - Number of images generated
+ * @return {Object} Usage {model, requests, inputTokens, outputTokens, images, cost}
+ */
+function imageUsage({model, images}) {
+  const pricing = getModelPricing(model);
+  return {
+    model,
+    requests: images,
+    inputTokens: 0,
+    outputTokens: 0,
+    images,
+    cost: images * (pricing.perImage || 0),
+  };
+}
+
+/**
+ * Build the context passed to step estimators for a chapter
+ * @param {Object} params - Parameters
+ * @param {Object} params.transcriptions - Transcriptions keyed by chapter
+ * @param {Object} params.chapterLengths - Chapter durations in seconds from getChapterLengths
+ * @param {number} params.chapter - The chapter number
+ * @return {Object} {chapter, tokens, durationSeconds, segments}
+ */
+function chapterEstimateContext({transcriptions, chapterLengths, chapter}) {
+  const chapterTranscriptions = transcriptions[chapter] || [];
+  return {
+    chapter,
+    tokens: tokenHelper.countTokens(chapterTranscriptions.map((t) => t.text).join(" ")),
+    durationSeconds: chapterLengths[chapter] || 0,
+    segments: chapterTranscriptions.length,
+  };
+}
+
+/**
+ * Walk the steps of a registry against the transcriptions and estimate
+ * tokens, image generations and provider cost per step and per chapter.
+ * Nothing is queued, steps without an estimate declaration count as free.
+ * @param {Object} params - Parameters
+ * @param {StepRegistry} params.registry - The step registry of the pipeline version
+ * @param {Object} params.transcriptions - Transcriptions keyed by chapter
+ * @param {number} [params.startChapter] - First chapter to estimate (default: first chapter)
+ * @param {number} [params.endChapter] - Last chapter to estimate (default: last chapter)
+ * @return {Object} The estimate {version, startChapter, endChapter, totals, chapters, steps}
+ */
+function estimateGraphPipeline({registry, transcriptions, startChapter, endChapter}) {
+  const chapterLengths = getChapterLengths({transcriptions});
+  const allChapters = Object.keys(transcriptions)
+      .map((key) => parseInt(key, 10))
+      .sort((a, b) => a - b);
+  const firstChapter = startChapter !== undefined ? startChapter : allChapters[0];
+  const lastChapter = endChapter !== undefined ? endChapter : allChapters[allChapters.length - 1];
+  const chapters = allChapters.filter((chapter) => chapter >= firstChapter && chapter <= lastChapter);
+
+  const chapterContexts = chapters.map((chapter) => chapterEstimateContext({transcriptions, chapterLengths, chapter}));
+  const bookContext = chapterContexts.reduce((book, context) => {
+    book.tokens += context.tokens;
+    book.durationSeconds += context.durationSeconds;
+    book.segments += context.segments;
+    return book;
+  }, {chapter: undefined, tokens: 0, durationSeconds: 0, segments: 0, chapters: chapters.length});
+
+  const estimate = {
+    version: registry.version,
+    startChapter: firstChapter,
+    endChapter: lastChapter,
+    bookTokens: bookContext.tokens,
+    bookDurationSeconds: bookContext.durationSeconds,
+    totals: emptyUsage(),
+    chapters: {},
+    steps: {},
+  };
+
+  for (const step of registry.getOrderedSteps()) {
+    const stepEstimate = {scope: step.scope, totals: emptyUsage(), models: {}, chapters: {}};
+    const contexts = step.scope === STEP_SCOPES.CHAPTER ? chapterContexts : [bookContext];
+
+    for (const context of contexts) {
+      const usages = step.estimate ? step.estimate({context}) : [];
+      const contextTotals = emptyUsage();
+      for (const usage of usages) {
+        addUsage(contextTotals, usage);
+        stepEstimate.models[usage.model] = addUsage(stepEstimate.models[usage.model] || emptyUsage(), usage);
+      }
+      addUsage(stepEstimate.totals, contextTotals);
+      if (context.chapter !== undefined) {
+        stepEstimate.chapters[context.chapter] = contextTotals;
+        estimate.chapters[context.chapter] = addUsage(estimate.chapters[context.chapter] || emptyUsage(), contextTotals);
+      }
+    }
+
+    addUsage(estimate.totals, stepEstimate.totals);
+    estimate.steps[step.name] = stepEstimate;
+  }
+
+  return estimate;
+}
+
+export {
+  llmUsage,
+  imageUsage,
+  estimateGraphPipeline,
+};
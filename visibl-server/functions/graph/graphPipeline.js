@@ -4,6 +4,7 @@ import {
   queueSetItemsToError,
   queueClaimPendingItems,
   queueUpdateEntries,
+  queueReclaimStaleItems,
 } from "../storage/firestore/queue.js";
 
 import {
@@ -22,6 +23,7 @@ import {
   GRAPH_PIPELINE_RETRY_INITIAL_DELAY,
   GRAPH_PIPELINE_RETRY_MAX_DELAY,
   GRAPH_PIPELINE_RETRY_BACKOFF_MULTIPLIER,
+  GRAPH_PIPELINE_VISIBILITY_TIMEOUT,
 } from "./config.js";
 import {
   calculateExponentialBackoff,
@@ -41,16 +43,17 @@ async function generateNewGraph(params) {
 /**
  * Continue processing a graph pipeline from a specific stage
  * @param {Object} params - Parameters including graphId and optional stage, startChapter, endChapter
- * @return {Promise<void>}
+ * @param {boolean} [params.resume] - Resume from the last failure instead, only graphId is needed
+ * @return {Promise<Object|void>} The resumed steps when resuming
  */
-async function continueGraphPipeline({graphId, stage, startChapter, endChapter}) {
+async function continueGraphPipeline({graphId, stage, startChapter, endChapter, resume}) {
   const graphItem = await getGraphFirestore({graphId});
   if (!graphItem || Object.keys(graphItem).length === 0) {
     throw new Error("Graph does not exist");
   }
 
   const pipeline = GraphPipelineFactory.getPipelineForGraph(graphItem);
-  return await pipeline.continueGraphPipeline({graphId, stage, startChapter, endChapter});
+  return await pipeline.continueGraphPipeline({graphId, stage, startChapter, endChapter, resume});
 }
 
 /**
@@ -164,6 +167,12 @@ async function graphQueue() {
       } else {
         // Only mark as error when retries are exhausted
         await queueSetItemsToError({queue});
+        // Checkpoint the failure so the graph can be resumed from this step and chapter
+        try {
+          await pipeline.recordStepFailure({entryType: queue[0].entryType, graphItem, error});
+        } catch (checkpointError) {
+          logger.error(`graphQueue: Failed to record failure checkpoint for ${queue[0].id}: ${checkpointError.message}`);
+        }
         logger.critical(`graphQueue: Terminal error processing ${queue[0].id} after ${maxRetries} retries: ` +
                        `${error?.message || (typeof error === "string" ? error : JSON.stringify(error)) || "Unknown error"}`);
       }
@@ -177,17 +186,56 @@ async function graphQueue() {
 
 /**
  * Initialize graph generation for a catalogue item
- * @param {Object} params - Parameters including sku, uid, and replace flag
- * @return {Promise<void>}
+ * @param {Object} params - Parameters including sku, uid, replace and dryRun flags
+ * @return {Promise<Object|void>} The cost estimate for a dry run
  */
-async function initGraphGeneration({sku, uid, replace = false, version = "v0.1"}) {
+async function initGraphGeneration({sku, uid, replace = false, dryRun = false, version = "v0.1"}) {
   const pipeline = GraphPipelineFactory.getPipeline(version);
-  return await pipeline.initGraphGeneration({sku, uid, replace});
+  return await pipeline.initGraphGeneration({sku, uid, replace, dryRun});
+}
+
+/**
+ * Reclaim graph queue entries left in processing by an instance that died or timed out
+ * Entries with retries left go back to pending and the queue is relaunched. The rest are
+ * errored and checkpointed like a step that failed all its retries, so the graph can be resumed.
+ * @return {Promise<Object>} {visibilityTimeout, reclaimed: [], errored: []} with entry ids
+ */
+async function reapGraphQueue() {
+  const {reclaimed, errored} = await queueReclaimStaleItems({
+    type: "graph",
+    visibilityTimeout: GRAPH_PIPELINE_VISIBILITY_TIMEOUT,
+    retryLimit: GRAPH_PIPELINE_RETRY_LIMIT,
+  });
+
+  const stuckFor = `${Math.round(GRAPH_PIPELINE_VISIBILITY_TIMEOUT / 60000)} minutes`;
+  for (const entry of errored) {
+    const graphItem = entry.params;
+    try {
+      const pipeline = GraphPipelineFactory.getPipelineForGraph(graphItem);
+      await pipeline.recordStepFailure({
+        entryType: entry.entryType,
+        graphItem,
+        error: `Stuck in processing for more than ${stuckFor} with no retries left`,
+      });
+    } catch (error) {
+      logger.error(`reapGraphQueue: Failed to record failure checkpoint for ${entry.id}: ${error.message}`);
+    }
+  }
+
+  if (reclaimed.length > 0) {
+    await dispatchTask({functionName: "graphPipeline", data: {}});
+  }
+  return {
+    visibilityTimeout: GRAPH_PIPELINE_VISIBILITY_TIMEOUT,
+    reclaimed: reclaimed.map((entry) => entry.id),
+    errored: errored.map((entry) => entry.id),
+  };
 }
 
 export {
   generateNewGraph,
   graphQueue,
+  reapGraphQueue,
   continueGraphPipeline,
   initGraphGeneration,
 };
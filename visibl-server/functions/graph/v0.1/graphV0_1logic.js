@@ -5,6 +5,7 @@ import {
   getChapterLengths,
   getAuthorAndTitleFromSku,
   scenesCreateDefaultCatalogue,
+  fetchGraphEntityArray,
 } from "../../util/graphHelper.js";
 
 import {
@@ -21,6 +22,7 @@ import {
 import {
   storeGraphCharactersRtdb,
   storeGraphLocationsRtdb,
+  storeGraphObjectsRtdb,
 } from "../../storage/realtimeDb/graph.js";
 
 import {
@@ -38,6 +40,8 @@ import {
 
 import {
   queueAddEntries,
+  queueDeleteEntries,
+  QUEUE_PRIORITIES,
 } from "../../storage/firestore/queue.js";
 
 import {
@@ -52,6 +56,12 @@ import {
   dispatchTask,
 } from "../../util/dispatch.js";
 
+import {
+  getEntityOverrides,
+  applyOverridesToNames,
+  applyEntityOverrides,
+} from "./logic/entityOverrides.js";
+
 import logger from "../../util/logger.js";
 import {createAnalyticsOptions} from "../../analytics/index.js";
 
@@ -92,10 +102,13 @@ function transcriptionsToText(transcriptions) {
  * @param {string} uid - User ID for analytics
  * @param {string} graphId - Graph ID for analytics
  * @param {string} sku - Book SKU for analytics
+ * @param {Object} [overrides] - Manual character overrides from getEntityOverrides
  * @return {Promise<Array<Object>>} Array of consolidated characters with name and aliases
  */
-async function consolidateCharacters({characterNames, chapterText, replacements, uid, graphId, sku}) {
+async function consolidateCharacters({characterNames: rawCharacterNames, chapterText, replacements, uid, graphId, sku, overrides}) {
   const openRouterClient = new OpenRouterClient();
+  // Names that are forced together reach the LLM as a single name
+  const characterNames = applyOverridesToNames({names: rawCharacterNames, overrides});
   // TODO: reduce thinking if we fail (from medium to low)
   const result = await openRouterClient.sendRequest({
     promptOverride: graphPrompts["v0_1_consolidate_characters"],
@@ -130,7 +143,7 @@ async function consolidateCharacters({characterNames, chapterText, replacements,
   }
 
   if (result.result && result.result.characters) {
-    return result.result.characters;
+    return applyEntityOverrides({entities: result.result.characters, overrides});
   } else {
     throw new Error(`No characters found in result`);
   }
@@ -141,11 +154,13 @@ async function consolidateCharacters({characterNames, chapterText, replacements,
  * @param {Array<string>} locationNames - Raw list of location names
  * @param {string} chapterText - Full text of the chapter
  * @param {Object} replacements - Book metadata (title, author)
+ * @param {Object} [overrides] - Manual location overrides from getEntityOverrides
  * @return {Promise<Array<Object>>} Array of consolidated locations with name and aliases
  */
-async function consolidateLocations({locationNames, chapterText, replacements, uid, sku, graphId}) {
+async function consolidateLocations({locationNames: rawLocationNames, chapterText, replacements, uid, sku, graphId, overrides}) {
   const openRouterClient = new OpenRouterClient();
-
+  // Names that are forced together reach the LLM as a single name
+  const locationNames = applyOverridesToNames({names: rawLocationNames, overrides});
 
   const result = await openRouterClient.sendRequest({
     promptOverride: graphPrompts["v0_1_consolidate_locations"],
@@ -181,12 +196,65 @@ async function consolidateLocations({locationNames, chapterText, replacements, u
   }
 
   if (result.result && result.result.locations) {
-    return result.result.locations;
+    return applyEntityOverrides({entities: result.result.locations, overrides});
   } else {
     throw new Error(`No locations found in result`);
   }
 }
 
+/**
+ * Consolidates a list of object names by grouping aliases
+ * @param {Array<string>} objectNames - Raw list of object names
+ * @param {string} chapterText - Full text of the chapter
+ * @param {Object} replacements - Book metadata (title, author)
+ * @param {Object} [overrides] - Manual object overrides from getEntityOverrides
+ * @return {Promise<Array<Object>>} Array of consolidated objects with name and aliases
+ */
+async function consolidateObjects({objectNames: rawObjectNames, chapterText, replacements, uid, sku, graphId, overrides}) {
+  const openRouterClient = new OpenRouterClient();
+  // Names that are forced together reach the LLM as a single name
+  const objectNames = applyOverridesToNames({names: rawObjectNames, overrides});
+
+  const result = await openRouterClient.sendRequest({
+    promptOverride: graphPrompts["v0_1_consolidate_objects"],
+    modelOverride: graphPrompts["v0_1_consolidate_objects"].openRouterModel,
+    message: chapterText,
+    replacements: [
+      {
+        key: "NOVEL_TITLE",
+        value: replacements.title || "Unknown",
+      },
+      {
+        key: "AUTHOR",
+        value: replacements.author || "Unknown",
+      },
+      {
+        key: "OBJECT_LIST",
+        value: JSON.stringify(objectNames, null, 2),
+      },
+    ],
+    analyticsOptions: createAnalyticsOptions({uid, graphId, sku, promptId: "v0_1_consolidate_objects"}),
+    mockResponse: new OpenRouterMockResponse({
+      content: {
+        objects: objectNames.slice(0, 5).map((name, index) => ({
+          name: name,
+          aliases: index === 0 ? [`mockobjalias${Math.floor(Math.random() * 90) + 10}`] : [],
+        })),
+      },
+    }),
+  });
+
+  if (result.error) {
+    throw new Error(`Error consolidating objects: ${result.error}`);
+  }
+
+  if (result.result && result.result.objects) {
+    return applyEntityOverrides({entities: result.result.objects, overrides});
+  } else {
+    throw new Error(`No objects found in result`);
+  }
+}
+
 /**
  * Correct transcriptions for a given chapter
  * @param {string} uid - User ID
@@ -340,6 +408,7 @@ async function graphCharactersByChapter(params) {
   const chapterText = transcriptionsToText(chapterTranscriptions);
 
   // Consolidate characters using reasoning model
+  const overrides = await getEntityOverrides({uid, sku, visibility, graphId});
   const consolidatedCharacters = await consolidateCharacters({
     characterNames: filteredCharacterNames,
     chapterText: chapterText,
@@ -350,6 +419,7 @@ async function graphCharactersByChapter(params) {
     uid,
     graphId,
     sku,
+    overrides: overrides.characters,
   });
 
   // Post-process to merge duplicates and validate all characters are present
@@ -560,6 +630,7 @@ async function graphLocationsByChapter(params) {
   const chapterText = transcriptionsToText(chapterTranscriptions);
 
   // Consolidate locations using reasoning model
+  const overrides = await getEntityOverrides({uid, sku, visibility, graphId});
   const consolidatedLocations = await consolidateLocations({
     locationNames: filteredLocationNames,
     chapterText: chapterText,
@@ -570,6 +641,7 @@ async function graphLocationsByChapter(params) {
     uid: uid,
     sku: sku,
     graphId: graphId,
+    overrides: overrides.locations,
   });
   // Create location list with consolidated names and aliases, all lowercase
   const locationsList = {
@@ -593,6 +665,167 @@ async function graphLocationsByChapter(params) {
   });
 }
 
+/**
+ * Extracts recurring objects (props, vehicles, artifacts) from a chapter's transcriptions
+ * @param {Object} params - The parameters object
+ * @param {string} params.uid - User ID
+ * @param {string} params.sku - Book SKU
+ * @param {string} params.visibility - Visibility setting
+ * @param {string} params.graphId - Graph ID
+ * @param {number} params.chapter - Chapter number
+ * @return {Object} Object information for the chapter
+ */
+async function graphObjectsByChapter(params) {
+  let {uid, sku, visibility, graphId, chapter} = params;
+  if (!chapter) {
+    // first chapter.
+    chapter = 0;
+  }
+  // Get author and title from SKU
+  const {author, title} = await getAuthorAndTitleFromSku(sku);
+
+  // 1. load transcriptions.
+  const transcriptions = await getTranscriptions({uid, sku, visibility});
+  const numChapters = Object.keys(transcriptions).length;
+
+  logger.debug(`${graphId} Processing objects for chapter ${chapter} of ${numChapters}`);
+
+  // Get transcriptions for this chapter
+  const chapterTranscriptions = transcriptions[chapter];
+
+  const openRouterClient = new OpenRouterClient();
+  const duration = getChapterDuration(chapterTranscriptions);
+
+  if (duration < MIN_CHAPTER_DURATION) {
+    logger.info(`${graphId} Chapter ${chapter} duration ${duration}s is less than ${MIN_CHAPTER_DURATION}s - returning empty object list`);
+    await storeGraph({
+      uid,
+      sku,
+      visibility,
+      data: {objects: []},
+      type: "objects",
+      chapter,
+      graphId,
+    });
+    return;
+  }
+
+  // Chunk the transcriptions
+  const chunks = chunkTranscriptions({transcriptions: chapterTranscriptions});
+  logger.debug(`${graphId} Chapter ${chapter} split into ${chunks.length} chunks`);
+
+  // Create promises for all chunks to process in parallel
+  const chunkPromises = chunks.map(async (chunk, i) => {
+    const chunkText = transcriptionsToText(chunk);
+    logger.debug(`${graphId} Processing object chunk ${i + 1} of ${chunks.length} for chapter ${chapter}`);
+
+    const result = await openRouterClient.sendRequest({
+      promptOverride: graphPrompts["v0_1_get_objects_chunk"],
+      modelOverride: graphPrompts["v0_1_get_objects_chunk"].openRouterModel,
+      message: chunkText,
+      replacements: [{
+        key: "NOVEL_TITLE",
+        value: title,
+      }, {
+        key: "AUTHOR",
+        value: author,
+      }],
+      mockResponse: new OpenRouterMockResponse({
+        content: {
+          objects: [
+            `mockobject01`,
+            `mockobject02`,
+            `mockobject03`,
+            `mockobject03`,
+          ],
+        },
+      }),
+      analyticsOptions: createAnalyticsOptions({uid, graphId, sku, promptId: "v0_1_get_objects_chunk"}),
+    });
+
+    // As with characters and locations we don't throw on a failed chunk.
+    if (result.result && result.result.objects) {
+      // Return the object names for this chunk, sanitized for Firebase
+      return result.result.objects
+          .filter((name) => name && name.trim())
+          .map((name) => sanitizeFirebaseKey({key: name}));
+    }
+    logger.warn(`${graphId} ${chapter} No objects found for chunk ${i + 1} of ${chunks.length}`);
+    return [];
+  });
+
+  // Wait for all chunks to be processed and remove exact duplicates
+  const chunkResults = await Promise.all(chunkPromises);
+  const allObjectNames = chunkResults.flat();
+  const dedupedObjectNames = [...new Set(allObjectNames)];
+
+  // Filter out common generic terms
+  const genericTerms = new Set(["it", "thing", "things", "something", "object", "stuff"]);
+  const filteredObjectNames = dedupedObjectNames.filter((name) => !genericTerms.has(name));
+
+  logger.debug(`${graphId} Found ${filteredObjectNames.length} unique object names in chapter ${chapter} after filtering generic terms (${allObjectNames.length} total before dedup)`);
+
+  // Save the deduplicated list for comparison
+  await storeGraph({
+    uid,
+    sku,
+    visibility,
+    data: {objects: filteredObjectNames},
+    type: "objects-dedup",
+    chapter,
+    graphId,
+  });
+
+  // Most chapters have no recurring objects worth drawing
+  if (filteredObjectNames.length === 0) {
+    await storeGraph({
+      uid,
+      sku,
+      visibility,
+      data: {objects: []},
+      type: "objects",
+      chapter,
+      graphId,
+    });
+    return;
+  }
+
+  // Consolidate objects using reasoning model
+  const overrides = await getEntityOverrides({uid, sku, visibility, graphId});
+  const consolidatedObjects = await consolidateObjects({
+    objectNames: filteredObjectNames,
+    chapterText: transcriptionsToText(chapterTranscriptions),
+    replacements: {
+      title: title,
+      author: author,
+    },
+    uid: uid,
+    sku: sku,
+    graphId: graphId,
+    overrides: overrides.objects,
+  });
+  // Create object list with consolidated names and aliases, all lowercase
+  const objectsList = {
+    objects: consolidatedObjects.map((obj) => ({
+      name: obj.name.toLowerCase(),
+      aliases: (obj.aliases || []).map((alias) => alias.toLowerCase()),
+    })),
+  };
+
+  logger.debug(`${graphId} Consolidated to ${consolidatedObjects.length} unique objects with aliases`);
+
+  // Store consolidated results
+  await storeGraph({
+    uid,
+    sku,
+    visibility,
+    data: objectsList,
+    type: "objects",
+    chapter,
+    graphId,
+  });
+}
+
 /**
  * Extracts character properties from a chapter's transcriptions
  * @param {Object} params - The parameters object
@@ -1008,96 +1241,68 @@ async function graphLocationPropertiesByChapter(params) {
 }
 
 /**
- * Generates image prompts for characters in a specific chapter
+ * Extracts object properties from a chapter's transcriptions
  * @param {Object} params - The parameters object
  * @param {string} params.uid - User ID
  * @param {string} params.sku - Book SKU
  * @param {string} params.visibility - Visibility setting
  * @param {string} params.graphId - Graph ID
  * @param {number} params.chapter - Chapter number
- * @return {Object} Character image prompts for the chapter
+ * @return {Object} Object properties for the chapter
  */
-async function generateCharacterImagePrompts(params) {
+async function graphObjectPropertiesByChapter(params) {
   const {uid, sku, visibility, graphId, chapter} = params;
 
-  logger.debug(`${graphId} Generating character image prompts for chapter ${chapter}`);
+  logger.debug(`${graphId} Processing object properties for chapter ${chapter}`);
 
   // Get author and title from SKU
   const {author, title} = await getAuthorAndTitleFromSku(sku);
+  // 1. Load the consolidated objects for this chapter
+  const consolidatedObjects = await fetchGraphEntityArray({
+    uid,
+    sku,
+    visibility,
+    type: "objects",
+    chapter,
+    graphId,
+  });
 
-  // 1. Load character properties for this chapter
-  let chapterProperties;
-  try {
-    chapterProperties = await getGraph({
-      uid,
-      sku,
-      visibility,
-      type: "characterProperties-continuity",
-      chapter,
-      graphId,
-    });
-  } catch (error) {
-    logger.debug(`${graphId} No properties file for chapter ${chapter}: ${error.message}`);
-    // If no properties file, store empty result
-    await storeGraph({
-      uid,
-      sku,
-      visibility,
-      data: {characterPrompts: []},
-      type: "characterImagePrompts",
-      chapter,
-      graphId,
-    });
-    return;
-  }
+  // 2. Load transcriptions for this chapter
+  const transcriptions = await getTranscriptions({uid, sku, visibility});
+  const chapterTranscriptions = transcriptions[chapter];
 
-  // 2. Check if there are any properties
-  if (!chapterProperties.properties || chapterProperties.properties.length === 0) {
-    logger.debug(`${graphId} No character properties found for chapter ${chapter}`);
+  const duration = getChapterDuration(chapterTranscriptions);
+  if (consolidatedObjects.objects.length === 0 || duration < MIN_CHAPTER_DURATION) {
+    logger.info(`${graphId} Chapter ${chapter} has ${consolidatedObjects.objects.length} objects and lasts ${duration}s - returning empty properties list`);
     await storeGraph({
       uid,
       sku,
       visibility,
-      data: {characterPrompts: []},
-      type: "characterImagePrompts",
+      data: {properties: []},
+      type: "objectProperties",
       chapter,
       graphId,
     });
     return;
   }
 
-  // 3. Group properties by character
-  const characterProperties = new Map();
-  for (const prop of chapterProperties.properties) {
-    const charName = prop.character.toLowerCase();
-    if (!characterProperties.has(charName)) {
-      characterProperties.set(charName, []);
-    }
-    characterProperties.get(charName).push({
-      relationship: prop.relationship,
-      property: prop.property,
-    });
-  }
-
-  logger.debug(`${graphId} Processing image prompts for ${characterProperties.size} characters in chapter ${chapter}`);
+  // 3. Convert all transcriptions to text once (no chunking)
+  const fullChapterText = transcriptionsToText(chapterTranscriptions);
+  logger.debug(`${graphId} Processing full chapter ${chapter} text for object properties (${chapterTranscriptions.length} segments)`);
 
   const openRouterClient = new OpenRouterClient();
 
-  // 4. Generate image prompts for all characters in parallel
-  const promptPromises = Array.from(characterProperties.entries()).map(async ([charName, properties]) => {
-    // Format properties as simple text list
-    const propertiesText = properties
-        .map((prop) => `- ${prop.relationship}: ${prop.property}`)
-        .join("\n");
-
-    const message = `Character: ${charName}\n\nPhysical properties:\n${propertiesText}\n\nPlease create a vivid, detailed description of this character's appearance.`;
+  // 4. Process each object individually with the full chapter text
+  const objectPromises = consolidatedObjects.objects.map(async (object, i) => {
+    const objectName = object.name;
+    const objectAliases = object.aliases.length > 0 ? object.aliases.join(", ") : "None";
 
-    logger.debug(`${graphId} Generating image prompt for ${charName} with ${properties.length} properties`);
+    logger.debug(`${graphId} Processing properties for object ${i + 1}/${consolidatedObjects.objects.length}: ${objectName} in chapter ${chapter}`);
 
     const result = await openRouterClient.sendRequest({
-      promptOverride: graphPrompts["v0_1_character_image_prompt"],
-      modelOverride: graphPrompts["v0_1_character_image_prompt"].openRouterModel,
-      message: message,
+      promptOverride: graphPrompts["v0_1_object_properties_single"],
+      modelOverride: graphPrompts["v0_1_object_properties_single"].openRouterModel,
+      message: fullChapterText,
       replacements: [
         {
           key: "NOVEL_TITLE",
@@ -1107,62 +1312,321 @@ async function generateCharacterImagePrompts(params) {
           key: "AUTHOR",
           value: author,
         },
+        {
+          key: "OBJECT_NAME",
+          value: objectName,
+        },
+        {
+          key: "OBJECT_ALIASES",
+          value: objectAliases,
+        },
       ],
       mockResponse: new OpenRouterMockResponse({
         content: {
-          character: charName,
-          description: `Mock image description for ${charName}: A detailed portrait showing distinctive features including ${properties.length > 0 ? properties[0].property : "unique characteristics"}.`,
+          properties: [
+            {
+              object: objectName.toLowerCase(),
+              relationship: "material",
+              property: "tarnished silver",
+            },
+            {
+              object: objectName.toLowerCase(),
+              relationship: "size",
+              property: "fits in the palm of a hand",
+            },
+          ],
         },
       }),
-      analyticsOptions: createAnalyticsOptions({uid, graphId, sku, promptId: "v0_1_character_image_prompt"}),
+      analyticsOptions: createAnalyticsOptions({uid, graphId, sku, promptId: "v0_1_object_properties_single"}),
     });
 
-    // We throw as this is pretty critical to the graph.
     if (result.error) {
-      throw new Error(`${graphId} ${chapter} Error generating image prompt for ${charName}: ${result.error}`);
+      logger.warn(`${graphId} ${chapter} LLM Error processing properties for object; returning empty list for ${objectName}: ${result.error}`);
+      return [];
     }
 
-    if (result.result && result.result.description) {
-      logger.debug(`${graphId} Generated prompt for ${charName}: ${result.result.description.substring(0, 100)}...`);
-      return {
-        character: charName,
-        description: result.result.description,
-      };
+    if (result.result && result.result.properties) {
+      // Ensure all properties use the correct object name (lowercase)
+      return result.result.properties.map((prop) => ({
+        ...prop,
+        object: objectName.toLowerCase(),
+      }));
     } else {
-      throw new Error(`${graphId} ${chapter} No description found for character ${charName}`);
+      logger.warn(`${graphId} ${chapter} No properties found for object, returning empty list for ${objectName}`);
+      return [];
     }
   });
 
-  // Wait for all prompts to be generated
-  const results = await Promise.all(promptPromises);
-
-  // Filter out null results (failed generations)
-  const characterPrompts = results.filter((prompt) => prompt !== null);
-
-  logger.info(`${graphId} Generated ${characterPrompts.length} character image prompts for chapter ${chapter}`);
+  // 5. Flatten and deduplicate properties
+  const allProperties = (await Promise.all(objectPromises)).flat();
+  const uniqueProperties = [];
+  const seen = new Set();
+  for (const prop of allProperties) {
+    const key = `${prop.object}-${prop.relationship}-${prop.property}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      uniqueProperties.push(prop);
+    }
+  }
 
-  // 5. Store the generated prompts for this chapter
-  const promptsData = {
-    characterPrompts: characterPrompts,
-  };
+  logger.info(`${graphId} Chapter ${chapter}: Storing ${uniqueProperties.length} object properties (${allProperties.length} total before dedup) from ${consolidatedObjects.objects.length} objects`);
 
+  // 6. Store the properties
   await storeGraph({
     uid,
     sku,
     visibility,
-    data: promptsData,
-    type: "characterImagePrompts",
+    data: {properties: uniqueProperties},
+    type: "objectProperties",
     chapter,
     graphId,
   });
 }
 
 /**
- * Generates image prompts for locations in a specific chapter
+ * Generates the image prompt for a single character from its properties
  * @param {Object} params - The parameters object
  * @param {string} params.uid - User ID
  * @param {string} params.sku - Book SKU
- * @param {string} params.visibility - Visibility setting
+ * @param {string} params.graphId - Graph ID
+ * @param {number} params.chapter - Chapter number
+ * @param {string} params.charName - Lowercase character name
+ * @param {Array} params.properties - Array of {relationship, property}
+ * @param {string} params.author - Book author
+ * @param {string} params.title - Book title
+ * @param {OpenRouterClient} params.openRouterClient - OpenRouter client instance
+ * @return {Promise<Object>} The character prompt {character, description}
+ */
+async function generateCharacterImagePrompt(params) {
+  const {uid, sku, graphId, chapter, charName, properties, author, title, openRouterClient} = params;
+
+  // Format properties as simple text list
+  const propertiesText = properties
+      .map((prop) => `- ${prop.relationship}: ${prop.property}`)
+      .join("\n");
+
+  const message = `Character: ${charName}\n\nPhysical properties:\n${propertiesText}\n\nPlease create a vivid, detailed description of this character's appearance.`;
+
+  logger.debug(`${graphId} Generating image prompt for ${charName} with ${properties.length} properties`);
+
+  const result = await openRouterClient.sendRequest({
+    promptOverride: graphPrompts["v0_1_character_image_prompt"],
+    modelOverride: graphPrompts["v0_1_character_image_prompt"].openRouterModel,
+    message: message,
+    replacements: [
+      {
+        key: "NOVEL_TITLE",
+        value: title,
+      },
+      {
+        key: "AUTHOR",
+        value: author,
+      },
+    ],
+    mockResponse: new OpenRouterMockResponse({
+      content: {
+        character: charName,
+        description: `Mock image description for ${charName}: A detailed portrait showing distinctive features including ${properties.length > 0 ? properties[0].property : "unique characteristics"}.`,
+      },
+    }),
+    analyticsOptions: createAnalyticsOptions({uid, graphId, sku, promptId: "v0_1_character_image_prompt"}),
+  });
+
+  // We throw as this is pretty critical to the graph.
+  if (result.error) {
+    throw new Error(`${graphId} ${chapter} Error generating image prompt for ${charName}: ${result.error}`);
+  }
+
+  if (result.result && result.result.description) {
+    logger.debug(`${graphId} Generated prompt for ${charName}: ${result.result.description.substring(0, 100)}...`);
+    return {
+      character: charName,
+      description: result.result.description,
+    };
+  } else {
+    throw new Error(`${graphId} ${chapter} No description found for character ${charName}`);
+  }
+}
+
+/**
+ * Generates image prompts for characters in a specific chapter
+ * @param {Object} params - The parameters object
+ * @param {string} params.uid - User ID
+ * @param {string} params.sku - Book SKU
+ * @param {string} params.visibility - Visibility setting
+ * @param {string} params.graphId - Graph ID
+ * @param {number} params.chapter - Chapter number
+ * @return {Object} Character image prompts for the chapter
+ */
+async function generateCharacterImagePrompts(params) {
+  const {uid, sku, visibility, graphId, chapter} = params;
+
+  logger.debug(`${graphId} Generating character image prompts for chapter ${chapter}`);
+
+  // Get author and title from SKU
+  const {author, title} = await getAuthorAndTitleFromSku(sku);
+
+  // 1. Load character properties for this chapter
+  let chapterProperties;
+  try {
+    chapterProperties = await getGraph({
+      uid,
+      sku,
+      visibility,
+      type: "characterProperties-continuity",
+      chapter,
+      graphId,
+    });
+  } catch (error) {
+    logger.debug(`${graphId} No properties file for chapter ${chapter}: ${error.message}`);
+    // If no properties file, store empty result
+    await storeGraph({
+      uid,
+      sku,
+      visibility,
+      data: {characterPrompts: []},
+      type: "characterImagePrompts",
+      chapter,
+      graphId,
+    });
+    return;
+  }
+
+  // 2. Check if there are any properties
+  if (!chapterProperties.properties || chapterProperties.properties.length === 0) {
+    logger.debug(`${graphId} No character properties found for chapter ${chapter}`);
+    await storeGraph({
+      uid,
+      sku,
+      visibility,
+      data: {characterPrompts: []},
+      type: "characterImagePrompts",
+      chapter,
+      graphId,
+    });
+    return;
+  }
+
+  // 3. Group properties by character
+  const characterProperties = new Map();
+  for (const prop of chapterProperties.properties) {
+    const charName = prop.character.toLowerCase();
+    if (!characterProperties.has(charName)) {
+      characterProperties.set(charName, []);
+    }
+    characterProperties.get(charName).push({
+      relationship: prop.relationship,
+      property: prop.property,
+    });
+  }
+
+  logger.debug(`${graphId} Processing image prompts for ${characterProperties.size} characters in chapter ${chapter}`);
+
+  const openRouterClient = new OpenRouterClient();
+
+  // 4. Generate image prompts for all characters in parallel
+  const promptPromises = Array.from(characterProperties.entries()).map(([charName, properties]) => generateCharacterImagePrompt({
+    uid, sku, graphId, chapter,
+    charName, properties,
+    author, title,
+    openRouterClient,
+  }));
+
+  // Wait for all prompts to be generated
+  const results = await Promise.all(promptPromises);
+
+  // Filter out null results (failed generations)
+  const characterPrompts = results.filter((prompt) => prompt !== null);
+
+  logger.info(`${graphId} Generated ${characterPrompts.length} character image prompts for chapter ${chapter}`);
+
+  // 5. Store the generated prompts for this chapter
+  const promptsData = {
+    characterPrompts: characterPrompts,
+  };
+
+  await storeGraph({
+    uid,
+    sku,
+    visibility,
+    data: promptsData,
+    type: "characterImagePrompts",
+    chapter,
+    graphId,
+  });
+}
+
+/**
+ * Generates the image prompt for a single location from its properties
+ * @param {Object} params - The parameters object
+ * @param {string} params.uid - User ID
+ * @param {string} params.sku - Book SKU
+ * @param {string} params.graphId - Graph ID
+ * @param {number} params.chapter - Chapter number
+ * @param {string} params.locName - Lowercase location name
+ * @param {Array} params.properties - Array of {relationship, property}
+ * @param {string} params.author - Book author
+ * @param {string} params.title - Book title
+ * @param {OpenRouterClient} params.openRouterClient - OpenRouter client instance
+ * @return {Promise<Object>} The location prompt {location, description}
+ */
+async function generateLocationImagePrompt(params) {
+  const {uid, sku, graphId, chapter, locName, properties, author, title, openRouterClient} = params;
+
+  // Format properties as simple text list
+  const propertiesText = properties
+      .map((prop) => `- ${prop.relationship}: ${prop.property}`)
+      .join("\n");
+
+  const message = `Location: ${locName}\n\nDescriptive properties:\n${propertiesText}\n\nPlease create a vivid, detailed description of this location's appearance.`;
+
+  logger.debug(`${graphId} Generating image prompt for ${locName} with ${properties.length} properties`);
+
+  const result = await openRouterClient.sendRequest({
+    promptOverride: graphPrompts["v0_1_location_image_prompt"],
+    modelOverride: graphPrompts["v0_1_location_image_prompt"].openRouterModel,
+    message: message,
+    replacements: [
+      {
+        key: "NOVEL_TITLE",
+        value: title,
+      },
+      {
+        key: "AUTHOR",
+        value: author,
+      },
+    ],
+    mockResponse: new OpenRouterMockResponse({
+      content: {
+        location: locName,
+        description: `Mock image description for ${locName}: A sweeping vista featuring ${properties.length > 0 ? properties[0].property : "distinctive landmarks"}.`,
+      },
+    }),
+    analyticsOptions: createAnalyticsOptions({uid, graphId, sku, promptId: "v0_1_location_image_prompt"}),
+  });
+
+  // We throw as this is pretty critical to the graph.
+  if (result.error) {
+    throw new Error(`${graphId} ${chapter} Error generating image prompt for ${locName}: ${result.error}`);
+  }
+
+  if (result.result && result.result.description) {
+    logger.debug(`${graphId} Generated prompt for ${locName}: ${result.result.description.substring(0, 100)}...`);
+    return {
+      location: locName,
+      description: result.result.description,
+    };
+  } else {
+    throw new Error(`${graphId} ${chapter} No description found for location ${locName}`);
+  }
+}
+
+/**
+ * Generates image prompts for locations in a specific chapter
+ * @param {Object} params - The parameters object
+ * @param {string} params.uid - User ID
+ * @param {string} params.sku - Book SKU
+ * @param {string} params.visibility - Visibility setting
  * @param {string} params.graphId - Graph ID
  * @param {number} params.chapter - Chapter number
  * @return {Object} Location image prompts for the chapter
@@ -1234,55 +1698,12 @@ async function generateLocationImagePrompts(params) {
   const openRouterClient = new OpenRouterClient();
 
   // 4. Generate image prompts for all locations in parallel
-  const promptPromises = Array.from(locationProperties.entries()).map(async ([locName, properties]) => {
-    // Format properties as simple text list
-    const propertiesText = properties
-        .map((prop) => `- ${prop.relationship}: ${prop.property}`)
-        .join("\n");
-
-    const message = `Location: ${locName}\n\nDescriptive properties:\n${propertiesText}\n\nPlease create a vivid, detailed description of this location's appearance.`;
-
-    logger.debug(`${graphId} Generating image prompt for ${locName} with ${properties.length} properties`);
-
-
-    const result = await openRouterClient.sendRequest({
-      promptOverride: graphPrompts["v0_1_location_image_prompt"],
-      modelOverride: graphPrompts["v0_1_location_image_prompt"].openRouterModel,
-      message: message,
-      replacements: [
-        {
-          key: "NOVEL_TITLE",
-          value: title,
-        },
-        {
-          key: "AUTHOR",
-          value: author,
-        },
-      ],
-      mockResponse: new OpenRouterMockResponse({
-        content: {
-          location: locName,
-          description: `Mock image description for ${locName}: A sweeping vista featuring ${properties.length > 0 ? properties[0].property : "distinctive landmarks"}.`,
-        },
-      }),
-      analyticsOptions: createAnalyticsOptions({uid, graphId, sku, promptId: "v0_1_location_image_prompt"}),
-    });
-
-    // We throw as this is pretty critical to the graph.
-    if (result.error) {
-      throw new Error(`${graphId} ${chapter} Error generating image prompt for ${locName}: ${result.error}`);
-    }
-
-    if (result.result && result.result.description) {
-      logger.debug(`${graphId} Generated prompt for ${locName}: ${result.result.description.substring(0, 100)}...`);
-      return {
-        location: locName,
-        description: result.result.description,
-      };
-    } else {
-      throw new Error(`${graphId} ${chapter} No description found for location ${locName}`);
-    }
-  });
+  const promptPromises = Array.from(locationProperties.entries()).map(([locName, properties]) => generateLocationImagePrompt({
+    uid, sku, graphId, chapter,
+    locName, properties,
+    author, title,
+    openRouterClient,
+  }));
 
   // Wait for all prompts to be generated
   const results = await Promise.all(promptPromises);
@@ -1308,6 +1729,139 @@ async function generateLocationImagePrompts(params) {
   });
 }
 
+/**
+ * Generates the image prompt for a single object from its properties
+ * @param {Object} params - The parameters object
+ * @param {string} params.uid - User ID
+ * @param {string} params.sku - Book SKU
+ * @param {string} params.graphId - Graph ID
+ * @param {number} params.chapter - Chapter number
+ * @param {string} params.objName - Lowercase object name
+ * @param {Array} params.properties - Array of {relationship, property}
+ * @param {string} params.author - Book author
+ * @param {string} params.title - Book title
+ * @param {OpenRouterClient} params.openRouterClient - OpenRouter client instance
+ * @return {Promise<Object>} The object prompt {object, description}
+ */
+async function generateObjectImagePrompt(params) {
+  const {uid, sku, graphId, chapter, objName, properties, author, title, openRouterClient} = params;
+
+  // Format properties as simple text list
+  const propertiesText = properties
+      .map((prop) => `- ${prop.relationship}: ${prop.property}`)
+      .join("\n");
+
+  const message = `Object: ${objName}\n\nDescriptive properties:\n${propertiesText}\n\nPlease create a vivid, detailed description of this object's appearance.`;
+
+  logger.debug(`${graphId} Generating image prompt for ${objName} with ${properties.length} properties`);
+
+  const result = await openRouterClient.sendRequest({
+    promptOverride: graphPrompts["v0_1_object_image_prompt"],
+    modelOverride: graphPrompts["v0_1_object_image_prompt"].openRouterModel,
+    message: message,
+    replacements: [
+      {
+        key: "NOVEL_TITLE",
+        value: title,
+      },
+      {
+        key: "AUTHOR",
+        value: author,
+      },
+    ],
+    mockResponse: new OpenRouterMockResponse({
+      content: {
+        object: objName,
+        description: `Mock image description for ${objName}: A detailed close-up showing ${properties.length > 0 ? properties[0].property : "distinctive craftsmanship"}.`,
+      },
+    }),
+    analyticsOptions: createAnalyticsOptions({uid, graphId, sku, promptId: "v0_1_object_image_prompt"}),
+  });
+
+  // We throw as this is pretty critical to the graph.
+  if (result.error) {
+    throw new Error(`${graphId} ${chapter} Error generating image prompt for ${objName}: ${result.error}`);
+  }
+
+  if (result.result && result.result.description) {
+    logger.debug(`${graphId} Generated prompt for ${objName}: ${result.result.description.substring(0, 100)}...`);
+    return {
+      object: objName,
+      description: result.result.description,
+    };
+  } else {
+    throw new Error(`${graphId} ${chapter} No description found for object ${objName}`);
+  }
+}
+
+/**
+ * Generates image prompts for objects in a specific chapter
+ * @param {Object} params - The parameters object
+ * @param {string} params.uid - User ID
+ * @param {string} params.sku - Book SKU
+ * @param {string} params.visibility - Visibility setting
+ * @param {string} params.graphId - Graph ID
+ * @param {number} params.chapter - Chapter number
+ * @return {Object} Object image prompts for the chapter
+ */
+async function generateObjectImagePrompts(params) {
+  const {uid, sku, visibility, graphId, chapter} = params;
+
+  logger.debug(`${graphId} Generating object image prompts for chapter ${chapter}`);
+
+  // Get author and title from SKU
+  const {author, title} = await getAuthorAndTitleFromSku(sku);
+
+  // 1. Load object properties for this chapter
+  const chapterProperties = await fetchGraphEntityArray({
+    uid,
+    sku,
+    visibility,
+    type: "objectProperties-continuity",
+    chapter,
+    graphId,
+    responseKey: "properties",
+  });
+
+  // 2. Group properties by object
+  const objectProperties = new Map();
+  for (const prop of chapterProperties.properties || []) {
+    const objName = prop.object.toLowerCase();
+    if (!objectProperties.has(objName)) {
+      objectProperties.set(objName, []);
+    }
+    objectProperties.get(objName).push({
+      relationship: prop.relationship,
+      property: prop.property,
+    });
+  }
+
+  logger.debug(`${graphId} Processing image prompts for ${objectProperties.size} objects in chapter ${chapter}`);
+
+  const openRouterClient = new OpenRouterClient();
+
+  // 3. Generate image prompts for all objects in parallel
+  const objectPrompts = await Promise.all(Array.from(objectProperties.entries()).map(([objName, properties]) => generateObjectImagePrompt({
+    uid, sku, graphId, chapter,
+    objName, properties,
+    author, title,
+    openRouterClient,
+  })));
+
+  logger.info(`${graphId} Generated ${objectPrompts.length} object image prompts for chapter ${chapter}`);
+
+  // 4. Store the generated prompts for this chapter
+  await storeGraph({
+    uid,
+    sku,
+    visibility,
+    data: {objectPrompts},
+    type: "objectImagePrompts",
+    chapter,
+    graphId,
+  });
+}
+
 /**
  * Generates images for characters in a specific chapter using wavespeed
  * @param {Object} params - The parameters object
@@ -1316,10 +1870,13 @@ async function generateLocationImagePrompts(params) {
  * @param {string} params.visibility - Visibility setting
  * @param {string} params.graphId - Graph ID
  * @param {number} params.chapter - Chapter number
+ * @param {Array<string>} [params.entities] - Only generate images for these characters
+ * @param {boolean} [params.replace] - Re-queue images that were already generated
+ * @param {string} [params.priority] - Queue priority lane, defaults to pipeline
  * @return {Promise<void>}
  */
 async function generateCharacterImages(params) {
-  const {sku, graphId, chapter} = params;
+  const {sku, graphId, chapter, entities, replace = false, priority = QUEUE_PRIORITIES.PIPELINE} = params;
 
   logger.debug(`${graphId} Generating character images for chapter ${chapter}`);
 
@@ -1369,10 +1926,11 @@ async function generateCharacterImages(params) {
   // 4. Filter prompts to only include referenced characters
   const normalizeCharacterName = (name) => sanitizeFirebaseKey({key: name}).toLowerCase().replace(/\s+/g, "_");
   const referencedCharsSet = new Set(referencedEntities.referencedCharacters.map(normalizeCharacterName));
+  const entitiesSet = entities ? new Set(entities.map(normalizeCharacterName)) : null;
   const filteredPrompts = chapterPrompts.characterPrompts.filter((prompt) => {
     // Use the same sanitization as used when collecting referenced characters
     const normalizedName = normalizeCharacterName(prompt.character);
-    return referencedCharsSet.has(normalizedName);
+    return referencedCharsSet.has(normalizedName) && (!entitiesSet || entitiesSet.has(normalizedName));
   });
 
   if (filteredPrompts.length === 0) {
@@ -1443,11 +2001,16 @@ async function generateCharacterImages(params) {
 
   // 4. Add entries to queue if any
   if (types.length > 0) {
+    // Existing queue entries would block the new generation, remove them first.
+    if (replace) {
+      await queueDeleteEntries({ids: uniques});
+    }
     const queueResult = await queueAddEntries({
       types,
       entryTypes,
       entryParams,
       uniques,
+      priorities: types.map(() => priority),
     });
 
     if (queueResult.success) {
@@ -1472,10 +2035,11 @@ async function generateCharacterImages(params) {
  * @param {string} params.visibility - Visibility setting
  * @param {string} params.graphId - Graph ID
  * @param {number} params.chapter - Chapter number
+ * @param {string} [params.priority] - Queue priority lane, defaults to pipeline
  * @return {Promise<void>}
  */
 async function generateCharacterProfileImages(params) {
-  const {uid, sku, visibility, graphId, chapter} = params;
+  const {uid, sku, visibility, graphId, chapter, priority = QUEUE_PRIORITIES.PIPELINE} = params;
 
   logger.debug(`${graphId} Generating character profile images for chapter ${chapter}`);
 
@@ -1584,6 +2148,7 @@ async function generateCharacterProfileImages(params) {
       entryTypes,
       entryParams,
       uniques,
+      priorities: types.map(() => priority),
     });
 
     if (queueResult.success) {
@@ -1610,10 +2175,13 @@ async function generateCharacterProfileImages(params) {
  * @param {string} params.visibility - Visibility setting
  * @param {string} params.graphId - Graph ID
  * @param {number} params.chapter - Chapter number
+ * @param {Array<string>} [params.entities] - Only generate images for these locations
+ * @param {boolean} [params.replace] - Re-queue images that were already generated
+ * @param {string} [params.priority] - Queue priority lane, defaults to pipeline
  * @return {Promise<void>}
  */
 async function generateLocationImages(params) {
-  const {uid, sku, graphId, chapter} = params;
+  const {uid, sku, graphId, chapter, entities, replace = false, priority = QUEUE_PRIORITIES.PIPELINE} = params;
 
   logger.debug(`${graphId} Generating location images for chapter ${chapter}`);
 
@@ -1662,10 +2230,11 @@ async function generateLocationImages(params) {
 
   // 4. Filter prompts to only include referenced locations
   const referencedLocsSet = new Set(referencedEntities.referencedLocations);
+  const entitiesSet = entities ? new Set(entities.map((name) => sanitizeFirebaseKey({key: name}).toLowerCase())) : null;
   const filteredPrompts = chapterPrompts.locationPrompts.filter((prompt) => {
     // Use the same sanitization as used when collecting referenced locations
-    const sanitizedName = sanitizeFirebaseKey({key: prompt.location});
-    return referencedLocsSet.has(sanitizedName.toLowerCase());
+    const sanitizedName = sanitizeFirebaseKey({key: prompt.location}).toLowerCase();
+    return referencedLocsSet.has(sanitizedName) && (!entitiesSet || entitiesSet.has(sanitizedName));
   });
 
   if (filteredPrompts.length === 0) {
@@ -1737,11 +2306,16 @@ async function generateLocationImages(params) {
 
   // 4. Add entries to queue if any
   if (types.length > 0) {
+    // Existing queue entries would block the new generation, remove them first.
+    if (replace) {
+      await queueDeleteEntries({ids: uniques});
+    }
     const queueResult = await queueAddEntries({
       types,
       entryTypes,
       entryParams,
       uniques,
+      priorities: types.map(() => priority),
     });
 
     if (queueResult.success) {
@@ -1758,6 +2332,50 @@ async function generateLocationImages(params) {
   }
 }
 
+/**
+ * Summarizes the image prompt of a single character
+ * @param {Object} params - The parameters object
+ * @param {string} params.uid - User ID
+ * @param {string} params.sku - Book SKU
+ * @param {string} params.graphId - Graph ID
+ * @param {number} params.chapter - Chapter number
+ * @param {string} params.character - Character name
+ * @param {string} params.description - Unsummarized image prompt
+ * @param {OpenRouterClient} params.openRouterClient - OpenRouter client instance
+ * @return {Promise<Object>} The summary {character, summary}
+ */
+async function summarizeCharacterImagePrompt(params) {
+  const {uid, sku, graphId, chapter, character, description, openRouterClient} = params;
+
+  logger.debug(`${graphId} Summarizing description for ${character}`);
+
+  const result = await openRouterClient.sendRequest({
+    promptOverride: graphPrompts["v0_1_character_image_summarize"],
+    modelOverride: graphPrompts["v0_1_character_image_summarize"].openRouterModel,
+    message: description,
+    replacements: [], // No replacements needed for this prompt
+    mockResponse: new OpenRouterMockResponse({
+      content: `Mock summary for ${character}: A concise description highlighting key visual features.`,
+    }),
+    analyticsOptions: createAnalyticsOptions({uid, graphId, sku, promptId: "v0_1_character_image_summarize"}),
+  });
+
+  // We throw as this is pretty critical to the graph.
+  if (result.error) {
+    throw new Error(`${graphId} ${chapter} Error summarizing description for ${character}: ${result.error}`);
+  }
+
+  if (result.result) {
+    // Since we're getting plain text back, use it directly
+    return {
+      character: character,
+      summary: result.result,
+    };
+  } else {
+    throw new Error(`${graphId} ${chapter} No summary found for character ${character}`);
+  }
+}
+
 /**
  * Summarizes character image prompts for a specific chapter
  * @param {Object} params - The parameters object
@@ -1818,35 +2436,11 @@ async function summarizeCharacterImagePrompts(params) {
   const characterPromptSummaries = {};
 
   // 3. Summarize each character's description
-  const summaryPromises = chapterPrompts.characterPrompts.map(async ({character, description}) => {
-    logger.debug(`${graphId} Summarizing description for ${character}`);
-
-    const result = await openRouterClient.sendRequest({
-      promptOverride: graphPrompts["v0_1_character_image_summarize"],
-      modelOverride: graphPrompts["v0_1_character_image_summarize"].openRouterModel,
-      message: description,
-      replacements: [], // No replacements needed for this prompt
-      mockResponse: new OpenRouterMockResponse({
-        content: `Mock summary for ${character}: A concise description highlighting key visual features.`,
-      }),
-      analyticsOptions: createAnalyticsOptions({uid, graphId, sku, promptId: "v0_1_character_image_summarize"}),
-    });
-
-    // We throw as this is pretty critical to the graph.
-    if (result.error) {
-      throw new Error(`${graphId} ${chapter} Error summarizing description for ${character}: ${result.error}`);
-    }
-
-    if (result.result) {
-      // Since we're getting plain text back, use it directly
-      return {
-        character: character,
-        summary: result.result,
-      };
-    } else {
-      throw new Error(`${graphId} ${chapter} No summary found for character ${character}`);
-    }
-  });
+  const summaryPromises = chapterPrompts.characterPrompts.map(({character, description}) => summarizeCharacterImagePrompt({
+    uid, sku, graphId, chapter,
+    character, description,
+    openRouterClient,
+  }));
 
   // Wait for all summaries to be generated
   const results = await Promise.all(summaryPromises);
@@ -1893,6 +2487,50 @@ async function summarizeCharacterImagePrompts(params) {
   }
 }
 
+/**
+ * Summarizes the image prompt of a single location
+ * @param {Object} params - The parameters object
+ * @param {string} params.uid - User ID
+ * @param {string} params.sku - Book SKU
+ * @param {string} params.graphId - Graph ID
+ * @param {number} params.chapter - Chapter number
+ * @param {string} params.location - Location name
+ * @param {string} params.description - Unsummarized image prompt
+ * @param {OpenRouterClient} params.openRouterClient - OpenRouter client instance
+ * @return {Promise<Object>} The summary {location, summary}
+ */
+async function summarizeLocationImagePrompt(params) {
+  const {uid, sku, graphId, chapter, location, description, openRouterClient} = params;
+
+  logger.debug(`${graphId} Summarizing description for ${location}`);
+
+  const result = await openRouterClient.sendRequest({
+    promptOverride: graphPrompts["v0_1_location_image_summarize"],
+    modelOverride: graphPrompts["v0_1_location_image_summarize"].openRouterModel,
+    message: description,
+    replacements: [], // No replacements needed for this prompt
+    mockResponse: new OpenRouterMockResponse({
+      content: `Mock summary for ${location}: A brief overview of the location's key features.`,
+    }),
+    analyticsOptions: createAnalyticsOptions({uid, graphId, sku, promptId: "v0_1_location_image_summarize"}),
+  });
+
+  // We throw as this is pretty critical to the graph.
+  if (result.error) {
+    throw new Error(`${graphId} ${chapter} Error summarizing description for ${location}: ${result.error}`);
+  }
+
+  if (result.result) {
+    // Since we're getting plain text back, use it directly
+    return {
+      location: location,
+      summary: result.result,
+    };
+  } else {
+    throw new Error(`${graphId} ${chapter} No summary found for location ${location}`);
+  }
+}
+
 /**
  * Summarizes location image prompts for a specific chapter
  * @param {Object} params - The parameters object
@@ -1953,36 +2591,11 @@ async function summarizeLocationImagePrompts(params) {
   const locationPromptSummaries = {};
 
   // 3. Summarize each location's description
-  const summaryPromises = chapterPrompts.locationPrompts.map(async ({location, description}) => {
-    logger.debug(`${graphId} Summarizing description for ${location}`);
-
-
-    const result = await openRouterClient.sendRequest({
-      promptOverride: graphPrompts["v0_1_location_image_summarize"],
-      modelOverride: graphPrompts["v0_1_location_image_summarize"].openRouterModel,
-      message: description,
-      replacements: [], // No replacements needed for this prompt
-      mockResponse: new OpenRouterMockResponse({
-        content: `Mock summary for ${location}: A brief overview of the location's key features.`,
-      }),
-      analyticsOptions: createAnalyticsOptions({uid, graphId, sku, promptId: "v0_1_location_image_summarize"}),
-    });
-
-    // We throw as this is pretty critical to the graph.
-    if (result.error) {
-      throw new Error(`${graphId} ${chapter} Error summarizing description for ${location}: ${result.error}`);
-    }
-
-    if (result.result) {
-      // Since we're getting plain text back, use it directly
-      return {
-        location: location,
-        summary: result.result,
-      };
-    } else {
-      throw new Error(`${graphId} ${chapter} No summary found for location ${location}`);
-    }
-  });
+  const summaryPromises = chapterPrompts.locationPrompts.map(({location, description}) => summarizeLocationImagePrompt({
+    uid, sku, graphId, chapter,
+    location, description,
+    openRouterClient,
+  }));
 
   // Wait for all summaries to be generated
   const results = await Promise.all(summaryPromises);
@@ -2029,6 +2642,121 @@ async function summarizeLocationImagePrompts(params) {
   }
 }
 
+/**
+ * Summarizes the image prompt of a single object
+ * @param {Object} params - The parameters object
+ * @param {string} params.uid - User ID
+ * @param {string} params.sku - Book SKU
+ * @param {string} params.graphId - Graph ID
+ * @param {number} params.chapter - Chapter number
+ * @param {string} params.object - Object name
+ * @param {string} params.description - Unsummarized image prompt
+ * @param {OpenRouterClient} params.openRouterClient - OpenRouter client instance
+ * @return {Promise<Object>} The summary {object, summary}
+ */
+async function summarizeObjectImagePrompt(params) {
+  const {uid, sku, graphId, chapter, object, description, openRouterClient} = params;
+
+  logger.debug(`${graphId} Summarizing description for ${object}`);
+
+  const result = await openRouterClient.sendRequest({
+    promptOverride: graphPrompts["v0_1_object_image_summarize"],
+    modelOverride: graphPrompts["v0_1_object_image_summarize"].openRouterModel,
+    message: description,
+    replacements: [], // No replacements needed for this prompt
+    mockResponse: new OpenRouterMockResponse({
+      content: `Mock summary for ${object}: A brief overview of the object's key features.`,
+    }),
+    analyticsOptions: createAnalyticsOptions({uid, graphId, sku, promptId: "v0_1_object_image_summarize"}),
+  });
+
+  // We throw as this is pretty critical to the graph.
+  if (result.error) {
+    throw new Error(`${graphId} ${chapter} Error summarizing description for ${object}: ${result.error}`);
+  }
+
+  if (result.result) {
+    // Since we're getting plain text back, use it directly
+    return {
+      object: object,
+      summary: result.result,
+    };
+  } else {
+    throw new Error(`${graphId} ${chapter} No summary found for object ${object}`);
+  }
+}
+
+/**
+ * Summarizes object image prompts for a specific chapter
+ * @param {Object} params - The parameters object
+ * @param {string} params.uid - User ID
+ * @param {string} params.sku - Book SKU
+ * @param {string} params.visibility - Visibility setting
+ * @param {string} params.graphId - Graph ID
+ * @param {number} params.chapter - Chapter number
+ * @return {Object} Summarized object image prompts for the chapter
+ */
+async function summarizeObjectImagePrompts(params) {
+  const {uid, sku, visibility, graphId, chapter} = params;
+
+  logger.debug(`${graphId} Summarizing object image prompts for chapter ${chapter}`);
+
+  // 1. Load object image prompts for this chapter
+  const chapterPrompts = await fetchGraphEntityArray({
+    uid,
+    sku,
+    visibility,
+    type: "objectImagePrompts",
+    chapter,
+    graphId,
+    responseKey: "objectPrompts",
+  });
+
+  const openRouterClient = new OpenRouterClient();
+  const objectPromptSummaries = {};
+  const objectUnsummarized = {};
+
+  // 2. Summarize each object's description
+  const results = await Promise.all((chapterPrompts.objectPrompts || []).map(({object, description}) => summarizeObjectImagePrompt({
+    uid, sku, graphId, chapter,
+    object, description,
+    openRouterClient,
+  })));
+
+  for (const result of results) {
+    if (result && result.summary) {
+      objectPromptSummaries[result.object] = result.summary;
+    }
+  }
+  for (const {object, description} of chapterPrompts.objectPrompts || []) {
+    objectUnsummarized[object] = description;
+  }
+
+  logger.info(`${graphId} Summarized ${Object.keys(objectPromptSummaries).length} object descriptions for chapter ${chapter}`);
+
+  // 3. Store the summarized prompts
+  await storeGraph({
+    uid,
+    sku,
+    visibility,
+    data: {objectPromptSummaries},
+    type: "objectImagePrompts-summarized",
+    chapter,
+    graphId,
+  });
+
+  // 4. Store both summarized and unsummarized descriptions in RTDB for scene composition
+  if (Object.keys(objectPromptSummaries).length > 0) {
+    logger.info(`${graphId} Storing ${Object.keys(objectPromptSummaries).length} object summaries (and unsummarized) in RTDB for graph ${graphId}`);
+    await storeGraphObjectsRtdb({
+      graphId,
+      chapter,
+      objectSummaries: objectPromptSummaries,
+      objectUnsummarized: objectUnsummarized,
+    });
+  }
+}
+
 /**
  * Update the scene cache with scenes from the current chapter
  * Creates default scene on first iteration
@@ -2163,15 +2891,25 @@ export {
   correctTranscriptionsByChapter,
   graphCharactersByChapter,
   graphCharacterPropertiesByChapter,
+  generateCharacterImagePrompt,
   generateCharacterImagePrompts,
   generateCharacterImages,
   generateCharacterProfileImages,
   graphLocationsByChapter,
   graphLocationPropertiesByChapter,
+  generateLocationImagePrompt,
   generateLocationImagePrompts,
   generateLocationImages,
+  summarizeCharacterImagePrompt,
   summarizeCharacterImagePrompts,
+  summarizeLocationImagePrompt,
   summarizeLocationImagePrompts,
+  graphObjectsByChapter,
+  graphObjectPropertiesByChapter,
+  generateObjectImagePrompt,
+  generateObjectImagePrompts,
+  summarizeObjectImagePrompt,
+  summarizeObjectImagePrompts,
   updateSceneCache,
   getFirstChapterOver5Minutes,
   transcriptionsToText,
@@ -3,11 +3,16 @@ import logger from "../../../util/logger.js";
 import {getScenesFromCache} from "../../../storage/realtimeDb/scenesCache.js";
 import {getGraphCharactersRtdb} from "../../../storage/realtimeDb/graph.js";
 import {getGraphLocationsRtdb} from "../../../storage/realtimeDb/graph.js";
+import {getGraphObjectsRtdb} from "../../../storage/realtimeDb/graph.js";
 import {
   queueAddEntries,
+  queueDeleteEntries,
+  QUEUE_PRIORITIES,
 } from "../../../storage/firestore/queue.js";
 import {dispatchTask} from "../../../util/dispatch.js";
 import {wavespeedQueueToUnique} from "../../../ai/queue/wavespeedQueue.js";
+import {maxReferenceImages} from "../../../ai/wavespeed/wavespeed.js";
+import {SCENE_REFERENCE_IMAGE_MODEL} from "../../config.js";
 import {sanitizeFirebaseKey} from "../../../storage/utils.js";
 import {getGraphFirestore} from "../../../storage/firestore/graph.js";
 
@@ -23,8 +28,39 @@ function normalizeEntityName({name}) {
   return sanitizeFirebaseKey({key: name});
 }
 
+/**
+ * Collect the images of a scene's characters and locations to attach as references.
+ * Characters come first and prefer their profile image, since faces drift the most.
+ * @param {Object} params - Parameters
+ * @param {Object} params.sceneData - Cached scene with characters and locations arrays
+ * @param {Object} params.chapterDescriptions - Normalized entity maps for the scene's chapter
+ * @param {number} params.limit - Maximum number of references the image model accepts
+ * @return {Array<{name: string, kind: string, url: string}>} Reference images in prompt order
+ */
+function sceneReferenceImages({sceneData, chapterDescriptions, limit}) {
+  const references = [];
+  const entities = [
+    ...(Array.isArray(sceneData.characters) ? sceneData.characters : []).map((name) => ({name, kind: "character"})),
+    ...(Array.isArray(sceneData.locations) ? sceneData.locations : []).map((name) => ({name, kind: "location"})),
+  ];
+  for (const {name, kind} of entities) {
+    if (references.length >= limit) {
+      break;
+    }
+    const normalizedName = normalizeEntityName({name}).toLowerCase();
+    const imageMap = kind === "character" ? chapterDescriptions.characterImagesNormalized : chapterDescriptions.locationImagesNormalized;
+    const url = imageMap[normalizedName];
+    if (url && !references.some((reference) => reference.url === url)) {
+      references.push({name, kind, url});
+    }
+  }
+  return references;
+}
+
 /**
  * Compose images for specific scenes
+ * When the scene's characters or locations have images and SCENE_REFERENCE_IMAGE_MODEL supports
+ * image conditioning, those images are attached as references, otherwise the prompt is text-only.
  * @param {Object} params - Parameters for scene image composition
  * @param {string} params.graphId - The graph ID
  * @param {string} params.defaultSceneId - The scene ID for RTDB cache access
@@ -33,15 +69,18 @@ function normalizeEntityName({name}) {
  *   - chapter: The chapter number (e.g., 0, 1, 2)
  *   - scene: The scene number within that chapter (e.g., 1, 2, 3)
  *   Example: [{chapter: 0, scene: 1}, {chapter: 0, scene: 2}, {chapter: 1, scene: 1}]
+ * @param {boolean} [params.replace] - Re-queue scenes whose images were already composed
+ * @param {string} [params.priority] - Queue priority lane, interactive when a listener is waiting
  * @return {Promise<Object>} Result of scene image composition
  */
-async function composeSceneImages({graphId, defaultSceneId, scenes, sku, uid}) {
+async function composeSceneImages({graphId, defaultSceneId, scenes, sku, uid, replace = false, priority = QUEUE_PRIORITIES.PIPELINE}) {
   logger.info(`${graphId} Composing images for ${scenes.length} scenes in graph ${graphId} using scene ${defaultSceneId}`);
 
   // Fetch the graph to get the seed for consistent image generation
   const graph = await getGraphFirestore({graphId});
   const seed = graph?.seed || Math.floor(Math.random() * 2 ** 32); // Fallback to random seed if not available
   logger.debug(`${graphId} Using seed ${seed} for scene image generation`);
+  const referenceLimit = SCENE_REFERENCE_IMAGE_MODEL ? maxReferenceImages({model: SCENE_REFERENCE_IMAGE_MODEL}) : 0;
 
   // Load all scenes from RTDB cache
   const cachedScenes = await getScenesFromCache({sceneId: defaultSceneId});
@@ -83,10 +122,14 @@ async function composeSceneImages({graphId, defaultSceneId, scenes, sku, uid}) {
     if (!chapterDescriptionsCache[chapter]) {
       const rtdbCharacters = await getGraphCharactersRtdb({graphId, chapter}) || {};
       const rtdbLocations = await getGraphLocationsRtdb({graphId, chapter}) || {};
+      const rtdbObjects = await getGraphObjectsRtdb({graphId, chapter}) || {};
 
       // Build normalized description maps for this chapter
       const characterDescriptionsNormalized = {};
       const locationDescriptionsNormalized = {};
+      const objectDescriptionsNormalized = {};
+      const characterImagesNormalized = {};
+      const locationImagesNormalized = {};
 
       Object.entries(rtdbCharacters).forEach(([sanitizedName, data]) => {
         // Normalize the key and use lowercase for case-insensitive matching
@@ -94,6 +137,10 @@ async function composeSceneImages({graphId, defaultSceneId, scenes, sku, uid}) {
           const normalized = normalizeEntityName({name: sanitizedName});
           characterDescriptionsNormalized[normalized.toLowerCase()] = data.description;
         }
+        if (data.profileImage || data.image) {
+          const normalized = normalizeEntityName({name: sanitizedName});
+          characterImagesNormalized[normalized.toLowerCase()] = data.profileImage || data.image;
+        }
       });
 
       Object.entries(rtdbLocations).forEach(([sanitizedName, data]) => {
@@ -102,12 +149,26 @@ async function composeSceneImages({graphId, defaultSceneId, scenes, sku, uid}) {
           const normalized = normalizeEntityName({name: sanitizedName});
           locationDescriptionsNormalized[normalized.toLowerCase()] = data.description;
         }
+        if (data.image) {
+          const normalized = normalizeEntityName({name: sanitizedName});
+          locationImagesNormalized[normalized.toLowerCase()] = data.image;
+        }
+      });
+
+      Object.entries(rtdbObjects).forEach(([sanitizedName, data]) => {
+        if (data.description) {
+          const normalized = normalizeEntityName({name: sanitizedName});
+          objectDescriptionsNormalized[normalized.toLowerCase()] = data.description;
+        }
       });
 
       // Cache the descriptions for this chapter
       chapterDescriptionsCache[chapter] = {
         charactersNormalized: characterDescriptionsNormalized,
         locationsNormalized: locationDescriptionsNormalized,
+        objectsNormalized: objectDescriptionsNormalized,
+        characterImagesNormalized,
+        locationImagesNormalized,
       };
     }
 
@@ -158,18 +219,40 @@ async function composeSceneImages({graphId, defaultSceneId, scenes, sku, uid}) {
       enrichedLocations = locationsObj;
     }
 
+    // Enrich objects with descriptions from RTDB so recurring props look the same in every scene
+    const enrichedObjects = {};
+    if (Array.isArray(sceneData.objects)) {
+      sceneData.objects.forEach((objName) => {
+        const normalizedName = normalizeEntityName({name: objName});
+        const description = chapterDescriptions.objectsNormalized[normalizedName.toLowerCase()];
+        if (description) {
+          enrichedObjects[objName] = description;
+        } else {
+          logger.debug(`${graphId} No description found for object ${objName}`);
+        }
+      });
+    }
+
     // Check if sceneData has a prompt field, otherwise build promptJson
     let prompt;
     if (sceneData.prompt) {
       // Use the existing prompt from sceneData
       prompt = sceneData.prompt;
       logger.debug(`${graphId} Using existing prompt from sceneData for chapter ${chapter}, scene ${sceneNumber}`);
+      // The augmented prompt is written without objects, append their descriptions
+      if (Object.keys(enrichedObjects).length > 0) {
+        const objectsText = Object.entries(enrichedObjects)
+            .map(([objName, description]) => `${objName}: ${description}`)
+            .join("\n");
+        prompt = `${prompt}\n\nObjects in the scene:\n${objectsText}`;
+      }
     } else {
       // Build promptJson as before (fallback behavior)
       const promptJson = {
         description: sceneData.description,
         characters: enrichedCharacters,
         locations: enrichedLocations,
+        objects: enrichedObjects,
         viewpoint: sceneData.viewpoint,
       };
       // Convert the cleaned scene to JSON as the prompt
@@ -177,6 +260,18 @@ async function composeSceneImages({graphId, defaultSceneId, scenes, sku, uid}) {
       logger.debug(`${graphId} Built promptJson for chapter ${chapter}, scene ${sceneNumber}`);
     }
 
+    // Attach character and location images as references when the model can use them
+    const references = referenceLimit > 0 ?
+      sceneReferenceImages({sceneData, chapterDescriptions, limit: referenceLimit}) :
+      [];
+    if (references.length > 0) {
+      const referencesText = references
+          .map((reference, index) => `Image ${index + 1}: ${reference.name} (${reference.kind})`)
+          .join("\n");
+      prompt = `${prompt}\n\nKeep the appearance of these reference images:\n${referencesText}`;
+      logger.debug(`${graphId} Using ${references.length} reference images for chapter ${chapter}, scene ${sceneNumber}`);
+    }
+
     // Create timestamp for unique filename
     const timestamp = Date.now();
 
@@ -190,7 +285,8 @@ async function composeSceneImages({graphId, defaultSceneId, scenes, sku, uid}) {
     entryParams.push({
       prompt: prompt,
       negativePrompt: "animated, cartoon, low quality",
-      model: "google/imagen4-fast",
+      model: references.length > 0 ? SCENE_REFERENCE_IMAGE_MODEL : "google/imagen4-fast",
+      referenceImages: references.map((reference) => reference.url),
       outputPath: outputPath,
       outputFormat: "jpeg",
       modelParams: {
@@ -225,11 +321,16 @@ async function composeSceneImages({graphId, defaultSceneId, scenes, sku, uid}) {
 
   // Queue all entries if any
   if (types.length > 0) {
+    // Existing queue entries would block the new composition, remove them first.
+    if (replace) {
+      await queueDeleteEntries({ids: uniques});
+    }
     const queueResult = await queueAddEntries({
       types,
       entryTypes,
       entryParams,
       uniques,
+      priorities: types.map(() => priority),
     });
 
     if (queueResult.success) {
@@ -0,0 +1,155 @@
+import logger from "../../../util/logger.js";
+import {fetchGraphEntityArray} from "../../../util/graphHelper.js";
+import {sanitizeFirebaseKey} from "../../../storage/utils.js";
+import {libraryGetRtdb} from "../../../storage/realtimeDb/library.js";
+import {catalogueGetRtdb} from "../../../storage/realtimeDb/catalogue.js";
+import {
+  getGraphCharactersRtdb,
+  getGraphLocationsRtdb,
+  getGraphObjectsRtdb,
+} from "../../../storage/realtimeDb/graph.js";
+import {getRelationshipsAtChapter} from "./entityRelationships.js";
+
+// Fields of an RTDB graph entity that are safe to return to listeners
+const PUBLIC_ENTITY_FIELDS = ["description", "image", "profileImage"];
+
+/**
+ * Get the listener's current chapter from their library item
+ * @param {Object} params - Parameters
+ * @param {string} params.uid - User ID
+ * @param {string} params.sku - Book SKU
+ * @return {Promise<number>} The 0 based chapter the listener is on
+ */
+async function getListenerChapter({uid, sku}) {
+  const libraryItem = await libraryGetRtdb({uid, sku});
+  const chapter = parseInt(libraryItem?.clientData?.playbackInfo?.currentResourceIndex);
+  return isNaN(chapter) || chapter < 0 ? 0 : chapter;
+}
+
+/**
+ * Build a lookup from names used in earlier chapters to the name used in this
+ * chapter, so renamed entities collapse into a single codex entry
+ * @param {Object} continuity - Continuity mapping for one entity type {name: {appearsIn, allAliases}}
+ * @return {Map<string, string>} Lookup of sanitized previous name to sanitized current name
+ */
+function buildRenameLookup(continuity = {}) {
+  const lookup = new Map();
+  for (const [currentName, data] of Object.entries(continuity)) {
+    const currentKey = sanitizeFirebaseKey({key: currentName});
+    for (const appearance of data.appearsIn || []) {
+      const [previous] = Object.values(appearance);
+      if (previous?.name && previous.confidence !== "low") {
+        const previousKey = sanitizeFirebaseKey({key: previous.name});
+        if (previousKey !== currentKey) {
+          lookup.set(previousKey, currentKey);
+        }
+      }
+    }
+  }
+  return lookup;
+}
+
+/**
+ * Fold one chapter of RTDB entities into the codex entries seen so far.
+ * Later chapters replace descriptions, images carry forward until a newer one exists.
+ * @param {Object} params - Parameters
+ * @param {Map} params.entries - Codex entries keyed by sanitized name, updated in place
+ * @param {Object} params.chapterEntities - RTDB entities for the chapter {name: {description, image}}
+ * @param {Object} params.continuity - Continuity mapping for this entity type and chapter
+ * @param {number} params.chapter - The chapter being folded in
+ */
+function foldChapterEntities({entries, chapterEntities, continuity, chapter}) {
+  const renames = buildRenameLookup(continuity);
+  for (const [previousKey, currentKey] of renames) {
+    const previous = entries.get(previousKey);
+    if (previous && chapterEntities[currentKey]) {
+      entries.delete(previousKey);
+      const current = entries.get(currentKey);
+      if (!current || current.lastChapter < previous.lastChapter) {
+        entries.set(currentKey, {...previous, name: currentKey});
+      }
+    }
+  }
+
+  const aliasesByKey = {};
+  for (const [name, data] of Object.entries(continuity || {})) {
+    aliasesByKey[sanitizeFirebaseKey({key: name})] = data.allAliases || [];
+  }
+
+  for (const [key, entity] of Object.entries(chapterEntities)) {
+    const existing = entries.get(key);
+    const entry = {
+      ...existing,
+      name: key,
+      firstChapter: existing?.firstChapter ?? chapter,
+      lastChapter: chapter,
+      aliases: [...new Set([...(existing?.aliases || []), ...(aliasesByKey[key] || [])])],
+    };
+    for (const field of PUBLIC_ENTITY_FIELDS) {
+      if (entity?.[field]) {
+        entry[field] = entity[field];
+      }
+    }
+    entries.set(key, entry);
+  }
+}
+
+/**
+ * Get the characters, locations, objects and relationships of a book's graph as the
+ * listener knows them. Only data consolidated up to the chapter in the caller's
+ * playbackInfo is returned, so the codex never reveals later chapters.
+ * @param {Object} params - Parameters
+ * @param {string} params.uid - User ID of the caller
+ * @param {Object} params.data - Request data
+ * @param {string} params.data.sku - Book SKU, must be in the caller's library
+ * @return {Promise<Object>} {sku, graphId, chapter, characters: [], locations: [], objects: [], relationships: []}
+ */
+async function getSpoilerSafeEntities({uid, data}) {
+  const {sku} = data || {};
+  if (!sku) {
+    throw new Error("sku is required");
+  }
+
+  const chapter = await getListenerChapter({uid, sku});
+  const catalogueItem = await catalogueGetRtdb({sku});
+  const graphId = catalogueItem?.defaultGraphId;
+  if (!graphId || graphId === "N/A") {
+    logger.debug(`getSpoilerSafeEntities: no graph for ${sku}`);
+    return {sku, graphId: null, chapter, characters: [], locations: [], objects: [], relationships: []};
+  }
+
+  // Every chapter is read at once, then folded in order so later chapters win
+  const chapterData = await Promise.all(Array.from({length: chapter + 1}, (_, current) => Promise.all([
+    getGraphCharactersRtdb({graphId, chapter: current}),
+    getGraphLocationsRtdb({graphId, chapter: current}),
+    getGraphObjectsRtdb({graphId, chapter: current}),
+    fetchGraphEntityArray({sku, type: "continuity", chapter: current, graphId, responseKey: "characters"}),
+    fetchGraphEntityArray({sku, type: "objectContinuity", chapter: current, graphId, responseKey: "objects"}),
+  ])));
+
+  const characters = new Map();
+  const locations = new Map();
+  const objects = new Map();
+  chapterData.forEach(([chapterCharacters, chapterLocations, chapterObjects, continuity, objectContinuity], current) => {
+    foldChapterEntities({entries: characters, chapterEntities: chapterCharacters || {}, continuity: continuity.characters, chapter: current});
+    foldChapterEntities({entries: locations, chapterEntities: chapterLocations || {}, continuity: continuity.locations, chapter: current});
+    foldChapterEntities({entries: objects, chapterEntities: chapterObjects || {}, continuity: objectContinuity.objects, chapter: current});
+  });
+
+  const {relationships} = await getRelationshipsAtChapter({sku, graphId, chapter});
+
+  logger.debug(`${graphId} getSpoilerSafeEntities: ${characters.size} characters, ${locations.size} locations and ${objects.size} objects up to chapter ${chapter} for ${uid}`);
+  return {
+    sku,
+    graphId,
+    chapter,
+    characters: [...characters.values()],
+    locations: [...locations.values()],
+    objects: [...objects.values()],
+    relationships,
+  };
+}
+
+export {
+  getSpoilerSafeEntities,
+};
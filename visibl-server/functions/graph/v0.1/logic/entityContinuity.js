@@ -6,10 +6,15 @@ import graphPrompts from "../graphV0_1Prompts.js";
 import {OpenRouterClient, OpenRouterMockResponse} from "../../../ai/openrouter/base.js";
 import {storeGraph} from "../../../storage/storage.js";
 import {getAuthorAndTitleFromSku, fetchGraphEntityArray} from "../../../util/graphHelper.js";
+import {
+  getEntityOverrides,
+  addOverrideAliases,
+  applyContinuityOverrides,
+} from "./entityOverrides.js";
 
 /**
  * Generate mock continuity matches response for testing
- * @param {string} entityType - Type of entity ("character" or "location")
+ * @param {string} entityType - Type of entity ("character", "location" or "object")
  * @param {string} currentEntityList - Current chapter entity list
  * @param {string} previousEntityList - Previous chapter entity list
  * @return {OpenRouterMockResponse} Mock response for testing
@@ -20,7 +25,7 @@ function getMockContinuityMatchesResponse(entityType, currentEntityList, previou
       matches: (() => {
         // Create mock matches between chapters
         const mockMatches = [];
-        const entityTypePrefix = entityType === "character" ? "mockcharacter" : "mocklocation";
+        const entityTypePrefix = `mock${entityType}`;
 
         // For testing, create some matches between chapters
         // Only match entities 01, 02, and 03 with high confidence
@@ -124,6 +129,9 @@ async function graphEntityContinuityByChapter(params) {
   // Get author and title from SKU for LLM prompts
   const {author, title} = await getAuthorAndTitleFromSku(sku);
 
+  // Manual merges, splits and aliases are applied before and after the LLM pass
+  const overrides = await getEntityOverrides({uid, sku, visibility, graphId});
+
   // Load current chapter entities
   const currentCharacters = await fetchGraphEntityArray({
     uid,
@@ -166,9 +174,16 @@ async function graphEntityContinuityByChapter(params) {
       graphId,
     });
 
+    // Override aliases let the LLM link entities it would otherwise miss
+    chapterData.characters.characters = addOverrideAliases({entities: chapterData.characters.characters || [], overrides: overrides.characters});
+    chapterData.locations.locations = addOverrideAliases({entities: chapterData.locations.locations || [], overrides: overrides.locations});
+
     previousChapterEntities.push(chapterData);
   }
 
+  currentCharacters.characters = addOverrideAliases({entities: currentCharacters.characters || [], overrides: overrides.characters});
+  currentLocations.locations = addOverrideAliases({entities: currentLocations.locations || [], overrides: overrides.locations});
+
   // Run parallel pairwise comparisons for all previous chapters
   const characterComparisons = [];
   const locationComparisons = [];
@@ -188,6 +203,7 @@ async function graphEntityContinuityByChapter(params) {
               uid,
               graphId,
               sku,
+              overrides.characters,
           ),
       );
     }
@@ -206,6 +222,7 @@ async function graphEntityContinuityByChapter(params) {
               uid,
               graphId,
               sku,
+              overrides.locations,
           ),
       );
     }
@@ -242,18 +259,83 @@ async function graphEntityContinuityByChapter(params) {
   return continuityMapping;
 }
 
+/**
+ * Process object continuity for a chapter. Objects are compared pairwise with
+ * every previous chapter like characters and locations, and stored in their own
+ * objectContinuity file so the object steps can run independently.
+ * @param {Object} params - Parameters for object continuity
+ * @param {string} params.uid - User ID
+ * @param {string} params.sku - Book SKU
+ * @param {string} params.visibility - Visibility setting
+ * @param {string} params.graphId - Graph ID
+ * @param {number} params.chapter - Current chapter number
+ * @return {Promise<Object>} Continuity mapping {objects} for the chapter
+ */
+async function graphObjectContinuityByChapter(params) {
+  const {uid, sku, visibility, graphId, chapter} = params;
+
+  logger.debug(`${graphId} Processing object continuity for chapter ${chapter}`);
+
+  const overrides = await getEntityOverrides({uid, sku, visibility, graphId});
+  const currentObjects = await fetchGraphEntityArray({uid, sku, visibility, type: "objects", chapter, graphId});
+  currentObjects.objects = addOverrideAliases({entities: currentObjects.objects || [], overrides: overrides.objects});
+
+  // Load all previous chapter objects
+  const previousChapterEntities = [];
+  for (let prevChapter = 0; prevChapter < chapter; prevChapter++) {
+    const objects = await fetchGraphEntityArray({uid, sku, visibility, type: "objects", chapter: prevChapter, graphId});
+    objects.objects = addOverrideAliases({entities: objects.objects || [], overrides: overrides.objects});
+    previousChapterEntities.push({chapter: prevChapter, objects});
+  }
+
+  const openRouterClient = new OpenRouterClient();
+  const {author, title} = await getAuthorAndTitleFromSku(sku);
+
+  const objectResults = await Promise.all(previousChapterEntities
+      .filter((prevChapterData) => currentObjects.objects.length > 0 && prevChapterData.objects.objects.length > 0)
+      .map((prevChapterData) => crossReferenceEntitiesPairwise(
+          currentObjects.objects,
+          prevChapterData.objects.objects,
+          chapter,
+          prevChapterData.chapter,
+          "object",
+          openRouterClient,
+          {author, title},
+          uid,
+          graphId,
+          sku,
+          overrides.objects,
+      )));
+
+  const continuityMapping = {
+    objects: processEntityMatches(currentObjects.objects, objectResults, "objects", previousChapterEntities, chapter),
+  };
+
+  await storeGraph({
+    sku,
+    data: continuityMapping,
+    type: "objectContinuity",
+    graphId,
+    chapter,
+  });
+
+  logger.debug(`${graphId} Object continuity completed for chapter ${chapter}`);
+  return continuityMapping;
+}
+
 /**
  * Cross-reference entities between two chapters using LLM
  * @param {Array} currentChapterEntities - Entities from current chapter
  * @param {Array} previousChapterEntities - Entities from previous chapter
  * @param {number} currentChapter - Current chapter number
  * @param {number} previousChapter - Previous chapter number
- * @param {string} entityType - Type of entity ("character" or "location")
+ * @param {string} entityType - Type of entity ("character", "location" or "object")
  * @param {OpenRouterClient} openRouterClient - OpenRouter client instance
  * @param {Object} metadata - Book metadata (author, title)
  * @param {string} uid - User ID for analytics
  * @param {string} graphId - Graph ID for analytics
  * @param {string} sku - Book SKU for analytics
+ * @param {Object} [overrides] - Manual overrides for this entity type from getEntityOverrides
  * @return {Promise<Object>} Pairwise entity matches
  */
 async function crossReferenceEntitiesPairwise(
@@ -267,14 +349,15 @@ async function crossReferenceEntitiesPairwise(
     uid,
     graphId,
     sku,
+    overrides,
 ) {
   try {
     const currentEntityList = formatEntityList(currentChapterEntities);
     const previousEntityList = formatEntityList(previousChapterEntities);
 
-    // Determine which prompt to use based on entity type
-    const promptKey = entityType === "character" ? "v0_1_character_continuity" : "v0_1_location_continuity";
-    const entityLabel = entityType === "character" ? "characters" : "locations";
+    // Each entity type has its own continuity prompt, e.g. v0_1_character_continuity
+    const promptKey = `v0_1_${entityType}_continuity`;
+    const entityLabel = `${entityType}s`;
 
     const message = `Chapter ${currentChapter} ${entityLabel}:\n${currentEntityList}\n\nChapter ${previousChapter} ${entityLabel}:\n${previousEntityList}`;
 
@@ -306,14 +389,25 @@ async function crossReferenceEntitiesPairwise(
     return {
       currentChapter,
       previousChapter,
-      matches: lowercasedMatches,
+      matches: applyContinuityOverrides({
+        matches: lowercasedMatches,
+        currentEntities: currentChapterEntities,
+        previousEntities: previousChapterEntities,
+        overrides,
+      }),
     };
   } catch (error) {
     logger.error(`Error cross-referencing ${entityType}s between chapters ${currentChapter} and ${previousChapter}: ${error.message}`);
+    // Forced merges still apply when the LLM pass fails
     return {
       currentChapter,
       previousChapter,
-      matches: [],
+      matches: applyContinuityOverrides({
+        matches: [],
+        currentEntities: currentChapterEntities,
+        previousEntities: previousChapterEntities,
+        overrides,
+      }),
     };
   }
 }
@@ -330,6 +424,93 @@ function formatEntityList(entities) {
   }).join("\n");
 }
 
+/**
+ * Process entity matches for a single entity type
+ * @param {Array} currentEntities - Current chapter entities
+ * @param {Array} pairwiseResults - Pairwise comparison results
+ * @param {string} entityType - 'characters', 'locations' or 'objects'
+ * @param {Array} previousChapterEntities - All previous chapter entities
+ * @param {number} currentChapter - Current chapter number
+ * @return {Object} Continuity mapping for the entity type
+ */
+function processEntityMatches(currentEntities, pairwiseResults, entityType, previousChapterEntities, currentChapter) {
+  const continuityMapping = {};
+
+  for (const entity of currentEntities) {
+    const entityName = entity.name;
+    const continuityData = {
+      appearsIn: [], // Don't include current chapter - it's implied
+      firstAppearance: currentChapter,
+      allAliases: [...new Set([...(entity.aliases || [])])],
+    };
+
+    // Check all pairwise results for matches
+    for (const result of pairwiseResults) {
+      const match = result.matches.find((m) =>
+        m.currentEntity === entityName.toLowerCase() ||
+        entity.aliases?.some((alias) => alias.toLowerCase() === m.currentEntity),
+      );
+
+      if (match && match.confidence !== "none") {
+        // Found a match in a previous chapter
+        const prevChapter = result.previousChapter;
+
+        // Get the matched entity name from the previous chapter
+        const prevChapterData = previousChapterEntities.find((p) => p.chapter === prevChapter);
+        let matchedEntityName = match.previousEntity;
+
+        if (prevChapterData) {
+          const prevEntities = prevChapterData[entityType][entityType];
+          const matchedEntity = prevEntities?.find((e) =>
+            e.name.toLowerCase() === match.previousEntity ||
+            e.aliases?.some((alias) => alias.toLowerCase() === match.previousEntity),
+          );
+          if (matchedEntity) {
+            matchedEntityName = matchedEntity.name;
+            // Aggregate aliases from the matched entity
+            if (matchedEntity.aliases) {
+              continuityData.allAliases.push(...matchedEntity.aliases);
+            }
+          }
+        }
+
+        // Add appearance as object with chapter key
+        const appearanceObj = {};
+        appearanceObj[prevChapter] = {
+          name: matchedEntityName,
+          confidence: match.confidence,
+          reason: match.reason,
+        };
+
+        // Check if this chapter is already in appearsIn (avoid duplicates)
+        const existingIndex = continuityData.appearsIn.findIndex((obj) => Object.prototype.hasOwnProperty.call(obj, prevChapter));
+        if (existingIndex === -1) {
+          continuityData.appearsIn.push(appearanceObj);
+        }
+
+        // Update first appearance
+        if (prevChapter < continuityData.firstAppearance) {
+          continuityData.firstAppearance = prevChapter;
+        }
+      }
+    }
+
+    // Sort appearances by chapter number
+    continuityData.appearsIn.sort((a, b) => {
+      const aChapter = parseInt(Object.keys(a)[0]);
+      const bChapter = parseInt(Object.keys(b)[0]);
+      return aChapter - bChapter;
+    });
+
+    // Deduplicate aliases
+    continuityData.allAliases = [...new Set(continuityData.allAliases)];
+
+    continuityMapping[entityName] = continuityData;
+  }
+
+  return continuityMapping;
+}
+
 /**
  * Combine pairwise comparison results into comprehensive continuity mapping
  * @param {Array} characterResults - Array of pairwise character comparisons
@@ -348,94 +529,9 @@ function combinePairwiseMappings(
     previousChapterEntities,
     currentChapter,
 ) {
-  /**
-   * Process entity matches for both characters and locations
-   * @param {Array} currentEntities - Current chapter entities
-   * @param {Array} pairwiseResults - Pairwise comparison results
-   * @param {string} entityType - 'characters' or 'locations'
-   * @return {Object} Continuity mapping for the entity type
-   */
-  function processEntityMatches(currentEntities, pairwiseResults, entityType) {
-    const continuityMapping = {};
-
-    for (const entity of currentEntities) {
-      const entityName = entity.name;
-      const continuityData = {
-        appearsIn: [], // Don't include current chapter - it's implied
-        firstAppearance: currentChapter,
-        allAliases: [...new Set([...(entity.aliases || [])])],
-      };
-
-      // Check all pairwise results for matches
-      for (const result of pairwiseResults) {
-        const match = result.matches.find((m) =>
-          m.currentEntity === entityName.toLowerCase() ||
-          entity.aliases?.some((alias) => alias.toLowerCase() === m.currentEntity),
-        );
-
-        if (match && match.confidence !== "none") {
-          // Found a match in a previous chapter
-          const prevChapter = result.previousChapter;
-
-          // Get the matched entity name from the previous chapter
-          const prevChapterData = previousChapterEntities.find((p) => p.chapter === prevChapter);
-          let matchedEntityName = match.previousEntity;
-
-          if (prevChapterData) {
-            const prevEntities = prevChapterData[entityType][entityType];
-            const matchedEntity = prevEntities?.find((e) =>
-              e.name.toLowerCase() === match.previousEntity ||
-              e.aliases?.some((alias) => alias.toLowerCase() === match.previousEntity),
-            );
-            if (matchedEntity) {
-              matchedEntityName = matchedEntity.name;
-              // Aggregate aliases from the matched entity
-              if (matchedEntity.aliases) {
-                continuityData.allAliases.push(...matchedEntity.aliases);
-              }
-            }
-          }
-
-          // Add appearance as object with chapter key
-          const appearanceObj = {};
-          appearanceObj[prevChapter] = {
-            name: matchedEntityName,
-            confidence: match.confidence,
-            reason: match.reason,
-          };
-
-          // Check if this chapter is already in appearsIn (avoid duplicates)
-          const existingIndex = continuityData.appearsIn.findIndex((obj) => Object.prototype.hasOwnProperty.call(obj, prevChapter));
-          if (existingIndex === -1) {
-            continuityData.appearsIn.push(appearanceObj);
-          }
-
-          // Update first appearance
-          if (prevChapter < continuityData.firstAppearance) {
-            continuityData.firstAppearance = prevChapter;
-          }
-        }
-      }
-
-      // Sort appearances by chapter number
-      continuityData.appearsIn.sort((a, b) => {
-        const aChapter = parseInt(Object.keys(a)[0]);
-        const bChapter = parseInt(Object.keys(b)[0]);
-        return aChapter - bChapter;
-      });
-
-      // Deduplicate aliases
-      continuityData.allAliases = [...new Set(continuityData.allAliases)];
-
-      continuityMapping[entityName] = continuityData;
-    }
-
-    return continuityMapping;
-  }
-
   // Process both entity types using the shared function
-  const characterContinuity = processEntityMatches(currentCharacters, characterResults, "characters");
-  const locationContinuity = processEntityMatches(currentLocations, locationResults, "locations");
+  const characterContinuity = processEntityMatches(currentCharacters, characterResults, "characters", previousChapterEntities, currentChapter);
+  const locationContinuity = processEntityMatches(currentLocations, locationResults, "locations", previousChapterEntities, currentChapter);
 
   return {
     characters: characterContinuity,
@@ -445,4 +541,5 @@ function combinePairwiseMappings(
 
 export {
   graphEntityContinuityByChapter,
+  graphObjectContinuityByChapter,
 };
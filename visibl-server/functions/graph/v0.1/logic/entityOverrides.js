@@ -0,0 +1,353 @@
+/* eslint-disable require-jsdoc */
+import {v4 as uuidv4} from "uuid";
+import logger from "../../../util/logger.js";
+import {getGraph, storeGraph} from "../../../storage/storage.js";
+import {getGraphFirestore} from "../../../storage/firestore/graph.js";
+
+// Manual overrides for entity extraction and continuity, stored per graph in
+// Graphs/{graphId}/{sku}-entityOverrides.json. The pipeline only ever reads this
+// file so the overrides survive a full re-run of the graph.
+//
+// {
+//   characters: {
+//     merges: [{id, names: ["the doctor", "dr. smith"], name: "dr. smith"}],
+//     splits: [{id, names: ["the doctor", "dr. smith's brother"]}],
+//     aliases: [{id, name: "dr. smith", aliases: ["doc"]}],
+//   },
+//   locations: {merges: [], splits: [], aliases: []},
+//   objects: {merges: [], splits: [], aliases: []},
+// }
+const OVERRIDE_ENTITY_TYPES = ["characters", "locations", "objects"];
+const OVERRIDE_KINDS = ["merges", "splits", "aliases"];
+
+function emptyOverrides() {
+  return Object.fromEntries(OVERRIDE_ENTITY_TYPES.map((entityType) => [
+    entityType,
+    Object.fromEntries(OVERRIDE_KINDS.map((kind) => [kind, []])),
+  ]));
+}
+
+function lower(name) {
+  return name.toLowerCase();
+}
+
+function entityNames(entity) {
+  return [entity.name, ...(entity.aliases || [])].map(lower);
+}
+
+/**
+ * Groups of names that must resolve to a single entity, from forced merges and
+ * alias additions. Alias additions only apply when their named entity is present.
+ * @param {Object} overrides - Overrides of one entity type
+ * @return {Array<Object>} Groups {name, names, requireName}
+ */
+function overrideGroups(overrides) {
+  return [
+    ...(overrides?.merges || []).map((merge) => ({
+      name: lower(merge.name || merge.names[0]),
+      names: merge.names.map(lower),
+      requireName: false,
+    })),
+    ...(overrides?.aliases || []).map((alias) => ({
+      name: lower(alias.name),
+      names: [alias.name, ...alias.aliases].map(lower),
+      requireName: true,
+    })),
+  ];
+}
+
+/**
+ * Load the entity overrides of a graph
+ * @param {Object} params - Parameters
+ * @param {string} params.uid - User ID
+ * @param {string} params.sku - Book SKU
+ * @param {string} params.visibility - Visibility setting
+ * @param {string} params.graphId - Graph ID
+ * @return {Promise<Object>} Overrides {characters: {merges, splits, aliases}, locations: {...}, objects: {...}}
+ */
+async function getEntityOverrides({uid, sku, visibility, graphId}) {
+  const overrides = emptyOverrides();
+  try {
+    const stored = await getGraph({uid, sku, visibility, type: "entityOverrides", graphId});
+    for (const entityType of OVERRIDE_ENTITY_TYPES) {
+      for (const kind of OVERRIDE_KINDS) {
+        overrides[entityType][kind] = stored?.[entityType]?.[kind] || [];
+      }
+    }
+  } catch (error) {
+    logger.debug(`${graphId} No entity overrides: ${error.message}`);
+  }
+  return overrides;
+}
+
+/**
+ * Apply overrides to the raw entity names sent to consolidateCharacters or
+ * consolidateLocations, so names that must be merged reach the LLM as one name.
+ * @param {Object} params - Parameters
+ * @param {Array<string>} params.names - Raw entity names
+ * @param {Object} params.overrides - Overrides of one entity type
+ * @return {Array<string>} Deduplicated names
+ */
+function applyOverridesToNames({names, overrides}) {
+  const groups = overrideGroups(overrides);
+  const result = names.map((name) => {
+    const group = groups.find((g) => !g.requireName && g.names.includes(lower(name))) ||
+      groups.find((g) => g.requireName && g.names.includes(lower(name)));
+    return group ? group.name : name;
+  });
+  return [...new Set(result)];
+}
+
+/**
+ * Apply overrides to consolidated entities {name, aliases}.
+ * Forced merges and alias additions combine every entity that shares a name
+ * with the group into one entity, forced splits pull the split names back out
+ * into standalone entities.
+ * @param {Object} params - Parameters
+ * @param {Array<Object>} params.entities - Consolidated entities {name, aliases}
+ * @param {Object} params.overrides - Overrides of one entity type
+ * @return {Array<Object>} Entities with the overrides applied
+ */
+function applyEntityOverrides({entities, overrides}) {
+  let result = entities.map((entity) => ({name: entity.name, aliases: [...(entity.aliases || [])]}));
+
+  for (const group of overrideGroups(overrides)) {
+    const members = result.filter((entity) => entityNames(entity).some((name) => group.names.includes(name)));
+    if (members.length === 0 ||
+        (group.requireName && !members.some((entity) => entityNames(entity).includes(group.name)))) {
+      continue;
+    }
+    const merged = {
+      name: group.name,
+      aliases: [...new Set([...members.flatMap(entityNames), ...group.names])].filter((name) => name !== group.name),
+    };
+    const index = result.indexOf(members[0]);
+    result = result.filter((entity) => !members.includes(entity));
+    result.splice(index, 0, merged);
+  }
+
+  for (const split of overrides?.splits || []) {
+    const splitNames = split.names.map(lower);
+    const next = [];
+    for (const entity of result) {
+      const present = splitNames.filter((name) => entityNames(entity).includes(name));
+      if (present.length < 2) {
+        next.push(entity);
+        continue;
+      }
+      const keep = present.includes(lower(entity.name)) ? lower(entity.name) : present[0];
+      const removed = present.filter((name) => name !== keep);
+      next.push({...entity, aliases: entity.aliases.filter((alias) => !removed.includes(lower(alias)))});
+      for (const name of removed) {
+        if (!result.some((other) => lower(other.name) === name) && !next.some((other) => lower(other.name) === name)) {
+          next.push({name, aliases: []});
+        }
+      }
+    }
+    result = next;
+  }
+
+  return result;
+}
+
+/**
+ * Add the names of merge and alias groups to the aliases of the entities they
+ * match, without renaming them, so the continuity LLM can link them.
+ * @param {Object} params - Parameters
+ * @param {Array<Object>} params.entities - Chapter entities {name, aliases}
+ * @param {Object} params.overrides - Overrides of one entity type
+ * @return {Array<Object>} Entities with the override aliases added
+ */
+function addOverrideAliases({entities, overrides}) {
+  const groups = overrideGroups(overrides);
+  return entities.map((entity) => {
+    const names = entityNames(entity);
+    const extra = groups
+        .filter((group) => group.names.some((name) => names.includes(name)))
+        .flatMap((group) => group.names)
+        .filter((name) => !names.includes(name));
+    return extra.length > 0 ? {...entity, aliases: [...(entity.aliases || []), ...new Set(extra)]} : entity;
+  });
+}
+
+function isForcedSplit({overrides, currentEntity, previousEntity}) {
+  const currentNames = entityNames(currentEntity);
+  const previousNames = entityNames(previousEntity);
+  return (overrides?.splits || []).some((split) => {
+    const splitNames = split.names.map(lower);
+    const currentMembers = splitNames.filter((name) => currentNames.includes(name));
+    const previousMembers = splitNames.filter((name) => previousNames.includes(name));
+    return currentMembers.length > 0 && previousMembers.length > 0 &&
+      !currentMembers.some((name) => previousMembers.includes(name));
+  });
+}
+
+function isForcedMerge({groups, currentEntity, previousEntity}) {
+  const currentNames = entityNames(currentEntity);
+  const previousNames = entityNames(previousEntity);
+  return groups.some((group) =>
+    group.names.some((name) => currentNames.includes(name)) &&
+    group.names.some((name) => previousNames.includes(name)),
+  );
+}
+
+/**
+ * Apply overrides to the matches returned by crossReferenceEntitiesPairwise.
+ * Matches between forcibly split entities are dropped and entities that are
+ * forcibly merged are matched with high confidence.
+ * @param {Object} params - Parameters
+ * @param {Array<Object>} params.matches - Lowercased matches {currentEntity, previousEntity, confidence, reason}
+ * @param {Array<Object>} params.currentEntities - Current chapter entities {name, aliases}
+ * @param {Array<Object>} params.previousEntities - Previous chapter entities {name, aliases}
+ * @param {Object} params.overrides - Overrides of one entity type
+ * @return {Array<Object>} Matches with the overrides applied
+ */
+function applyContinuityOverrides({matches, currentEntities, previousEntities, overrides}) {
+  const findEntity = (entities, name) => entities.find((entity) => entityNames(entity).includes(name));
+  const groups = overrideGroups(overrides);
+
+  const result = matches.filter((match) => {
+    const currentEntity = findEntity(currentEntities, match.currentEntity);
+    const previousEntity = findEntity(previousEntities, match.previousEntity);
+    return !(currentEntity && previousEntity && isForcedSplit({overrides, currentEntity, previousEntity}));
+  });
+
+  for (const currentEntity of currentEntities) {
+    const previousEntity = previousEntities.find((entity) =>
+      isForcedMerge({groups, currentEntity, previousEntity: entity}) &&
+      !isForcedSplit({overrides, currentEntity, previousEntity: entity}),
+    );
+    if (!previousEntity) {
+      continue;
+    }
+    const currentNames = entityNames(currentEntity);
+    const forcedMatch = {
+      currentEntity: lower(currentEntity.name),
+      previousEntity: lower(previousEntity.name),
+      confidence: "high",
+      reason: "Manual override",
+    };
+    const index = result.findIndex((match) => currentNames.includes(match.currentEntity));
+    if (index === -1) {
+      result.push(forcedMatch);
+    } else {
+      result[index] = forcedMatch;
+    }
+  }
+
+  return result;
+}
+
+async function loadOverridesForGraph({graphId}) {
+  if (!graphId) {
+    throw new Error("graphId is required");
+  }
+  const graphItem = await getGraphFirestore({graphId});
+  if (!graphItem?.sku) {
+    throw new Error(`Graph ${graphId} not found`);
+  }
+  const overrides = await getEntityOverrides({
+    uid: graphItem.uid,
+    sku: graphItem.sku,
+    visibility: graphItem.visibility,
+    graphId,
+  });
+  return {graphItem, overrides};
+}
+
+/**
+ * List the entity overrides of a graph
+ * @param {Object} params - Parameters
+ * @param {string} params.graphId - Graph ID
+ * @return {Promise<Object>} Overrides {characters: {merges, splits, aliases}, locations: {...}, objects: {...}}
+ */
+async function listEntityOverrides({graphId}) {
+  const {overrides} = await loadOverridesForGraph({graphId});
+  return overrides;
+}
+
+/**
+ * Add an entity override to a graph. Takes effect the next time
+ * the entity or object extraction and continuity steps run for a chapter.
+ * @param {Object} params - Parameters
+ * @param {string} params.graphId - Graph ID
+ * @param {string} params.entityType - "characters", "locations" or "objects"
+ * @param {string} params.kind - "merges", "splits" or "aliases"
+ * @param {Array<string>} [params.names] - Names to merge or split (merges, splits)
+ * @param {string} [params.name] - Canonical name of a merge, or the entity receiving aliases
+ * @param {Array<string>} [params.aliases] - Aliases to add (aliases)
+ * @return {Promise<Object>} The stored override including its id
+ */
+async function addEntityOverride({graphId, entityType, kind, names, name, aliases}) {
+  if (!OVERRIDE_ENTITY_TYPES.includes(entityType)) {
+    throw new Error(`entityType must be one of ${OVERRIDE_ENTITY_TYPES.join(", ")}`);
+  }
+  if (!OVERRIDE_KINDS.includes(kind)) {
+    throw new Error(`kind must be one of ${OVERRIDE_KINDS.join(", ")}`);
+  }
+
+  let override;
+  if (kind === "aliases") {
+    if (!name || !Array.isArray(aliases) || aliases.length === 0) {
+      throw new Error("aliases overrides require a name and a non empty aliases array");
+    }
+    override = {name: lower(name), aliases: aliases.map(lower)};
+  } else {
+    if (!Array.isArray(names) || names.length < 2) {
+      throw new Error(`${kind} overrides require at least two names`);
+    }
+    override = {names: names.map(lower)};
+    if (kind === "merges" && name) {
+      if (!override.names.includes(lower(name))) {
+        throw new Error(`The canonical name ${name} must be one of the merged names`);
+      }
+      override.name = lower(name);
+    }
+  }
+
+  const {graphItem, overrides} = await loadOverridesForGraph({graphId});
+  override = {id: uuidv4(), ...override, createdAt: Date.now()};
+  overrides[entityType][kind].push(override);
+  await storeGraph({sku: graphItem.sku, data: overrides, type: "entityOverrides", graphId});
+  logger.info(`${graphId} Added ${entityType} ${kind} override ${JSON.stringify(override)}`);
+  return override;
+}
+
+/**
+ * Remove an entity override from a graph
+ * @param {Object} params - Parameters
+ * @param {string} params.graphId - Graph ID
+ * @param {string} params.id - The override id returned by addEntityOverride
+ * @return {Promise<Object>} The remaining overrides
+ */
+async function removeEntityOverride({graphId, id}) {
+  if (!id) {
+    throw new Error("id is required");
+  }
+  const {graphItem, overrides} = await loadOverridesForGraph({graphId});
+  let removed = false;
+  for (const entityType of OVERRIDE_ENTITY_TYPES) {
+    for (const kind of OVERRIDE_KINDS) {
+      const remaining = overrides[entityType][kind].filter((override) => override.id !== id);
+      removed = removed || remaining.length !== overrides[entityType][kind].length;
+      overrides[entityType][kind] = remaining;
+    }
+  }
+  if (!removed) {
+    throw new Error(`${graphId} Entity override ${id} not found`);
+  }
+  await storeGraph({sku: graphItem.sku, data: overrides, type: "entityOverrides", graphId});
+  logger.info(`${graphId} Removed entity override ${id}`);
+  return overrides;
+}
+
+export {
+  getEntityOverrides,
+  applyOverridesToNames,
+  applyEntityOverrides,
+  addOverrideAliases,
+  applyContinuityOverrides,
+  listEntityOverrides,
+  addEntityOverride,
+  removeEntityOverride,
+};
@@ -0,0 +1,460 @@
+/* eslint-disable require-jsdoc */
+import logger from "../../../util/logger.js";
+import {getGraph, storeGraph} from "../../../storage/storage.js";
+import {getGraphFirestore} from "../../../storage/firestore/graph.js";
+import {
+  getGraphCharactersRtdb,
+  getGraphLocationsRtdb,
+  updateGraphEntityRtdb,
+} from "../../../storage/realtimeDb/graph.js";
+import {getScenesFromCache} from "../../../storage/realtimeDb/scenesCache.js";
+import {sanitizeFirebaseKey} from "../../../storage/utils.js";
+import {getAuthorAndTitleFromSku, fetchGraphEntityArray} from "../../../util/graphHelper.js";
+import {OpenRouterClient} from "../../../ai/openrouter/base.js";
+import {
+  filterEntityContinuityProperties,
+  fetchEntityPropertyPins,
+  applyEntityPropertyPins,
+} from "./propertyConsolidation.js";
+import {composeSceneImages} from "./composeSceneImages.js";
+import {QUEUE_PRIORITIES} from "../../../storage/firestore/queue.js";
+import {
+  generateCharacterImagePrompt,
+  generateLocationImagePrompt,
+  summarizeCharacterImagePrompt,
+  summarizeLocationImagePrompt,
+  generateCharacterImages,
+  generateLocationImages,
+} from "../graphV0_1logic.js";
+
+// Graph files and helpers used by each entity type. The per chapter pipeline
+// steps work on every entity of a chapter, regeneration only touches one.
+const ENTITY_TYPES = {
+  character: {
+    key: "character",
+    plural: "characters",
+    propertiesType: "characterProperties",
+    promptsType: "characterImagePrompts",
+    promptsKey: "characterPrompts",
+    summariesType: "characterImagePrompts-summarized",
+    summariesKey: "characterPromptSummaries",
+    generatePrompt: ({name, ...params}) => generateCharacterImagePrompt({...params, charName: name}),
+    summarize: ({name, ...params}) => summarizeCharacterImagePrompt({...params, character: name}),
+    generateImages: generateCharacterImages,
+    getRtdb: getGraphCharactersRtdb,
+  },
+  location: {
+    key: "location",
+    plural: "locations",
+    propertiesType: "locationProperties",
+    promptsType: "locationImagePrompts",
+    promptsKey: "locationPrompts",
+    summariesType: "locationImagePrompts-summarized",
+    summariesKey: "locationPromptSummaries",
+    generatePrompt: ({name, ...params}) => generateLocationImagePrompt({...params, locName: name}),
+    summarize: ({name, ...params}) => summarizeLocationImagePrompt({...params, location: name}),
+    generateImages: generateLocationImages,
+    getRtdb: getGraphLocationsRtdb,
+  },
+};
+
+function getEntityType(entityType) {
+  const type = ENTITY_TYPES[entityType];
+  if (!type) {
+    throw new Error(`Unknown entity type ${entityType}, expected one of ${Object.keys(ENTITY_TYPES).join(", ")}`);
+  }
+  return type;
+}
+
+function entitySlug(name) {
+  return sanitizeFirebaseKey({key: name}).toLowerCase().replace(/\s+/g, "_");
+}
+
+function stagedRegenerationType({entityType, name}) {
+  return `entityRegeneration-${entityType}-${entitySlug(name)}`;
+}
+
+function toTuples(properties) {
+  return (properties || []).map((p) => ({relationship: p.relationship, property: p.property}));
+}
+
+async function loadRegenerationGraph({graphId}) {
+  if (!graphId) {
+    throw new Error("graphId is required");
+  }
+  const graphItem = await getGraphFirestore({graphId});
+  if (!graphItem?.sku) {
+    throw new Error(`Graph ${graphId} not found`);
+  }
+  if (graphItem.version !== "v0.1") {
+    throw new Error(`${graphId} Entity regeneration is only supported for v0.1 graphs, got ${graphItem.version}`);
+  }
+  return graphItem;
+}
+
+/**
+ * Find the name an entity goes by in a chapter. Matches the names tracked in
+ * earlier chapters directly or through the chapter's continuity mapping.
+ * @param {Object} params - Parameters
+ * @param {Array<string>} params.candidates - Entity names present in the chapter
+ * @param {Object} params.continuityEntities - continuity[characters|locations] of the chapter
+ * @param {Object} params.namesByChapter - Resolved names of earlier chapters {chapter: name}
+ * @param {string} params.name - The name requested by the admin
+ * @return {string|null} The entity name in this chapter or null if it does not appear
+ */
+function resolveChapterEntityName({candidates, continuityEntities, namesByChapter, name}) {
+  const trackedNames = new Set([name.toLowerCase(), ...Object.values(namesByChapter).map((n) => n.toLowerCase())]);
+  const direct = candidates.find((candidate) => trackedNames.has(candidate.toLowerCase()));
+  if (direct) {
+    return direct;
+  }
+  return candidates.find((candidate) => {
+    const continuityKey = Object.keys(continuityEntities || {}).find((key) => key.toLowerCase() === candidate.toLowerCase());
+    return (continuityEntities?.[continuityKey]?.appearsIn || []).some((appearanceObj) => {
+      const [prevChapter, appearance] = Object.entries(appearanceObj)[0];
+      return (appearance.confidence === "high" || appearance.confidence === "medium") &&
+        namesByChapter[prevChapter]?.toLowerCase() === appearance.name?.toLowerCase();
+    });
+  }) || null;
+}
+
+/**
+ * Get the properties an entity carries into a chapter from the most recent
+ * previous chapter it appeared in with high or medium confidence, using the
+ * regenerated properties where that chapter was regenerated.
+ * @param {Object} params - Parameters
+ * @return {Promise<Object|undefined>} {properties, sourceChapter} or undefined
+ */
+async function previousEntityProperties({uid, sku, visibility, graphId, type, continuityEntities, chapterName, regenerated}) {
+  const continuityKey = Object.keys(continuityEntities || {}).find((key) => key.toLowerCase() === chapterName.toLowerCase());
+  let source;
+  for (const appearanceObj of continuityEntities?.[continuityKey]?.appearsIn || []) {
+    const [prevChapter, appearance] = Object.entries(appearanceObj)[0];
+    const chapterNum = parseInt(prevChapter);
+    if ((appearance.confidence === "high" || appearance.confidence === "medium") &&
+        (!source || chapterNum > source.chapter)) {
+      source = {chapter: chapterNum, name: appearance.name || chapterName};
+    }
+  }
+  if (!source) {
+    return undefined;
+  }
+
+  if (regenerated[source.chapter]) {
+    return {
+      sourceChapter: source.chapter,
+      properties: regenerated[source.chapter].properties.map((p) => ({...p, [type.key]: chapterName, sourceChapter: source.chapter})),
+    };
+  }
+  const sourceProperties = await fetchGraphEntityArray({
+    uid, sku, visibility, graphId,
+    type: `${type.propertiesType}-continuity`,
+    chapter: source.chapter,
+    responseKey: "properties",
+  });
+  return {
+    sourceChapter: source.chapter,
+    properties: (sourceProperties.properties || [])
+        .filter((p) => p[type.key]?.toLowerCase() === source.name.toLowerCase())
+        .map((p) => ({...p, [type.key]: chapterName, sourceChapter: source.chapter})),
+  };
+}
+
+/**
+ * Regenerate the descriptions of a single character or location across every
+ * completed chapter of a graph, without publishing anything.
+ * Re-runs property consolidation, image prompt generation and summarization for
+ * that entity only, with the admin's edits and pins applied, and stages the
+ * result so it can be reviewed and published with publishEntityRegeneration.
+ * @param {Object} params - Parameters
+ * @param {string} params.graphId - The graph ID
+ * @param {string} [params.entityType] - "character" (default) or "location"
+ * @param {string} params.name - The entity name
+ * @param {Object} [params.edits] - Replacement property tuples keyed by chapter {chapter: [{relationship, property}]}
+ * @param {Array} [params.pins] - Tuples to keep from fromChapter onwards [{relationship, property, fromChapter}],
+ *   replaces the entity's existing pins when provided
+ * @return {Promise<Object>} The diff {graphId, entityType, name, chapters: {chapter: {...}}}
+ */
+async function previewEntityRegeneration({graphId, entityType = "character", name, edits = {}, pins}) {
+  const type = getEntityType(entityType);
+  if (!name) {
+    throw new Error("name is required");
+  }
+  const graphItem = await loadRegenerationGraph({graphId});
+  const {uid, sku, visibility} = graphItem;
+  const chapters = [...(graphItem.completedChapters || [])].sort((a, b) => a - b);
+  if (chapters.length === 0) {
+    throw new Error(`${graphId} has no completed chapters to regenerate`);
+  }
+
+  const existingPins = await fetchEntityPropertyPins({uid, sku, visibility, graphId});
+  const entityPins = pins !== undefined ? pins : existingPins[type.plural][name.toLowerCase()] || [];
+  for (const pin of entityPins) {
+    if (!pin.relationship || !pin.property) {
+      throw new Error(`Pinned properties require a relationship and a property, got ${JSON.stringify(pin)}`);
+    }
+  }
+
+  logger.info(`${graphId} Regenerating ${entityType} ${name} across ${chapters.length} chapters`);
+
+  const {author, title} = await getAuthorAndTitleFromSku(sku);
+  const openRouterClient = new OpenRouterClient();
+  const namesByChapter = {};
+  const regenerated = {};
+  const diff = {};
+
+  for (const chapter of chapters) {
+    const [rawProperties, oldConsolidated] = await Promise.all([
+      fetchGraphEntityArray({uid, sku, visibility, graphId, type: type.propertiesType, chapter, responseKey: "properties"}),
+      fetchGraphEntityArray({uid, sku, visibility, graphId, type: `${type.propertiesType}-continuity`, chapter, responseKey: "properties"}),
+    ]);
+    let continuity = {};
+    if (chapter > 0) {
+      try {
+        continuity = await getGraph({uid, sku, visibility, graphId, type: "continuity", chapter});
+      } catch (error) {
+        logger.debug(`${graphId} No continuity file for chapter ${chapter}: ${error.message}`);
+      }
+    }
+    const continuityEntities = continuity[type.plural];
+
+    const candidates = [...new Set([
+      ...(oldConsolidated.properties || []).map((p) => p[type.key]),
+      ...(rawProperties.properties || []).map((p) => p[type.key]),
+      ...Object.keys(continuityEntities || {}),
+    ].filter(Boolean))];
+    const chapterName = resolveChapterEntityName({candidates, continuityEntities, namesByChapter, name});
+    if (!chapterName) {
+      logger.debug(`${graphId} ${entityType} ${name} does not appear in chapter ${chapter}`);
+      continue;
+    }
+    namesByChapter[chapter] = chapterName;
+    const nameLower = chapterName.toLowerCase();
+
+    const chapterEdits = edits[chapter];
+    const currentEntityProperties = chapterEdits ?
+      toTuples(chapterEdits).map((p) => ({...p, [type.key]: chapterName})) :
+      (rawProperties.properties || []).filter((p) => p[type.key]?.toLowerCase() === nameLower);
+
+    const {properties: consolidated} = await filterEntityContinuityProperties({
+      uid, sku, graphId, chapter,
+      entityType,
+      entityName: chapterName,
+      currentEntityProperties,
+      previousPropertiesData: chapter > 0 ? await previousEntityProperties({
+        uid, sku, visibility, graphId, type,
+        continuityEntities, chapterName, regenerated,
+      }) : undefined,
+      openRouterClient,
+      author, title,
+    });
+    const properties = applyEntityPropertyPins({
+      properties: consolidated,
+      pins: {[nameLower]: entityPins},
+      entityKey: type.key,
+      chapter,
+    });
+
+    // Image prompts are keyed by the lowercase name, as in generateEntityImagePrompts.
+    let prompt = null;
+    let summary = null;
+    if (properties.length > 0) {
+      prompt = await type.generatePrompt({
+        uid, sku, graphId, chapter,
+        name: nameLower,
+        properties: toTuples(properties),
+        author, title,
+        openRouterClient,
+      });
+      summary = await type.summarize({
+        uid, sku, graphId, chapter,
+        name: prompt[type.key],
+        description: prompt.description,
+        openRouterClient,
+      });
+    }
+    regenerated[chapter] = {properties};
+
+    const rtdbEntities = await type.getRtdb({graphId, chapter}) || {};
+    const oldEntity = rtdbEntities[sanitizeFirebaseKey({key: nameLower})] || {};
+    diff[chapter] = {
+      name: chapterName,
+      edited: Boolean(chapterEdits),
+      properties: {
+        old: toTuples((oldConsolidated.properties || []).filter((p) => p[type.key]?.toLowerCase() === nameLower)),
+        new: toTuples(properties),
+      },
+      description: {
+        old: oldEntity.description || null,
+        new: summary?.summary || null,
+      },
+      unsummarizedDescription: {
+        old: oldEntity.unsummarizedDescription || null,
+        new: prompt?.description || null,
+      },
+      staged: {
+        rawProperties: chapterEdits ? currentEntityProperties : null,
+        properties,
+        prompt,
+        summary: summary?.summary || null,
+      },
+    };
+  }
+
+  if (Object.keys(diff).length === 0) {
+    throw new Error(`${graphId} ${entityType} ${name} does not appear in any completed chapter`);
+  }
+
+  const staged = {
+    graphId,
+    entityType,
+    name,
+    edits,
+    pins: entityPins,
+    createdAt: Date.now(),
+    chapters: diff,
+  };
+  await storeGraph({
+    sku,
+    data: staged,
+    type: stagedRegenerationType({entityType, name}),
+    graphId,
+  });
+  logger.info(`${graphId} Staged regeneration of ${entityType} ${name} for chapters ${Object.keys(diff).join(", ")}`);
+
+  // The staged payload is only needed by publish, keep the response to the review diff.
+  const chaptersDiff = {};
+  for (const [chapter, chapterDiff] of Object.entries(diff)) {
+    chaptersDiff[chapter] = {...chapterDiff};
+    delete chaptersDiff[chapter].staged;
+  }
+  return {graphId, entityType, name, pins: entityPins, chapters: chaptersDiff};
+}
+
+async function replaceEntityInGraphFile({uid, sku, visibility, graphId, chapter, type, responseKey, nameLower, entityKey, entries}) {
+  const file = await fetchGraphEntityArray({uid, sku, visibility, graphId, type, chapter, responseKey});
+  const kept = (file[responseKey] || []).filter((entry) => entry[entityKey]?.toLowerCase() !== nameLower);
+  await storeGraph({
+    sku,
+    data: {...file, [responseKey]: [...kept, ...entries]},
+    type,
+    chapter,
+    graphId,
+  });
+}
+
+/**
+ * Publish a regeneration staged by previewEntityRegeneration.
+ * Writes the entity's new properties, image prompts and summaries to the graph
+ * files and RTDB, persists its pins so later consolidations keep them, then
+ * re-queues its images and the composed images of scenes that reference it.
+ * @param {Object} params - Parameters
+ * @param {string} params.graphId - The graph ID
+ * @param {string} [params.entityType] - "character" (default) or "location"
+ * @param {string} params.name - The entity name used for the preview
+ * @return {Promise<Object>} {graphId, entityType, name, chapters, scenes}
+ */
+async function publishEntityRegeneration({graphId, entityType = "character", name}) {
+  const type = getEntityType(entityType);
+  if (!name) {
+    throw new Error("name is required");
+  }
+  const graphItem = await loadRegenerationGraph({graphId});
+  const {uid, sku, visibility} = graphItem;
+
+  let staged;
+  try {
+    staged = await getGraph({uid, sku, visibility, graphId, type: stagedRegenerationType({entityType, name})});
+  } catch (error) {
+    throw new Error(`${graphId} No staged regeneration for ${entityType} ${name}, preview it first`);
+  }
+  if (staged.publishedAt) {
+    throw new Error(`${graphId} Regeneration of ${entityType} ${name} was already published, preview it again`);
+  }
+
+  // Persist the pins so a re-run of consolidateEntityProperties keeps them.
+  const pins = await fetchEntityPropertyPins({uid, sku, visibility, graphId});
+  if (staged.pins.length > 0) {
+    pins[type.plural][name.toLowerCase()] = staged.pins;
+  } else {
+    delete pins[type.plural][name.toLowerCase()];
+  }
+  await storeGraph({sku, data: pins, type: "entityPropertyPins", graphId});
+
+  const chapters = Object.keys(staged.chapters).map((chapter) => parseInt(chapter)).sort((a, b) => a - b);
+  for (const chapter of chapters) {
+    const {name: chapterName, staged: chapterStaged} = staged.chapters[chapter];
+    const nameLower = chapterName.toLowerCase();
+    const fileParams = {uid, sku, visibility, graphId, chapter, nameLower, entityKey: type.key};
+
+    if (chapterStaged.rawProperties) {
+      await replaceEntityInGraphFile({...fileParams, type: type.propertiesType, responseKey: "properties", entries: chapterStaged.rawProperties});
+    }
+    await replaceEntityInGraphFile({...fileParams, type: `${type.propertiesType}-continuity`, responseKey: "properties", entries: chapterStaged.properties});
+    await replaceEntityInGraphFile({...fileParams, type: type.promptsType, responseKey: type.promptsKey, entries: chapterStaged.prompt ? [chapterStaged.prompt] : []});
+
+    if (!chapterStaged.prompt) {
+      continue;
+    }
+    const summaries = await fetchGraphEntityArray({uid, sku, visibility, graphId, type: type.summariesType, chapter, responseKey: type.summariesKey});
+    await storeGraph({
+      sku,
+      data: {[type.summariesKey]: {...summaries[type.summariesKey], [chapterStaged.prompt[type.key]]: chapterStaged.summary}},
+      type: type.summariesType,
+      chapter,
+      graphId,
+    });
+    await updateGraphEntityRtdb({
+      graphId,
+      chapter,
+      type: type.plural,
+      name: chapterStaged.prompt[type.key],
+      description: chapterStaged.summary,
+      unsummarizedDescription: chapterStaged.prompt.description,
+    });
+    await type.generateImages({uid, sku, visibility, graphId, chapter, entities: [chapterStaged.prompt[type.key]], replace: true, priority: QUEUE_PRIORITIES.BACKFILL});
+  }
+
+  // Only recompose scenes that already have an image, the rest pick up the new
+  // description whenever they are first composed.
+  const scenes = [];
+  if (graphItem.defaultSceneId) {
+    const cachedScenes = await getScenesFromCache({sceneId: graphItem.defaultSceneId}) || {};
+    for (const chapter of chapters) {
+      const nameKey = sanitizeFirebaseKey({key: staged.chapters[chapter].name}).toLowerCase();
+      for (const scene of cachedScenes[chapter] || []) {
+        const sceneEntities = scene?.[type.plural];
+        const sceneNames = Array.isArray(sceneEntities) ? sceneEntities : Object.keys(sceneEntities || {});
+        if (scene.image && sceneNames.some((sceneName) => sanitizeFirebaseKey({key: sceneName}).toLowerCase() === nameKey)) {
+          scenes.push({chapter, scene: scene.scene_number});
+        }
+      }
+    }
+  }
+  if (scenes.length > 0) {
+    await composeSceneImages({
+      graphId,
+      defaultSceneId: graphItem.defaultSceneId,
+      scenes,
+      sku,
+      uid,
+      replace: true,
+      priority: QUEUE_PRIORITIES.BACKFILL,
+    });
+  }
+
+  await storeGraph({
+    sku,
+    data: {...staged, publishedAt: Date.now()},
+    type: stagedRegenerationType({entityType, name}),
+    graphId,
+  });
+  logger.info(`${graphId} Published regeneration of ${entityType} ${name} for ${chapters.length} chapters, recomposing ${scenes.length} scenes`);
+
+  return {graphId, entityType, name, chapters, scenes};
+}
+
+export {
+  previewEntityRegeneration,
+  publishEntityRegeneration,
+};
@@ -0,0 +1,395 @@
+/* eslint-disable camelcase */
+
+import logger from "../../../util/logger.js";
+import {createAnalyticsOptions} from "../../../analytics/index.js";
+import graphPrompts from "../graphV0_1Prompts.js";
+import {OpenRouterClient, OpenRouterMockResponse} from "../../../ai/openrouter/base.js";
+import {storeGraph, getTranscriptions} from "../../../storage/storage.js";
+import {
+  getAuthorAndTitleFromSku,
+  fetchGraphEntityArray,
+  getChapterDuration,
+} from "../../../util/graphHelper.js";
+import {transcriptionsToText} from "../graphV0_1logic.js";
+
+const MIN_CHAPTER_DURATION = 30; // Minimum chapter duration in seconds
+
+/**
+ * Relationship types the prompt may return. Anything else is stored as "other".
+ * Symmetric types connect both entities the same way, so A-B and B-A are one edge.
+ */
+const RELATIONSHIP_TYPES = {
+  family: {symmetric: true},
+  romantic: {symmetric: true},
+  friendship: {symmetric: true},
+  alliance: {symmetric: true},
+  rivalry: {symmetric: true},
+  enmity: {symmetric: true},
+  acquaintance: {symmetric: true},
+  professional: {symmetric: false}, // source works for or with target
+  mentorship: {symmetric: false}, // source mentors target
+  resides_in: {symmetric: false}, // character lives at location
+  frequents: {symmetric: false}, // character regularly visits location
+  part_of: {symmetric: false}, // location lies within location
+  other: {symmetric: false},
+};
+
+const ENTITY_TYPES = {
+  character: "characters",
+  location: "locations",
+};
+
+/**
+ * Generate mock relationships response for testing
+ * @param {Array} characters - Current chapter characters
+ * @param {Array} locations - Current chapter locations
+ * @return {OpenRouterMockResponse} Mock response for testing
+ */
+function getMockRelationshipsResponse(characters, locations) {
+  const relationships = [];
+  if (characters.length > 1) {
+    relationships.push({
+      source: characters[0].name,
+      sourceType: "character",
+      target: characters[1].name,
+      targetType: "character",
+      type: "acquaintance",
+      description: "Mock: The two characters meet in this chapter",
+      ended: false,
+    });
+  }
+  if (characters.length > 0 && locations.length > 0) {
+    relationships.push({
+      source: characters[0].name,
+      sourceType: "character",
+      target: locations[0].name,
+      targetType: "location",
+      type: "resides_in",
+      description: "Mock: The character lives here",
+      ended: false,
+    });
+  }
+  return new OpenRouterMockResponse({content: {relationships}});
+}
+
+/**
+ * Build a lookup from lowercased names and aliases to the canonical entity name
+ * @param {Array} entities - Entities with name and aliases
+ * @return {Map<string, string>} Lookup of lowercased name or alias to entity name
+ */
+function buildNameLookup(entities) {
+  const lookup = new Map();
+  for (const entity of entities) {
+    lookup.set(entity.name.toLowerCase(), entity.name);
+  }
+  // Aliases never shadow another entity's name
+  for (const entity of entities) {
+    for (const alias of entity.aliases || []) {
+      if (!lookup.has(alias.toLowerCase())) {
+        lookup.set(alias.toLowerCase(), entity.name);
+      }
+    }
+  }
+  return lookup;
+}
+
+/**
+ * Build a lookup from names used in earlier chapters to the current chapter name,
+ * using the continuity mapping for the chapter
+ * @param {Object} continuity - Continuity mapping for one entity type {name: {appearsIn}}
+ * @return {Map<string, string>} Lookup of lowercased previous name to current name
+ */
+function buildContinuityLookup(continuity = {}) {
+  const lookup = new Map();
+  for (const [currentName, data] of Object.entries(continuity)) {
+    for (const appearance of data.appearsIn || []) {
+      const [previous] = Object.values(appearance);
+      if (previous?.name && previous.confidence !== "low" && !lookup.has(previous.name.toLowerCase())) {
+        lookup.set(previous.name.toLowerCase(), currentName);
+      }
+    }
+  }
+  return lookup;
+}
+
+/**
+ * Key that identifies an edge regardless of direction for symmetric types
+ * @param {Object} edge - Relationship edge
+ * @return {string} Edge key
+ */
+function edgeKey(edge) {
+  const source = `${edge.sourceType}:${edge.source.toLowerCase()}`;
+  const target = `${edge.targetType}:${edge.target.toLowerCase()}`;
+  const [a, b] = RELATIONSHIP_TYPES[edge.type]?.symmetric && target < source ? [target, source] : [source, target];
+  return `${a}|${edge.type}|${b}`;
+}
+
+/**
+ * Rename carried edges to the names their entities have in the current chapter
+ * @param {Array} edges - Relationship edges from the previous chapter
+ * @param {Object} continuity - Continuity mapping for the current chapter
+ * @return {Array} Renamed edges, duplicates collapsed onto the most recent one
+ */
+function carryForwardRelationships(edges, continuity) {
+  const lookups = {
+    character: buildContinuityLookup(continuity.characters),
+    location: buildContinuityLookup(continuity.locations),
+  };
+  const carried = new Map();
+  for (const edge of edges) {
+    const renamed = {
+      ...edge,
+      source: lookups[edge.sourceType]?.get(edge.source.toLowerCase()) || edge.source,
+      target: lookups[edge.targetType]?.get(edge.target.toLowerCase()) || edge.target,
+    };
+    if (renamed.source.toLowerCase() === renamed.target.toLowerCase() && renamed.sourceType === renamed.targetType) {
+      continue;
+    }
+    const key = edgeKey(renamed);
+    const existing = carried.get(key);
+    if (!existing || existing.lastChapter <= renamed.lastChapter) {
+      carried.set(key, {
+        ...renamed,
+        firstChapter: Math.min(renamed.firstChapter, existing?.firstChapter ?? renamed.firstChapter),
+      });
+    }
+  }
+  return carried;
+}
+
+/**
+ * Validate relationships returned by the LLM against the chapter entities
+ * @param {Array} relationships - Raw relationships from the LLM
+ * @param {Object} lookups - Name lookups keyed by entity type
+ * @param {string} graphId - Graph ID for logging
+ * @return {Array} Valid relationships with canonical names
+ */
+function validateRelationships(relationships, lookups, graphId) {
+  const valid = [];
+  for (const relationship of relationships) {
+    const source = lookups[relationship.sourceType]?.get(relationship.source?.toLowerCase());
+    const target = lookups[relationship.targetType]?.get(relationship.target?.toLowerCase());
+    if (!source || !target) {
+      logger.warn(`${graphId} Dropping relationship with unknown entity: ${relationship.source} -> ${relationship.target}`);
+      continue;
+    }
+    if (source === target && relationship.sourceType === relationship.targetType) {
+      continue;
+    }
+    valid.push({
+      source,
+      sourceType: relationship.sourceType,
+      target,
+      targetType: relationship.targetType,
+      type: RELATIONSHIP_TYPES[relationship.type] ? relationship.type : "other",
+      description: relationship.description || "",
+      ended: relationship.ended === true,
+    });
+  }
+  return valid;
+}
+
+/**
+ * Format the relationships known so far for the LLM prompt
+ * @param {Array} edges - Relationship edges
+ * @return {string} Formatted relationship list
+ */
+function formatRelationshipList(edges) {
+  if (edges.length === 0) {
+    return "None";
+  }
+  return edges.map((edge) => {
+    const ended = edge.endedChapter !== undefined ? " (ended)" : "";
+    return `- ${edge.source} -[${edge.type}]-> ${edge.target}${ended}: ${edge.description}`;
+  }).join("\n");
+}
+
+/**
+ * Format entity list for LLM prompt
+ * @param {Array} entities - Array of entity objects with name and aliases
+ * @return {string} Formatted entity list
+ */
+function formatEntityList(entities) {
+  if (entities.length === 0) {
+    return "None";
+  }
+  return entities.map((entity) => {
+    const aliases = entity.aliases?.length > 0 ? ` (aliases: ${entity.aliases.join(", ")})` : "";
+    return `- Name: ${entity.name}${aliases}`;
+  }).join("\n");
+}
+
+/**
+ * Extract typed relationships between the entities of a chapter.
+ * Each chapter stores every relationship known up to and including that chapter,
+ * so a reader at chapter N only ever sees relationships revealed by chapter N.
+ * Edges from earlier chapters are carried forward and renamed through the continuity mapping.
+ * @param {Object} params - Parameters for relationship extraction
+ * @param {string} params.uid - User ID
+ * @param {string} params.sku - Book SKU
+ * @param {string} params.visibility - Visibility setting
+ * @param {string} params.graphId - Graph ID
+ * @param {number} params.chapter - Current chapter number
+ * @return {Promise<Object>} The stored relationships {relationships: []}
+ */
+async function graphEntityRelationshipsByChapter(params) {
+  const {uid, sku, visibility, graphId, chapter} = params;
+
+  logger.debug(`${graphId} Extracting entity relationships for chapter ${chapter}`);
+
+  const [charactersData, locationsData, continuity, previous] = await Promise.all([
+    fetchGraphEntityArray({uid, sku, visibility, type: "characters", chapter, graphId}),
+    fetchGraphEntityArray({uid, sku, visibility, type: "locations", chapter, graphId}),
+    fetchGraphEntityArray({uid, sku, visibility, type: "continuity", chapter, graphId, responseKey: "characters"}),
+    chapter === 0 ?
+      Promise.resolve({relationships: []}) :
+      fetchGraphEntityArray({uid, sku, visibility, type: "relationships", chapter: chapter - 1, graphId}),
+  ]);
+  const characters = charactersData.characters || [];
+  const locations = locationsData.locations || [];
+
+  const edges = carryForwardRelationships(previous.relationships || [], {
+    characters: continuity.characters || {},
+    locations: continuity.locations || {},
+  });
+
+  const storeRelationships = async () => {
+    const data = {relationships: [...edges.values()]};
+    await storeGraph({
+      uid,
+      sku,
+      visibility,
+      data,
+      type: "relationships",
+      chapter,
+      graphId,
+    });
+    return data;
+  };
+
+  if (characters.length + locations.length < 2) {
+    logger.info(`${graphId} Chapter ${chapter} has fewer than two entities - carrying forward ${edges.size} relationships`);
+    return await storeRelationships();
+  }
+
+  const transcriptions = await getTranscriptions({uid, sku, visibility});
+  const chapterTranscriptions = transcriptions[chapter] || [];
+  const duration = getChapterDuration(chapterTranscriptions);
+  if (duration < MIN_CHAPTER_DURATION) {
+    logger.info(`${graphId} Chapter ${chapter} duration ${duration}s is less than ${MIN_CHAPTER_DURATION}s - carrying forward ${edges.size} relationships`);
+    return await storeRelationships();
+  }
+
+  const {author, title} = await getAuthorAndTitleFromSku(sku);
+  const openRouterClient = new OpenRouterClient();
+  const promptKey = "v0_1_entity_relationships";
+
+  const result = await openRouterClient.sendRequest({
+    promptOverride: graphPrompts[promptKey],
+    modelOverride: graphPrompts[promptKey]?.openRouterModel,
+    message: transcriptionsToText(chapterTranscriptions),
+    replacements: [
+      {
+        key: "NOVEL_TITLE",
+        value: title || "Unknown",
+      },
+      {
+        key: "AUTHOR",
+        value: author || "Unknown",
+      },
+      {
+        key: "CHARACTERS",
+        value: formatEntityList(characters),
+      },
+      {
+        key: "LOCATIONS",
+        value: formatEntityList(locations),
+      },
+      {
+        key: "KNOWN_RELATIONSHIPS",
+        value: formatRelationshipList([...edges.values()]),
+      },
+      {
+        key: "RELATIONSHIP_TYPES",
+        value: Object.keys(RELATIONSHIP_TYPES).join(", "),
+      },
+    ],
+    mockResponse: getMockRelationshipsResponse(characters, locations),
+    analyticsOptions: createAnalyticsOptions({uid, graphId, sku, promptId: promptKey}),
+  });
+
+  if (result.error) {
+    // Relationships are an optional layer, the rest of the pipeline does not depend on them
+    logger.error(`${graphId} Error extracting relationships for chapter ${chapter}: ${JSON.stringify(result.error)}`);
+    return await storeRelationships();
+  }
+
+  const relationships = validateRelationships(result.result?.relationships || [], {
+    character: buildNameLookup(characters),
+    location: buildNameLookup(locations),
+  }, graphId);
+
+  for (const relationship of relationships) {
+    const {ended, ...edge} = relationship;
+    const key = edgeKey(edge);
+    const existing = edges.get(key);
+    const updated = {
+      ...edge,
+      firstChapter: existing?.firstChapter ?? chapter,
+      lastChapter: chapter,
+    };
+    if (ended) {
+      updated.endedChapter = chapter;
+    }
+    edges.set(key, updated);
+  }
+
+  logger.debug(`${graphId} Chapter ${chapter} has ${relationships.length} relationships in the text, ${edges.size} known in total`);
+  return await storeRelationships();
+}
+
+/**
+ * Get the relationships known at a listener's current chapter.
+ * Falls back to the latest earlier chapter that has been processed.
+ * @param {Object} params - Parameters
+ * @param {string} params.sku - Book SKU
+ * @param {string} params.graphId - Graph ID
+ * @param {number} params.chapter - The listener's current chapter
+ * @param {string} [params.entityType] - Only return edges touching this entity type ("character" or "location")
+ * @param {string} [params.name] - Only return edges touching this entity
+ * @return {Promise<Object>} {chapter, relationships: []} where chapter is the chapter the edges are known at
+ */
+async function getRelationshipsAtChapter({sku, graphId, chapter, entityType, name}) {
+  if (chapter === undefined || chapter === null || isNaN(parseInt(chapter))) {
+    throw new Error("chapter is required");
+  }
+  if (entityType && !ENTITY_TYPES[entityType]) {
+    throw new Error(`Unknown entityType ${entityType}`);
+  }
+
+  for (let current = parseInt(chapter); current >= 0; current--) {
+    const data = await fetchGraphEntityArray({sku, type: "relationships", chapter: current, graphId, responseKey: "missing"});
+    if (!data.relationships) {
+      continue;
+    }
+    const relationships = data.relationships.filter((edge) => {
+      if (entityType && edge.sourceType !== entityType && edge.targetType !== entityType) {
+        return false;
+      }
+      if (name) {
+        const lowerName = name.toLowerCase();
+        return (edge.source.toLowerCase() === lowerName && (!entityType || edge.sourceType === entityType)) ||
+          (edge.target.toLowerCase() === lowerName && (!entityType || edge.targetType === entityType));
+      }
+      return true;
+    });
+    return {chapter: current, relationships};
+  }
+  return {chapter: null, relationships: []};
+}
+
+export {
+  RELATIONSHIP_TYPES,
+  graphEntityRelationshipsByChapter,
+  getRelationshipsAtChapter,
+};
@@ -2,7 +2,7 @@ import logger from "../../../util/logger.js";
 import {createAnalyticsOptions} from "../../../analytics/index.js";
 import {getTranscriptions, getGraph, storeGraph} from "../../../storage/storage.js";
 import {catalogueGetRtdb} from "../../../storage/realtimeDb/catalogue.js";
-import {getChapterDuration} from "../../../util/graphHelper.js";
+import {getChapterDuration, fetchGraphEntityArray} from "../../../util/graphHelper.js";
 import {transcriptionsToText} from "../graphV0_1logic.js";
 import {
   sanitizeFirebaseKey,
@@ -86,6 +86,7 @@ async function graphScenes(params) {
       endTime: Number(endTime.toFixed(2)),
       characters: {}, // Empty object as specified
       locations: {}, // Empty object as specified
+      objects: {},
       viewpoint: {
         setting: "default lighting",
         placement: "standard view",
@@ -145,6 +146,9 @@ async function graphScenes(params) {
     throw new Error(`${graphId} Failed to load locations for chapter ${chapter}: ${error.message}`);
   }
 
+  // Objects are optional, most chapters have none
+  const objectsData = await fetchGraphEntityArray({uid, sku, visibility, type: "objects", chapter, graphId});
+
   // 3. Get character and location descriptions from the summarized image prompts
   let characterDescriptions = {};
   let locationDescriptions = {};
@@ -181,6 +185,17 @@ async function graphScenes(params) {
     logger.debug(`${graphId} ${chapter} No location summaries found for chapter ${chapter}: ${error.message}`);
   }
 
+  const objectSummaryData = await fetchGraphEntityArray({
+    uid,
+    sku,
+    visibility,
+    type: "objectImagePrompts-summarized",
+    chapter,
+    graphId,
+    responseKey: "objectPromptSummaries",
+  });
+  const objectDescriptions = Array.isArray(objectSummaryData.objectPromptSummaries) ? {} : objectSummaryData.objectPromptSummaries;
+
   if (typeof characterDescriptions === "undefined") {
     logger.warn(`${graphId} ${chapter} getScenes: characterDescriptions is undefined, setting to empty object; probably shouldn't be here`);
     characterDescriptions = {};
@@ -201,9 +216,10 @@ async function graphScenes(params) {
     locationDescriptionsLower[name.toLowerCase()] = desc;
   });
 
-  // 4. Prepare CSV data for characters and locations
+  // 4. Prepare CSV data for characters, locations and objects
   const charactersCsv = csv(charactersData.characters || []);
   const locationsCsv = csv(locationsData.locations || []);
+  const objectsCsv = csv(objectsData.objects || []);
 
   // 5. Format transcriptions with proper timestamps
   chapterTranscriptions.forEach((item) => {
@@ -273,8 +289,14 @@ async function graphScenes(params) {
             key: "LOCATION_LIST",
             value: locationsCsv,
           },
+          {
+            key: "OBJECT_LIST",
+            value: objectsCsv,
+          },
         ],
         mockResponse: mockSceneResponse({currentChunkIndex, attemptNumber, chunkStartTime, chunkEndTime, chunkDuration}),
+        // The first attempt's response failed validation, the retry must reach the model
+        cache: attemptNumber === 1,
         analyticsOptions: createAnalyticsOptions({uid, graphId, sku, promptId: "v0_1_generate_scenes"}),
       }).then((result) => {
         logger.debug(`${graphId} ${chapter} Processed scene chunk ${currentChunkIndex + 1} for chapter ${chapter} (attempt ${attemptNumber})`);
@@ -438,6 +460,7 @@ async function graphScenes(params) {
     if (scene.locations && Array.isArray(scene.locations)) {
       scene.locations = scene.locations.map((loc) => loc.toLowerCase());
     }
+    scene.objects = sceneObjects({scene, objects: objectsData.objects || []});
   });
 
   // 7. Add endTime to each scene and ensure proper time alignment
@@ -514,6 +537,15 @@ async function graphScenes(params) {
       scene.locations = {};
     }
 
+    // Convert objects array to object with name: description format
+    const objectsObj = {};
+    scene.objects.forEach((objName) => {
+      if (objectDescriptions[objName]) {
+        objectsObj[objName] = objectDescriptions[objName];
+      }
+    });
+    scene.objects = objectsObj;
+
     return scene;
   });
 
@@ -570,6 +602,7 @@ async function graphScenes(params) {
   // Extract and store referenced entities for this chapter
   const referencedCharacters = new Set();
   const referencedLocations = new Set();
+  const referencedObjects = new Set();
 
   enrichedScenes.forEach((scene) => {
     // Extract characters (they are stored as objects with name: description)
@@ -589,12 +622,17 @@ async function graphScenes(params) {
         referencedLocations.add(sanitizedName.toLowerCase());
       });
     }
+
+    Object.keys(scene.objects || {}).forEach((objName) => {
+      referencedObjects.add(sanitizeFirebaseKey({key: objName}).toLowerCase());
+    });
   });
 
   // Save the referenced entities for this chapter
   const referencedEntities = {
     referencedCharacters: Array.from(referencedCharacters).sort(),
     referencedLocations: Array.from(referencedLocations).sort(),
+    referencedObjects: Array.from(referencedObjects).sort(),
   };
 
   logger.info(`${graphId} ${chapter}: Found ${referencedEntities.referencedCharacters.length} referenced characters and ${referencedEntities.referencedLocations.length} referenced locations`);
@@ -612,6 +650,41 @@ async function graphScenes(params) {
   return scenesResult;
 }
 
+/**
+ * Resolve the objects shown in a scene. Uses the objects the scene prompt tagged
+ * when present, otherwise matches object names and aliases in the scene description.
+ * @param {Object} params - Parameters
+ * @param {Object} params.scene - Scene returned by the LLM
+ * @param {Array} params.objects - Chapter objects {name, aliases}
+ * @return {Array<string>} Lowercase object names
+ */
+function sceneObjects({scene, objects}) {
+  const names = new Set();
+  const lookup = new Map();
+  for (const object of objects) {
+    for (const name of [object.name, ...(object.aliases || [])]) {
+      lookup.set(name.toLowerCase(), object.name.toLowerCase());
+    }
+  }
+  if (Array.isArray(scene.objects)) {
+    for (const name of scene.objects) {
+      const objectName = lookup.get(String(name).toLowerCase());
+      if (objectName) {
+        names.add(objectName);
+      }
+    }
+    return [...names];
+  }
+  const description = (scene.description || "").toLowerCase();
+  for (const [name, objectName] of lookup) {
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    if (new RegExp(`\\b${escaped}\\b`).test(description)) {
+      names.add(objectName);
+    }
+  }
+  return [...names];
+}
+
 /**
  * Mock scene response for testing
  * @return {OpenRouterMockResponse} - Mock response
@@ -69,6 +69,202 @@ function getMockLocationPropertyFilterResponse(previousProperties) {
   });
 }
 
+/**
+ * Load the property tuples pinned by admins for this graph
+ * @param {Object} params - Parameters
+ * @param {string} params.uid - User ID
+ * @param {string} params.sku - Book SKU
+ * @param {string} params.visibility - Visibility setting
+ * @param {string} params.graphId - Graph ID
+ * @return {Promise<Object>} Pins {characters: {name: [...]}, locations: {...}, objects: {...}} keyed by lowercase name
+ */
+async function fetchEntityPropertyPins({uid, sku, visibility, graphId}) {
+  try {
+    const pins = await getGraph({uid, sku, visibility, type: "entityPropertyPins", graphId});
+    return {characters: pins.characters || {}, locations: pins.locations || {}, objects: pins.objects || {}};
+  } catch (error) {
+    return {characters: {}, locations: {}, objects: {}};
+  }
+}
+
+/**
+ * Apply pinned property tuples to consolidated chapter properties.
+ * A pinned tuple replaces every tuple of the same relationship for that entity
+ * from its fromChapter onwards, so the LLM filter can never drop or contradict it.
+ * Pins only apply to entities that appear in the chapter.
+ * @param {Object} params - Parameters
+ * @param {Array} params.properties - Consolidated properties of the chapter
+ * @param {Object} params.pins - Pins of one entity type keyed by lowercase name
+ * @param {string} params.entityKey - "character", "location" or "object"
+ * @param {number} params.chapter - Chapter number
+ * @return {Array} The properties with the pins applied
+ */
+function applyEntityPropertyPins({properties, pins, entityKey, chapter}) {
+  let result = properties;
+  for (const [entityNameLower, entityPins] of Object.entries(pins || {})) {
+    const activePins = (entityPins || []).filter((pin) => (pin.fromChapter || 0) <= chapter);
+    const entityProperty = result.find((p) => p[entityKey]?.toLowerCase() === entityNameLower);
+    if (activePins.length === 0 || !entityProperty) {
+      continue;
+    }
+    const pinnedRelationships = new Set(activePins.map((pin) => pin.relationship));
+    result = [
+      ...result.filter((p) => p[entityKey]?.toLowerCase() !== entityNameLower || !pinnedRelationships.has(p.relationship)),
+      ...activePins.map((pin) => ({
+        [entityKey]: entityProperty[entityKey],
+        relationship: pin.relationship,
+        property: pin.property,
+        pinned: true,
+      })),
+    ];
+  }
+  return result;
+}
+
+/**
+ * Filter the properties an entity carries over from a previous chapter and merge
+ * them with its current chapter properties
+ * @param {Object} params - Parameters for filtering properties
+ * @param {string} params.uid - User ID
+ * @param {string} params.sku - Book SKU
+ * @param {string} params.graphId - Graph ID
+ * @param {number} params.chapter - Current chapter number
+ * @param {string} params.entityType - Type of entity ('character', 'location' or 'object')
+ * @param {string} params.entityName - Entity name in the current chapter
+ * @param {Array} params.currentEntityProperties - Current chapter properties of the entity
+ * @param {Object} [params.previousPropertiesData] - {properties, sourceChapter} from fetchPropertiesFromContinuity
+ * @param {OpenRouterClient} params.openRouterClient - OpenRouter client instance
+ * @param {string} params.author - Book author
+ * @param {string} params.title - Book title
+ * @return {Promise<Object>} {properties, decision} where decision is only set when the LLM filtered properties
+ */
+async function filterEntityContinuityProperties(params) {
+  const {
+    uid, sku, graphId, chapter,
+    entityType, entityName,
+    currentEntityProperties,
+    previousPropertiesData,
+    openRouterClient,
+    author, title,
+  } = params;
+  const isCharacter = entityType === "character";
+  const promptKey = `v0_1_filter_${entityType}_continuity_properties`;
+
+  if (!previousPropertiesData || !previousPropertiesData.properties || previousPropertiesData.properties.length === 0) {
+    // No previous properties, just return current properties
+    return {properties: currentEntityProperties};
+  }
+
+  // Entity has both current and previous properties - need to filter
+  const previousProperties = previousPropertiesData.properties;
+
+  // If no current properties, just use all previous properties
+  if (currentEntityProperties.length === 0) {
+    logger.debug(`${graphId} ${entityType} ${entityName} has no current properties, using all ${previousProperties.length} previous properties`);
+    return {properties: previousProperties};
+  }
+
+  // Format properties for LLM
+  const currentPropsFormatted = currentEntityProperties.map((p) => ({
+    relationship: p.relationship,
+    property: p.property,
+  }));
+
+  const previousPropsFormatted = previousProperties.map((p) => ({
+    relationship: p.relationship,
+    property: p.property,
+  }));
+
+  // Create the message for the LLM
+  const messageLines = isCharacter ?
+    [`Character: ${entityName}`, "", `Current Chapter ${chapter} Properties:`, JSON.stringify(currentPropsFormatted, null, 2), "", `Previous Chapter ${previousPropertiesData.sourceChapter} Properties:`, JSON.stringify(previousPropsFormatted, null, 2), "", "Analyze which properties from the previous chapter should be carried forward."] :
+    [`Current chapter properties for ${entityType} "${entityName}":`, JSON.stringify(currentPropsFormatted), "", `Previous chapter properties for ${entityType} "${entityName}":`, JSON.stringify(previousPropsFormatted)];
+
+  const message = messageLines.join("\n");
+
+  try {
+    // Call LLM to filter properties
+    const result = await openRouterClient.sendRequest({
+      promptOverride: graphPrompts[promptKey],
+      modelOverride: graphPrompts[promptKey].openRouterModel,
+      message: message,
+      replacements: [
+        {key: "NOVEL_TITLE", value: title || "Unknown"},
+        {key: "AUTHOR", value: author || "Unknown"},
+      ],
+      mockResponse: isCharacter ?
+        getMockCharacterPropertyFilterResponse(entityName, previousPropsFormatted, currentPropsFormatted) :
+        getMockLocationPropertyFilterResponse(previousProperties),
+      analyticsOptions: createAnalyticsOptions({uid, graphId, sku, promptId: promptKey}),
+    });
+
+    if (result.error) {
+      throw new Error(`${graphId} ${chapter} Error filtering ${entityType} properties for ${entityName}: ${result.error}`);
+    }
+
+    const filteredResult = result.result || result;
+    const filteredProps = filteredResult.filteredProperties || [];
+    const reasoning = filteredResult.reasoning || "No reasoning provided";
+
+    // Track what was included and dropped
+    const droppedProps = previousPropsFormatted.filter((prevProp) =>
+      !filteredProps.some((fp) =>
+        fp.relationship === prevProp.relationship &&
+        fp.property === prevProp.property,
+      ),
+    );
+
+    const decision = {
+      sourceChapter: previousPropertiesData.sourceChapter,
+      included: filteredProps,
+      dropped: droppedProps,
+      reasoning: reasoning,
+    };
+
+    // Map filtered properties back to full property objects with source info
+    const filteredWithSource = isCharacter ?
+      filteredProps.map((p) => ({
+        ...p,
+        character: entityName,
+        sourceChapter: previousPropertiesData.sourceChapter,
+      })) :
+      filteredProps.map((filtered) => {
+        const original = previousProperties.find((p) =>
+          p.relationship === filtered.relationship &&
+          p.property === filtered.property,
+        );
+        return original || {...filtered, [entityType]: entityName, sourceChapter: previousPropertiesData.sourceChapter};
+      });
+
+    // Combine current properties with filtered previous properties
+    // Deduplicate: remove properties from filteredWithSource that have exact matches in currentEntityProperties
+    const dedupedFilteredProperties = filteredWithSource.filter((filtered) =>
+      !currentEntityProperties.some((current) =>
+        current.relationship === filtered.relationship &&
+        current.property === filtered.property,
+      ),
+    );
+
+    const combinedProperties = [
+      ...currentEntityProperties,
+      ...dedupedFilteredProperties,
+    ];
+
+    logger.debug(`${graphId} ${entityType} ${entityName}: ${currentEntityProperties.length} current + ${filteredWithSource.length} filtered previous properties`);
+
+    return {
+      properties: combinedProperties,
+      decision,
+    };
+  } catch (error) {
+    logger.error(`${graphId} Error filtering ${entityType} properties for ${entityName}: ${error.message}`);
+    // On error, just use current properties to avoid blocking
+    return {
+      properties: currentEntityProperties,
+    };
+  }
+}
+
 /**
  * Main function to consolidate entity properties based on continuity
  * Takes properties from current chapter and filters previous chapter properties
@@ -86,6 +282,8 @@ async function graphConsolidatePropertiesByChapter(params) {
 
   logger.debug(`${graphId} Consolidating entity properties for chapter ${chapter}`);
 
+  const pins = await fetchEntityPropertyPins({uid, sku, visibility, graphId});
+
   // Skip chapter 0 as it has no previous chapters
   if (chapter === 0) {
     logger.debug(`${graphId} Chapter 0 has no previous chapters, skipping property consolidation`);
@@ -99,7 +297,14 @@ async function graphConsolidatePropertiesByChapter(params) {
     });
     await storeGraph({
       sku,
-      data: characterProperties,
+      data: {
+        properties: applyEntityPropertyPins({
+          properties: characterProperties.properties || [],
+          pins: pins.characters,
+          entityKey: "character",
+          chapter,
+        }),
+      },
       type: "characterProperties-continuity",
       graphId, chapter,
     });
@@ -112,7 +317,14 @@ async function graphConsolidatePropertiesByChapter(params) {
     });
     await storeGraph({
       sku,
-      data: locationProperties,
+      data: {
+        properties: applyEntityPropertyPins({
+          properties: locationProperties.properties || [],
+          pins: pins.locations,
+          entityKey: "location",
+          chapter,
+        }),
+      },
       type: "locationProperties-continuity",
       graphId, chapter,
     });
@@ -157,7 +369,12 @@ async function graphConsolidatePropertiesByChapter(params) {
   await storeGraph({
     sku,
     data: {
-      properties: consolidatedProperties.characters.properties,
+      properties: applyEntityPropertyPins({
+        properties: consolidatedProperties.characters.properties,
+        pins: pins.characters,
+        entityKey: "character",
+        chapter,
+      }),
     },
     type: "characterProperties-continuity",
     graphId, chapter,
@@ -167,7 +384,12 @@ async function graphConsolidatePropertiesByChapter(params) {
   await storeGraph({
     sku,
     data: {
-      properties: consolidatedProperties.locations.properties,
+      properties: applyEntityPropertyPins({
+        properties: consolidatedProperties.locations.properties,
+        pins: pins.locations,
+        entityKey: "location",
+        chapter,
+      }),
     },
     type: "locationProperties-continuity",
     graphId, chapter,
@@ -188,6 +410,121 @@ async function graphConsolidatePropertiesByChapter(params) {
   return consolidatedProperties;
 }
 
+/**
+ * Consolidate object properties based on object continuity. Each object keeps its
+ * current chapter properties plus the filtered properties of the most recent
+ * earlier chapter it was matched to with high or medium confidence.
+ * @param {Object} params - Parameters for property consolidation
+ * @param {string} params.uid - User ID
+ * @param {string} params.sku - Book SKU
+ * @param {string} params.visibility - Visibility setting
+ * @param {string} params.graphId - Graph ID
+ * @param {number} params.chapter - Current chapter number
+ * @return {Promise<Object>} Consolidated object properties for the chapter {properties}
+ */
+async function graphConsolidateObjectPropertiesByChapter(params) {
+  const {uid, sku, visibility, graphId, chapter} = params;
+
+  logger.debug(`${graphId} Consolidating object properties for chapter ${chapter}`);
+
+  const [pins, currentProperties, continuityMapping] = await Promise.all([
+    fetchEntityPropertyPins({uid, sku, visibility, graphId}),
+    fetchGraphEntityArray({uid, sku, visibility, type: "objectProperties", chapter, graphId, responseKey: "properties"}),
+    fetchGraphEntityArray({uid, sku, visibility, type: "objectContinuity", chapter, graphId, responseKey: "objects"}),
+  ]);
+  const objectsMap = Array.isArray(continuityMapping.objects) ? {} : continuityMapping.objects;
+
+  // Find the most recent earlier chapter each object was confidently matched to
+  const sourceChapters = new Map();
+  for (const [objectName, continuityData] of Object.entries(objectsMap)) {
+    for (const appearanceObj of continuityData.appearsIn || []) {
+      const chapterNum = parseInt(Object.keys(appearanceObj)[0]);
+      const appearance = Object.values(appearanceObj)[0];
+      if ((appearance.confidence === "high" || appearance.confidence === "medium") &&
+          chapterNum > (sourceChapters.get(objectName)?.chapter ?? -1)) {
+        sourceChapters.set(objectName, {chapter: chapterNum, name: appearance.name});
+      }
+    }
+  }
+
+  // Load the consolidated properties of every source chapter once
+  const chapterProperties = new Map();
+  await Promise.all([...new Set([...sourceChapters.values()].map((source) => source.chapter))].map(async (chapterNum) => {
+    const properties = await fetchGraphEntityArray({
+      uid, sku, visibility,
+      type: "objectProperties-continuity",
+      chapter: chapterNum,
+      graphId,
+      responseKey: "properties",
+    });
+    chapterProperties.set(chapterNum, properties.properties || []);
+  }));
+
+  const objectNames = new Set([
+    ...(currentProperties.properties || []).map((p) => p.object?.toLowerCase()).filter(Boolean),
+    ...Object.keys(objectsMap).map((name) => name.toLowerCase()),
+  ]);
+
+  const openRouterClient = new OpenRouterClient();
+  const {author, title} = await getAuthorAndTitleFromSku(sku);
+  const propertyDecisions = {};
+
+  const results = await Promise.all([...objectNames].map(async (objectNameLower) => {
+    const objectName = Object.keys(objectsMap).find((name) => name.toLowerCase() === objectNameLower) || objectNameLower;
+    const source = sourceChapters.get(objectName);
+    let previousPropertiesData;
+    if (source) {
+      const sourceNames = new Set([objectNameLower, source.name.toLowerCase()]);
+      previousPropertiesData = {
+        sourceChapter: source.chapter,
+        properties: (chapterProperties.get(source.chapter) || [])
+            .filter((p) => sourceNames.has(p.object?.toLowerCase()))
+            .map((p) => ({...p, object: objectName, sourceChapter: source.chapter})),
+      };
+    }
+
+    const {properties, decision} = await filterEntityContinuityProperties({
+      uid, sku, graphId, chapter,
+      entityType: "object", entityName: objectName,
+      currentEntityProperties: (currentProperties.properties || []).filter((p) => p.object?.toLowerCase() === objectNameLower),
+      previousPropertiesData,
+      openRouterClient,
+      author, title,
+    });
+    if (decision) {
+      propertyDecisions[objectName] = decision;
+    }
+    return properties;
+  }));
+
+  const consolidated = {
+    properties: applyEntityPropertyPins({
+      properties: results.flat(),
+      pins: pins.objects,
+      entityKey: "object",
+      chapter,
+    }),
+  };
+
+  logger.debug(`${graphId} Consolidated ${consolidated.properties.length} object properties for ${objectNames.size} objects in chapter ${chapter}`);
+
+  await storeGraph({
+    sku,
+    data: consolidated,
+    type: "objectProperties-continuity",
+    graphId, chapter,
+  });
+
+  await storeGraph({
+    sku,
+    data: propertyDecisions,
+    type: "objectProperties-analysis",
+    graphId, chapter,
+  });
+
+  return consolidated;
+}
+
 /**
  * Fetch properties from the most recent chapter containing matching entities with high/medium confidence
  * @param {Object} params - Parameters for fetching properties
@@ -480,7 +817,6 @@ async function consolidatePropertiesByContinuity(params) {
     const entityKey = isCharacter ? "character" : "location";
     const entitiesMap = isCharacter ? continuityMapping.characters : continuityMapping.locations;
     const previousEntities = isCharacter ? propertiesFromContinuity.characters : propertiesFromContinuity.locations;
-    const promptKey = isCharacter ? "v0_1_filter_character_continuity_properties" : "v0_1_filter_location_continuity_properties";
 
     // Get all unique entity names from both current properties and continuity mapping
     const allEntityNames = new Set();
@@ -507,129 +843,22 @@ async function consolidatePropertiesByContinuity(params) {
       const currentEntityProperties = (currentProperties.properties || [])
           .filter((p) => p[entityKey]?.toLowerCase() === entityNameLower);
 
-      // Check if this entity has properties from previous chapters
-      const previousPropertiesData = previousEntities?.[entityName];
-
-      if (!previousPropertiesData || !previousPropertiesData.properties || previousPropertiesData.properties.length === 0) {
-        // No previous properties, just return current properties
-        return {
-          [entityKey]: entityName,
-          properties: currentEntityProperties,
-        };
-      }
-
-      // Entity has both current and previous properties - need to filter
-      const previousProperties = previousPropertiesData.properties;
-
-      // If no current properties, just use all previous properties
-      if (currentEntityProperties.length === 0) {
-        logger.debug(`${graphId} ${entityType} ${entityName} has no current properties, using all ${previousProperties.length} previous properties`);
-        return {
-          [entityKey]: entityName,
-          properties: previousProperties,
-        };
-      }
-
-      // Format properties for LLM
-      const currentPropsFormatted = currentEntityProperties.map((p) => ({
-        relationship: p.relationship,
-        property: p.property,
-      }));
-
-      const previousPropsFormatted = previousProperties.map((p) => ({
-        relationship: p.relationship,
-        property: p.property,
-      }));
-
-      // Create the message for the LLM
-      const messageLines = isCharacter ?
-        [`Character: ${entityName}`, "", `Current Chapter ${chapter} Properties:`, JSON.stringify(currentPropsFormatted, null, 2), "", `Previous Chapter ${previousPropertiesData.sourceChapter} Properties:`, JSON.stringify(previousPropsFormatted, null, 2), "", "Analyze which properties from the previous chapter should be carried forward."] :
-        [`Current chapter properties for location "${entityName}":`, JSON.stringify(currentPropsFormatted), "", `Previous chapter properties for location "${entityName}":`, JSON.stringify(previousPropsFormatted)];
-
-      const message = messageLines.join("\n");
-
-      try {
-        // Call LLM to filter properties
-        const result = await openRouterClient.sendRequest({
-          promptOverride: graphPrompts[promptKey],
-          modelOverride: graphPrompts[promptKey].openRouterModel,
-          message: message,
-          replacements: [
-            {key: "NOVEL_TITLE", value: title || "Unknown"},
-            {key: "AUTHOR", value: author || "Unknown"},
-          ],
-          mockResponse: isCharacter ?
-            getMockCharacterPropertyFilterResponse(entityName, previousPropsFormatted, currentPropsFormatted) :
-            getMockLocationPropertyFilterResponse(previousProperties),
-          analyticsOptions: createAnalyticsOptions({uid, graphId, sku, promptId: promptKey}),
-        });
-
-        if (result.error) {
-          throw new Error(`${graphId} ${chapter} Error filtering ${entityType} properties for ${entityName}: ${result.error}`);
-        }
-
-        const filteredResult = result.result || result;
-        const filteredProps = filteredResult.filteredProperties || [];
-        const reasoning = filteredResult.reasoning || "No reasoning provided";
-
-        // Track what was included and dropped
-        const droppedProps = previousPropsFormatted.filter((prevProp) =>
-          !filteredProps.some((fp) =>
-            fp.relationship === prevProp.relationship &&
-            fp.property === prevProp.property,
-          ),
-        );
-
-        propertyDecisions[entityName] = {
-          sourceChapter: previousPropertiesData.sourceChapter,
-          included: filteredProps,
-          dropped: droppedProps,
-          reasoning: reasoning,
-        };
-
-        // Map filtered properties back to full property objects with source info
-        const filteredWithSource = isCharacter ?
-          filteredProps.map((p) => ({
-            ...p,
-            character: entityName,
-            sourceChapter: previousPropertiesData.sourceChapter,
-          })) :
-          filteredProps.map((filtered) => {
-            const original = previousProperties.find((p) =>
-              p.relationship === filtered.relationship &&
-              p.property === filtered.property,
-            );
-            return original || {...filtered, location: entityName, sourceChapter: previousPropertiesData.sourceChapter};
-          });
-
-        // Combine current properties with filtered previous properties
-        // Deduplicate: remove properties from filteredWithSource that have exact matches in currentEntityProperties
-        const dedupedFilteredProperties = filteredWithSource.filter((filtered) =>
-          !currentEntityProperties.some((current) =>
-            current.relationship === filtered.relationship &&
-            current.property === filtered.property,
-          ),
-        );
-
-        const combinedProperties = [
-          ...currentEntityProperties,
-          ...dedupedFilteredProperties,
-        ];
-
-        logger.debug(`${graphId} ${entityType} ${entityName}: ${currentEntityProperties.length} current + ${filteredWithSource.length} filtered previous properties`);
-
-        return {
-          [entityKey]: entityName,
-          properties: combinedProperties,
-        };
-      } catch (error) {
-        logger.error(`${graphId} Error filtering ${entityType} properties for ${entityName}: ${error.message}`);
-        // On error, just use current properties to avoid blocking
-        return {
-          [entityKey]: entityName,
-          properties: currentEntityProperties,
-        };
+      // Filter the properties this entity carries over from previous chapters
+      const {properties, decision} = await filterEntityContinuityProperties({
+        uid, sku, graphId, chapter,
+        entityType, entityName,
+        currentEntityProperties,
+        previousPropertiesData: previousEntities?.[entityName],
+        openRouterClient,
+        author, title,
+      });
+      if (decision) {
+        propertyDecisions[entityName] = decision;
       }
+      return {
+        [entityKey]: entityName,
+        properties,
+      };
     });
 
     return Promise.all(entityPromises);
@@ -697,5 +926,9 @@ async function consolidatePropertiesByContinuity(params) {
 
 export {
   graphConsolidatePropertiesByChapter,
+  graphConsolidateObjectPropertiesByChapter,
+  filterEntityContinuityProperties,
+  fetchEntityPropertyPins,
+  applyEntityPropertyPins,
 };
 
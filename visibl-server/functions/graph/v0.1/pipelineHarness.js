@@ -0,0 +1,211 @@
+/**
+ * @fileoverview Runs a fixture book through the whole v0.1 pipeline and checks what it produces
+ * A fixture directory holds the book:
+ * - catalogue.json: the catalogue item, with sku and metadata.chapters
+ * - transcriptions.json: the book's transcriptions
+ * - expected/: characters-{chapter}.json, locations-{chapter}.json and scenes.json
+ * Run it with LOCAL_BACKEND, MOCK_IMAGES and LLM_FIXTURES set. With LLM_FIXTURES=record the
+ * LLM responses are recorded, and updateExpected stores the produced files as the expected ones.
+ * With LLM_FIXTURES=replay the run needs no network, so prompt and logic changes can be checked.
+ * test/pipelineHarness.js runs the fixture book in test/fixtures/books/alice this way.
+ */
+
+import fsPromises from "fs/promises";
+import path from "path";
+import {isDeepStrictEqual} from "util";
+import logger from "../../util/logger.js";
+import {waitForLocalTasks} from "../../util/localTasks.js";
+import {isLocalBackend} from "../../storage/backend.js";
+import {storeJsonFile, getGraph} from "../../storage/storage.js";
+import {catalogueAddRtdb, catalogueGetRtdb} from "../../storage/realtimeDb/catalogue.js";
+import {getGraphFirestore, getGraphCheckpoint} from "../../storage/firestore/graph.js";
+import {llmFixtureMode} from "../../ai/llmFixtures.js";
+import {COVER_ART_PLACEHOLDER, LLM_FIXTURES_DIR} from "../../config/config.js";
+import {STEP_SCOPES} from "../StepRegistry.js";
+import {initGraphGeneration} from "../graphPipeline.js";
+import stepRegistry from "./stepRegistry.js";
+
+/**
+ * Read a JSON file of the fixture
+ * @param {string} filename - Path of the file
+ * @return {Promise<Object|null>} The parsed file, null if it does not exist
+ */
+async function readFixtureJson(filename) {
+  try {
+    return JSON.parse(await fsPromises.readFile(filename, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Add the fixture book to the catalogue and store its transcriptions
+ * @param {Object} params - The parameters object
+ * @param {string} params.fixtureDir - Directory of the fixture book
+ * @return {Promise<Object>} The catalogue item
+ */
+async function seedFixtureBook({fixtureDir}) {
+  const catalogueItem = await readFixtureJson(path.join(fixtureDir, "catalogue.json"));
+  const transcriptions = await readFixtureJson(path.join(fixtureDir, "transcriptions.json"));
+  if (!catalogueItem?.sku || !transcriptions) {
+    throw new Error(`Fixture book in ${fixtureDir} needs catalogue.json with a sku and transcriptions.json`);
+  }
+  const {sku} = catalogueItem;
+  await storeJsonFile({filename: `Catalogue/Processed/${sku}/${sku}-transcriptions.json`, data: transcriptions});
+  // Without a cover the catalogue would upload one to Cloudflare
+  await catalogueAddRtdb({body: {coverArtUrl: COVER_ART_PLACEHOLDER.value(), ...catalogueItem}});
+  return await catalogueGetRtdb({sku});
+}
+
+/**
+ * Find the steps that did not complete for every chapter the graph processed
+ * @param {Object} params - The parameters object
+ * @param {Object} params.graphItem - The graph
+ * @param {Array<number>} params.chapters - Chapters the graph processed
+ * @return {Array<string>} A failure message for each step and chapter that did not complete
+ */
+function incompleteSteps({graphItem, chapters}) {
+  const failures = [];
+  for (const step of stepRegistry.getOrderedSteps()) {
+    const stepChapters = step.scope === STEP_SCOPES.CHAPTER ? chapters : [undefined];
+    for (const chapter of stepChapters) {
+      const checkpoint = getGraphCheckpoint({graphItem, step: step.name, chapter});
+      if (checkpoint?.status !== "complete") {
+        const where = chapter === undefined ? "the book" : `chapter ${chapter}`;
+        const detail = checkpoint?.error ? `: ${checkpoint.error}` : "";
+        failures.push(`${step.name} did not complete for ${where} (${checkpoint?.status || "not run"})${detail}`);
+      }
+    }
+  }
+  return failures;
+}
+
+/**
+ * Compare the characters, locations and scenes files of the graph with the expected ones
+ * @param {Object} params - The parameters object
+ * @param {Object} params.graphItem - The graph
+ * @param {Array<number>} params.chapters - Chapters the graph processed
+ * @param {string} params.expectedDir - Directory of the expected files
+ * @param {boolean} params.updateExpected - Store the produced files as the expected ones instead
+ * @return {Promise<Array<string>>} A failure message for each file that differs
+ */
+async function compareGraphFiles({graphItem, chapters, expectedDir, updateExpected}) {
+  const {id: graphId, sku, uid, visibility} = graphItem;
+  const files = [
+    ...chapters.flatMap((chapter) => [
+      {type: "characters", chapter},
+      {type: "locations", chapter},
+    ]),
+    {type: "scenes"},
+  ];
+
+  const failures = [];
+  for (const {type, chapter} of files) {
+    const name = chapter === undefined ? `${type}.json` : `${type}-${chapter}.json`;
+    let produced = null;
+    try {
+      produced = await getGraph({uid, sku, visibility, graphId, type, chapter});
+    } catch (error) {
+      logger.warn(`${graphId} Pipeline harness could not read ${name}: ${error.message}`);
+    }
+
+    if (updateExpected) {
+      if (produced !== null) {
+        await fsPromises.mkdir(expectedDir, {recursive: true});
+        await fsPromises.writeFile(path.join(expectedDir, name), JSON.stringify(produced, null, 2));
+      }
+      continue;
+    }
+
+    const expected = await readFixtureJson(path.join(expectedDir, name));
+    if (produced === null) {
+      failures.push(`${name} was not produced`);
+    } else if (expected === null) {
+      failures.push(`${name} has no expected file, run with updateExpected to store it`);
+    } else if (!isDeepStrictEqual(produced, expected)) {
+      failures.push(`${name} differs from the expected file`);
+    }
+  }
+  return failures;
+}
+
+/**
+ * Check a replayed run has recordings to replay and expected files to compare with
+ * Without them the first LLM request and every comparison would fail, so the run stops first.
+ * @param {Object} params - The parameters object
+ * @param {string} params.fixtureDir - Directory of the fixture book
+ * @param {boolean} params.updateExpected - The run stores the expected files instead
+ */
+async function checkRecordings({fixtureDir, updateExpected}) {
+  if (llmFixtureMode() !== "replay") {
+    return;
+  }
+  const missing = [];
+  const recordings = await fsPromises.readdir(LLM_FIXTURES_DIR.value()).catch(() => []);
+  if (!recordings.some((name) => name.endsWith(".json"))) {
+    missing.push(`LLM recordings in ${LLM_FIXTURES_DIR.value()}`);
+  }
+  const expected = await fsPromises.readdir(path.join(fixtureDir, "expected")).catch(() => []);
+  if (!updateExpected && !expected.some((name) => name.endsWith(".json"))) {
+    missing.push(`expected files in ${path.join(fixtureDir, "expected")}`);
+  }
+  if (missing.length > 0) {
+    throw new Error(`runPipelineHarness: no ${missing.join(" or ")}, record them with LLM_FIXTURES=record and updateExpected`);
+  }
+}
+
+/**
+ * Run the fixture book through the v0.1 pipeline and check the graph it produces
+ * Every step must complete for every chapter the graph processed, and the characters,
+ * locations and scenes files must match the expected files of the fixture.
+ * @param {Object} params - The parameters object
+ * @param {string} params.fixtureDir - Directory of the fixture book
+ * @param {boolean} [params.updateExpected=false] - Store the produced files as the expected ones
+ * @return {Promise<Object>} {graphId, chapters, failures}, failures is empty when the run passed
+ */
+async function runPipelineHarness({fixtureDir, updateExpected = false}) {
+  if (!isLocalBackend()) {
+    throw new Error("runPipelineHarness: LOCAL_BACKEND must be set, the harness writes to the catalogue and graphs");
+  }
+  if (llmFixtureMode() === "off") {
+    throw new Error("runPipelineHarness: LLM_FIXTURES must be record or replay");
+  }
+  await checkRecordings({fixtureDir, updateExpected});
+
+  const catalogueItem = await seedFixtureBook({fixtureDir});
+  logger.info(`Pipeline harness: running ${catalogueItem.sku} through the v0.1 pipeline (LLM fixtures: ${llmFixtureMode()})`);
+  await initGraphGeneration({sku: catalogueItem.sku, uid: "admin", replace: true, version: "v0.1"});
+  await waitForLocalTasks();
+
+  const {defaultGraphId: graphId} = await catalogueGetRtdb({sku: catalogueItem.sku});
+  if (!graphId) {
+    throw new Error(`runPipelineHarness: no graph was created for ${catalogueItem.sku}`);
+  }
+  const graphItem = await getGraphFirestore({graphId});
+  // Chapters run up to and including endChapter, which v0.1 sets before the first step
+  const lastChapter = graphItem.endChapter ?? graphItem.numChapters;
+  const chapters = Array.from({length: lastChapter + 1}, (_, chapter) => chapter);
+
+  const failures = [
+    ...incompleteSteps({graphItem, chapters}),
+    ...await compareGraphFiles({
+      graphItem,
+      chapters,
+      expectedDir: path.join(fixtureDir, "expected"),
+      updateExpected,
+    }),
+  ];
+  if (failures.length > 0) {
+    logger.error(`${graphId} Pipeline harness found ${failures.length} failure(s):\n${failures.join("\n")}`);
+  } else {
+    logger.info(`${graphId} Pipeline harness passed for chapters 0-${lastChapter}`);
+  }
+  return {graphId, chapters, failures};
+}
+
+export {
+  runPipelineHarness,
+};
@@ -8,9 +8,15 @@ export const PIPELINE_STEPS = {
   ENTITIES_BY_CHAPTER: "entitiesByChapter",
   ENTITY_PROPERTIES: "entityProperties",
   ENTITY_CONTINUITY: "entityContinuity",
+  ENTITY_RELATIONSHIPS: "entityRelationships",
   CONSOLIDATE_ENTITY_PROPERTIES: "consolidateEntityProperties",
   GENERATE_ENTITY_IMAGE_PROMPTS: "generateEntityImagePrompts",
   SUMMARIZE_ENTITY_IMAGE_PROMPTS: "summarizeEntityImagePrompts",
+  OBJECTS_BY_CHAPTER: "objectsByChapter",
+  OBJECT_PROPERTIES: "objectProperties",
+  OBJECT_CONTINUITY: "objectContinuity",
+  CONSOLIDATE_OBJECT_PROPERTIES: "consolidateObjectProperties",
+  GENERATE_OBJECT_IMAGE_PROMPTS: "generateObjectImagePrompts",
   GENERATE_SCENES: "generateScenes",
   AUGMENT_SCENE_PROMPTS: "augmentScenePrompts",
   UPDATE_SCENE_CACHE: "updateSceneCache",
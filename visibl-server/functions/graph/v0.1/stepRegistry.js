@@ -0,0 +1,457 @@
+/* eslint-disable require-jsdoc */
+import StepRegistry, {STEP_SCOPES, CHAPTER_ITERATION} from "../StepRegistry.js";
+import {PIPELINE_STEPS} from "./pipelineSteps.js";
+
+import {
+  graphCharactersByChapter,
+  graphCharacterPropertiesByChapter,
+  generateCharacterImagePrompts,
+  generateCharacterImages,
+  generateCharacterProfileImages,
+  graphLocationsByChapter,
+  graphLocationPropertiesByChapter,
+  generateLocationImagePrompts,
+  generateLocationImages,
+  summarizeCharacterImagePrompts,
+  summarizeLocationImagePrompts,
+  graphObjectsByChapter,
+  graphObjectPropertiesByChapter,
+  generateObjectImagePrompts,
+  summarizeObjectImagePrompts,
+  updateSceneCache,
+  correctTranscriptionsByChapter,
+} from "./graphV0_1logic.js";
+
+import {
+  augmentScenePrompts,
+} from "./logic/augmentScenePrompts.js";
+
+import {
+  graphEntityContinuityByChapter,
+  graphObjectContinuityByChapter,
+} from "./logic/entityContinuity.js";
+
+import {
+  graphEntityRelationshipsByChapter,
+} from "./logic/entityRelationships.js";
+
+import {
+  graphConsolidatePropertiesByChapter,
+  graphConsolidateObjectPropertiesByChapter,
+} from "./logic/propertyConsolidation.js";
+
+import {
+  graphScenes,
+} from "./logic/graphScenes.js";
+
+import graphPrompts from "./graphV0_1Prompts.js";
+import {llmUsage, imageUsage} from "../costEstimate.js";
+import {
+  ESTIMATE_CHARACTERS_PER_CHAPTER,
+  ESTIMATE_LOCATIONS_PER_CHAPTER,
+  ESTIMATE_OBJECTS_PER_CHAPTER,
+} from "../config.js";
+
+import logger from "../../util/logger.js";
+import {catalogueGetRtdb, catalogueUpdateRtdbProperty} from "../../storage/realtimeDb/catalogue.js";
+
+// Common parameters passed to every chapter scoped logic function.
+function chapterParams(graphItem) {
+  return {
+    uid: graphItem.uid,
+    sku: graphItem.sku,
+    visibility: graphItem.visibility,
+    graphId: graphItem.id,
+    chapter: graphItem.chapter,
+  };
+}
+
+// Mirrors the chunking in graphV0_1logic.js and graphScenes.js for dry-run estimates
+const TRANSCRIPTION_CHUNK_SIZE = 25;
+const SCENE_SLICE_DURATION = 180;
+const TARGET_SCENE_DURATION = 15;
+const AUGMENT_SCENE_MODEL = "ft:gpt-4.1-mini-2025-04-14:visibl:image-compose-ft:CDRdKUfs";
+
+function promptModel(promptKey) {
+  return graphPrompts[promptKey]?.openRouterModel;
+}
+
+function estimatedScenes(context) {
+  return Math.max(1, Math.floor(context.durationSeconds / TARGET_SCENE_DURATION));
+}
+
+const steps = PIPELINE_STEPS;
+const registry = new StepRegistry({
+  version: "v0.1",
+  chapterIteration: CHAPTER_ITERATION.PIPELINE,
+});
+
+registry.addStep({
+  name: steps.CORRECT_TRANSCRIPTIONS,
+  weight: 5,
+  description: {"en": "Polishing transcripts with a dash of AI ✨"},
+  scope: STEP_SCOPES.CHAPTER,
+  // The corrected transcript is roughly the same length as the original
+  estimate: ({context}) => [
+    llmUsage({inputTokens: context.tokens, outputTokens: context.tokens}),
+  ],
+  handler: async ({graphItem}) => {
+    logger.debug(`${graphItem.id} Correcting Transcriptions for ${JSON.stringify(graphItem)}`);
+    await correctTranscriptionsByChapter({
+      uid: graphItem.uid,
+      graphId: graphItem.id,
+      sku: graphItem.sku,
+      chapter: graphItem.chapter,
+    });
+  },
+});
+
+registry.addStep({
+  name: steps.ENTITIES_BY_CHAPTER,
+  dependencies: [steps.CORRECT_TRANSCRIPTIONS],
+  weight: 5,
+  description: {"en": "Mapping who's where 🗺️"},
+  scope: STEP_SCOPES.CHAPTER,
+  // One request per transcription chunk for each entity type, then one consolidation over the chapter text
+  estimate: ({context}) => {
+    const chunks = Math.max(1, Math.ceil(context.segments / TRANSCRIPTION_CHUNK_SIZE));
+    return [
+      llmUsage({model: promptModel("v0_1_get_characters_chunk"), requests: chunks, inputTokens: context.tokens / chunks, outputTokens: 200}),
+      llmUsage({model: promptModel("v0_1_get_locations_chunk"), requests: chunks, inputTokens: context.tokens / chunks, outputTokens: 200}),
+      llmUsage({model: promptModel("v0_1_consolidate_characters"), inputTokens: context.tokens, outputTokens: 500}),
+      llmUsage({model: promptModel("v0_1_consolidate_locations"), inputTokens: context.tokens, outputTokens: 500}),
+    ];
+  },
+  handler: async ({graphItem}) => {
+    logger.debug(`${graphItem.id} Generating Entities (Characters & Locations) by Chapter for ${graphItem.sku} chapter ${graphItem.chapter}`);
+    // Run both character and location extraction in parallel
+    await Promise.all([
+      graphCharactersByChapter(chapterParams(graphItem)),
+      graphLocationsByChapter(chapterParams(graphItem)),
+    ]);
+  },
+});
+
+registry.addStep({
+  name: steps.ENTITY_PROPERTIES,
+  dependencies: [steps.ENTITIES_BY_CHAPTER],
+  weight: 5,
+  description: {"en": "Noting traits and details ✍️"},
+  scope: STEP_SCOPES.CHAPTER,
+  // One request per entity over the full chapter text
+  estimate: ({context}) => [
+    llmUsage({model: promptModel("v0_1_character_properties_single"), requests: ESTIMATE_CHARACTERS_PER_CHAPTER, inputTokens: context.tokens, outputTokens: 400}),
+    llmUsage({model: promptModel("v0_1_location_properties_single"), requests: ESTIMATE_LOCATIONS_PER_CHAPTER, inputTokens: context.tokens, outputTokens: 400}),
+  ],
+  handler: async ({graphItem}) => {
+    logger.debug(`${graphItem.id} Extracting Entity Properties (Characters & Locations) for chapter ${graphItem.chapter} of ${graphItem.sku}`);
+    // Run both property extraction in parallel
+    await Promise.all([
+      graphCharacterPropertiesByChapter(chapterParams(graphItem)),
+      graphLocationPropertiesByChapter(chapterParams(graphItem)),
+    ]);
+  },
+});
+
+registry.addStep({
+  name: steps.ENTITY_CONTINUITY,
+  dependencies: [steps.ENTITY_PROPERTIES],
+  weight: 10,
+  description: {"en": "Keeping names and facts consistent 🔗"},
+  scope: STEP_SCOPES.CHAPTER,
+  // Entities are cross referenced pairwise against every previous chapter
+  estimate: ({context}) => context.chapter === 0 ? [] : [
+    llmUsage({model: promptModel("v0_1_character_continuity"), requests: context.chapter, inputTokens: 1000, outputTokens: 400}),
+    llmUsage({model: promptModel("v0_1_location_continuity"), requests: context.chapter, inputTokens: 800, outputTokens: 300}),
+  ],
+  handler: async ({graphItem}) => {
+    logger.debug(`${graphItem.id} Processing Entity Continuity for chapter ${graphItem.chapter} of ${graphItem.sku}`);
+    await graphEntityContinuityByChapter(chapterParams(graphItem));
+  },
+});
+
+registry.addStep({
+  name: steps.ENTITY_RELATIONSHIPS,
+  dependencies: [steps.ENTITY_CONTINUITY],
+  weight: 5,
+  description: {"en": "Figuring out who's who 🤝"},
+  scope: STEP_SCOPES.CHAPTER,
+  // One request over the full chapter text with the entity lists and known relationships
+  estimate: ({context}) => [
+    llmUsage({model: promptModel("v0_1_entity_relationships"), inputTokens: context.tokens + 1500, outputTokens: 800}),
+  ],
+  handler: async ({graphItem}) => {
+    logger.debug(`${graphItem.id} Extracting Entity Relationships for chapter ${graphItem.chapter} of ${graphItem.sku}`);
+    await graphEntityRelationshipsByChapter(chapterParams(graphItem));
+  },
+});
+
+registry.addStep({
+  name: steps.CONSOLIDATE_ENTITY_PROPERTIES,
+  dependencies: [steps.ENTITY_RELATIONSHIPS],
+  weight: 10,
+  description: {"en": "Merging clues into one dossier 📚"},
+  scope: STEP_SCOPES.CHAPTER,
+  // One filter request per entity with properties from earlier chapters
+  estimate: ({context}) => context.chapter === 0 ? [] : [
+    llmUsage({model: promptModel("v0_1_filter_character_continuity_properties"), requests: ESTIMATE_CHARACTERS_PER_CHAPTER, inputTokens: 1200, outputTokens: 400}),
+    llmUsage({model: promptModel("v0_1_filter_location_continuity_properties"), requests: ESTIMATE_LOCATIONS_PER_CHAPTER, inputTokens: 1000, outputTokens: 300}),
+  ],
+  handler: async ({graphItem}) => {
+    logger.debug(`${graphItem.id} Consolidating Entity Properties for chapter ${graphItem.chapter} of ${graphItem.sku}`);
+    await graphConsolidatePropertiesByChapter(chapterParams(graphItem));
+  },
+});
+
+registry.addStep({
+  name: steps.GENERATE_ENTITY_IMAGE_PROMPTS,
+  dependencies: [steps.CONSOLIDATE_ENTITY_PROPERTIES],
+  weight: 10,
+  description: {"en": "Conjuring image prompts for cast and places ✨"},
+  scope: STEP_SCOPES.CHAPTER,
+  estimate: () => [
+    llmUsage({model: promptModel("v0_1_character_image_prompt"), requests: ESTIMATE_CHARACTERS_PER_CHAPTER, inputTokens: 800, outputTokens: 300}),
+    llmUsage({model: promptModel("v0_1_location_image_prompt"), requests: ESTIMATE_LOCATIONS_PER_CHAPTER, inputTokens: 800, outputTokens: 300}),
+  ],
+  handler: async ({graphItem}) => {
+    logger.debug(`${graphItem.id} Generating Entity Image Prompts (Characters & Locations) for chapter ${graphItem.chapter} of ${graphItem.sku}`);
+    // Run both image prompt generation in parallel
+    await Promise.all([
+      generateCharacterImagePrompts(chapterParams(graphItem)),
+      generateLocationImagePrompts(chapterParams(graphItem)),
+    ]);
+  },
+});
+
+registry.addStep({
+  name: steps.SUMMARIZE_ENTITY_IMAGE_PROMPTS,
+  dependencies: [steps.GENERATE_ENTITY_IMAGE_PROMPTS],
+  weight: 10,
+  description: {"en": "Tidying and summarizing ✂️"},
+  scope: STEP_SCOPES.CHAPTER,
+  estimate: () => [
+    llmUsage({model: promptModel("v0_1_character_image_summarize"), requests: ESTIMATE_CHARACTERS_PER_CHAPTER, inputTokens: 500, outputTokens: 150}),
+    llmUsage({model: promptModel("v0_1_location_image_summarize"), requests: ESTIMATE_LOCATIONS_PER_CHAPTER, inputTokens: 500, outputTokens: 150}),
+  ],
+  handler: async ({graphItem}) => {
+    logger.debug(`${graphItem.id} Summarizing Entity Image Prompts (Characters & Locations) for chapter ${graphItem.chapter} of ${graphItem.sku}`);
+    // Run both summarization in parallel
+    await Promise.all([
+      summarizeCharacterImagePrompts(chapterParams(graphItem)),
+      summarizeLocationImagePrompts(chapterParams(graphItem)),
+    ]);
+  },
+});
+
+registry.addStep({
+  name: steps.OBJECTS_BY_CHAPTER,
+  dependencies: [steps.SUMMARIZE_ENTITY_IMAGE_PROMPTS],
+  weight: 5,
+  description: {"en": "Spotting the props that matter 🗡️"},
+  scope: STEP_SCOPES.CHAPTER,
+  // One request per transcription chunk, then one consolidation over the chapter text
+  estimate: ({context}) => {
+    const chunks = Math.max(1, Math.ceil(context.segments / TRANSCRIPTION_CHUNK_SIZE));
+    return [
+      llmUsage({model: promptModel("v0_1_get_objects_chunk"), requests: chunks, inputTokens: context.tokens / chunks, outputTokens: 150}),
+      llmUsage({model: promptModel("v0_1_consolidate_objects"), inputTokens: context.tokens, outputTokens: 300}),
+    ];
+  },
+  handler: async ({graphItem}) => {
+    logger.debug(`${graphItem.id} Generating Objects by Chapter for ${graphItem.sku} chapter ${graphItem.chapter}`);
+    await graphObjectsByChapter(chapterParams(graphItem));
+  },
+});
+
+registry.addStep({
+  name: steps.OBJECT_PROPERTIES,
+  dependencies: [steps.OBJECTS_BY_CHAPTER],
+  weight: 5,
+  description: {"en": "Noting what things look like 🔍"},
+  scope: STEP_SCOPES.CHAPTER,
+  // One request per object over the full chapter text
+  estimate: ({context}) => [
+    llmUsage({model: promptModel("v0_1_object_properties_single"), requests: ESTIMATE_OBJECTS_PER_CHAPTER, inputTokens: context.tokens, outputTokens: 300}),
+  ],
+  handler: async ({graphItem}) => {
+    logger.debug(`${graphItem.id} Extracting Object Properties for chapter ${graphItem.chapter} of ${graphItem.sku}`);
+    await graphObjectPropertiesByChapter(chapterParams(graphItem));
+  },
+});
+
+registry.addStep({
+  name: steps.OBJECT_CONTINUITY,
+  dependencies: [steps.OBJECT_PROPERTIES],
+  weight: 5,
+  description: {"en": "Tracking heirlooms across chapters 💍"},
+  scope: STEP_SCOPES.CHAPTER,
+  // Objects are cross referenced pairwise against every previous chapter
+  estimate: ({context}) => context.chapter === 0 ? [] : [
+    llmUsage({model: promptModel("v0_1_object_continuity"), requests: context.chapter, inputTokens: 600, outputTokens: 200}),
+  ],
+  handler: async ({graphItem}) => {
+    logger.debug(`${graphItem.id} Processing Object Continuity for chapter ${graphItem.chapter} of ${graphItem.sku}`);
+    await graphObjectContinuityByChapter(chapterParams(graphItem));
+  },
+});
+
+registry.addStep({
+  name: steps.CONSOLIDATE_OBJECT_PROPERTIES,
+  dependencies: [steps.OBJECT_CONTINUITY],
+  weight: 5,
+  description: {"en": "Keeping every prop consistent 🧰"},
+  scope: STEP_SCOPES.CHAPTER,
+  // One filter request per object with properties from earlier chapters
+  estimate: ({context}) => context.chapter === 0 ? [] : [
+    llmUsage({model: promptModel("v0_1_filter_object_continuity_properties"), requests: ESTIMATE_OBJECTS_PER_CHAPTER, inputTokens: 800, outputTokens: 250}),
+  ],
+  handler: async ({graphItem}) => {
+    logger.debug(`${graphItem.id} Consolidating Object Properties for chapter ${graphItem.chapter} of ${graphItem.sku}`);
+    await graphConsolidateObjectPropertiesByChapter(chapterParams(graphItem));
+  },
+});
+
+registry.addStep({
+  name: steps.GENERATE_OBJECT_IMAGE_PROMPTS,
+  dependencies: [steps.CONSOLIDATE_OBJECT_PROPERTIES],
+  weight: 5,
+  description: {"en": "Sketching the props ✏️"},
+  scope: STEP_SCOPES.CHAPTER,
+  estimate: () => [
+    llmUsage({model: promptModel("v0_1_object_image_prompt"), requests: ESTIMATE_OBJECTS_PER_CHAPTER, inputTokens: 600, outputTokens: 250}),
+    llmUsage({model: promptModel("v0_1_object_image_summarize"), requests: ESTIMATE_OBJECTS_PER_CHAPTER, inputTokens: 400, outputTokens: 120}),
+  ],
+  handler: async ({graphItem}) => {
+    logger.debug(`${graphItem.id} Generating Object Image Prompts for chapter ${graphItem.chapter} of ${graphItem.sku}`);
+    // Summaries depend on the generated prompts so these run in sequence
+    await generateObjectImagePrompts(chapterParams(graphItem));
+    await summarizeObjectImagePrompts(chapterParams(graphItem));
+  },
+});
+
+registry.addStep({
+  name: steps.GENERATE_SCENES,
+  dependencies: [steps.GENERATE_OBJECT_IMAGE_PROMPTS],
+  weight: 10,
+  description: {"en": "Carving the story into scenes 🎬"},
+  scope: STEP_SCOPES.CHAPTER,
+  // One request per slice of audio, each returning a scene every TARGET_SCENE_DURATION seconds
+  estimate: ({context}) => {
+    const slices = Math.max(1, Math.ceil(context.durationSeconds / SCENE_SLICE_DURATION));
+    return [
+      llmUsage({
+        model: "deepseek/deepseek-chat-v3-0324",
+        requests: slices,
+        inputTokens: (context.tokens * 1.5) / slices,
+        outputTokens: (estimatedScenes(context) * 80) / slices,
+      }),
+    ];
+  },
+  handler: async ({graphItem}) => {
+    logger.debug(`${graphItem.id} Generating Scenes for chapter ${graphItem.chapter} of ${graphItem.sku}`);
+    await graphScenes(chapterParams(graphItem));
+  },
+});
+
+registry.addStep({
+  name: steps.AUGMENT_SCENE_PROMPTS,
+  dependencies: [steps.GENERATE_SCENES],
+  weight: 10,
+  description: {"en": "Enhancing scene descriptions 🎨"},
+  scope: STEP_SCOPES.CHAPTER,
+  // One fine-tuned request per scene
+  estimate: ({context}) => [
+    llmUsage({model: AUGMENT_SCENE_MODEL, requests: estimatedScenes(context), inputTokens: 300, outputTokens: 150}),
+  ],
+  handler: async ({graphItem}) => {
+    logger.debug(`${graphItem.id} Augmenting Scene Prompts for chapter ${graphItem.chapter} of ${graphItem.sku}`);
+    await augmentScenePrompts(chapterParams(graphItem));
+  },
+});
+
+registry.addStep({
+  name: steps.UPDATE_SCENE_CACHE,
+  dependencies: [steps.AUGMENT_SCENE_PROMPTS],
+  weight: 10,
+  description: {"en": "Making the scenes amazing 🌟"},
+  scope: STEP_SCOPES.CHAPTER,
+  // Images for the first scenes of the chapter are composed once the cache is updated
+  estimate: ({context}) => [
+    imageUsage({model: "google/imagen4-fast", images: Math.min(5, estimatedScenes(context))}),
+  ],
+  handler: async ({pipeline, graphItem}) => {
+    logger.debug(`${graphItem.id} Updating Scene Cache for chapter ${graphItem.chapter} of ${graphItem.sku}`);
+
+    const result = await updateSceneCache({
+      ...chapterParams(graphItem),
+      defaultSceneId: graphItem.defaultSceneId,
+    });
+
+    if (!graphItem.defaultSceneId) {
+      graphItem.defaultSceneId = result.defaultSceneId;
+    }
+
+    // Set graphAvailable to true after scene cache is updated so client can start playing
+    // Notify users of completion
+    // Only when we are at the endChapter (first chapter over 5 minutes)
+    if (graphItem.chapter === graphItem.endChapter) {
+      const catalogueItem = await catalogueGetRtdb({sku: graphItem.sku});
+      if (!catalogueItem.graphAvailable) {
+        logger.debug(`${graphItem.id} Pipeline setting graphAvailable to true for ${graphItem.sku}`);
+        await catalogueUpdateRtdbProperty({
+          sku: graphItem.sku,
+          property: "graphAvailable",
+          value: true,
+        });
+        await pipeline.notifyUsersOfCompletion({graphItem});
+      }
+    }
+  },
+});
+
+registry.addStep({
+  name: steps.GENERATE_CHARACTER_IMAGES,
+  dependencies: [steps.UPDATE_SCENE_CACHE],
+  weight: 15,
+  description: {"en": "Painting character portraits 🖼️"},
+  scope: STEP_SCOPES.CHAPTER,
+  estimate: () => [
+    imageUsage({model: "google/imagen4-fast", images: ESTIMATE_CHARACTERS_PER_CHAPTER}),
+  ],
+  handler: async ({graphItem}) => {
+    logger.debug(`${graphItem.id} Generating Character Images for chapter ${graphItem.chapter} of ${graphItem.sku}`);
+    await generateCharacterImages(chapterParams(graphItem));
+  },
+});
+
+registry.addStep({
+  name: steps.GENERATE_CHARACTER_PROFILE_IMAGES,
+  dependencies: [steps.GENERATE_CHARACTER_IMAGES],
+  weight: 15,
+  description: {"en": "Crafting profile portraits 🎭"},
+  scope: STEP_SCOPES.CHAPTER,
+  estimate: () => [
+    imageUsage({model: "wavespeed-ai/flux-kontext-dev-ultra-fast", images: ESTIMATE_CHARACTERS_PER_CHAPTER}),
+  ],
+  handler: async ({graphItem}) => {
+    logger.debug(`${graphItem.id} Generating Character Profile Images for chapter ${graphItem.chapter} of ${graphItem.sku}`);
+    await generateCharacterProfileImages(chapterParams(graphItem));
+  },
+});
+
+registry.addStep({
+  name: steps.GENERATE_LOCATION_IMAGES,
+  dependencies: [steps.GENERATE_CHARACTER_PROFILE_IMAGES],
+  weight: 15,
+  description: {"en": "Painting worlds and places 🏞️"},
+  scope: STEP_SCOPES.CHAPTER,
+  estimate: () => [
+    imageUsage({model: "google/imagen4-fast", images: ESTIMATE_LOCATIONS_PER_CHAPTER}),
+  ],
+  handler: async ({graphItem}) => {
+    logger.debug(`${graphItem.id} Generating Location Images for chapter ${graphItem.chapter} of ${graphItem.sku}`);
+    await generateLocationImages(chapterParams(graphItem));
+  },
+});
+
+export default registry;
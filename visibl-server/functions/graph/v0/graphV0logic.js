@@ -217,6 +217,8 @@ async function graphLocations(params) {
     "prompt": "getLocations",
     "message": fullText,
     "type": "json",
+    // The retry follows a list that was too short, it must reach the model
+    "cache": retry,
   });
   const locationList = geminiResult.result;
   // locationList.locations = lowerCaseArrayStrings({array: locationList.locations});
@@ -0,0 +1,18 @@
+/**
+ * Pipeline steps configuration for GraphPipelineV0
+ * This is a separate file to avoid circular dependencies
+ */
+
+export const PIPELINE_STEPS = {
+  CHARACTERS: "characters",
+  LOCATIONS: "locations",
+  CHARACTER_DESCRIPTIONS: "characterDescriptions",
+  LOCATION_DESCRIPTIONS: "locationDescriptions",
+  SUMMARIZE_DESCRIPTIONS: "summarizeDescriptions",
+  GENERATE_SCENES: "generateScenes",
+  AUGMENT_SCENES_OAI: "augmentScenesOai",
+  CREATE_DEFAULT_SCENE: "createDefaultScene",
+  GENERATE_NODE_IMAGES: "generateNodeImages",
+  GENERATE_IMAGES: "generateImages",
+  NOTIFY: "notify",
+};
@@ -0,0 +1,227 @@
+/* eslint-disable require-jsdoc */
+import StepRegistry, {STEP_SCOPES, CHAPTER_ITERATION} from "../StepRegistry.js";
+import {PIPELINE_STEPS} from "./pipelineSteps.js";
+
+import {
+  catalogueUpdateRtdbProperty,
+} from "../../storage/realtimeDb/catalogue.js";
+import CatalogueProgressTracker from "../../storage/realtimeDb/CatalogueProgressTracker.js";
+
+import {
+  graphCharacters,
+  graphLocations,
+  graphCharacterDescriptionsOAI,
+  graphCharacterDescriptions,
+  graphLocationDescriptionsOAI,
+  graphLocationDescriptions,
+  graphSummarizeDescriptions,
+  graphScenes,
+  augmentScenesOAI,
+} from "./graphV0logic.js";
+
+import {
+  generateGraphNodeImages,
+} from "./graphImages.js";
+
+import {llmUsage} from "../costEstimate.js";
+import logger from "../../util/logger.js";
+
+import {
+  scenesCreateDefaultCatalogue,
+} from "../../util/graphHelper.js";
+
+const MAX_FULL_TEXT_TOKENS_FOR_OAI = 115000;
+
+// Common parameters passed to every book scoped logic function.
+function bookParams(graphItem) {
+  return {
+    uid: graphItem.uid,
+    sku: graphItem.sku,
+    visibility: graphItem.visibility,
+    graphId: graphItem.id,
+  };
+}
+
+const steps = PIPELINE_STEPS;
+const registry = new StepRegistry({
+  version: "v0",
+  chapterIteration: CHAPTER_ITERATION.STEP,
+});
+
+registry.addStep({
+  name: steps.CHARACTERS,
+  weight: 10,
+  scope: STEP_SCOPES.BOOK,
+  estimate: ({context}) => [
+    llmUsage({inputTokens: context.tokens, outputTokens: 1000}),
+  ],
+  handler: async ({graphItem}) => {
+    logger.debug(`graphQueue: Generating Characters for ${JSON.stringify(graphItem)}`);
+    await graphCharacters(bookParams(graphItem));
+  },
+});
+
+registry.addStep({
+  name: steps.LOCATIONS,
+  dependencies: [steps.CHARACTERS],
+  weight: 10,
+  scope: STEP_SCOPES.BOOK,
+  estimate: ({context}) => [
+    llmUsage({inputTokens: context.tokens, outputTokens: 1000}),
+  ],
+  handler: async ({graphItem}) => {
+    logger.debug(`graphQueue: Generating Locations for ${JSON.stringify(graphItem)}`);
+    await graphLocations(bookParams(graphItem));
+  },
+});
+
+registry.addStep({
+  name: steps.CHARACTER_DESCRIPTIONS,
+  dependencies: [steps.LOCATIONS],
+  weight: 10,
+  scope: STEP_SCOPES.BOOK,
+  estimate: ({context}) => [
+    llmUsage({inputTokens: context.tokens, outputTokens: 4000}),
+  ],
+  handler: async ({graphItem}) => {
+    logger.debug(`graphQueue: Generating Character Descriptions for ${JSON.stringify(graphItem)}`);
+    if (graphItem.fullTextTokens > MAX_FULL_TEXT_TOKENS_FOR_OAI) {
+      logger.debug(`graphQueue: Character Descriptions - full text has ${graphItem.fullTextTokens} tokens. Using Gemini.`);
+      await graphCharacterDescriptions(bookParams(graphItem));
+    } else {
+      logger.debug(`graphQueue: Character Descriptions - full text has ${graphItem.fullTextTokens} tokens. Using OAI.`);
+      await graphCharacterDescriptionsOAI(bookParams(graphItem));
+    }
+  },
+});
+
+registry.addStep({
+  name: steps.LOCATION_DESCRIPTIONS,
+  dependencies: [steps.CHARACTER_DESCRIPTIONS],
+  weight: 10,
+  scope: STEP_SCOPES.BOOK,
+  estimate: ({context}) => [
+    llmUsage({inputTokens: context.tokens, outputTokens: 4000}),
+  ],
+  handler: async ({graphItem}) => {
+    logger.debug(`graphQueue: Generating Location Descriptions for ${JSON.stringify(graphItem)}`);
+    if (graphItem.fullTextTokens > MAX_FULL_TEXT_TOKENS_FOR_OAI) {
+      logger.debug(`graphQueue: Location Descriptions - full text has ${graphItem.fullTextTokens} tokens. Using Gemini.`);
+      await graphLocationDescriptions(bookParams(graphItem));
+    } else {
+      logger.debug(`graphQueue: Location Descriptions - full text has ${graphItem.fullTextTokens} tokens. Using OAI.`);
+      await graphLocationDescriptionsOAI(bookParams(graphItem));
+    }
+  },
+});
+
+registry.addStep({
+  name: steps.SUMMARIZE_DESCRIPTIONS,
+  dependencies: [steps.CHARACTER_DESCRIPTIONS, steps.LOCATION_DESCRIPTIONS],
+  weight: 10,
+  scope: STEP_SCOPES.BOOK,
+  estimate: () => [
+    llmUsage({inputTokens: 8000, outputTokens: 4000}),
+  ],
+  handler: async ({graphItem}) => {
+    logger.debug(`graphQueue: Summarizing Descriptions for ${JSON.stringify(graphItem)}`);
+    await graphSummarizeDescriptions(bookParams(graphItem));
+  },
+});
+
+registry.addStep({
+  name: steps.GENERATE_SCENES,
+  dependencies: [steps.SUMMARIZE_DESCRIPTIONS],
+  weight: 20,
+  scope: STEP_SCOPES.CHAPTER,
+  estimate: ({context}) => [
+    llmUsage({inputTokens: context.tokens, outputTokens: Math.floor(context.durationSeconds / 15) * 80}),
+  ],
+  handler: async ({graphItem}) => {
+    logger.debug(`graphQueue: Generating Scenes for ${JSON.stringify(graphItem)}`);
+    await graphScenes({...bookParams(graphItem), chapter: graphItem.chapter});
+  },
+});
+
+registry.addStep({
+  name: steps.AUGMENT_SCENES_OAI,
+  dependencies: [steps.GENERATE_SCENES],
+  weight: 15,
+  scope: STEP_SCOPES.CHAPTER,
+  estimate: ({context}) => [
+    llmUsage({inputTokens: Math.floor(context.durationSeconds / 15) * 120, outputTokens: Math.floor(context.durationSeconds / 15) * 150}),
+  ],
+  handler: async ({graphItem}) => {
+    logger.debug(`graphQueue: Augmenting Scenes for ${JSON.stringify(graphItem)}`);
+    await augmentScenesOAI({...bookParams(graphItem), chapter: graphItem.chapter});
+  },
+});
+
+registry.addStep({
+  name: steps.CREATE_DEFAULT_SCENE,
+  dependencies: [steps.AUGMENT_SCENES_OAI],
+  weight: 5,
+  scope: STEP_SCOPES.BOOK,
+  handler: async ({graphItem}) => {
+    logger.debug(`graphQueue: Creating Default Scene for ${JSON.stringify(graphItem)}`);
+    const defaultScene = await scenesCreateDefaultCatalogue({
+      id: graphItem.id,
+      ...bookParams(graphItem),
+    });
+    graphItem.defaultSceneId = defaultScene.id;
+    graphItem.chapter = 0;
+    await catalogueUpdateRtdbProperty({
+      sku: graphItem.sku,
+      property: "defaultSceneId",
+      value: defaultScene.id,
+    });
+  },
+});
+
+registry.addStep({
+  name: steps.GENERATE_NODE_IMAGES,
+  dependencies: [steps.CREATE_DEFAULT_SCENE],
+  weight: 5,
+  scope: STEP_SCOPES.BOOK,
+  handler: async ({graphItem}) => {
+    logger.debug(`graphQueue: Generating Node Images for ${JSON.stringify(graphItem)}`);
+    await generateGraphNodeImages(bookParams(graphItem));
+  },
+});
+
+registry.addStep({
+  name: steps.GENERATE_IMAGES,
+  dependencies: [steps.GENERATE_NODE_IMAGES],
+  weight: 5,
+  scope: STEP_SCOPES.BOOK,
+  handler: async ({graphItem}) => {
+    logger.debug(`graphQueue: Generating Images for ${JSON.stringify(graphItem)}`);
+    // TODO: Image Gen should really be in the queue system?
+    for (let chapter = 0; chapter <= graphItem.numChapters; chapter++) {
+      logger.debug(`Queuing up imageGenChapterRecursive for chapter ${chapter} of ${graphItem.numChapters}`);
+      // We generate the first CHAPTER_SCENES_TO_INIT scenes of each chapter to get things started.
+      // TODO: Removed imageGenChapterRecursive, so you need to update to imageGenCurrentTime.
+    }
+  },
+});
+
+registry.addStep({
+  name: steps.NOTIFY,
+  dependencies: [steps.GENERATE_IMAGES],
+  weight: 0,
+  scope: STEP_SCOPES.BOOK,
+  handler: async ({pipeline, graphItem}) => {
+    // update the catalogue to reflect the graph is complete.
+    logger.debug(`graphQueue: Pipeline complete for ${graphItem.id}, updating catalogue graphAvailable.`);
+    await catalogueUpdateRtdbProperty({
+      sku: graphItem.sku,
+      property: "graphAvailable",
+      value: true,
+    });
+    await CatalogueProgressTracker.updateProgress(graphItem.sku, {graphId: graphItem.id});
+    logger.debug(`graphQueue: Pipeline complete for ${graphItem.id}, notifying users.`);
+    await pipeline.notifyUsersOfCompletion({graphItem});
+  },
+});
+
+export default registry;
@@ -37,12 +37,26 @@ import {
   shouldProcessProgressUpdate,
 } from "../util/progressDebouncer.js";
 
+import {
+  progressToTime,
+} from "../util/readingTime.js";
+
+import {
+  purgeLlmCache,
+} from "../ai/llmCache.js";
+
 
 export const v1cacheNuke = onRequest(firebaseHttpFnConfig, async (req, res) => {
   await validateOnRequestAdmin(req);
   res.status(200).send(await deleteAllData());
 });
 
+// Body: {prompt} to only purge one prompt's cached LLM responses, empty to purge them all
+export const v1AdminPurgeLlmCache = onRequest(firebaseHttpFnConfig, async (req, res) => {
+  await validateOnRequestAdmin(req);
+  res.status(200).send(await purgeLlmCache({prompt: req.body?.prompt}));
+});
+
 export const v1getCachedScenes = onCall(firebaseFnConfig, async (context) => {
   const {data} = await validateOnCallAuth(context);
   return await getScenesFromCache({sceneId: data.sceneId, forceRefresh: data.forceRefresh});
@@ -96,6 +110,8 @@ export async function processProgressUpdate(event) {
   }
 
   const catalogueItem = await catalogueGetRtdb({sku});
+  // Text-only books report a reading position, scenes are keyed on the time it takes to read to it
+  const currentTime = progressToTime({catalogueItem, progress});
 
   let carouselList = await getCarouselListFromLibraryRtdb({uid, sku});
   if (!carouselList || carouselList.length === 0) {
@@ -117,7 +133,7 @@ export async function processProgressUpdate(event) {
   logger.info(`▶️  PROCESSING: Progress update for uid: ${uid} sku: ${sku}, progress: ${progress} - rate limit passed`);
 
   // Check if currentTime > 0 and trigger next chapter graphing if needed
-  if (progress > 0) {
+  if (currentTime > 0) {
     try {
       // Get the current chapter index from library
       const libraryItem = await libraryGetRtdb({uid, sku});
@@ -130,7 +146,7 @@ export async function processProgressUpdate(event) {
           sku,
           currentChapter,
           previousChapter: null, // Not relevant for currentTime check
-          currentTime: progress,
+          currentTime,
         });
       }
     } catch (error) {
@@ -142,7 +158,7 @@ export async function processProgressUpdate(event) {
   // Dispatch the carousel generation.
   // await dispatchCarouselGeneration({carouselList, currentTime: progress, sku});
   await Promise.all(carouselList.map(async (styleId) => {
-    const req = {body: {styleId, currentTime: progress, sku, uid}};
+    const req = {body: {styleId, currentTime, sku, uid}};
     return await imageGenCurrentTime(req);
   }));
   return;
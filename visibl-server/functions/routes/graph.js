@@ -3,7 +3,7 @@ import logger from "../util/logger.js";
 import {onRequest} from "firebase-functions/v2/https";
 import {onTaskDispatched} from "firebase-functions/v2/tasks";
 import {onSchedule} from "firebase-functions/v2/scheduler";
-import {validateOnRequestAdmin} from "../auth/auth.js";
+import {validateOnRequestAdmin, validateOnCallAuth} from "../auth/auth.js";
 import {onCall} from "firebase-functions/v2/https";
 
 import {generateGraphNodeImages} from "../graph/v0/graphImages.js";
@@ -26,6 +26,7 @@ import {
   generateNewGraph,
   graphQueue,
   continueGraphPipeline as continueGraphPipelineFunc,
+  initGraphGeneration,
 } from "../graph/graphPipeline.js";
 
 import {
@@ -40,6 +41,7 @@ import {
   firebaseFnConfig,
   firebaseHttpFnConfig,
   GRAPH_CHECKUP_THRESHOLD_MINUTES,
+  GRAPH_CHECKUP_AUTO_RESUME,
 } from "../config/config.js";
 
 import {
@@ -51,6 +53,25 @@ import {
   resetCatalogueItemForGraphGeneration,
 } from "../util/adminLogic.js";
 
+import {
+  previewEntityRegeneration,
+  publishEntityRegeneration,
+} from "../graph/v0.1/logic/entityRegeneration.js";
+
+import {
+  getRelationshipsAtChapter,
+} from "../graph/v0.1/logic/entityRelationships.js";
+
+import {
+  getSpoilerSafeEntities,
+} from "../graph/v0.1/logic/entityCodex.js";
+
+import {
+  listEntityOverrides,
+  addEntityOverride,
+  removeEntityOverride,
+} from "../graph/v0.1/logic/entityOverrides.js";
+
 export const v1AdminOutpaintImage = onRequest(firebaseHttpFnConfig, async (req, res) => {
   await validateOnRequestAdmin(req);
   res.status(200).send(await outpaintWideAndTall(req.body));
@@ -100,21 +121,92 @@ export const continueGraphPipeline = onTaskDispatched(
     mediumDispatchInstance({maxConcurrentDispatches: 50}),
     async (req) => {
       logger.debug(`continueGraphPipeline task: ${JSON.stringify(req.data)}`);
-      const {graphId, stage, startChapter, endChapter} = req.data;
-      return await continueGraphPipelineFunc({graphId, stage, startChapter, endChapter});
+      const {graphId, stage, startChapter, endChapter, resume} = req.data;
+      return await continueGraphPipelineFunc({graphId, stage, startChapter, endChapter, resume});
     });
 
+/**
+ * Get a graph file. For type "relationships" chapter is the listener's current
+ * chapter and only relationships revealed up to that chapter are returned.
+ * Body: {sku, graphId, type, chapter?, entityType?, name?}
+ */
 export const v1graphContents = onRequest(firebaseHttpFnConfig, async (req, res) => {
   await validateOnRequestAdmin(req);
+  if (req.body.type === "relationships") {
+    res.status(200).send(await getRelationshipsAtChapter(req.body));
+    return;
+  }
   res.status(200).send(await getGraph(req.body));
 });
 
 export const v1adminInitGraphGeneration = onRequest(firebaseHttpFnConfig, async (req, res) => {
   await validateOnRequestAdmin(req);
+  if (req.body.dryRun) {
+    // Estimate tokens, images and cost without resetting the catalogue item or queueing anything
+    res.status(200).send(await initGraphGeneration({sku: req.body.sku, uid: req.body.uid, dryRun: true, version: req.body.version}));
+    return;
+  }
   await resetCatalogueItemForGraphGeneration({sku: req.body.sku, uid: req.body.uid, replace: true});
   res.status(200).send({status: `v1adminInitGraphGeneration: attempting to create new graph for ${req.body.sku} by ${req.body.uid}`});
 });
 
+/**
+ * Regenerate a single character or location across a graph with edited or pinned
+ * property tuples. Stages the result and returns a diff of old vs new descriptions.
+ * Body: {graphId, name, entityType?, edits?: {chapter: [{relationship, property}]}, pins?: [{relationship, property, fromChapter}]}
+ */
+export const v1adminPreviewGraphEntity = onRequest(firebaseHttpFnConfig, async (req, res) => {
+  await validateOnRequestAdmin(req);
+  res.status(200).send(await previewEntityRegeneration(req.body));
+});
+
+/**
+ * Publish an entity regeneration staged by v1adminPreviewGraphEntity, re-queueing
+ * its images and the scene images that reference it.
+ * Body: {graphId, name, entityType?}
+ */
+export const v1adminPublishGraphEntity = onRequest(firebaseHttpFnConfig, async (req, res) => {
+  await validateOnRequestAdmin(req);
+  res.status(200).send(await publishEntityRegeneration(req.body));
+});
+
+/**
+ * List the manual entity merge/split/alias overrides of a graph.
+ * Body: {graphId}
+ */
+export const v1adminGetGraphEntityOverrides = onRequest(firebaseHttpFnConfig, async (req, res) => {
+  await validateOnRequestAdmin(req);
+  res.status(200).send(await listEntityOverrides(req.body));
+});
+
+/**
+ * Add a manual entity override, consulted by entitiesByChapter and entityContinuity.
+ * Body: {graphId, entityType: "characters"|"locations"|"objects", kind: "merges"|"splits"|"aliases", names?, name?, aliases?}
+ */
+export const v1adminAddGraphEntityOverride = onRequest(firebaseHttpFnConfig, async (req, res) => {
+  await validateOnRequestAdmin(req);
+  res.status(200).send(await addEntityOverride(req.body));
+});
+
+/**
+ * Remove a manual entity override.
+ * Body: {graphId, id}
+ */
+export const v1adminRemoveGraphEntityOverride = onRequest(firebaseHttpFnConfig, async (req, res) => {
+  await validateOnRequestAdmin(req);
+  res.status(200).send(await removeEntityOverride(req.body));
+});
+
+/**
+ * Get the characters, locations, objects and relationships of a book for the caller's
+ * codex, bounded by the chapter in their library item's playbackInfo.
+ * Data: {sku}
+ */
+export const v1getGraphEntities = onCall(firebaseFnConfig, async (context) => {
+  const {uid, data} = await validateOnCallAuth(context);
+  return await getSpoilerSafeEntities({uid, data});
+});
+
 /**
  * Generate node images (characters and locations) for a graph
  */
@@ -162,7 +254,7 @@ export const v1graphCheckupCron = onSchedule({
   const thresholdMinutes = parseInt(GRAPH_CHECKUP_THRESHOLD_MINUTES.value(), 10);
   logger.info(`Running scheduled graph checkup with threshold: ${thresholdMinutes} minutes`);
   try {
-    await graphCheckup(thresholdMinutes);
+    await graphCheckup(thresholdMinutes, {autoResume: GRAPH_CHECKUP_AUTO_RESUME.value()});
     logger.info("Graph checkup completed successfully");
   } catch (error) {
     logger.error(`Graph checkup cron failed: ${error.message}`);
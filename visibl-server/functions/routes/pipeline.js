@@ -27,6 +27,9 @@ import {
   initTranscriptionGeneration,
 } from "../graph/admin.js";
 import {processCustomM4B} from "../ai/userBookImport/customM4BProcessor.js";
+import {processCustomAudioFiles} from "../ai/userBookImport/multiFileProcessor.js";
+import {processEpubImport} from "../ai/userBookImport/epubProcessor.js";
+import {processTextBook, validateWordsPerMinute} from "../ai/userBookImport/textBookProcessor.js";
 import {checkUserRateLimit, recordUserRateLimit} from "../storage/realtimeDb/userRateLimiter.js";
 
 export const v1generateTranscriptions = onCall({
@@ -186,3 +189,129 @@ export const dispatchedProcessCustomM4B = onTaskDispatched(
       return await processCustomM4B({uid, audioPath, audioUrl});
     },
 );
+
+// Process custom audiobooks uploaded as several mp3, m4a or flac files, or a zip of them
+export const v1processCustomAudioFiles = onCall({
+  ...firebaseFnConfig,
+  concurrency: 1,
+  timeoutSeconds: 540,
+}, async (context) => {
+  try {
+    const {uid, data} = await validateOnCallAuth(context);
+    await checkUserRateLimit({uid, action: "bookImport"});
+    validateCallable(data, {required: ["audioPaths"]});
+    await dispatchTask({
+      functionName: "dispatchedProcessCustomAudioFiles",
+      data: {
+        uid,
+        audioPaths: data.audioPaths,
+      },
+    });
+    await recordUserRateLimit({uid, action: "bookImport"});
+    return {success: true, message: "Custom audio files processing dispatched"};
+  } catch (error) {
+    logger.error(`v1processCustomAudioFiles error: ${error.message}`);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    const code = error.code === "resource-exhausted" ? "resource-exhausted" : "internal";
+    throw new HttpsError(code, error.message || "An error occurred", error.details);
+  }
+});
+
+// Dispatched task for processing multi-file audiobooks (downloads and joins every file)
+export const dispatchedProcessCustomAudioFiles = onTaskDispatched(
+    mediumDispatchInstance({maxConcurrentDispatches: 10, concurrency: 1}),
+    async (req) => {
+      logger.debug(`dispatchedProcessCustomAudioFiles: ${JSON.stringify(req.data)}`);
+      const {uid, audioPaths} = req.data;
+      return await processCustomAudioFiles({uid, audioPaths});
+    },
+);
+
+// Import the EPUB of a transcribed book the user owns and align its text to the transcription
+export const v1importEpub = onCall({
+  ...firebaseFnConfig,
+  concurrency: 1,
+  timeoutSeconds: 540,
+}, async (context) => {
+  try {
+    const {uid, data} = await validateOnCallAuth(context);
+    validateCallable(data, {required: ["sku", "epubPath"]});
+    await dispatchTask({
+      functionName: "dispatchedImportEpub",
+      data: {
+        uid,
+        sku: data.sku,
+        epubPath: data.epubPath,
+      },
+    });
+    return {success: true, message: "Ebook import dispatched"};
+  } catch (error) {
+    logger.error(`v1importEpub error: ${error.message}`);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    throw new HttpsError("internal", error.message || "An error occurred", error.details);
+  }
+});
+
+// Admin import of an ebook for any book, epubPath can be anywhere in the bucket
+export const v1adminImportEpub = onRequest(firebaseHttpFnConfig, async (req, res) => {
+  await validateOnRequestAdmin(req);
+  const {sku, epubPath} = req.body;
+  const result = await processEpubImport({uid: "admin", sku, epubPath});
+  res.status(200).send(result);
+});
+
+// Dispatched task for ebook imports (parses the EPUB and aligns it to the transcription)
+export const dispatchedImportEpub = onTaskDispatched(
+    mediumDispatchInstance({maxConcurrentDispatches: 10, concurrency: 1}),
+    async (req) => {
+      logger.debug(`dispatchedImportEpub: ${JSON.stringify(req.data)}`);
+      const {uid, sku, epubPath} = req.data;
+      return await processEpubImport({uid, sku, epubPath});
+    },
+);
+
+// Import a book without audio from plain text or an EPUB, timed at a reading speed
+export const v1processTextBook = onCall({
+  ...firebaseFnConfig,
+  concurrency: 1,
+  timeoutSeconds: 540,
+}, async (context) => {
+  try {
+    const {uid, data} = await validateOnCallAuth(context);
+    await checkUserRateLimit({uid, action: "bookImport"});
+    validateCallable(data, {required: ["textPath"]});
+    // Checked before dispatch, so a bad reading speed doesn't use up an import
+    const wordsPerMinute = validateWordsPerMinute(data.wordsPerMinute);
+    await dispatchTask({
+      functionName: "dispatchedProcessTextBook",
+      data: {
+        uid,
+        textPath: data.textPath,
+        wordsPerMinute,
+      },
+    });
+    await recordUserRateLimit({uid, action: "bookImport"});
+    return {success: true, message: "Text book processing dispatched"};
+  } catch (error) {
+    logger.error(`v1processTextBook error: ${error.message}`);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    const code = error.code === "resource-exhausted" ? "resource-exhausted" : "internal";
+    throw new HttpsError(code, error.message || "An error occurred", error.details);
+  }
+});
+
+// Dispatched task for text book imports (parses and times the text, then starts graph generation)
+export const dispatchedProcessTextBook = onTaskDispatched(
+    mediumDispatchInstance({maxConcurrentDispatches: 10, concurrency: 1}),
+    async (req) => {
+      logger.debug(`dispatchedProcessTextBook: ${JSON.stringify(req.data)}`);
+      const {uid, textPath, wordsPerMinute} = req.data;
+      return await processTextBook({uid, textPath, wordsPerMinute});
+    },
+);
@@ -1,6 +1,7 @@
 /* eslint-disable require-jsdoc */
 import {onRequest} from "firebase-functions/v2/https";
 import {onTaskDispatched} from "firebase-functions/v2/tasks";
+import {onSchedule} from "firebase-functions/v2/scheduler";
 import logger from "../util/logger.js";
 import {validateOnRequestAdmin} from "../auth/auth.js";
 import {
@@ -19,7 +20,7 @@ import {
   dataToBody,
 } from "../util/dispatch.js";
 
-import {getFirestore} from "firebase-admin/firestore";
+import {getFirestore} from "../storage/backend.js";
 import {stabilityQueue} from "../ai/stability/stability.js";
 import {dalleQueue} from "../ai/openai/dallE.js";
 import {geminiQueue} from "../ai/queue/geminiQueue.js";
@@ -31,6 +32,13 @@ import {falQueue} from "../ai/queue/falQueue.js";
 import {wavespeedQueue} from "../ai/queue/wavespeedQueue.js";
 import {groqQueue} from "../ai/queue/groqQueue.js";
 import {bookImportQueue} from "../ai/queue/bookImportQueue.js";
+import {reapStuckQueueEntries} from "../ai/queue/queueReaper.js";
+import {getRateLimitStatus} from "../ai/queue/queues.js";
+import {
+  listDeadLetterEntries,
+  replayDeadLetterEntries,
+  purgeDeadLetterEntries,
+} from "../ai/queue/deadLetter.js";
 import {
   firebaseHttpFnConfig,
 } from "../config/config.js";
@@ -188,6 +196,52 @@ export const v1adminLaunchQueue = onRequest(firebaseHttpFnConfig, async (req, re
   });
 });
 
+export const v1adminReapQueue = onRequest(firebaseHttpFnConfig, async (req, res) => {
+  await validateOnRequestAdmin(req);
+  res.status(200).send(await reapStuckQueueEntries());
+});
+
+export const v1adminDeadLetterList = onRequest(firebaseHttpFnConfig, async (req, res) => {
+  await validateOnRequestAdmin(req);
+  res.status(200).send(await listDeadLetterEntries(req.body));
+});
+
+export const v1adminDeadLetterReplay = onRequest(firebaseHttpFnConfig, async (req, res) => {
+  await validateOnRequestAdmin(req);
+  res.status(200).send(await replayDeadLetterEntries(req.body));
+});
+
+export const v1adminDeadLetterPurge = onRequest(firebaseHttpFnConfig, async (req, res) => {
+  await validateOnRequestAdmin(req);
+  res.status(200).send(await purgeDeadLetterEntries(req.body));
+});
+
+/**
+ * Effective rate limits of each queue's models, lowered while providers are rate limiting us
+ */
+export const v1adminQueueRateLimits = onRequest(firebaseHttpFnConfig, async (req, res) => {
+  await validateOnRequestAdmin(req);
+  res.status(200).send(await getRateLimitStatus(req.body));
+});
+
+/**
+ * Scheduled function to reclaim queue entries stuck in processing
+ * Entries past their queue's visibility timeout go back to pending or to error
+ */
+export const v1queueReaperCron = onSchedule({
+  schedule: "every 10 minutes",
+  region: "europe-west1",
+  memory: "512MiB",
+  maxInstances: 1,
+}, async () => {
+  try {
+    const report = await reapStuckQueueEntries();
+    logger.info(`Queue reaper completed: ${JSON.stringify(report.totals)}`);
+  } catch (error) {
+    logger.error(`Queue reaper cron failed: ${error.message}`);
+  }
+});
+
 export const launchStabilityQueue = onTaskDispatched(
     largeDispatchInstance(),
     async (req) => {
@@ -216,6 +270,9 @@ export const launchOpenAiQueue = onTaskDispatched(
     largeDispatchInstance(),
     async (req) => {
       logger.debug(`launchOpenAiQueue: ${JSON.stringify(req.data)}`);
+      if (req.data?.providerBatchId) {
+        return await openaiQueue.pollProviderBatch({providerBatchId: req.data.providerBatchId});
+      }
       return await openaiQueue.processQueue();
     },
 );
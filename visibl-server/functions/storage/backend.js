@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Selects the storage backend
+ * By default the storage modules use Firestore, the Realtime Database and Cloud Storage.
+ * With LOCAL_BACKEND set they use in-process stand-ins from storage/local instead, and
+ * dispatchTask runs task functions in the same process, so the pipeline can run offline.
+ * Storage modules get Firestore and FieldValue from here rather than from firebase-admin.
+ */
+
+import {getFirestore as getAdminFirestore, FieldValue as AdminFieldValue} from "firebase-admin/firestore";
+import {LOCAL_BACKEND, LOCAL_BACKEND_DIR} from "../config/config.js";
+import {getLocalFirestore, LocalFieldValue} from "./local/firestore.js";
+
+/**
+ * Check whether the in-process backend is in use
+ * @return {boolean} True if LOCAL_BACKEND is set
+ */
+function isLocalBackend() {
+  return LOCAL_BACKEND.value() === true;
+}
+
+/**
+ * Get the directory the local backend keeps its files in
+ * @return {string} Directory path
+ */
+function localBackendDir() {
+  return LOCAL_BACKEND_DIR.value();
+}
+
+/**
+ * Get the Firestore database of the selected backend
+ * @return {Firestore} Firestore, or its in-memory stand-in
+ */
+function getFirestore() {
+  return isLocalBackend() ? getLocalFirestore() : getAdminFirestore();
+}
+
+// FieldValue transforms of the selected backend, the two backends can't read each other's
+const FieldValue = {
+  increment: (amount) => (isLocalBackend() ? LocalFieldValue : AdminFieldValue).increment(amount),
+  arrayUnion: (...elements) => (isLocalBackend() ? LocalFieldValue : AdminFieldValue).arrayUnion(...elements),
+  arrayRemove: (...elements) => (isLocalBackend() ? LocalFieldValue : AdminFieldValue).arrayRemove(...elements),
+  delete: () => (isLocalBackend() ? LocalFieldValue : AdminFieldValue).delete(),
+  serverTimestamp: () => (isLocalBackend() ? LocalFieldValue : AdminFieldValue).serverTimestamp(),
+};
+
+export {
+  isLocalBackend,
+  localBackendDir,
+  getFirestore,
+  FieldValue,
+};
@@ -1,8 +1,7 @@
 /* eslint-disable require-jsdoc */
 /* eslint-disable no-unused-vars */
-import {
-  getFirestore,
-  Timestamp} from "firebase-admin/firestore";
+import {Timestamp} from "firebase-admin/firestore";
+import {getFirestore} from "../backend.js";
 import logger from "../../util/logger.js";
 
 async function aaxStoreAuthFirestore({uid, aaxUserId}) {
@@ -1,7 +1,6 @@
 /* eslint-disable camelcase */
 /* eslint-disable require-jsdoc */
-import {
-  getFirestore} from "firebase-admin/firestore";
+import {getFirestore, FieldValue} from "../backend.js";
 // import {removeUndefinedProperties} from "../firestore.js";
 import logger from "../../util/logger.js";
 import {catalogueGetRtdb, catalogueUpdateRtdb} from "../realtimeDb/catalogue.js";
@@ -121,10 +120,96 @@ async function updateGraph({graphData}) {
   await graphRef.update(graphData);
 }
 
+// Checkpoints record the outcome of every step per chapter so a failed
+// pipeline can resume with only the chapters that did not complete.
+// checkpoints.{step}.{chapter|"book"} = {status, updatedAt, error, endChapter}
+function graphCheckpointKey(chapter) {
+  return chapter === undefined || chapter === null ? "book" : `${chapter}`;
+}
+
+async function setGraphCheckpoint({graphId, step, chapter, status, error, endChapter}) {
+  if (!graphId || !step || !status) {
+    throw new Error("setGraphCheckpoint: graphId, step and status are required");
+  }
+  const db = getFirestore();
+  const graphRef = db.collection("Graphs").doc(graphId);
+  const checkpoint = {
+    status,
+    updatedAt: new Date(),
+  };
+  if (error) {
+    checkpoint.error = error;
+  }
+  if (endChapter !== undefined) {
+    checkpoint.endChapter = endChapter;
+  }
+  const updateData = {
+    [`checkpoints.${step}.${graphCheckpointKey(chapter)}`]: checkpoint,
+  };
+  if (status === "error") {
+    updateData.lastFailure = {
+      step,
+      chapter: chapter === undefined ? null : chapter,
+      error: error || "Unknown error",
+      failedAt: new Date(),
+    };
+  }
+  await graphRef.update(updateData);
+}
+
+function getGraphCheckpoint({graphItem, step, chapter}) {
+  return graphItem?.checkpoints?.[step]?.[graphCheckpointKey(chapter)] || null;
+}
+
+function getFailedGraphCheckpoints({graphItem}) {
+  const failed = [];
+  for (const [step, chapters] of Object.entries(graphItem?.checkpoints || {})) {
+    for (const [key, checkpoint] of Object.entries(chapters)) {
+      if (checkpoint?.status === "error") {
+        failed.push({
+          step,
+          chapter: key === "book" ? undefined : parseInt(key, 10),
+          endChapter: checkpoint.endChapter,
+          error: checkpoint.error,
+        });
+      }
+    }
+  }
+  return failed;
+}
+
+async function clearGraphLastFailure({graphId}) {
+  const db = getFirestore();
+  const graphRef = db.collection("Graphs").doc(graphId);
+  await graphRef.update({
+    lastFailure: FieldValue.delete(),
+    resumeCount: FieldValue.increment(1),
+    lastResumedAt: new Date(),
+  });
+}
+
+// A run that is not a resume starts over, so the checkpoints, failure and
+// resume count of earlier runs must not make it skip or resume anything.
+async function resetGraphCheckpoints({graphId}) {
+  const db = getFirestore();
+  const graphRef = db.collection("Graphs").doc(graphId);
+  await graphRef.update({
+    checkpoints: FieldValue.delete(),
+    lastFailure: FieldValue.delete(),
+    resumeCount: FieldValue.delete(),
+    resumedAt: FieldValue.delete(),
+  });
+}
+
 export {
   createGraph,
   deleteGraph,
   getGraphFirestore,
   updateGraphStatus,
   updateGraph,
+  setGraphCheckpoint,
+  getGraphCheckpoint,
+  getFailedGraphCheckpoints,
+  clearGraphLastFailure,
+  resetGraphCheckpoints,
 };
@@ -1,11 +1,25 @@
 /* eslint-disable camelcase */
 /* eslint-disable require-jsdoc */
-import {
-  getFirestore} from "firebase-admin/firestore";
+import {getFirestore, FieldValue} from "../backend.js";
 import {removeUndefinedProperties} from "../firestore.js";
 
 import logger from "../../util/logger.js";
 
+// Priority lanes of queue entries, claimed in this order.
+// Entries added before lanes existed have no priority and are treated as pipeline.
+const QUEUE_PRIORITIES = {
+  INTERACTIVE: "interactive", // A listener is waiting, e.g. imageGenCurrentTime
+  PIPELINE: "pipeline", // Graph generation and imports
+  BACKFILL: "backfill", // Bulk regeneration of existing content
+};
+const QUEUE_PRIORITY_ORDER = [QUEUE_PRIORITIES.INTERACTIVE, QUEUE_PRIORITIES.PIPELINE, QUEUE_PRIORITIES.BACKFILL];
+
+// Entries out of retries are copied here with their attempt history so they can be inspected and replayed
+const DEAD_LETTER_COLLECTION = "QueueDeadLetter";
+
+// Provider responses are kept for debugging only, don't let a large body fill the document
+const MAX_PROVIDER_RESPONSE_LENGTH = 2000;
+
 async function queueNuke() {
   const db = getFirestore();
   const queueRef = db.collection("Queue");
@@ -134,7 +148,7 @@ function graphQueueToUnique(params) {
 }
 
 function deduplicateEntries(params) {
-  const {types, entryTypes, entryParams, uniques, statuses = [], traces = []} = params;
+  const {types, entryTypes, entryParams, uniques, statuses = [], traces = [], priorities = [], uids = []} = params;
   // Ensure that types, entryTypes, entryParams and unique are not null
   if (!types || !entryTypes || !entryParams || !uniques) {
     throw new Error("types, entryTypes, entryParams, and unique must not be null");
@@ -158,16 +172,28 @@ function deduplicateEntries(params) {
     uniques.splice(index, 1);
     if (statuses.length > 0) statuses.splice(index, 1);
     if (traces.length > 0) traces.splice(index, 1);
+    if (priorities.length > 0) priorities.splice(index, 1);
+    if (uids.length > 0) uids.splice(index, 1);
   }
 
   if (indicesToRemove.length > 0) {
     logger.debug(`Removed ${indicesToRemove.length} duplicate entries`);
   }
-  return {types, entryTypes, entryParams, uniques, statuses, traces};
+  return {types, entryTypes, entryParams, uniques, statuses, traces, priorities, uids};
+}
+
+/**
+ * Get the user an entry was queued for, from its params when not given
+ * @param {Object} entryParams - The entry's params
+ * @param {string} [uid] - User ID given by the caller
+ * @return {string|null} User ID, null if the entry is not attributed to a user
+ */
+function entryUid(entryParams, uid) {
+  return uid || entryParams?.uid || entryParams?.params?.uid || null;
 }
 
 async function queueAddEntries(params) {
-  const {types, entryTypes, entryParams, uniques, statuses = [], traces = []} = deduplicateEntries(params);
+  const {types, entryTypes, entryParams, uniques, statuses = [], traces = [], priorities = [], uids = []} = deduplicateEntries(params);
   const db = getFirestore();
   const queueRef = db.collection("Queue");
   const batch = db.batch();
@@ -180,6 +206,8 @@ async function queueAddEntries(params) {
       entryType: entryTypes[i],
       params: entryParams[i],
       status: statuses[i] || "pending",
+      priority: priorities[i] || QUEUE_PRIORITIES.PIPELINE,
+      uid: entryUid(entryParams[i], uids[i]),
       trace: traces[i] || `Added to queue at ${now.toString()}`,
       timeRequested: now,
       timeUpdated: now,
@@ -315,7 +343,7 @@ async function queueGetEntries(params) {
 }
 
 async function queueUpdateEntries(params) {
-  const {ids, statuses, traces = [], results = [], retryCounts = [], timeRequestedValues = []} = params;
+  const {ids, statuses, traces = [], results = [], retryCounts = [], timeRequestedValues = [], providerBatchIds = []} = params;
   if (!statuses) {
     logger.error(`queueUpdateEntries:statuses parameter is required for queueUpdateEntries: ${JSON.stringify(params)}`);
   }
@@ -342,6 +370,10 @@ async function queueUpdateEntries(params) {
     if (timeRequestedValues[i] !== undefined) {
       updateData.timeRequested = timeRequestedValues[i];
     }
+    // Provider batch job the entry was submitted in, null once it is out of the job
+    if (providerBatchIds[i] !== undefined) {
+      updateData.providerBatchId = providerBatchIds[i];
+    }
     batch.update(docRef, updateData);
   }
   await batch.commit();
@@ -349,6 +381,38 @@ async function queueUpdateEntries(params) {
   return {success: true};
 }
 
+/**
+ * Move queue entries to another queue type. Document ids are kept, so the
+ * unique keys and the post-processing of the entries stay the same.
+ * @param {Object} params - The parameters object
+ * @param {Array<string>} params.ids - Queue entry ids
+ * @param {Array<string>} params.types - New queue type for each entry
+ * @param {Array<Object>} params.entryParams - New params for each entry
+ * @param {Array<string>} [params.traces] - Trace for each entry
+ * @return {Promise<Object>} {success: true}
+ */
+async function queueRerouteEntries(params) {
+  const {ids, types, entryParams, traces = []} = params;
+  const db = getFirestore();
+  const queueRef = db.collection("Queue");
+  const batch = db.batch();
+  const now = Date.now();
+
+  for (let i = 0; i < ids.length; i++) {
+    batch.update(queueRef.doc(ids[i]), {
+      type: types[i],
+      params: removeUndefinedProperties(entryParams[i]),
+      status: "pending",
+      retryCount: 0,
+      trace: traces[i] || `Rerouted to ${types[i]} at ${now.toString()}`,
+      timeUpdated: now,
+    });
+  }
+  await batch.commit();
+  logger.debug(`Rerouted ${ids.length} entries in the queue`);
+  return {success: true};
+}
+
 async function queueDeleteEntries(params) {
   const {ids} = params;
   const db = getFirestore();
@@ -394,45 +458,77 @@ async function queueSetItemsToError(params) {
 /**
  * Atomically claims pending queue items by updating their status to processing
  * This prevents race conditions when multiple instances try to process the same items
+ * Items are claimed by priority lane (interactive, pipeline, backfill). To keep lower
+ * lanes from starving, a share of the limit first goes to the oldest items of any lane.
+ * Items without a priority (added before lanes existed) are claimed by age once the lanes are drained.
  * @param {Object} params - The parameters object
  * @param {string} params.type - Queue type to process
  * @param {string} params.status - Status to filter by (default: "pending")
  * @param {number} params.limit - Maximum number of items to claim (default: 10)
  * @param {number} params.timeRequestedAfter - Optional timestamp filter
+ * @param {number} [params.oldestShare=0] - Share of the limit reserved for the oldest items, 0 to 1
  * @return {Promise<Array>} Array of claimed queue entries with their data
  */
 async function queueClaimPendingItems(params) {
-  const {type, status = "pending", limit = 10, timeRequestedAfter} = params;
+  const {type, status = "pending", limit = 10, timeRequestedAfter, oldestShare = 0} = params;
   logger.debug(`Attempting to claim up to ${limit} ${status} items from ${type} queue`);
 
   const db = getFirestore();
   const queueRef = db.collection("Queue");
   const claimedItems = [];
 
+  const buildQuery = ({priority, queryLimit}) => {
+    let query = queueRef
+        .where("type", "==", type)
+        .where("status", "==", status);
+    if (priority) {
+      query = query.where("priority", "==", priority);
+    }
+    query = query
+        .orderBy("timeRequested", "asc")
+        .limit(queryLimit);
+    if (timeRequestedAfter) {
+      query = query.where("timeRequested", ">=", timeRequestedAfter);
+    }
+    return query;
+  };
+
   try {
     await db.runTransaction(async (transaction) => {
-      // Build the query
-      let query = queueRef
-          .where("type", "==", type)
-          .where("status", "==", status)
-          .orderBy("timeRequested", "asc")
-          .limit(limit);
+      // Transactions need all reads before writes, so collect the documents from every lane first
+      const docs = new Map();
+      const collect = async ({priority, max}) => {
+        if (max <= 0) {
+          return;
+        }
+        // Earlier queries may already hold some of these documents, ask for enough to still find max new ones
+        const snapshot = await transaction.get(buildQuery({priority, queryLimit: max + docs.size}));
+        let added = 0;
+        for (const doc of snapshot.docs) {
+          if (added >= max) {
+            break;
+          }
+          if (!docs.has(doc.id)) {
+            docs.set(doc.id, doc);
+            added++;
+          }
+        }
+      };
 
-      if (timeRequestedAfter) {
-        query = query.where("timeRequested", ">=", timeRequestedAfter);
+      await collect({max: Math.floor(limit * oldestShare)});
+      for (const priority of QUEUE_PRIORITY_ORDER) {
+        await collect({priority, max: limit - docs.size});
       }
+      await collect({max: limit - docs.size});
 
-      // Read all matching documents within the transaction
-      const snapshot = await transaction.get(query);
-
-      if (snapshot.empty) {
+      if (docs.size === 0) {
         logger.debug(`No ${status} items found in ${type} queue`);
         return;
       }
 
       // Update each document's status to processing atomically
       const now = Date.now();
-      snapshot.docs.forEach((doc) => {
+      for (const doc of docs.values()) {
         transaction.update(doc.ref, {
           status: "processing",
           timeUpdated: now,
@@ -444,9 +540,9 @@ async function queueClaimPendingItems(params) {
           id: doc.id,
           ...doc.data(),
         });
-      });
+      }
 
-      logger.debug(`Successfully claimed ${snapshot.docs.length} items from ${type} queue`);
+      logger.debug(`Successfully claimed ${docs.size} items from ${type} queue`);
     });
   } catch (error) {
     logger.error(`Transaction failed while claiming items from ${type} queue: ${error.message}`);
@@ -456,6 +552,379 @@ async function queueClaimPendingItems(params) {
   return claimedItems;
 }
 
+/**
+ * Count each user's items that are processing in a queue
+ * @param {Object} params - The parameters object
+ * @param {string} params.type - Queue type
+ * @param {Array<string>} params.uids - User IDs to count, null counts items without a user
+ * @return {Promise<Object>} Count keyed by uid
+ */
+async function queueCountProcessingByUser(params) {
+  const {type, uids} = params;
+  const db = getFirestore();
+  const processing = db.collection("Queue")
+      .where("type", "==", type)
+      .where("status", "==", "processing");
+  const count = async (query) => (await query.count().get()).data().count;
+  const counts = {};
+  await Promise.all(uids.map(async (uid) => {
+    if (uid !== null) {
+      counts[uid] = await count(processing.where("uid", "==", uid));
+      return;
+    }
+    // Items added before entries had a uid have no uid field, which no uid filter matches,
+    // so items without a user are all the processing items less those with a uid
+    const [total, withUid] = await Promise.all([count(processing), count(processing.where("uid", "!=", null))]);
+    counts[uid] = total - withUid;
+  }));
+  return counts;
+}
+
+/**
+ * Hold back pending items until a time, they are not claimed before then
+ * Deferred items keep their timeRequested, so they keep their age and place once released.
+ * @param {Object} params - The parameters object
+ * @param {Array<string>} params.ids - Ids of the items
+ * @param {number} params.until - Time the items may be claimed again
+ * @return {Promise<void>}
+ */
+async function queueDeferEntries(params) {
+  const {ids, until} = params;
+  const db = getFirestore();
+  const queueRef = db.collection("Queue");
+  const batch = db.batch();
+  for (const id of ids) {
+    batch.update(queueRef.doc(id), {
+      status: "deferred",
+      deferredUntil: until,
+      timeUpdated: Date.now(),
+    });
+  }
+  await batch.commit();
+  logger.debug(`Deferred ${ids.length} entries until ${new Date(until).toISOString()}`);
+}
+
+/**
+ * Return deferred items whose time has come to pending
+ * @param {Object} params - The parameters object
+ * @param {string} params.type - Queue type
+ * @param {number} [params.limit=400] - Maximum number of items to release at once
+ * @return {Promise<number>} Number of items released
+ */
+async function queueReleaseDeferredEntries(params) {
+  const {type, limit = 400} = params;
+  const db = getFirestore();
+  const snapshot = await db.collection("Queue")
+      .where("type", "==", type)
+      .where("status", "==", "deferred")
+      .where("deferredUntil", "<=", Date.now())
+      .limit(limit)
+      .get();
+  if (snapshot.empty) {
+    return 0;
+  }
+  const batch = db.batch();
+  for (const doc of snapshot.docs) {
+    batch.update(doc.ref, {
+      status: "pending",
+      deferredUntil: FieldValue.delete(),
+      timeUpdated: Date.now(),
+    });
+  }
+  await batch.commit();
+  logger.debug(`Released ${snapshot.size} deferred entries of the ${type} queue`);
+  return snapshot.size;
+}
+
+/**
+ * Get the entries waiting on a provider batch job
+ * @param {Object} params - The parameters object
+ * @param {string} params.type - Queue type
+ * @param {string} params.providerBatchId - Id of the provider's batch job
+ * @return {Promise<Array>} The entries still batched in the job
+ */
+async function queueGetProviderBatchEntries(params) {
+  const {type, providerBatchId} = params;
+  const db = getFirestore();
+  const snapshot = await db.collection("Queue")
+      .where("type", "==", type)
+      .where("status", "==", "batched")
+      .where("providerBatchId", "==", providerBatchId)
+      .get();
+  return snapshot.docs.map((doc) => ({id: doc.id, ...doc.data()}));
+}
+
+/**
+ * Atomically reclaims items that have been processing longer than the visibility timeout.
+ * An instance that dies mid-processing, or a callback that never arrives, leaves items in
+ * processing forever. Items with retries left go back to pending counting as a retry,
+ * the rest are moved to error. timeUpdated is the last time the item was claimed or
+ * handed to a provider, so waitCallback items are timed from their submission.
+ * Items in a provider batch job are batched rather than processing, and are touched on every poll.
+ * @param {Object} params - The parameters object
+ * @param {string} params.type - Queue type to reclaim from
+ * @param {string} [params.status="processing"] - Status of the items to reclaim, processing or batched
+ * @param {number} params.visibilityTimeout - Milliseconds an item may stay processing
+ * @param {number} params.retryLimit - Retries after which an item is moved to error
+ * @param {number} [params.limit=400] - Maximum number of items to reclaim in one transaction
+ * @return {Promise<Object>} {reclaimed: [], errored: []} with the entries as they were before reclaiming
+ */
+async function queueReclaimStaleItems(params) {
+  const {type, status = "processing", visibilityTimeout, retryLimit, limit = 400} = params;
+  const db = getFirestore();
+  const queueRef = db.collection("Queue");
+  const reclaimed = [];
+  const errored = [];
+
+  try {
+    await db.runTransaction(async (transaction) => {
+      // Transactions can be retried, start from a clean report each attempt
+      reclaimed.length = 0;
+      errored.length = 0;
+
+      const now = Date.now();
+      const snapshot = await transaction.get(queueRef
+          .where("type", "==", type)
+          .where("status", "==", status)
+          .where("timeUpdated", "<", now - visibilityTimeout)
+          .orderBy("timeUpdated", "asc")
+          .limit(limit));
+
+      for (const doc of snapshot.docs) {
+        const entry = {id: doc.id, ...doc.data()};
+        const retryCount = entry.retryCount || 0;
+        const stuckFor = Math.round((now - (entry.processingStarted || entry.timeUpdated)) / 60000);
+        if (retryCount < retryLimit) {
+          transaction.update(doc.ref, {
+            status: "pending",
+            retryCount: retryCount + 1,
+            trace: `Reclaimed after ${stuckFor} minutes ${status} (retry ${retryCount + 1}/${retryLimit})`,
+            attempts: FieldValue.arrayUnion(queueAttempt({entry, error: `Stuck ${status} for ${stuckFor} minutes`})),
+            timeUpdated: now,
+          });
+          reclaimed.push(entry);
+        } else {
+          transaction.update(doc.ref, {
+            status: "error",
+            trace: `Stuck ${status} for ${stuckFor} minutes with no retries left`,
+            attempts: FieldValue.arrayUnion(queueAttempt({entry, error: `Stuck ${status} for ${stuckFor} minutes`})),
+            timeUpdated: now,
+          });
+          errored.push(entry);
+        }
+      }
+    });
+  } catch (error) {
+    logger.error(`Transaction failed while reclaiming stale items from ${type} queue: ${error.message}`);
+    throw error;
+  }
+
+  if (reclaimed.length > 0 || errored.length > 0) {
+    logger.debug(`Reclaimed ${reclaimed.length} and errored ${errored.length} stale ${status} items from ${type} queue`);
+  }
+  return {reclaimed, errored};
+}
+
+/**
+ * Build the record of a failed processing attempt of a queue entry
+ * @param {Object} params - The parameters object
+ * @param {Object} params.entry - The queue entry as it was claimed
+ * @param {string} params.error - Error message of the attempt
+ * @param {*} [params.providerResponse] - Response body returned by the provider, if any
+ * @return {Object} {attempt, type, model, error, providerResponse, time}
+ */
+function queueAttempt({entry, error, providerResponse = null}) {
+  let response = null;
+  if (providerResponse !== null && providerResponse !== undefined) {
+    response = typeof providerResponse === "string" ? providerResponse : JSON.stringify(providerResponse);
+    response = response.substring(0, MAX_PROVIDER_RESPONSE_LENGTH);
+  }
+  return {
+    attempt: (entry.retryCount || 0) + 1,
+    type: entry.type,
+    model: entry.params?.model || null,
+    error: error || "Unknown error",
+    providerResponse: response,
+    time: Date.now(),
+  };
+}
+
+/**
+ * Append a failed attempt to the history of a queue entry
+ * @param {Object} params - The parameters object
+ * @param {Object} params.entry - The queue entry as it was claimed
+ * @param {string} params.error - Error message of the attempt
+ * @param {*} [params.providerResponse] - Response body returned by the provider, if any
+ * @return {Promise<void>}
+ */
+async function queueRecordAttempt({entry, error, providerResponse}) {
+  const db = getFirestore();
+  await db.collection("Queue").doc(entry.id).update({
+    attempts: FieldValue.arrayUnion(queueAttempt({entry, error, providerResponse})),
+  });
+}
+
+/**
+ * Mark entries that are out of retries as error and copy them to the dead-letter
+ * collection with their attempt history. The Queue entry is kept in error so callers
+ * polling it still see the failure. Dead-letter documents use the queue entry id.
+ * @param {Object} params - The parameters object
+ * @param {Array<string>} params.ids - Queue entry ids
+ * @param {Array<string>} params.errors - Last error of each entry
+ * @return {Promise<Object>} {success: true, ids} with the ids that were dead-lettered
+ */
+async function queueDeadLetterEntries(params) {
+  const {ids, errors = []} = params;
+  const db = getFirestore();
+  const queueRef = db.collection("Queue");
+  const deadLetterRef = db.collection(DEAD_LETTER_COLLECTION);
+  const deadLettered = [];
+
+  await db.runTransaction(async (transaction) => {
+    deadLettered.length = 0;
+    const docs = await transaction.getAll(...ids.map((id) => queueRef.doc(id)));
+    const now = Date.now();
+
+    docs.forEach((doc, i) => {
+      if (!doc.exists) {
+        logger.warn(`Queue entry ${ids[i]} not found, not dead-lettering it`);
+        return;
+      }
+      const entry = doc.data();
+      const lastError = errors[i] || "Unknown error";
+      const attempts = entry.attempts || [];
+      transaction.update(doc.ref, {
+        status: "error",
+        trace: lastError,
+        deadLettered: true,
+        timeUpdated: now,
+      });
+      transaction.set(deadLetterRef.doc(doc.id), removeUndefinedProperties({
+        type: entry.type,
+        entryType: entry.entryType,
+        params: entry.params,
+        priority: entry.priority || QUEUE_PRIORITIES.PIPELINE,
+        uid: entry.uid || null,
+        graphId: entry.params?.params?.graphId || entry.params?.graphId || null,
+        batchId: entry.params?.batchId || null,
+        retryCount: entry.retryCount || 0,
+        replayCount: entry.replayCount || 0,
+        attempts,
+        lastError,
+        providerResponse: attempts[attempts.length - 1]?.providerResponse || null,
+        timeRequested: entry.timeRequested,
+        timeDeadLettered: now,
+      }));
+      deadLettered.push(doc.id);
+    });
+  });
+
+  logger.debug(`Dead-lettered ${deadLettered.length} queue entries`);
+  return {success: true, ids: deadLettered};
+}
+
+/**
+ * Get dead-letter entries by id, or filtered by queue type, graphId and batchId
+ * @param {Object} params - The parameters object
+ * @param {Array<string>} [params.ids] - Dead-letter entry ids, other filters are ignored if set
+ * @param {string} [params.type] - Queue type
+ * @param {string} [params.graphId] - Graph the entries belong to
+ * @param {string} [params.batchId] - Batch the entries belong to
+ * @param {number} [params.limit=100] - Maximum number of entries
+ * @return {Promise<Array>} Dead-letter entries, most recent first
+ */
+async function deadLetterGetEntries(params) {
+  const {ids, type, graphId, batchId, limit = 100} = params;
+  const db = getFirestore();
+  const deadLetterRef = db.collection(DEAD_LETTER_COLLECTION);
+
+  if (ids?.length > 0) {
+    const docs = await db.getAll(...ids.map((id) => deadLetterRef.doc(id)));
+    return docs.filter((doc) => doc.exists).map((doc) => ({id: doc.id, ...doc.data()}));
+  }
+
+  let query = deadLetterRef;
+  if (type) {
+    query = query.where("type", "==", type);
+  }
+  if (graphId) {
+    query = query.where("graphId", "==", graphId);
+  }
+  if (batchId) {
+    query = query.where("batchId", "==", batchId);
+  }
+  const snapshot = await query.limit(limit).get();
+  const entries = snapshot.docs.map((doc) => ({id: doc.id, ...doc.data()}));
+
+  // Sort results here so we don't need a composite index for every filter combination
+  entries.sort((a, b) => (b.timeDeadLettered || 0) - (a.timeDeadLettered || 0));
+
+  logger.debug(`Got ${entries.length} dead-letter entries for type: ${type}, graphId: ${graphId}, batchId: ${batchId}`);
+  return entries;
+}
+
+/**
+ * Return dead-letter entries to the queue as pending with a fresh retry budget.
+ * The Queue document keeps its id and attempt history, the dead-letter document is removed.
+ * @param {Object} params - The parameters object
+ * @param {Array<Object>} params.entries - Dead-letter entries as returned by deadLetterGetEntries
+ * @param {Array<Object>} [params.entryParams] - Params to replay each entry with, defaults to its stored params
+ * @return {Promise<Object>} {success: true}
+ */
+async function queueReplayDeadLetterEntries(params) {
+  const {entries, entryParams = []} = params;
+  const db = getFirestore();
+  const queueRef = db.collection("Queue");
+  const deadLetterRef = db.collection(DEAD_LETTER_COLLECTION);
+  const batch = db.batch();
+  const now = Date.now();
+
+  entries.forEach((entry, i) => {
+    batch.set(queueRef.doc(entry.id), removeUndefinedProperties({
+      type: entry.type,
+      entryType: entry.entryType,
+      params: entryParams[i] || entry.params,
+      priority: entry.priority,
+      status: "pending",
+      retryCount: 0,
+      deadLettered: false,
+      replayCount: FieldValue.increment(1),
+      trace: `Replayed from dead letter at ${now.toString()}`,
+      timeRequested: now,
+      timeUpdated: now,
+    }), {merge: true});
+    batch.delete(deadLetterRef.doc(entry.id));
+  });
+  await batch.commit();
+  logger.debug(`Replayed ${entries.length} dead-letter entries`);
+  return {success: true};
+}
+
+/**
+ * Delete dead-letter entries and the Queue entries they were copied from, if those are still in error
+ * @param {Object} params - The parameters object
+ * @param {Array<string>} params.ids - Dead-letter entry ids
+ * @return {Promise<Object>} {success: true, deletedCount}
+ */
+async function deadLetterDeleteEntries(params) {
+  const {ids} = params;
+  const db = getFirestore();
+  const queueRef = db.collection("Queue");
+  const deadLetterRef = db.collection(DEAD_LETTER_COLLECTION);
+  const queueDocs = await db.getAll(...ids.map((id) => queueRef.doc(id)));
+  const batch = db.batch();
+
+  ids.forEach((id, i) => {
+    batch.delete(deadLetterRef.doc(id));
+    if (queueDocs[i].exists && queueDocs[i].data().status === "error") {
+      batch.delete(queueDocs[i].ref);
+    }
+  });
+  await batch.commit();
+  logger.debug(`Deleted ${ids.length} dead-letter entries`);
+  return {success: true, deletedCount: ids.length};
+}
+
 /**
  * Creates a batch record in Firestore
  * @param {Object} params - Batch parameters
@@ -638,16 +1107,66 @@ async function batchUpdateStatusBulk(params) {
 }
 
 
+/**
+ * Reopen failed items of a batch so they can be replayed. The failed count is reduced
+ * and a completed batch goes back to processing, so it completes again, and fires its
+ * webhook again, once the replayed items finish.
+ * @param {Object} params - Update parameters
+ * @param {string} params.batchId - Batch identifier
+ * @param {number} params.count - Number of failed items being replayed
+ * @return {Promise<Object|null>} Updated batch data, null if the batch doesn't exist
+ */
+async function batchReopenItems(params) {
+  const {batchId, count} = params;
+  const db = getFirestore();
+  const batchRef = db.collection("QueueBatches").doc(batchId);
+  let updatedBatch = null;
+
+  await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(batchRef);
+    if (!doc.exists) {
+      logger.error(`Batch ${batchId} not found`);
+      return;
+    }
+
+    const currentData = doc.data();
+    const updateData = {
+      failedItems: Math.max(0, currentData.failedItems - count),
+      status: "processing",
+      completedAt: null,
+      updatedAt: Date.now(),
+    };
+    transaction.update(batchRef, updateData);
+    updatedBatch = {...currentData, ...updateData};
+  });
+
+  logger.debug(`Reopened ${count} failed items of batch ${batchId}`);
+  return updatedBatch;
+}
+
 export {
   queueAddEntries,
   queueGetEntries,
   queueUpdateEntries,
   queueDeleteEntries,
+  queueRerouteEntries,
   queueNuke,
   queueSetItemsToProcessing,
   queueSetItemsToComplete,
   queueSetItemsToError,
   queueClaimPendingItems,
+  queueCountProcessingByUser,
+  queueDeferEntries,
+  queueReleaseDeferredEntries,
+  queueGetProviderBatchEntries,
+  queueReclaimStaleItems,
+  queueRecordAttempt,
+  queueDeadLetterEntries,
+  queueReplayDeadLetterEntries,
+  deadLetterGetEntries,
+  deadLetterDeleteEntries,
+  QUEUE_PRIORITIES,
+  QUEUE_PRIORITY_ORDER,
   stabilityQueueToUnique,
   dalleQueueToUnique,
   graphQueueToUnique,
@@ -657,4 +1176,5 @@ export {
   batchCreate,
   batchGetStatus,
   batchUpdateStatusBulk,
+  batchReopenItems,
 };
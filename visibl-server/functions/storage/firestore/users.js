@@ -1,6 +1,5 @@
 /* eslint-disable require-jsdoc */
-import {
-  getFirestore} from "firebase-admin/firestore";
+import {getFirestore} from "../backend.js";
 
 import logger from "../../util/logger.js";
 
@@ -0,0 +1,193 @@
+/* eslint-disable require-jsdoc */
+/**
+ * @fileoverview Filesystem stand-in for the storage bucket, used when LOCAL_BACKEND is set
+ * Implements the part of the Cloud Storage File and Bucket API storage/storage.js uses.
+ * Files are kept under a directory, so they survive the process and can be inspected.
+ * Public and signed URLs are file:// URLs.
+ */
+
+import fs from "fs";
+import fsPromises from "fs/promises";
+import path from "path";
+import {pathToFileURL} from "url";
+
+/**
+ * Error shaped like the Cloud Storage client's not found error
+ * @param {string} name - File name
+ * @return {Error} The error
+ */
+function notFound(name) {
+  return Object.assign(new Error(`No such object: ${name}`), {code: 404});
+}
+
+class LocalFile {
+  constructor(bucket, name) {
+    this.bucket = bucket;
+    this.name = name;
+    this.localPath = path.join(bucket.root, name);
+  }
+
+  async exists() {
+    try {
+      await fsPromises.access(this.localPath);
+      return [true];
+    } catch (error) {
+      return [false];
+    }
+  }
+
+  async save(data, options = {}) {
+    await fsPromises.mkdir(path.dirname(this.localPath), {recursive: true});
+    await fsPromises.writeFile(this.localPath, data);
+    this.bucket.metadata.set(this.name, {
+      contentType: options.contentType || options.metadata?.contentType,
+      ...options.metadata,
+    });
+  }
+
+  download(options = {}, callback) {
+    if (typeof options === "function") {
+      callback = options;
+      options = {};
+    }
+    const download = (async () => {
+      const [exists] = await this.exists();
+      if (!exists) {
+        throw notFound(this.name);
+      }
+      if (options.destination) {
+        await fsPromises.mkdir(path.dirname(options.destination), {recursive: true});
+        await fsPromises.copyFile(this.localPath, options.destination);
+        return [];
+      }
+      return [await fsPromises.readFile(this.localPath)];
+    })();
+    if (!callback) {
+      return download;
+    }
+    download.then(([contents]) => callback(null, contents), (error) => callback(error));
+  }
+
+  async delete() {
+    const [exists] = await this.exists();
+    if (!exists) {
+      throw notFound(this.name);
+    }
+    await fsPromises.unlink(this.localPath);
+    this.bucket.metadata.delete(this.name);
+    return [];
+  }
+
+  createReadStream() {
+    return fs.createReadStream(this.localPath);
+  }
+
+  createWriteStream() {
+    fs.mkdirSync(path.dirname(this.localPath), {recursive: true});
+    return fs.createWriteStream(this.localPath);
+  }
+
+  async copy(destination) {
+    const target = typeof destination === "string" ? this.bucket.file(destination) : destination;
+    await fsPromises.mkdir(path.dirname(target.localPath), {recursive: true});
+    await fsPromises.copyFile(this.localPath, target.localPath);
+    return [target];
+  }
+
+  async makePublic() {
+    return [{}];
+  }
+
+  publicUrl() {
+    return pathToFileURL(this.localPath).href;
+  }
+
+  async getSignedUrl() {
+    return [this.publicUrl()];
+  }
+
+  async getMetadata() {
+    const [exists] = await this.exists();
+    if (!exists) {
+      throw notFound(this.name);
+    }
+    const stats = await fsPromises.stat(this.localPath);
+    return [{
+      name: this.name,
+      bucket: this.bucket.name,
+      size: stats.size,
+      updated: stats.mtime.toISOString(),
+      ...this.bucket.metadata.get(this.name),
+    }];
+  }
+
+  async setMetadata(metadata) {
+    this.bucket.metadata.set(this.name, {...this.bucket.metadata.get(this.name), ...metadata});
+    return [metadata];
+  }
+}
+
+class LocalBucket {
+  constructor(name, root) {
+    this.name = name;
+    this.root = root;
+    // Metadata is only kept for the life of the process
+    this.metadata = new Map();
+  }
+
+  file(name) {
+    return new LocalFile(this, name);
+  }
+
+  async upload(localPath, options = {}) {
+    const file = this.file(options.destination || path.basename(localPath));
+    await fsPromises.mkdir(path.dirname(file.localPath), {recursive: true});
+    await fsPromises.copyFile(localPath, file.localPath);
+    return [file];
+  }
+
+  async getFiles({prefix = ""} = {}) {
+    const files = [];
+    const walk = async (directory) => {
+      let entries;
+      try {
+        entries = await fsPromises.readdir(directory, {withFileTypes: true});
+      } catch (error) {
+        return;
+      }
+      for (const entry of entries) {
+        const entryPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+          await walk(entryPath);
+        } else {
+          const name = path.relative(this.root, entryPath).split(path.sep).join("/");
+          if (name.startsWith(prefix)) {
+            files.push(this.file(name));
+          }
+        }
+      }
+    };
+    await walk(this.root);
+    return [files];
+  }
+}
+
+const localBuckets = new Map();
+
+/**
+ * Get a bucket kept in a directory
+ * @param {Object} params - The parameters object
+ * @param {string} params.name - Bucket name
+ * @param {string} params.directory - Directory holding the local buckets
+ * @return {LocalBucket} The bucket
+ */
+function getLocalBucket({name, directory}) {
+  if (!localBuckets.has(name)) {
+    localBuckets.set(name, new LocalBucket(name, path.resolve(directory, "bucket", name)));
+  }
+  return localBuckets.get(name);
+}
+
+export {
+  getLocalBucket,
+};
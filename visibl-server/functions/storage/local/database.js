@@ -0,0 +1,268 @@
+/* eslint-disable require-jsdoc */
+/**
+ * @fileoverview In-memory stand-in for the Realtime Database client, used when LOCAL_BACKEND is set
+ * Implements what storage/realtimeDb/database.js uses: set, update, remove, get with the
+ * orderBy/equalTo/limit/range queries, and transactions. Like the Realtime Database, nulls
+ * and empty objects are not stored.
+ */
+
+/**
+ * Split a reference path into its keys
+ * @param {string} path - Reference path
+ * @return {Array<string>} Keys
+ */
+function pathKeys(path = "") {
+  return path.split("/").filter(Boolean);
+}
+
+/**
+ * Copy a value as the database stores it, dropping nulls, undefined and empty objects
+ * @param {*} value - Value to store
+ * @return {*} The stored value, null if nothing is stored
+ */
+function normalize(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value !== "object" || value instanceof Date) {
+    return value instanceof Date ? value.getTime() : value;
+  }
+  const entries = Object.entries(value)
+      .map(([key, item]) => [key, normalize(item)])
+      .filter(([, item]) => item !== null);
+  if (entries.length === 0) {
+    return null;
+  }
+  if (Array.isArray(value)) {
+    // Arrays keep their indexes as keys, and come back as arrays when read
+    const array = [];
+    entries.forEach(([key, item]) => {
+      array[key] = item;
+    });
+    return array;
+  }
+  return Object.fromEntries(entries);
+}
+
+/**
+ * Copy a stored value for a reader
+ * @param {*} value - Stored value
+ * @return {*} A copy
+ */
+function copy(value) {
+  return value === null || value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+class LocalDataSnapshot {
+  constructor(key, value) {
+    this.key = key;
+    this._value = value ?? null;
+  }
+
+  val() {
+    return copy(this._value);
+  }
+
+  exists() {
+    return this._value !== null;
+  }
+}
+
+class LocalReference {
+  constructor(db, path, query = {}) {
+    this._db = db;
+    this._keys = pathKeys(path);
+    this._query = query;
+    this.key = this._keys[this._keys.length - 1] ?? null;
+  }
+
+  get path() {
+    return this._keys.join("/");
+  }
+
+  _with(changes) {
+    return new LocalReference(this._db, this.path, {...this._query, ...changes});
+  }
+
+  orderByKey() {
+    return this._with({orderBy: {key: true}});
+  }
+
+  orderByChild(child) {
+    return this._with({orderBy: {child}});
+  }
+
+  orderByValue() {
+    return this._with({orderBy: {value: true}});
+  }
+
+  equalTo(value) {
+    return this._with({startAt: value, endAt: value});
+  }
+
+  startAt(value) {
+    return this._with({startAt: value});
+  }
+
+  startAfter(value) {
+    return this._with({startAfter: value});
+  }
+
+  endAt(value) {
+    return this._with({endAt: value});
+  }
+
+  limitToFirst(limit) {
+    return this._with({limitToFirst: limit});
+  }
+
+  limitToLast(limit) {
+    return this._with({limitToLast: limit});
+  }
+
+  child(path) {
+    return new LocalReference(this._db, `${this.path}/${path}`);
+  }
+
+  async get() {
+    const value = this._db._read(this._keys);
+    if (Object.keys(this._query).length === 0 || value === null || typeof value !== "object") {
+      return new LocalDataSnapshot(this.key, value);
+    }
+    return new LocalDataSnapshot(this.key, this._applyQuery(value));
+  }
+
+  async once() {
+    return this.get();
+  }
+
+  _applyQuery(value) {
+    const {orderBy = {key: true}, startAt, startAfter, endAt, limitToFirst, limitToLast} = this._query;
+    const sortValue = ([key, item]) => {
+      if (orderBy.key) {
+        return key;
+      }
+      if (orderBy.value) {
+        return item;
+      }
+      return pathKeys(orderBy.child).reduce((child, childKey) => child?.[childKey], item) ?? null;
+    };
+    const compare = (a, b) => {
+      if (a === b) {
+        return 0;
+      }
+      // Nulls sort first, then numbers, then strings, like the Realtime Database
+      const rank = (item) => item === null ? 0 : typeof item === "boolean" ? 1 : typeof item === "number" ? 2 : 3;
+      return rank(a) - rank(b) || (a < b ? -1 : 1);
+    };
+
+    let entries = Object.entries(value)
+        .sort((a, b) => compare(sortValue(a), sortValue(b)) || compare(a[0], b[0]));
+    if (startAt !== undefined) {
+      entries = entries.filter((entry) => compare(sortValue(entry), startAt) >= 0);
+    }
+    if (startAfter !== undefined) {
+      entries = entries.filter((entry) => compare(sortValue(entry), startAfter) > 0);
+    }
+    if (endAt !== undefined) {
+      entries = entries.filter((entry) => compare(sortValue(entry), endAt) <= 0);
+    }
+    if (limitToFirst) {
+      entries = entries.slice(0, limitToFirst);
+    }
+    if (limitToLast) {
+      entries = entries.slice(-limitToLast);
+    }
+    return entries.length > 0 ? Object.fromEntries(entries) : null;
+  }
+
+  async set(value) {
+    this._db._write(this._keys, normalize(value));
+  }
+
+  async update(values) {
+    for (const [path, value] of Object.entries(values)) {
+      this._db._write([...this._keys, ...pathKeys(path)], normalize(value));
+    }
+  }
+
+  async remove() {
+    this._db._write(this._keys, null);
+  }
+
+  async transaction(update) {
+    // The process is the only writer and nothing is awaited in between, so the update runs once
+    const current = this._db._read(this._keys);
+    const value = update(copy(current));
+    if (value === undefined) {
+      return {committed: false, snapshot: new LocalDataSnapshot(this.key, current)};
+    }
+    await this.set(value);
+    return {committed: true, snapshot: new LocalDataSnapshot(this.key, this._db._read(this._keys))};
+  }
+}
+
+/**
+ * In-memory Realtime Database
+ */
+class LocalDatabase {
+  constructor() {
+    this._root = null;
+  }
+
+  _read(keys) {
+    return keys.reduce((value, key) => value?.[key] ?? null, this._root);
+  }
+
+  _write(keys, value) {
+    if (keys.length === 0) {
+      this._root = value;
+      return;
+    }
+    if (!this._root || typeof this._root !== "object") {
+      this._root = {};
+    }
+    const parents = [this._root];
+    for (const key of keys.slice(0, -1)) {
+      const target = parents[parents.length - 1];
+      if (!target[key] || typeof target[key] !== "object") {
+        target[key] = {};
+      }
+      parents.push(target[key]);
+    }
+    const last = keys[keys.length - 1];
+    if (value !== null) {
+      parents[parents.length - 1][last] = value;
+      return;
+    }
+    delete parents[parents.length - 1][last];
+    // Removing a value can leave empty parents behind, which the database would not store
+    for (let depth = parents.length - 1; depth > 0 && Object.keys(parents[depth]).length === 0; depth--) {
+      delete parents[depth - 1][keys[depth - 1]];
+    }
+    if (Object.keys(this._root).length === 0) {
+      this._root = null;
+    }
+  }
+
+  ref(path) {
+    return new LocalReference(this, path);
+  }
+}
+
+let localDatabase = null;
+
+/**
+ * Get the in-memory Realtime Database of this process
+ * @return {LocalDatabase} The database
+ */
+function getLocalDatabase() {
+  if (!localDatabase) {
+    localDatabase = new LocalDatabase();
+  }
+  return localDatabase;
+}
+
+export {
+  getLocalDatabase,
+};
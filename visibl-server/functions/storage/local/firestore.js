@@ -0,0 +1,544 @@
+/* eslint-disable require-jsdoc */
+/**
+ * @fileoverview In-memory stand-in for the Firestore client, used when LOCAL_BACKEND is set
+ * Implements the part of the Firestore API the storage modules use: documents, collections,
+ * queries with where, orderBy and limit, count aggregates, write batches, transactions and
+ * the FieldValue transforms. Data lives in this process only and is lost when it exits.
+ */
+
+const TRANSACTION_ATTEMPTS = 5;
+
+/**
+ * Sentinel for a FieldValue transform, applied when the write is committed
+ */
+class LocalFieldTransform {
+  /**
+   * @param {string} kind - increment, arrayUnion, arrayRemove, delete or serverTimestamp
+   * @param {*} [operand] - Amount to increment by, or the array elements
+   */
+  constructor(kind, operand) {
+    this.kind = kind;
+    this.operand = operand;
+  }
+}
+
+const LocalFieldValue = {
+  increment: (amount) => new LocalFieldTransform("increment", amount),
+  arrayUnion: (...elements) => new LocalFieldTransform("arrayUnion", elements),
+  arrayRemove: (...elements) => new LocalFieldTransform("arrayRemove", elements),
+  delete: () => new LocalFieldTransform("delete"),
+  serverTimestamp: () => new LocalFieldTransform("serverTimestamp"),
+};
+
+/**
+ * Copy plain objects and arrays, keep anything else (Timestamps, Buffers) as is
+ * @param {*} value - Value to copy
+ * @return {*} The copy
+ */
+function clone(value) {
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (value && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+}
+
+/**
+ * Read a field by dotted path
+ * @param {Object} data - Document data
+ * @param {string} fieldPath - Field path, e.g. params.batchId
+ * @return {*} The value, undefined if missing
+ */
+function getField(data, fieldPath) {
+  return fieldPath.split(".").reduce((value, key) => value?.[key], data);
+}
+
+/**
+ * Compare two field values the way Firestore orders them, closely enough for local runs
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @return {number} Negative, zero or positive
+ */
+function compareValues(a, b) {
+  if (a === b) {
+    return 0;
+  }
+  if (a === null || a === undefined) {
+    return -1;
+  }
+  if (b === null || b === undefined) {
+    return 1;
+  }
+  const left = typeof a.toMillis === "function" ? a.toMillis() : a;
+  const right = typeof b.toMillis === "function" ? b.toMillis() : b;
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+/**
+ * Check whether a document matches a where filter
+ * @param {Object} data - Document data
+ * @param {Object} filter - {field, op, value}
+ * @return {boolean} True if it matches
+ */
+function matchesFilter(data, {field, op, value}) {
+  const fieldValue = getField(data, field);
+  switch (op) {
+    case "==":
+      return compareValues(fieldValue, value) === 0 && (fieldValue !== undefined || value === undefined);
+    case "!=":
+      return fieldValue !== undefined && fieldValue !== null && compareValues(fieldValue, value) !== 0;
+    case "<":
+      return fieldValue !== undefined && compareValues(fieldValue, value) < 0;
+    case "<=":
+      return fieldValue !== undefined && compareValues(fieldValue, value) <= 0;
+    case ">":
+      return fieldValue !== undefined && compareValues(fieldValue, value) > 0;
+    case ">=":
+      return fieldValue !== undefined && compareValues(fieldValue, value) >= 0;
+    case "in":
+      return value.some((item) => compareValues(fieldValue, item) === 0);
+    case "not-in":
+      return fieldValue !== undefined && fieldValue !== null && !value.some((item) => compareValues(fieldValue, item) === 0);
+    case "array-contains":
+      return Array.isArray(fieldValue) && fieldValue.some((item) => compareValues(item, value) === 0);
+    case "array-contains-any":
+      return Array.isArray(fieldValue) && fieldValue.some((item) => value.some((wanted) => compareValues(item, wanted) === 0));
+    default:
+      throw new Error(`Local Firestore does not support the ${op} operator`);
+  }
+}
+
+/**
+ * Apply a value to a field of an object, resolving transforms against the current value
+ * @param {Object} target - Object holding the field, modified in place
+ * @param {string} key - Field name
+ * @param {*} value - Value or LocalFieldTransform
+ */
+function applyValue(target, key, value) {
+  if (!(value instanceof LocalFieldTransform)) {
+    target[key] = resolveTransforms(value);
+    return;
+  }
+  const current = target[key];
+  switch (value.kind) {
+    case "delete":
+      delete target[key];
+      break;
+    case "increment":
+      target[key] = (typeof current === "number" ? current : 0) + value.operand;
+      break;
+    case "arrayUnion":
+      target[key] = [...(Array.isArray(current) ? current : [])];
+      for (const element of value.operand) {
+        if (!target[key].some((item) => JSON.stringify(item) === JSON.stringify(element))) {
+          target[key].push(clone(element));
+        }
+      }
+      break;
+    case "arrayRemove":
+      target[key] = (Array.isArray(current) ? current : [])
+          .filter((item) => !value.operand.some((element) => JSON.stringify(item) === JSON.stringify(element)));
+      break;
+    case "serverTimestamp":
+      target[key] = new Date();
+      break;
+  }
+}
+
+/**
+ * Apply a value to a dotted field path, as update does
+ * @param {Object} data - Document data, modified in place
+ * @param {string} fieldPath - Field path
+ * @param {*} value - Value or LocalFieldTransform
+ */
+function setField(data, fieldPath, value) {
+  const keys = fieldPath.split(".");
+  const last = keys.pop();
+  let target = data;
+  for (const key of keys) {
+    if (!target[key] || typeof target[key] !== "object") {
+      target[key] = {};
+    }
+    target = target[key];
+  }
+  applyValue(target, last, value);
+}
+
+/**
+ * Resolve transforms nested in a value being written, dropping deletes
+ * @param {*} value - Value to write
+ * @return {*} The value to store
+ */
+function resolveTransforms(value) {
+  if (value instanceof LocalFieldTransform) {
+    const holder = {};
+    applyValue(holder, "value", value);
+    return holder.value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(resolveTransforms);
+  }
+  if (value && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype) {
+    const resolved = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (item instanceof LocalFieldTransform) {
+        applyValue(resolved, key, item);
+      } else if (item !== undefined) {
+        resolved[key] = resolveTransforms(item);
+      }
+    }
+    return resolved;
+  }
+  return value;
+}
+
+/**
+ * Merge data into a document the way set with merge does, nested maps are merged
+ * @param {Object} target - Current document data, modified in place
+ * @param {Object} data - Data to merge
+ */
+function mergeInto(target, data) {
+  for (const [key, value] of Object.entries(data)) {
+    if (value === undefined) {
+      continue;
+    }
+    const isMap = value && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype;
+    if (isMap && target[key] && typeof target[key] === "object" && !Array.isArray(target[key])) {
+      mergeInto(target[key], value);
+    } else {
+      applyValue(target, key, value);
+    }
+  }
+}
+
+class LocalDocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+  }
+
+  data() {
+    return this.exists ? clone(this._data) : undefined;
+  }
+
+  get(fieldPath) {
+    return this.exists ? clone(getField(this._data, fieldPath)) : undefined;
+  }
+}
+
+class LocalQuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+class LocalQuery {
+  constructor(db, collectionPath, {filters = [], orders = [], limit = null, limitToLast = false} = {}) {
+    this._db = db;
+    this._collectionPath = collectionPath;
+    this._filters = filters;
+    this._orders = orders;
+    this._limit = limit;
+    this._limitToLast = limitToLast;
+  }
+
+  _with(changes) {
+    return new LocalQuery(this._db, this._collectionPath, {
+      filters: this._filters,
+      orders: this._orders,
+      limit: this._limit,
+      limitToLast: this._limitToLast,
+      ...changes,
+    });
+  }
+
+  where(field, op, value) {
+    return this._with({filters: [...this._filters, {field, op, value}]});
+  }
+
+  orderBy(field, direction = "asc") {
+    return this._with({orders: [...this._orders, {field, direction}]});
+  }
+
+  limit(limit) {
+    return this._with({limit, limitToLast: false});
+  }
+
+  limitToLast(limit) {
+    return this._with({limit, limitToLast: true});
+  }
+
+  count() {
+    return {
+      get: async () => {
+        const snapshot = await this._with({limit: null}).get();
+        return {data: () => ({count: snapshot.size})};
+      },
+    };
+  }
+
+  _run() {
+    const documents = this._db._collection(this._collectionPath);
+    let matches = [...documents.entries()]
+        .filter(([, stored]) => this._filters.every((filter) => matchesFilter(stored.data, filter)))
+        // Firestore leaves out documents without the fields they are ordered by
+        .filter(([, stored]) => this._orders.every(({field}) => getField(stored.data, field) !== undefined));
+    if (this._orders.length > 0) {
+      matches.sort(([, a], [, b]) => {
+        for (const {field, direction} of this._orders) {
+          const order = compareValues(getField(a.data, field), getField(b.data, field));
+          if (order !== 0) {
+            return direction === "desc" ? -order : order;
+          }
+        }
+        return 0;
+      });
+    }
+    if (this._limit !== null) {
+      matches = this._limitToLast ? matches.slice(-this._limit) : matches.slice(0, this._limit);
+    }
+    return matches.map(([id, stored]) => ({ref: new LocalDocumentReference(this._db, `${this._collectionPath}/${id}`), stored}));
+  }
+
+  async get() {
+    return new LocalQuerySnapshot(this._run().map(({ref, stored}) => new LocalDocumentSnapshot(ref, stored.data)));
+  }
+}
+
+class LocalCollectionReference extends LocalQuery {
+  constructor(db, path) {
+    super(db, path);
+    this.path = path;
+    this.id = path.split("/").pop();
+  }
+
+  doc(id) {
+    const docId = id || Math.random().toString(36).substring(2, 12) + Date.now().toString(36);
+    return new LocalDocumentReference(this._db, `${this.path}/${docId}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+class LocalDocumentReference {
+  constructor(db, path) {
+    this._db = db;
+    this.path = path;
+    const parts = path.split("/");
+    this.id = parts.pop();
+    this.parent = new LocalCollectionReference(db, parts.join("/"));
+  }
+
+  collection(name) {
+    return new LocalCollectionReference(this._db, `${this.path}/${name}`);
+  }
+
+  async get() {
+    return this._db._snapshot(this);
+  }
+
+  async set(data, options) {
+    this._db._write([{type: "set", ref: this, data, options}]);
+  }
+
+  async update(data) {
+    this._db._write([{type: "update", ref: this, data}]);
+  }
+
+  async create(data) {
+    this._db._write([{type: "create", ref: this, data}]);
+  }
+
+  async delete() {
+    this._db._write([{type: "delete", ref: this}]);
+  }
+}
+
+class LocalWriteBatch {
+  constructor(db) {
+    this._db = db;
+    this._writes = [];
+  }
+
+  set(ref, data, options) {
+    this._writes.push({type: "set", ref, data, options});
+    return this;
+  }
+
+  update(ref, data) {
+    this._writes.push({type: "update", ref, data});
+    return this;
+  }
+
+  create(ref, data) {
+    this._writes.push({type: "create", ref, data});
+    return this;
+  }
+
+  delete(ref) {
+    this._writes.push({type: "delete", ref});
+    return this;
+  }
+
+  async commit() {
+    this._db._write(this._writes);
+    return [];
+  }
+}
+
+class LocalTransaction extends LocalWriteBatch {
+  constructor(db) {
+    super(db);
+    this._reads = new Map();
+  }
+
+  _recordRead(ref) {
+    if (!this._reads.has(ref.path)) {
+      this._reads.set(ref.path, this._db._version(ref));
+    }
+  }
+
+  async get(refOrQuery) {
+    if (refOrQuery instanceof LocalDocumentReference) {
+      this._recordRead(refOrQuery);
+      return this._db._snapshot(refOrQuery);
+    }
+    const matches = refOrQuery._run();
+    matches.forEach(({ref}) => this._recordRead(ref));
+    return new LocalQuerySnapshot(matches.map(({ref, stored}) => new LocalDocumentSnapshot(ref, stored.data)));
+  }
+
+  async getAll(...refs) {
+    return Promise.all(refs.map((ref) => this.get(ref)));
+  }
+
+  _isStale() {
+    return [...this._reads.entries()].some(([path, version]) =>
+      this._db._version(new LocalDocumentReference(this._db, path)) !== version);
+  }
+}
+
+/**
+ * In-memory Firestore database
+ */
+class LocalFirestore {
+  constructor() {
+    this._collections = new Map();
+  }
+
+  _collection(path) {
+    if (!this._collections.has(path)) {
+      this._collections.set(path, new Map());
+    }
+    return this._collections.get(path);
+  }
+
+  _stored(ref) {
+    return this._collection(ref.parent.path).get(ref.id);
+  }
+
+  _version(ref) {
+    return this._stored(ref)?.version ?? 0;
+  }
+
+  _snapshot(ref) {
+    return new LocalDocumentSnapshot(ref, this._stored(ref)?.data);
+  }
+
+  _write(writes) {
+    // Check every write before applying any, so a failed batch leaves nothing behind
+    for (const write of writes) {
+      const exists = this._stored(write.ref) !== undefined;
+      if (write.type === "create" && exists) {
+        throw Object.assign(new Error(`Document already exists: ${write.ref.path}`), {code: 6});
+      }
+      if (write.type === "update" && !exists) {
+        throw Object.assign(new Error(`No document to update: ${write.ref.path}`), {code: 5});
+      }
+    }
+    for (const write of writes) {
+      const documents = this._collection(write.ref.parent.path);
+      const stored = documents.get(write.ref.id);
+      const version = (stored?.version ?? 0) + 1;
+      if (write.type === "delete") {
+        documents.delete(write.ref.id);
+        continue;
+      }
+      let data;
+      if (write.type === "update") {
+        data = clone(stored.data);
+        for (const [fieldPath, value] of Object.entries(write.data)) {
+          setField(data, fieldPath, value);
+        }
+      } else if (write.options?.merge && stored) {
+        data = clone(stored.data);
+        mergeInto(data, write.data);
+      } else {
+        data = resolveTransforms(clone(write.data));
+      }
+      documents.set(write.ref.id, {data, version});
+    }
+  }
+
+  collection(path) {
+    return new LocalCollectionReference(this, path);
+  }
+
+  doc(path) {
+    return new LocalDocumentReference(this, path);
+  }
+
+  batch() {
+    return new LocalWriteBatch(this);
+  }
+
+  async runTransaction(updateFunction) {
+    for (let attempt = 1; ; attempt++) {
+      const transaction = new LocalTransaction(this);
+      const result = await updateFunction(transaction);
+      if (!transaction._isStale()) {
+        this._write(transaction._writes);
+        return result;
+      }
+      if (attempt >= TRANSACTION_ATTEMPTS) {
+        throw Object.assign(new Error("Transaction contention, too many attempts"), {code: 10});
+      }
+    }
+  }
+
+  async getAll(...refs) {
+    return refs.map((ref) => this._snapshot(ref));
+  }
+}
+
+let localFirestore = null;
+
+/**
+ * Get the in-memory Firestore of this process
+ * @return {LocalFirestore} The database
+ */
+function getLocalFirestore() {
+  if (!localFirestore) {
+    localFirestore = new LocalFirestore();
+  }
+  return localFirestore;
+}
+
+export {
+  getLocalFirestore,
+  LocalFieldValue,
+};
@@ -5,9 +5,9 @@ import {getGraphFirestore} from "../firestore/graph.js";
 import {
   transcriptionSteps,
   transcriptionStatusMessages,
-  pipelineStepsV01,
   graphStatusMessages,
 } from "../../graph/config.js";
+import StepRegistry from "../../graph/StepRegistry.js";
 
 
 /**
@@ -119,7 +119,9 @@ class CatalogueProgressTracker {
    * @return {Object} Object with stepProgress, currentStep, and description
    */
   calculateGraphStepProgress(graphItem) {
-    const pipelineSteps = pipelineStepsV01;
+    // Step weights and descriptions are declared in the step registry of the graph's pipeline version
+    const registry = StepRegistry.getForVersion(graphItem.version || "v0.1");
+    const pipelineSteps = registry ? registry.getProgressSteps() : {};
     const totalWeight = Object.values(pipelineSteps).reduce((sum, step) => sum + step.weight, 0);
     let completedWeight = 0;
     let currentStep = "initializing";
@@ -142,12 +144,12 @@ class CatalogueProgressTracker {
       completedWeight = totalWeight;
     }
 
-    const stepProgress = Math.round((completedWeight / totalWeight) * 100);
+    const stepProgress = totalWeight > 0 ? Math.round((completedWeight / totalWeight) * 100) : 0;
 
     let description = graphStatusMessages.initializing;
     if (currentStep === "complete") {
       description = graphStatusMessages.complete;
-    } else if (currentStep && pipelineSteps[currentStep]) {
+    } else if (currentStep && pipelineSteps[currentStep]?.description) {
       description = pipelineSteps[currentStep].description;
     } else if (currentStep && currentStep !== "initializing") {
       description = {en: currentStep};
@@ -129,6 +129,22 @@ async function catalogueGetAllRtdb({visibility = "public"}) {
   return Object.values(catalogue);
 }
 
+// Catalogue items whose fingerprinted length is in a range, e.g. the candidate duplicates of an upload
+async function catalogueGetByDurationRtdb({minDuration, maxDuration}) {
+  const catalogue = await getData({
+    ref: "catalogue",
+    query: {
+      orderByChild: "fingerprintData/totalDuration",
+      startAt: minDuration,
+      endAt: maxDuration,
+    },
+  });
+  if (!catalogue) {
+    return [];
+  }
+  return Object.values(catalogue);
+}
+
 async function catalogueDeleteRtdb(req) {
   const data = req.body;
   if (!data.id) {
@@ -288,6 +304,7 @@ async function filterNewSKUItemsForCatalogue({items}) {
 export {
   catalogueAddRtdb,
   catalogueGetAllRtdb,
+  catalogueGetByDurationRtdb,
   catalogueDeleteRtdb,
   catalogueUpdateRtdb,
   populateCatalogueWithAAXItems,
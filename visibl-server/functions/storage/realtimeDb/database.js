@@ -4,12 +4,17 @@
 import {getDatabase, getDatabaseWithUrl} from "firebase-admin/database";
 import logger from "../../util/logger.js";
 import app from "../../firebase.js";
+import {isLocalBackend} from "../backend.js";
+import {getLocalDatabase} from "../local/database.js";
 
 let dbGlobal = null;
 
 function getDb() {
   if (!dbGlobal) {
-    if (process.env.FIREBASE_DATABASE_EMULATOR_HOST) {
+    if (isLocalBackend()) {
+      logger.debug(`Using the in-process database`);
+      dbGlobal = getLocalDatabase();
+    } else if (process.env.FIREBASE_DATABASE_EMULATOR_HOST) {
       logger.debug(`Using database emulator with URL: ${process.env.FIREBASE_DATABASE_EMULATOR_HOST}?ns=visibl-rtdb-dev-default-rtdb`);
       dbGlobal = getDatabaseWithUrl(`http://${process.env.FIREBASE_DATABASE_EMULATOR_HOST}?ns=visibl-rtdb-dev-default-rtdb`);
     } else {
@@ -75,10 +80,25 @@ async function updateData({ref, data}) {
   await db.ref(ref).update(data);
 }
 
+/**
+ * Atomically update the data at a reference
+ * @param {Object} params - The parameters object
+ * @param {string} params.ref - Database reference
+ * @param {Function} params.update - Receives the current value, returns the new value or undefined to abort.
+ * May be called several times and with a stale value, so it must not have side effects.
+ * @return {Promise<Object>} {committed, value} with the value after the transaction
+ */
+async function transactData({ref, update}) {
+  const db = getDb();
+  const {committed, snapshot} = await db.ref(ref).transaction(update);
+  return {committed, value: snapshot.val()};
+}
+
 export {
   storeData,
   getData,
   deleteData,
   deleteAllData,
   updateData,
+  transactData,
 };
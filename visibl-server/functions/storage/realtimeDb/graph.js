@@ -2,6 +2,7 @@
 import {
   storeData,
   getData,
+  updateData,
 } from "./database.js";
 import {
   sanitizeFirebaseKey,
@@ -105,6 +106,36 @@ async function storeGraphLocationsRtdb({graphId, chapter, locationSummaries, loc
   });
 }
 
+/**
+ * Store graph objects in RTDB (supports both summarized and unsummarized)
+ * @param {Object} params - Parameters object
+ * @param {string} params.graphId - The graph ID
+ * @param {number} params.chapter - The chapter index
+ * @param {Object} params.objectSummaries - Object summaries to store
+ * @param {Object} params.objectUnsummarized - Unsummarized object descriptions (optional)
+ * @return {Promise<void>}
+ */
+async function storeGraphObjectsRtdb({graphId, chapter, objectSummaries, objectUnsummarized}) {
+  if (!graphId || chapter === undefined || chapter === null || !objectSummaries) {
+    throw new Error("graphId, chapter, and objectSummaries are required");
+  }
+
+  logger.debug(`Storing objects for graph ${graphId} chapter ${chapter} in RTDB`);
+
+  const structuredObjects = {};
+  for (const [objectName, description] of Object.entries(objectSummaries)) {
+    structuredObjects[sanitizeFirebaseKey({key: objectName})] = {
+      description: description, // Summarized description
+      unsummarizedDescription: objectUnsummarized?.[objectName] || null, // Raw description if provided
+    };
+  }
+
+  await storeData({
+    ref: graphDataToDbRef({graphId, type: "objects", chapter}),
+    data: sanitizeObjectKeys(structuredObjects),
+  });
+}
+
 /**
  * Store character images by updating existing character entries
  * @param {Object} params - Parameters object
@@ -185,6 +216,38 @@ async function storeGraphLocationImagesRtdb({graphId, chapter, locationImages})
   });
 }
 
+/**
+ * Update the descriptions of a single character or location without touching
+ * the other entities of the chapter
+ * @param {Object} params - Parameters object
+ * @param {string} params.graphId - The graph ID
+ * @param {number} params.chapter - The chapter index
+ * @param {string} params.type - "characters" or "locations"
+ * @param {string} params.name - The entity name
+ * @param {string} params.description - Summarized description
+ * @param {string} [params.unsummarizedDescription] - Raw description
+ * @return {Promise<void>}
+ */
+async function updateGraphEntityRtdb({graphId, chapter, type, name, description, unsummarizedDescription}) {
+  if (!graphId || chapter === undefined || chapter === null || !name) {
+    throw new Error("graphId, chapter, and name are required");
+  }
+  if (type !== "characters" && type !== "locations") {
+    throw new Error(`Unknown graph entity type ${type}`);
+  }
+
+  logger.debug(`Updating ${type} ${name} for graph ${graphId} chapter ${chapter} in RTDB`);
+
+  const sanitizedName = sanitizeFirebaseKey({key: name});
+  await updateData({
+    ref: `${graphDataToDbRef({graphId, type, chapter})}/${sanitizedName}`,
+    data: {
+      description,
+      unsummarizedDescription: unsummarizedDescription || null,
+    },
+  });
+}
+
 /**
  * Get graph characters from RTDB (returns full structure with description and image)
  * @param {Object} params - Parameters object
@@ -219,12 +282,32 @@ async function getGraphLocationsRtdb({graphId, chapter}) {
   });
 }
 
+/**
+ * Get graph objects from RTDB
+ * @param {Object} params - Parameters object
+ * @param {string} params.graphId - The graph ID
+ * @param {number} params.chapter - The chapter index
+ * @return {Promise<Object|null>} Objects with structure {objectName: {description}} or null if not found
+ */
+async function getGraphObjectsRtdb({graphId, chapter}) {
+  if (!graphId || chapter === undefined || chapter === null) {
+    throw new Error("graphId and chapter are required");
+  }
+
+  return await getData({
+    ref: graphDataToDbRef({graphId, type: "objects", chapter}),
+  });
+}
+
 export {
   storeGraphCharactersRtdb,
   storeGraphLocationsRtdb,
+  storeGraphObjectsRtdb,
   storeGraphCharacterImagesRtdb,
   storeGraphLocationImagesRtdb,
+  updateGraphEntityRtdb,
   getGraphCharactersRtdb,
   getGraphLocationsRtdb,
+  getGraphObjectsRtdb,
   getGraphDataRtdb,
 };
@@ -0,0 +1,32 @@
+/* eslint-disable require-jsdoc */
+import handleSceneImagePostProcessing from "./handleSceneImagePostProcessing.js";
+import handleCharacterImagePostProcessing from "./handleCharacterImagePostProcessing.js";
+import handleLocationImagePostProcessing from "./handleLocationImagePostProcessing.js";
+import handleCoverArtPostProcessing from "./handleCoverArtPostProcessing.js";
+
+/**
+ * Run the post-processing hook matching the type of an image queue entry.
+ * Shared by every image provider so rerouted entries land in the same place.
+ * @param {Object} entry - The queue entry
+ * @param {Object} resultObj - The result object containing the image URL
+ * @return {Promise<void>}
+ */
+export default async function handleImagePostProcessing(entry, resultObj) {
+  switch (entry.params?.type) {
+    case "sceneImage":
+      await handleSceneImagePostProcessing(entry, resultObj);
+      break;
+    case "character":
+    case "character-profile":
+      await handleCharacterImagePostProcessing(entry, resultObj);
+      break;
+    case "location":
+      await handleLocationImagePostProcessing(entry, resultObj);
+      break;
+    case "coverArt":
+      await handleCoverArtPostProcessing(entry, resultObj);
+      break;
+    default:
+      break;
+  }
+}
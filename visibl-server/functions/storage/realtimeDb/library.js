@@ -112,8 +112,13 @@ async function libraryAddItemRtdb({uid, data}) {
     }
   }
 
-  // If public or custom upload, set m4b urls
-  if (catalogueItem.visibility === "public" || catalogueItem.isCustomUpload) {
+  // Text-only books have no audio, the client reads their timed text from the transcriptions
+  if (catalogueItem.mediaType === "text") {
+    newItem.content.text = {
+      urlGcp: await getPublicUrl({path: `Catalogue/Custom/Processed/${sku}/${sku}-transcriptions.json`}),
+    };
+  } else if (catalogueItem.visibility === "public" || catalogueItem.isCustomUpload) {
+    // If public or custom upload, set m4b urls
     newItem.content.m4b = {
       url: getCDNM4bUrl({sku}),
       urlGcp: await getGcpM4bUrl({sku}),
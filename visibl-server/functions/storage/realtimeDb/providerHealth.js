@@ -0,0 +1,72 @@
+/* eslint-disable require-jsdoc */
+import {ServerValue} from "firebase-admin/database";
+import {getData, updateData} from "./database.js";
+
+// Results are counted in one minute buckets, so the window can slide without rewriting counters
+const BUCKET_SIZE = 60000;
+
+/**
+ * Convert a provider name to its health reference
+ * @param {Object} params - The parameters object
+ * @param {string} params.provider - Name of the provider queue
+ * @return {string} Provider health reference
+ */
+function providerHealthToRef({provider}) {
+  return `providerHealth/${provider}`;
+}
+
+/**
+ * Count a success or error for a provider in the current bucket
+ * @param {Object} params - The parameters object
+ * @param {string} params.provider - Name of the provider queue
+ * @param {boolean} params.success - Whether the request succeeded
+ * @return {Promise<void>}
+ */
+async function recordProviderResult({provider, success}) {
+  const bucket = Math.floor(Date.now() / BUCKET_SIZE) * BUCKET_SIZE;
+  await updateData({
+    ref: `${providerHealthToRef({provider})}/${bucket}`,
+    data: {[success ? "success" : "error"]: ServerValue.increment(1)},
+  });
+}
+
+/**
+ * Get a provider's results over the window, removing buckets that fell out of it
+ * @param {Object} params - The parameters object
+ * @param {string} params.provider - Name of the provider queue
+ * @param {number} params.windowSize - Window in milliseconds
+ * @return {Promise<Object>} {successes, errors, total, errorRate}
+ */
+async function getProviderHealth({provider, windowSize}) {
+  const now = Date.now();
+  const buckets = await getData({ref: providerHealthToRef({provider})}) || {};
+  const stale = {};
+  let successes = 0;
+  let errors = 0;
+
+  for (const [bucket, counts] of Object.entries(buckets)) {
+    if (parseInt(bucket, 10) + BUCKET_SIZE < now - windowSize) {
+      stale[bucket] = null;
+      continue;
+    }
+    successes += counts?.success || 0;
+    errors += counts?.error || 0;
+  }
+
+  if (Object.keys(stale).length > 0) {
+    await updateData({ref: providerHealthToRef({provider}), data: stale});
+  }
+
+  const total = successes + errors;
+  return {
+    successes,
+    errors,
+    total,
+    errorRate: total > 0 ? errors / total : 0,
+  };
+}
+
+export {
+  recordProviderResult,
+  getProviderHealth,
+};
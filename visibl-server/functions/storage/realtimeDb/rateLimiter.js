@@ -1,5 +1,5 @@
 /* eslint-disable require-jsdoc */
-import {storeData, getData} from "./database.js";
+import {storeData, getData, transactData} from "./database.js";
 import logger from "../../util/logger.js";
 
 /**
@@ -34,23 +34,194 @@ async function getRateLimiter({serviceName}) {
   return await getData({ref: dbRef});
 }
 
+// The window is split into slots. Usage is counted per slot, so the window slides one slot
+// at a time and the oldest slot is weighted by how much of it is still inside the window.
+const WINDOW_SLOTS = 10;
+
+// Adaptive limits: when a provider rate limits us the effective limit is cut by THROTTLE_DECREASE,
+// down to THROTTLE_MIN_FACTOR of the configured limit, and recovers by THROTTLE_RECOVERY_PER_MINUTE
+// of the configured limit every minute. Rate limit errors within THROTTLE_COOLDOWN of a cut are
+// from requests already in flight and only extend the pause.
+const THROTTLE_DECREASE = 0.5;
+const THROTTLE_MIN_FACTOR = 0.1;
+const THROTTLE_RECOVERY_PER_MINUTE = 0.05;
+const THROTTLE_COOLDOWN = 10000;
+
 /**
  * Rate limiter class for managing AI service rate limits
+ * Uses a sliding window updated in database transactions, so limiters on different
+ * instances share one consistent count. Capacity can be reserved before a call and
+ * the unused part refunded after it. The effective limits drop when the provider
+ * rate limits us and recover over time.
  */
 class RateLimiter {
   /**
    * @param {Object} params - The parameters object
    * @param {string} params.serviceName - Name of the AI service (e.g., 'openai', 'gemini')
    * @param {Object} params.options - Rate limit configuration
-   * @param {number} params.options.maxTokens - Maximum tokens allowed per window
+   * @param {number} [params.options.maxTokens] - Maximum tokens allowed per window, unlimited if not set
    * @param {number} params.options.maxRequests - Maximum requests allowed per window
    * @param {number} params.options.windowSize - Time window in milliseconds
    */
   constructor({serviceName, options}) {
     this.serviceName = serviceName;
-    this.maxTokens = options.maxTokens;
+    this.maxTokens = options.maxTokens ?? Infinity;
     this.maxRequests = options.maxRequests;
     this.windowSize = options.windowSize;
+    this.slotSize = Math.max(1, Math.ceil(this.windowSize / WINDOW_SLOTS));
+  }
+
+  /**
+   * Get the slot a time falls in
+   * @param {number} time - Time in milliseconds
+   * @return {number} Start of the slot
+   */
+  slotOf(time) {
+    return Math.floor(time / this.slotSize) * this.slotSize;
+  }
+
+  /**
+   * Sum the usage of the slots inside the window. Slots that left the window are removed
+   * from the returned slots, the slot on the window edge counts for the part still inside.
+   * @param {Object} data - Stored rate limiter data {slots: {slotStart: {tokens, requests}}}
+   * @param {number} now - Current time in milliseconds
+   * @return {Object} {tokens, requests, slots, oldestSlot}
+   */
+  windowUsage(data, now) {
+    const windowStart = now - this.windowSize;
+    const slots = {};
+    let tokens = 0;
+    let requests = 0;
+    let oldestSlot = null;
+
+    for (const [key, usage] of Object.entries(data?.slots || {})) {
+      const slotStart = parseInt(key, 10);
+      const slotEnd = slotStart + this.slotSize;
+      if (slotEnd <= windowStart) {
+        continue;
+      }
+      const weight = slotStart < windowStart ? (slotEnd - windowStart) / this.slotSize : 1;
+      tokens += (usage?.tokens || 0) * weight;
+      requests += (usage?.requests || 0) * weight;
+      slots[key] = usage;
+      if (oldestSlot === null || slotStart < oldestSlot) {
+        oldestSlot = slotStart;
+      }
+    }
+
+    return {tokens, requests, slots, oldestSlot};
+  }
+
+  /**
+   * Get the share of the configured limits currently allowed, recovering since the last throttle
+   * @param {Object} throttle - Stored throttle {factor, time, until}
+   * @param {number} now - Current time in milliseconds
+   * @return {number} Factor between THROTTLE_MIN_FACTOR and 1
+   */
+  throttleFactor(throttle, now) {
+    if (!throttle) {
+      return 1;
+    }
+    return Math.min(1, throttle.factor + THROTTLE_RECOVERY_PER_MINUTE * (now - throttle.time) / 60000);
+  }
+
+  /**
+   * Get the limits in effect after throttling
+   * @param {Object} data - Stored rate limiter data
+   * @param {number} now - Current time in milliseconds
+   * @return {Object} {maxTokens, maxRequests, factor, throttledUntil} throttledUntil is null unless paused
+   */
+  effectiveLimits(data, now) {
+    const factor = this.throttleFactor(data?.throttle, now);
+    const until = data?.throttle?.until;
+    return {
+      maxTokens: this.maxTokens * factor,
+      maxRequests: Math.max(1, Math.floor(this.maxRequests * factor)),
+      factor,
+      throttledUntil: until > now ? until : null,
+    };
+  }
+
+  /**
+   * Build the data to store, keeping the throttle state
+   * @param {Object} data - Stored rate limiter data
+   * @param {Object} slots - Slots to store
+   * @param {Object} [throttle] - Throttle to store, defaults to the stored one
+   * @return {Object} Rate limiter data
+   */
+  toStoredData(data, slots, throttle = data?.throttle) {
+    return throttle ? {slots, throttle} : {slots};
+  }
+
+  /**
+   * Add usage to the current slot in a transaction
+   * @param {Object} params - The parameters object
+   * @param {number} params.tokens - Tokens to add, negative to refund
+   * @param {number} params.requests - Requests to add, negative to refund
+   * @param {number} [params.slot] - Slot to add to, defaults to the current slot
+   * @param {boolean} [params.enforceLimit=false] - Abort if the usage would exceed the limits
+   * @param {boolean} [params.existingSlot=false] - Add nothing if the slot has no usage left in the window
+   * @return {Promise<boolean>} True if the usage was added
+   */
+  async addUsage({tokens, requests, slot, enforceLimit = false, existingSlot = false}) {
+    // The update runs again whenever the data changed under it, only its last run is committed
+    let added = false;
+    const {committed} = await transactData({
+      ref: ratelimiterToRef({serviceName: this.serviceName}),
+      update: (data) => {
+        added = false;
+        const now = Date.now();
+        const usage = this.windowUsage(data, now);
+        if (enforceLimit) {
+          const limits = this.effectiveLimits(data, now);
+          if (limits.throttledUntil || usage.tokens + tokens > limits.maxTokens || usage.requests + requests > limits.maxRequests) {
+            return undefined;
+          }
+        }
+        const key = String(slot ?? this.slotOf(now));
+        if (!usage.slots[key]) {
+          if (existingSlot) {
+            // Commit the data unchanged, aborting would also abort when the first run sees
+            // the empty local cache instead of the stored slots
+            return data;
+          }
+          usage.slots[key] = {tokens: 0, requests: 0};
+        }
+        usage.slots[key] = {
+          tokens: Math.max(0, (usage.slots[key].tokens || 0) + tokens),
+          requests: Math.max(0, (usage.slots[key].requests || 0) + requests),
+        };
+        added = true;
+        return this.toStoredData(data, usage.slots);
+      },
+    });
+    return committed && added;
+  }
+
+  /**
+   * Lower the effective limits after the provider rate limited a request, and pause
+   * reservations until the provider's retry time
+   * @param {Object} params - The parameters object
+   * @param {number} params.retryAfter - Milliseconds the provider asked us to wait
+   * @return {Promise<Object>} {factor, until} the throttle now in effect
+   */
+  async throttle({retryAfter}) {
+    const {value} = await transactData({
+      ref: ratelimiterToRef({serviceName: this.serviceName}),
+      update: (data) => {
+        const now = Date.now();
+        const current = data?.throttle;
+        const until = Math.max(current?.until || 0, now + retryAfter);
+        // Requests sent before the last cut are still coming back, don't cut again for them
+        const throttle = current && current.time > now - THROTTLE_COOLDOWN ?
+          {...current, until} :
+          {factor: Math.max(THROTTLE_MIN_FACTOR, this.throttleFactor(current, now) * THROTTLE_DECREASE), time: now, until};
+        return this.toStoredData(data, this.windowUsage(data, now).slots, throttle);
+      },
+    });
+    logger.warn(`Rate limited by provider for ${this.serviceName}, limits at ${Math.round(value.throttle.factor * 100)}%` +
+      ` and paused until ${new Date(value.throttle.until).toISOString()}`);
+    return {factor: value.throttle.factor, until: value.throttle.until};
   }
 
   /**
@@ -62,48 +233,66 @@ class RateLimiter {
   async wouldExceedLimit({tokens}) {
     const data = await getRateLimiter({serviceName: this.serviceName});
     const now = Date.now();
+    const usage = this.windowUsage(data, now);
+    const limits = this.effectiveLimits(data, now);
+    return Boolean(limits.throttledUntil) ||
+           (usage.tokens + tokens) > limits.maxTokens ||
+           (usage.requests + 1) > limits.maxRequests;
+  }
 
-    if (!data || data.windowStart < now - this.windowSize) {
-      return false;
+  /**
+   * Atomically reserve capacity before making requests
+   * @param {Object} params - The parameters object
+   * @param {number} params.tokens - Number of tokens to reserve
+   * @param {number} [params.requests=1] - Number of requests to reserve
+   * @return {Promise<Object|null>} Reservation {slot, tokens, requests} to refund from, null if it would exceed the limit
+   */
+  async reserve({tokens, requests = 1}) {
+    const slot = this.slotOf(Date.now());
+    try {
+      const committed = await this.addUsage({tokens, requests, slot, enforceLimit: true});
+      return committed ? {slot, tokens, requests} : null;
+    } catch (error) {
+      logger.error(`Error reserving capacity for ${this.serviceName}: ${error.message}`);
+      throw error;
     }
+  }
 
-    return (data.totalTokens + tokens) > this.maxTokens ||
-           (data.totalRequests + 1) > this.maxRequests;
+  /**
+   * Give back reserved capacity that was not used
+   * @param {Object} params - The parameters object
+   * @param {Object} params.reservation - Reservation returned by reserve
+   * @param {number} [params.tokens=0] - Unused tokens to give back
+   * @param {number} [params.requests=0] - Unused requests to give back
+   * @return {Promise<boolean>} True if the capacity was given back
+   */
+  async refund({reservation, tokens = 0, requests = 0}) {
+    if (!reservation || (tokens <= 0 && requests <= 0)) {
+      return false;
+    }
+    try {
+      // Once the reserved slot has left the window there is nothing to refund
+      const refunded = await this.addUsage({tokens: -tokens, requests: -requests, slot: reservation.slot, existingSlot: true});
+      if (!refunded) {
+        logger.debug(`Refund of ${tokens} tokens and ${requests} requests for ${this.serviceName} not applied, slot ${reservation.slot} left the window`);
+      }
+      return refunded;
+    } catch (error) {
+      logger.warn(`Error refunding capacity for ${this.serviceName}: ${error.message}`);
+      return false;
+    }
   }
 
   /**
    * Record token usage and request count for the service
    * @param {Object} params - The parameters object
    * @param {number} params.tokens - Number of tokens used
+   * @param {number} [params.requests=1] - Number of requests made
    * @return {Promise<void>}
    */
-  async recordUsage({tokens}) {
-    const now = Date.now();
-
+  async recordUsage({tokens, requests = 1}) {
     try {
-      const data = await getRateLimiter({serviceName: this.serviceName});
-
-      if (!data || data.windowStart < now - this.windowSize) {
-        // Start new window
-        await storeRateLimiter({
-          serviceName: this.serviceName,
-          data: {
-            windowStart: now,
-            totalTokens: tokens,
-            totalRequests: 1,
-          },
-        });
-      } else {
-        // Update current window
-        await storeRateLimiter({
-          serviceName: this.serviceName,
-          data: {
-            windowStart: data.windowStart,
-            totalTokens: data.totalTokens + tokens,
-            totalRequests: data.totalRequests + 1,
-          },
-        });
-      }
+      await this.addUsage({tokens, requests});
     } catch (error) {
       logger.error(`Error recording usage for ${this.serviceName}: ${error.message}`);
       throw error;
@@ -111,29 +300,27 @@ class RateLimiter {
   }
 
   /**
-   * Get current usage for the service
+   * Get current usage for the service, remaining capacity is against the effective limits
    * @return {Promise<Object>} Current usage statistics
    */
   async getUsage() {
     const data = await getRateLimiter({serviceName: this.serviceName});
     const now = Date.now();
-
-    if (!data || data.windowStart < now - this.windowSize) {
-      return {
-        currentUsage: 0,
-        currentRequests: 0,
-        remainingTokens: this.maxTokens,
-        remainingRequests: this.maxRequests,
-        resetTime: new Date(now + this.windowSize),
-      };
-    }
+    const usage = this.windowUsage(data, now);
+    const limits = this.effectiveLimits(data, now);
+    const paused = Boolean(limits.throttledUntil);
 
     return {
-      currentUsage: data.totalTokens,
-      currentRequests: data.totalRequests,
-      remainingTokens: Math.max(0, this.maxTokens - data.totalTokens),
-      remainingRequests: Math.max(0, this.maxRequests - data.totalRequests),
-      resetTime: new Date(data.windowStart + this.windowSize),
+      currentUsage: usage.tokens,
+      currentRequests: usage.requests,
+      remainingTokens: paused ? 0 : Math.max(0, limits.maxTokens - usage.tokens),
+      remainingRequests: paused ? 0 : Math.max(0, Math.floor(limits.maxRequests - usage.requests)),
+      effectiveMaxTokens: limits.maxTokens,
+      effectiveMaxRequests: limits.maxRequests,
+      throttleFactor: limits.factor,
+      throttledUntil: paused ? new Date(limits.throttledUntil) : null,
+      // The oldest slot is fully out of the window one window after it ends
+      resetTime: new Date(usage.oldestSlot === null ? now + this.windowSize : usage.oldestSlot + this.slotSize + this.windowSize),
     };
   }
 
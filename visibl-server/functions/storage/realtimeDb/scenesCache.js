@@ -157,13 +157,16 @@ async function storeChapterSceneInCache({sceneId, chapter, chapterScenes}) {
       // Add chapter number to each scene
       const sceneWithChapter = {...scene, chapter: parseInt(chapter)};
 
-      // Convert characters and locations objects to arrays if needed
+      // Convert characters, locations and objects maps to arrays if needed
       if (sceneWithChapter.characters && typeof sceneWithChapter.characters === "object" && !Array.isArray(sceneWithChapter.characters)) {
         sceneWithChapter.characters = Object.keys(sceneWithChapter.characters);
       }
       if (sceneWithChapter.locations && typeof sceneWithChapter.locations === "object" && !Array.isArray(sceneWithChapter.locations)) {
         sceneWithChapter.locations = Object.keys(sceneWithChapter.locations);
       }
+      if (sceneWithChapter.objects && typeof sceneWithChapter.objects === "object" && !Array.isArray(sceneWithChapter.objects)) {
+        sceneWithChapter.objects = Object.keys(sceneWithChapter.objects);
+      }
 
       return sceneWithChapter;
     });
@@ -19,6 +19,50 @@ export const userRateLimits = {
   },
 };
 
+/**
+ * Per user caps on queue entries processing at once, by queue name
+ * Entries without a uid and admin entries (catalogue defaults) are capped separately under system.
+ * A cap of 0 means uncapped.
+ */
+export const userQueueConcurrency = {
+  default: parseInt(process.env.USER_QUEUE_CONCURRENCY || "100", 10),
+  queues: {
+    bookImport: parseInt(process.env.USER_QUEUE_CONCURRENCY_BOOK_IMPORT || "2", 10),
+    transcription: parseInt(process.env.USER_QUEUE_CONCURRENCY_TRANSCRIPTION || "20", 10),
+    groq: parseInt(process.env.USER_QUEUE_CONCURRENCY_GROQ || "50", 10),
+    wavespeed: parseInt(process.env.USER_QUEUE_CONCURRENCY_WAVESPEED || "40", 10),
+    fal: parseInt(process.env.USER_QUEUE_CONCURRENCY_FAL || "40", 10),
+    imagerouter: parseInt(process.env.USER_QUEUE_CONCURRENCY_IMAGEROUTER || "40", 10),
+  },
+  system: parseInt(process.env.SYSTEM_QUEUE_CONCURRENCY || "0", 10),
+};
+
+// Queue entries of admin jobs, or without a uid, are scheduled and capped as this user
+export const SYSTEM_QUEUE_USER = "admin";
+
+/**
+ * Get the user a queue entry is scheduled as
+ * @param {Object} entry - Queue entry
+ * @return {string} The entry's uid, or SYSTEM_QUEUE_USER for admin and unattributed entries
+ */
+export function queueEntryUser(entry) {
+  return entry.uid || SYSTEM_QUEUE_USER;
+}
+
+/**
+ * Get how many entries of a user may be processing at once in a queue
+ * @param {Object} params - The parameters object
+ * @param {string} params.uid - User ID, SYSTEM_QUEUE_USER for admin and unattributed entries
+ * @param {string} params.queueName - Name of the queue
+ * @return {number} The cap, Infinity if uncapped
+ */
+export function userQueueConcurrencyLimit({uid, queueName}) {
+  const limit = uid === SYSTEM_QUEUE_USER ?
+    userQueueConcurrency.system :
+    userQueueConcurrency.queues[queueName] ?? userQueueConcurrency.default;
+  return limit > 0 ? limit : Infinity;
+}
+
 const _limiters = {};
 
 /**
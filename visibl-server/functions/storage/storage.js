@@ -12,8 +12,19 @@ import {catalogueGetRtdb} from "./realtimeDb/catalogue.js";
 import {isNetworkError} from "../util/errorHelper.js";
 import {uploadStreamToCloudflare} from "./cloudflare.js";
 import {PassThrough} from "stream";
+import {isLocalBackend, localBackendDir} from "./backend.js";
+import {getLocalBucket} from "./local/bucket.js";
 
-// Get a reference to the default storage bucket
+/**
+ * Get a reference to the default storage bucket, a local directory with LOCAL_BACKEND set
+ * @return {Bucket} The bucket
+ */
+function getBucket() {
+  if (isLocalBackend()) {
+    return getLocalBucket({name: STORAGE_BUCKET_ID.value() || "default", directory: localBackendDir()});
+  }
+  return getStorage(app).bucket(STORAGE_BUCKET_ID.value());
+}
 
 /**
  * Creates a folder in the default Firestore bucket with the name based on the UID
@@ -21,7 +32,7 @@ import {PassThrough} from "stream";
  */
 async function createUserFolder(params) {
   const {uid} = params;
-  const bucket = getStorage(app).bucket(STORAGE_BUCKET_ID.value());
+  const bucket = getBucket();
   const folderPath = `UserData/${uid}/`; // Folder path in the bucket
   const file = bucket.file(folderPath + ".placeholder"); // Create a placeholder file to establish the folder
 
@@ -45,7 +56,7 @@ async function createUserFolder(params) {
  */
 async function createCatalogueFolder(params) {
   const {catalogueId} = params;
-  const bucket = getStorage(app).bucket(STORAGE_BUCKET_ID.value());
+  const bucket = getBucket();
   const folderPath = `Catalogue/${catalogueId}/`;
   const file = bucket.file(folderPath + ".placeholder");
 
@@ -70,7 +81,7 @@ async function createCatalogueFolder(params) {
  */
 async function fileExists(params) {
   const {path} = params;
-  const bucket = getStorage(app).bucket(STORAGE_BUCKET_ID.value());
+  const bucket = getBucket();
   const file = bucket.file(path);
   const [exists] = await file.exists();
   return exists;
@@ -82,7 +93,7 @@ async function fileExists(params) {
  */
 async function deleteFile({path}) {
   try {
-    const bucket = getStorage(app).bucket(STORAGE_BUCKET_ID.value());
+    const bucket = getBucket();
     const file = bucket.file(path);
     await file.delete();
     return true;
@@ -94,7 +105,7 @@ async function deleteFile({path}) {
 
 const getFileStream = async (params) => {
   const {path} = params;
-  const bucket = getStorage(app).bucket(STORAGE_BUCKET_ID.value());
+  const bucket = getBucket();
   const file = bucket.file(path);
   const [exists] = await file.exists();
   if (!exists) {
@@ -105,7 +116,7 @@ const getFileStream = async (params) => {
 
 const makeFilePublic = async (params) => {
   const {path} = params;
-  const bucket = getStorage(app).bucket(STORAGE_BUCKET_ID.value());
+  const bucket = getBucket();
   const file = bucket.file(path);
   await file.makePublic();
   return file.publicUrl();
@@ -113,7 +124,7 @@ const makeFilePublic = async (params) => {
 
 const uploadStreamAndGetPublicLink = async (params) => {
   const {stream, filename} = params;
-  const bucket = getStorage(app).bucket(STORAGE_BUCKET_ID.value());
+  const bucket = getBucket();
   const file = bucket.file(filename);
   const blobStream = file.createWriteStream();
   stream.pipe(blobStream);
@@ -190,7 +201,7 @@ const uploadStreamAndGetCDNLink = async (params) => {
  */
 const getPublicLink = async (params) => {
   const {path} = params;
-  const bucket = getStorage(app).bucket(STORAGE_BUCKET_ID.value());
+  const bucket = getBucket();
   const file = bucket.file(path);
   const [exists] = await file.exists();
   if (!exists) {
@@ -217,13 +228,12 @@ const getPublicLink = async (params) => {
  * @return {Promise<Object>} A promise that resolves to the signed URL and public URL
  */
 const getSignedUrl = async ({path, method="read", expires=1000 * 60 * 60 * 24, contentType}) => {
-  const storage = getStorage(app);
   if (method === "write" && !contentType) {
     throw new Error("contentType is required for write method");
   }
 
   // Create the file reference early so it can be used in development mode
-  const bucket = storage.bucket(STORAGE_BUCKET_ID.value());
+  const bucket = getBucket();
   const file = bucket.file(path);
 
   // In development, we don't sign the URL, we use the storage proxy
@@ -256,7 +266,7 @@ const getSignedUrl = async ({path, method="read", expires=1000 * 60 * 60 * 24, c
  */
 async function storeJsonFile(params) {
   const {filename, data, metadata={}, retryCount = 0, maxRetries = 3} = params;
-  const bucket = getStorage(app).bucket(STORAGE_BUCKET_ID.value());
+  const bucket = getBucket();
   const file = bucket.file(filename);
   let jsonString;
   try {
@@ -351,7 +361,7 @@ async function getScene(params) {
 
 async function deleteSceneFiles(params) {
   const {sceneId, styleId} = params;
-  const bucket = getStorage(app).bucket(STORAGE_BUCKET_ID.value());
+  const bucket = getBucket();
   const prefix = `Scenes/${sceneId}/`;
   const [files] = await bucket.getFiles({prefix});
   await Promise.all(
@@ -396,7 +406,7 @@ async function storeScenes(params) {
  */
 async function getJsonFile(params) {
   const {filename, retryCount = 0, maxRetries = 3} = params;
-  const bucket = getStorage(app).bucket(STORAGE_BUCKET_ID.value());
+  const bucket = getBucket();
   const file = bucket.file(filename);
 
   return new Promise((resolve, reject) => {
@@ -455,7 +465,7 @@ async function getJsonFile(params) {
 
 async function getFileString(params) {
   const {path, retryCount = 0, maxRetries = 3} = params;
-  const bucket = getStorage(app).bucket(STORAGE_BUCKET_ID.value());
+  const bucket = getBucket();
   const file = bucket.file(path);
 
   try {
@@ -477,7 +487,7 @@ async function getFileString(params) {
 
 async function downloadFileFromBucket(params) {
   const {bucketPath, localPath, retryCount = 0, maxRetries = 3} = params;
-  const bucket = getStorage(app).bucket(STORAGE_BUCKET_ID.value());
+  const bucket = getBucket();
   const file = bucket.file(bucketPath);
 
   // Ensure the directory exists
@@ -513,7 +523,7 @@ async function deleteLocalFiles(localPaths) {
 
 async function uploadFileToBucket(params) {
   const {localPath, bucketPath, content, contentType = "application/octet-stream", retryCount = 0, maxRetries = 3} = params;
-  const bucket = getStorage(app).bucket(STORAGE_BUCKET_ID.value());
+  const bucket = getBucket();
 
   try {
     let uploadResponse;
@@ -574,7 +584,7 @@ async function uploadFileToBucket(params) {
 
 async function uploadJsonToBucket(params) {
   const {json, bucketPath, retryCount = 0, maxRetries = 3} = params;
-  const bucket = getStorage(app).bucket(STORAGE_BUCKET_ID.value());
+  const bucket = getBucket();
   const file = bucket.file(bucketPath);
   const jsonString = JSON.stringify(json);
   logger.debug(`uploadJsonToBucket: Uploading JSON to ${bucketPath}: ${jsonString.substring(0, 100)}`);
@@ -616,7 +626,7 @@ async function uploadJsonToBucket(params) {
 
 async function copyFile(params) {
   const {sourcePath, destinationPath} = params;
-  const bucket = getStorage(app).bucket(STORAGE_BUCKET_ID.value());
+  const bucket = getBucket();
   const sourceFile = bucket.file(sourcePath);
   const destinationFile = bucket.file(destinationPath);
   await sourceFile.copy(destinationFile);
@@ -625,7 +635,7 @@ async function copyFile(params) {
 
 async function getPublicUrl(params) {
   const {path} = params;
-  const bucket = getStorage(app).bucket(STORAGE_BUCKET_ID.value());
+  const bucket = getBucket();
   const file = bucket.file(path);
 
   try {
@@ -636,6 +646,9 @@ async function getPublicUrl(params) {
       }
       return file.publicUrl();
     }
+    if (isLocalBackend()) {
+      return file.publicUrl();
+    }
     return await getDownloadURL(file);
   } catch (error) {
     logger.error(`Error getting download URL for ${path}`);
@@ -654,7 +667,27 @@ async function getTranscriptions(params) {
   } else {
     filename = `UserData/${uid}/Uploads/Processed/${sku}/${sku}-transcriptions.json`;
   }
-  return await getJsonFile({filename});
+  const transcriptions = await getJsonFile({filename});
+
+  // Chapters aligned to an imported ebook replace the ASR text. An aligned chapter is only
+  // used while it still has the ASR chapter's segments, so re-transcribed chapters fall back.
+  // Only books with an ebookAlignment in the catalogue have an aligned file to look for.
+  if (!transcriptions || !(await catalogueGetRtdb({sku}))?.ebookAlignment) {
+    return transcriptions;
+  }
+  const alignedFilename = filename.replace(/-transcriptions\.json$/, "-transcriptions-aligned.json");
+  if (!await fileExists({path: alignedFilename})) {
+    return transcriptions;
+  }
+  const aligned = await getJsonFile({filename: alignedFilename});
+  for (const [chapter, segments] of Object.entries(aligned)) {
+    const asrSegments = transcriptions[chapter];
+    if (Array.isArray(asrSegments) && asrSegments.length === segments.length &&
+      asrSegments[0]?.startTime === segments[0]?.startTime) {
+      transcriptions[chapter] = segments;
+    }
+  }
+  return transcriptions;
 }
 
 /**
@@ -741,7 +774,7 @@ async function downloadImage(url, filename, retryCount = 0, maxRetries = 3) {
  */
 async function getFilesByPrefix(params) {
   const {prefix} = params;
-  const bucket = getStorage(app).bucket(STORAGE_BUCKET_ID.value());
+  const bucket = getBucket();
   const [files] = await bucket.getFiles({prefix});
   return files;
 }
@@ -0,0 +1,88 @@
+/* eslint-disable require-jsdoc */
+/* eslint-env mocha */
+import os from "os";
+import path from "path";
+import chai from "chai";
+
+const expect = chai.expect;
+
+// The codex reads the in-process stand-ins, set before the storage modules load
+process.env.LOCAL_BACKEND = "true";
+process.env.LOCAL_BACKEND_DIR = path.join(os.tmpdir(), `visibl-codex-test-${Date.now()}`);
+
+const SKU = "VIS_TEST_CODEX";
+const GRAPH_ID = "codex-test-graph";
+const UID = "codex-test-user";
+
+describe("getSpoilerSafeEntities", () => {
+  let getSpoilerSafeEntities;
+  let storeData;
+
+  before(async () => {
+    ({getSpoilerSafeEntities} = await import("../graph/v0.1/logic/entityCodex.js"));
+    ({storeData} = await import("../storage/realtimeDb/database.js"));
+
+    await storeData({ref: `catalogue/${SKU}`, data: {id: SKU, sku: SKU, defaultGraphId: GRAPH_ID}});
+    const chapters = [
+      {
+        characters: {"Alice": {description: "A curious girl on the riverbank"}},
+        locations: {"Riverbank": {description: "A grassy bank by the river"}},
+      },
+      {
+        characters: {
+          "Alice": {description: "A girl falling down the rabbit hole"},
+          "White Rabbit": {description: "A rabbit with a pocket watch"},
+        },
+        locations: {"Rabbit Hole": {description: "A long, deep well"}},
+      },
+      {
+        characters: {
+          "Alice": {description: "A girl who has grown nine feet tall"},
+          "Queen of Hearts": {description: "A queen who orders beheadings"},
+        },
+        locations: {"Croquet Ground": {description: "The Queen's croquet ground"}},
+      },
+    ];
+    for (const [chapter, {characters, locations}] of chapters.entries()) {
+      await storeData({ref: `graphs/${GRAPH_ID}/chapters/${chapter}/characters`, data: characters});
+      await storeData({ref: `graphs/${GRAPH_ID}/chapters/${chapter}/locations`, data: locations});
+    }
+  });
+
+  async function codexAtChapter(chapter) {
+    await storeData({
+      ref: `users/${UID}/library/${SKU}`,
+      data: {id: SKU, sku: SKU, clientData: {playbackInfo: {currentResourceIndex: chapter}}},
+    });
+    return await getSpoilerSafeEntities({uid: UID, data: {sku: SKU}});
+  }
+
+  it("only returns entities up to the listener's chapter", async () => {
+    const codex = await codexAtChapter(1);
+    expect(codex.chapter).to.equal(1);
+    expect(codex.characters.map((entry) => entry.name)).to.have.members(["Alice", "White Rabbit"]);
+    expect(codex.locations.map((entry) => entry.name)).to.have.members(["Riverbank", "Rabbit Hole"]);
+  });
+
+  it("describes entities as of the listener's chapter", async () => {
+    const codex = await codexAtChapter(1);
+    const alice = codex.characters.find((entry) => entry.name === "Alice");
+    expect(alice).to.include({
+      description: "A girl falling down the rabbit hole",
+      firstChapter: 0,
+      lastChapter: 1,
+    });
+  });
+
+  it("returns the first chapter only at the start of the book", async () => {
+    const codex = await codexAtChapter(0);
+    expect(codex.characters.map((entry) => entry.name)).to.deep.equal(["Alice"]);
+    expect(codex.characters[0].description).to.equal("A curious girl on the riverbank");
+  });
+
+  it("returns every chapter at the end of the book", async () => {
+    const codex = await codexAtChapter(2);
+    expect(codex.characters.map((entry) => entry.name)).to.have.members(["Alice", "White Rabbit", "Queen of Hearts"]);
+    expect(codex.characters.find((entry) => entry.name === "Alice").lastChapter).to.equal(2);
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Entry point of the v0.1 pipeline harness, see graph/v0.1/pipelineHarness.js
+ * Runs a fixture book from test/fixtures/books through the pipeline on the local backend and
+ * exits with 1 when a step did not complete or a file differs from the expected one.
+ *
+ *   node test/pipelineHarness.js [fixtureDir]
+ *
+ * LLM responses are replayed from test/fixtures/llm by default, so the run needs no network.
+ * After changing a prompt or a step, record new responses and expected files with real keys:
+ *
+ *   LLM_FIXTURES=record node test/pipelineHarness.js [fixtureDir] --update-expected
+ *
+ * and commit the new files under test/fixtures/llm and the book's expected/ directory.
+ */
+
+import os from "os";
+import path from "path";
+import {fileURLToPath} from "url";
+
+const testDir = path.dirname(fileURLToPath(import.meta.url));
+const args = process.argv.slice(2);
+const updateExpected = args.includes("--update-expected");
+const fixtureDir = path.resolve(args.find((arg) => !arg.startsWith("--")) || path.join(testDir, "fixtures/books/alice"));
+
+// Every run starts from an empty local backend, images are never generated
+process.env.LOCAL_BACKEND = "true";
+process.env.LOCAL_BACKEND_DIR = process.env.LOCAL_BACKEND_DIR || path.join(os.tmpdir(), `visibl-harness-${Date.now()}`);
+process.env.MOCK_IMAGES = "true";
+process.env.LLM_FIXTURES = process.env.LLM_FIXTURES || "replay";
+process.env.LLM_FIXTURES_DIR = process.env.LLM_FIXTURES_DIR || path.join(testDir, "fixtures/llm");
+
+/**
+ * Run the harness and exit with its outcome
+ * @return {Promise<void>}
+ */
+async function main() {
+  // Imported after the environment is set, config is read when the modules load
+  const {default: logger} = await import("../util/logger.js");
+  const {runPipelineHarness} = await import("../graph/v0.1/pipelineHarness.js");
+  try {
+    const {failures} = await runPipelineHarness({fixtureDir, updateExpected});
+    process.exit(failures.length > 0 ? 1 : 0);
+  } catch (error) {
+    logger.error(`Pipeline harness failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+main();
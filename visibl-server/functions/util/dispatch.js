@@ -6,6 +6,8 @@ import {
 } from "../storage/realtimeDb/dispatchCache.js";
 import {ENVIRONMENT} from "../config/config.js";
 import {firebaseFnConfig} from "../config/config.js";
+import {isLocalBackend} from "../storage/backend.js";
+import {runLocalTask} from "./localTasks.js";
 
 import logger from "./logger.js";
 
@@ -156,7 +158,10 @@ async function dispatchTask({functionName, data, deadline=60 * 5, scheduleDelayS
         3) A partial function name, in which case the runtime project ID and the default location, us-central1, is used:
         {functionName}
     */
-    if (ENVIRONMENT.value() === "development") {
+    if (isLocalBackend()) {
+      await runLocalTask({functionName, data, scheduleDelaySeconds});
+      return;
+    } else if (ENVIRONMENT.value() === "development") {
       logger.debug(`Not dispatching task ${functionName} in dev.`);
       return;
     } else {
@@ -8,6 +8,9 @@ import {catalogueAddStyleRtdb} from "../storage/realtimeDb/catalogue.js";
 import {catalogueUpdateRtdbProperty} from "../storage/realtimeDb/catalogue.js";
 import {catalogueGetAllRtdb} from "../storage/realtimeDb/catalogue.js";
 import {getData, deleteData} from "../storage/realtimeDb/database.js";
+import {getGraphFirestore, getFailedGraphCheckpoints} from "../storage/firestore/graph.js";
+import {dispatchTask} from "./dispatch.js";
+import {GRAPH_PIPELINE_AUTO_RESUME_LIMIT} from "../graph/config.js";
 
 import logger from "./logger.js";
 
@@ -409,9 +412,11 @@ function findNextChapterOverDuration(catalogueItem, currentChapterKey, minDurati
 /**
  * Simplified checkup for potentially stuck books
  * @param {number} minutesThreshold - Time threshold in minutes (default: 10)
+ * @param {Object} [options] - Checkup options
+ * @param {boolean} [options.autoResume] - Resume graphs that stopped on a failed step (default: false)
  * @return {Promise<void>}
  */
-async function graphCheckup(minutesThreshold = 10) {
+async function graphCheckup(minutesThreshold = 10, {autoResume = false} = {}) {
   try {
     const thresholdMs = minutesThreshold * 60 * 1000;
     const currentTime = Date.now();
@@ -432,6 +437,12 @@ async function graphCheckup(minutesThreshold = 10) {
       const addedToFirstUserAt = catalogueItem.addedToFirstUserAt;
       if (!addedToFirstUserAt) continue;
 
+      // Resume a graph that stopped on a failed step, whether or not the book already has a graph
+      // available, e.g. a later chapter range or an incremental graph failed
+      if (autoResume && catalogueItem.defaultGraphId && catalogueItem.defaultGraphId !== "N/A") {
+        await resumeFailedGraph({sku, graphId: catalogueItem.defaultGraphId});
+      }
+
       // Clear the notification flag if graph is now available (for future re-runs)
       if (catalogueItem.graphAvailable && catalogueItem.graphStuckNotifiedAt) {
         await catalogueUpdateRtdbProperty({
@@ -488,6 +499,34 @@ async function graphCheckup(minutesThreshold = 10) {
   }
 }
 
+/**
+ * Resume a graph from its last failure if it has one, up to GRAPH_PIPELINE_AUTO_RESUME_LIMIT times
+ * @param {Object} params - Parameters including sku and graphId
+ * @return {Promise<boolean>} True if a resume was dispatched
+ */
+async function resumeFailedGraph({sku, graphId}) {
+  const graphItem = await getGraphFirestore({graphId});
+  // lastFailure is cleared when a resume starts, so a graph is not resumed twice while its resume runs
+  if (!graphItem?.lastFailure || getFailedGraphCheckpoints({graphItem}).length === 0) {
+    return false;
+  }
+
+  const resumeCount = graphItem.resumeCount || 0;
+  if (resumeCount >= GRAPH_PIPELINE_AUTO_RESUME_LIMIT) {
+    logger.warn(`Graph ${graphId} for SKU ${sku} failed at ${graphItem.lastFailure.step} chapter ${graphItem.lastFailure.chapter}` +
+      ` and was already resumed ${resumeCount} times, needs a manual resume`);
+    return false;
+  }
+
+  logger.warn(`Graph ${graphId} for SKU ${sku} failed at ${graphItem.lastFailure.step} chapter ${graphItem.lastFailure.chapter}` +
+    ` (${graphItem.lastFailure.error}), resuming (attempt ${resumeCount + 1}/${GRAPH_PIPELINE_AUTO_RESUME_LIMIT})`);
+  await dispatchTask({
+    functionName: "continueGraphPipeline",
+    data: {graphId, resume: true},
+  });
+  return true;
+}
+
 /**
  * Check catalogue for books with incomplete graph processing
  * Fetches catalogue items with incomplete processing
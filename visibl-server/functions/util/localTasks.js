@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Runs task functions in this process when LOCAL_BACKEND is set
+ * dispatchTask hands tasks here instead of Cloud Tasks. The exported task function with the
+ * task's name is run after the requested delay, so queues and graph steps chain as deployed.
+ * To run a pipeline offline, set LOCAL_BACKEND with MOCK_LLM and MOCK_IMAGES, call
+ * runLocalTask for the first step and wait for the work to settle with waitForLocalTasks.
+ */
+
+import logger from "./logger.js";
+
+const pendingTasks = new Set();
+
+/**
+ * Run an exported task function in this process
+ * @param {Object} params - The parameters object
+ * @param {string} params.functionName - Name of the exported task function
+ * @param {Object} params.data - Task data, passed as req.data
+ * @param {number} [params.scheduleDelaySeconds=0] - Seconds to wait before running the task
+ * @return {Promise<void>} Resolves once the task is scheduled, not when it has run
+ */
+async function runLocalTask({functionName, data, scheduleDelaySeconds = 0}) {
+  // Imported on first use, the task functions import this module through dispatchTask
+  const functions = await import("../index.js");
+  const taskFunction = functions[functionName];
+  if (typeof taskFunction?.run !== "function") {
+    logger.warn(`No local task function named ${functionName}, not running it`);
+    return;
+  }
+
+  const task = new Promise((resolve) => setTimeout(resolve, scheduleDelaySeconds * 1000))
+      .then(() => taskFunction.run({data}))
+      .catch((error) => logger.error(`Local task ${functionName} failed: ${error.message}`))
+      .finally(() => pendingTasks.delete(task));
+  pendingTasks.add(task);
+  logger.debug(`Scheduled local task ${functionName}${scheduleDelaySeconds ? ` in ${scheduleDelaySeconds}s` : ""}`);
+}
+
+/**
+ * Wait until no local tasks are scheduled or running, including tasks they dispatch
+ * @return {Promise<void>}
+ */
+async function waitForLocalTasks() {
+  while (pendingTasks.size > 0) {
+    await Promise.allSettled([...pendingTasks]);
+  }
+}
+
+export {
+  runLocalTask,
+  waitForLocalTasks,
+};
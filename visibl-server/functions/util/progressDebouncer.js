@@ -38,12 +38,10 @@ export async function shouldProcessProgressUpdate({uid, sku}) {
   });
 
   try {
-    // Check if processing this update would exceed the rate limit
-    const wouldExceed = await limiter.wouldExceedLimit({tokens: 1});
+    // Reserve this update atomically, concurrent updates can't both take the last slot
+    const reservation = await limiter.reserve({tokens: 1});
 
-    if (!wouldExceed) {
-      // Record this usage and allow processing
-      await limiter.recordUsage({tokens: 1});
+    if (reservation) {
       logger.debug(`Progress update ALLOWED for ${key} (window: ${PROGRESS_UPDATE_WINDOW_SIZE}ms)`);
       return true;
     }
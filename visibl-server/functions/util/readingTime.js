@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Timing of text-only books
+ * Text-only books have no audio, so their transcriptions are timed from a reading speed
+ * and scenes are keyed on that synthetic time like an audiobook's. Their library progress
+ * (playbackInfo.totalProgress) is a reading position, the number of words read from the
+ * start of the book, and is converted to the synthetic time before looking up scenes.
+ */
+
+import {READING_WORDS_PER_MINUTE} from "../config/config.js";
+
+/**
+ * Get the reading speed of a text-only book
+ * @param {Object} catalogueItem - The catalogue item
+ * @return {number} Words per minute, the READING_WORDS_PER_MINUTE default if the item has none
+ */
+function readingWordsPerMinute(catalogueItem) {
+  return catalogueItem?.reading?.wordsPerMinute || parseFloat(READING_WORDS_PER_MINUTE.value());
+}
+
+/**
+ * Convert a number of words to reading time
+ * @param {number} words - Number of words
+ * @param {number} wordsPerMinute - Reading speed
+ * @return {number} Seconds, rounded to hundredths like transcription timestamps
+ */
+function wordsToSeconds(words, wordsPerMinute) {
+  return Math.round(words * 6000 / wordsPerMinute) / 100;
+}
+
+/**
+ * Convert library progress to the time scenes are keyed on
+ * @param {Object} params - Parameters object
+ * @param {Object} params.catalogueItem - The book's catalogue item
+ * @param {number} params.progress - playbackInfo.totalProgress, seconds of audio or words read for text-only books
+ * @return {number} Time in seconds
+ */
+function progressToTime({catalogueItem, progress}) {
+  if (catalogueItem?.mediaType !== "text") {
+    return progress;
+  }
+  return wordsToSeconds(progress, readingWordsPerMinute(catalogueItem));
+}
+
+export {
+  readingWordsPerMinute,
+  wordsToSeconds,
+  progressToTime,
+};
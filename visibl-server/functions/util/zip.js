@@ -0,0 +1,225 @@
+/**
+ * @fileoverview Minimal streaming zip extraction
+ * Reads the central directory of a zip file and streams the selected entries to disk,
+ * or reads small ones into memory, inflating them with zlib. Supports stored and deflated
+ * entries, not zip64 or encryption.
+ */
+
+import fs from "fs/promises";
+import {createReadStream, createWriteStream} from "fs";
+import {Transform} from "stream";
+import {pipeline} from "stream/promises";
+import zlib from "zlib";
+import path from "path";
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+// End of central directory record plus the longest zip comment
+const EOCD_SEARCH_LENGTH = 22 + 0xffff;
+// Most a zip may extract to disk, a few long audiobooks
+const MAX_EXTRACT_SIZE = 8 * 1024 * 1024 * 1024;
+// Most a zip entry, and all entries together, may inflate to when read into memory
+const MAX_READ_ENTRY_SIZE = 32 * 1024 * 1024;
+const MAX_READ_SIZE = 256 * 1024 * 1024;
+
+/**
+ * Read part of an open file
+ * @param {FileHandle} handle - The open file
+ * @param {number} position - Offset to read from
+ * @param {number} length - Number of bytes to read
+ * @return {Promise<Buffer>} The bytes read
+ */
+async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const {bytesRead} = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * List the file entries of a zip
+ * @param {FileHandle} handle - The open zip file
+ * @return {Promise<Array<Object>>} {name, method, compressedSize, size, localHeaderOffset} for each file
+ */
+async function readCentralDirectory(handle) {
+  const {size: fileSize} = await handle.stat();
+  const tailStart = Math.max(0, fileSize - EOCD_SEARCH_LENGTH);
+  const tail = await readAt(handle, tailStart, fileSize - tailStart);
+
+  let eocd = -1;
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw new Error("Not a zip file: end of central directory not found");
+  }
+
+  const entryCount = tail.readUInt16LE(eocd + 10);
+  const directorySize = tail.readUInt32LE(eocd + 12);
+  const directoryOffset = tail.readUInt32LE(eocd + 16);
+  if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+    throw new Error("zip64 archives are not supported");
+  }
+
+  const directory = await readAt(handle, directoryOffset, directorySize);
+  const entries = [];
+  let offset = 0;
+  for (let i = 0; i < entryCount; i++) {
+    if (directory.readUInt32LE(offset) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error(`Corrupt zip: bad central directory entry ${i}`);
+    }
+    const flags = directory.readUInt16LE(offset + 8);
+    const method = directory.readUInt16LE(offset + 10);
+    const compressedSize = directory.readUInt32LE(offset + 20);
+    const size = directory.readUInt32LE(offset + 24);
+    const nameLength = directory.readUInt16LE(offset + 28);
+    const extraLength = directory.readUInt16LE(offset + 30);
+    const commentLength = directory.readUInt16LE(offset + 32);
+    const localHeaderOffset = directory.readUInt32LE(offset + 42);
+    const name = directory.toString("utf8", offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith("/")) {
+      continue;
+    }
+    if (flags & 0x1) {
+      throw new Error(`Encrypted zip entries are not supported: ${name}`);
+    }
+    if (compressedSize === 0xffffffff || size === 0xffffffff || localHeaderOffset === 0xffffffff) {
+      throw new Error("zip64 archives are not supported");
+    }
+    entries.push({name, method, compressedSize, size, localHeaderOffset});
+  }
+  return entries;
+}
+
+/**
+ * Find where an entry's data starts, after its local header
+ * @param {FileHandle} handle - The open zip file
+ * @param {Object} entry - The entry from readCentralDirectory
+ * @return {Promise<number>} Offset of the entry's compressed data
+ */
+async function entryDataStart(handle, entry) {
+  if (entry.method !== 0 && entry.method !== 8) {
+    throw new Error(`Unsupported zip compression method ${entry.method} for ${entry.name}`);
+  }
+  const localHeader = await readAt(handle, entry.localHeaderOffset, 30);
+  if (localHeader.readUInt32LE(0) !== LOCAL_HEADER_SIGNATURE) {
+    throw new Error(`Corrupt zip: bad local header for ${entry.name}`);
+  }
+  return entry.localHeaderOffset + 30 + localHeader.readUInt16LE(26) + localHeader.readUInt16LE(28);
+}
+
+/**
+ * Check the declared sizes of the entries to extract against a limit
+ * @param {Array<Object>} entries - Entries from readCentralDirectory
+ * @param {number} maxTotalSize - Most bytes the entries may have together
+ */
+function checkTotalSize(entries, maxTotalSize) {
+  const totalSize = entries.reduce((total, entry) => total + entry.size, 0);
+  if (totalSize > maxTotalSize) {
+    throw new Error(`Zip too large: ${totalSize} bytes uncompressed, the limit is ${maxTotalSize}`);
+  }
+}
+
+/**
+ * Stop an entry's stream once it inflates to more than its declared size
+ * The declared sizes are checked before extracting, so this stops zip bombs that lie about them.
+ * @param {Object} entry - The entry from readCentralDirectory
+ * @return {Transform} Stream passing the entry's data through
+ */
+function sizeLimit(entry) {
+  let bytes = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      bytes += chunk.length;
+      if (bytes > entry.size) {
+        callback(new Error(`Corrupt zip: ${entry.name} inflates to more than its declared ${entry.size} bytes`));
+        return;
+      }
+      callback(null, chunk);
+    },
+  });
+}
+
+/**
+ * Extract the files of a zip
+ * Entries are written to outputDir under generated names, so entry paths can't escape it.
+ * @param {Object} params - Parameters object
+ * @param {string} params.zipPath - Local path of the zip
+ * @param {string} params.outputDir - Directory to extract into
+ * @param {Function} [params.filter] - Called with each entry name, only entries it returns true for are extracted
+ * @param {number} [params.maxTotalSize] - Most bytes the extracted entries may have together, MAX_EXTRACT_SIZE by default
+ * @return {Promise<Array<Object>>} {name, localPath} for each extracted entry, name is its path in the zip
+ */
+async function extractZip({zipPath, outputDir, filter = () => true, maxTotalSize = MAX_EXTRACT_SIZE}) {
+  await fs.mkdir(outputDir, {recursive: true});
+  const handle = await fs.open(zipPath, "r");
+  try {
+    const entries = (await readCentralDirectory(handle)).filter((entry) => filter(entry.name));
+    checkTotalSize(entries, maxTotalSize);
+    const extracted = [];
+    for (const [index, entry] of entries.entries()) {
+      const dataStart = await entryDataStart(handle, entry);
+      const localPath = path.join(outputDir, `${index}${path.extname(entry.name).toLowerCase()}`);
+
+      if (entry.compressedSize === 0) {
+        await fs.writeFile(localPath, "");
+      } else {
+        const source = createReadStream(zipPath, {start: dataStart, end: dataStart + entry.compressedSize - 1});
+        const stages = entry.method === 8 ? [source, zlib.createInflateRaw()] : [source];
+        await pipeline(...stages, sizeLimit(entry), createWriteStream(localPath));
+      }
+      extracted.push({name: entry.name, localPath});
+    }
+    return extracted;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Read the files of a zip into memory, for small entries like the documents of an EPUB
+ * @param {Object} params - Parameters object
+ * @param {string} params.zipPath - Local path of the zip
+ * @param {Function} [params.filter] - Called with each entry name, only entries it returns true for are read
+ * @param {number} [params.maxEntrySize] - Most bytes an entry may have, MAX_READ_ENTRY_SIZE by default
+ * @param {number} [params.maxTotalSize] - Most bytes the entries may have together, MAX_READ_SIZE by default
+ * @return {Promise<Map<string, Buffer>>} The contents of each entry, by its path in the zip
+ */
+async function readZipEntries({zipPath, filter = () => true, maxEntrySize = MAX_READ_ENTRY_SIZE, maxTotalSize = MAX_READ_SIZE}) {
+  const handle = await fs.open(zipPath, "r");
+  try {
+    const entries = (await readCentralDirectory(handle)).filter((entry) => filter(entry.name));
+    checkTotalSize(entries, maxTotalSize);
+    const contents = new Map();
+    for (const entry of entries) {
+      if (entry.size > maxEntrySize) {
+        throw new Error(`Zip entry too large: ${entry.name} is ${entry.size} bytes, the limit is ${maxEntrySize}`);
+      }
+      const dataStart = await entryDataStart(handle, entry);
+      const data = await readAt(handle, dataStart, entry.compressedSize);
+      if (entry.method !== 8) {
+        contents.set(entry.name, data);
+        continue;
+      }
+      // Inflating past the declared size means the sizes checked above were a lie
+      try {
+        contents.set(entry.name, zlib.inflateRawSync(data, {maxOutputLength: Math.max(1, entry.size)}));
+      } catch (error) {
+        throw new Error(`Corrupt zip: ${entry.name} does not inflate to its declared ${entry.size} bytes: ${error.message}`);
+      }
+    }
+    return contents;
+  } finally {
+    await handle.close();
+  }
+}
+
+export {
+  extractZip,
+  readZipEntries,
+};